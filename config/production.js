@@ -1,3 +1,15 @@
+// Circuit breaker of each gateway adapter (src/services/CircuitBreaker.js).
+// A gateway that needs different settings spreads these and overrides
+// only what differs.
+const circuitBreaker = {
+  windowMs: 60000, // rolling window for stats (1 minute)
+  minimumRequests: 10, // calls in the window before it can open
+  failureThreshold: 0.5, // failure rate that opens the circuit
+  openMs: 30000, // reject calls for 30 seconds before a trial
+  halfOpenMaxCalls: 1, // trial calls while half-open
+  slowCallMs: 5000, // average latency above this lowers the score
+};
+
 module.exports = {
   // Server Configuration
   port: process.env.PORT || 3001,
@@ -12,28 +24,24 @@ module.exports = {
     maxAge: 86400, // 24 hours
   },
 
-  // Rate Limiting
-  rateLimit: {
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // limit each IP to 100 requests per windowMs
-    message: {
-      error: "Too many requests from this IP, please try again later.",
-      retryAfter: "15 minutes",
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-    skipSuccessfulRequests: false,
-    skipFailedRequests: false,
-  },
-
-  // Payment Rate Limiting
-  paymentRateLimit: {
-    windowMs: 1 * 60 * 1000, // 1 minute
-    max: 10, // limit each IP to 10 payment requests per minute
-    message: {
-      error: "Too many payment requests, please try again later.",
-      retryAfter: "1 minute",
+  // Rate Limiting. Requests with an API key count against the key's and
+  // its merchant's quotas; requests without one (e.g. gateway webhooks)
+  // against their IP's. Keys and merchants can override their quotas.
+  rateLimits: {
+    algorithm: process.env.RATE_LIMIT_ALGORITHM || "sliding-window",
+    quotas: {
+      // Processing payments, creating intents and refunds
+      payments: {
+        key: { limit: 60, windowMs: 60 * 1000 },
+        merchant: { limit: 300, windowMs: 60 * 1000 },
+      },
+      // Every other authenticated call
+      reads: {
+        key: { limit: 300, windowMs: 60 * 1000 },
+        merchant: { limit: 1000, windowMs: 60 * 1000 },
+      },
     },
+    ip: { limit: 100, windowMs: 15 * 60 * 1000 },
   },
 
   // Helmet Security
@@ -86,6 +94,12 @@ module.exports = {
     },
   },
 
+  // API Keys
+  apiKeys: {
+    lastUsedInterval: 60000, // record lastUsedAt at most once a minute per key
+    signatureTolerance: 300000, // signed requests may be 5 minutes off
+  },
+
   // Request Size Limits
   bodyParser: {
     json: { limit: "10mb" },
@@ -111,16 +125,54 @@ module.exports = {
   gateways: {
     stripe: {
       enabled: !!process.env.STRIPE_SECRET_KEY,
-      timeout: 10000, // 10 seconds
-      retries: 3,
+      timeout: 10000, // 10 seconds per attempt
+      retries: 3, // Stripe SDK network retries (sent with idempotency keys)
+      webhookTolerance: 300, // max age of a webhook signature, in seconds
+      circuitBreaker,
     },
     paystack: {
       enabled: !!process.env.PAYSTACK_SECRET_KEY,
-      timeout: 10000, // 10 seconds
-      retries: 3,
+      timeout: 10000, // 10 seconds per attempt
+      retries: 3, // retries of safe (GET) calls on timeouts, network errors, 5xx
+      backoff: { baseMs: 200, maxMs: 5000 }, // exponential backoff with jitter
+      // Hold-then-capture; Paystack enables it per account on request
+      preauthorization: process.env.PAYSTACK_PREAUTHORIZATION === "true",
+      circuitBreaker,
+    },
+    // Offline sandbox gateway (src/adapters/MockAdapter.js), for
+    // development and CI
+    mock: {
+      enabled: !!process.env.MOCK_SECRET_KEY,
+      // Where challenge pages and the default webhook URL point
+      baseUrl:
+        process.env.BASE_URL || `http://localhost:${process.env.PORT || 3001}`,
+      timeout: 5000, // 5 seconds per webhook delivery
+      webhookDelay: parseInt(process.env.MOCK_WEBHOOK_DELAY_MS || "2000", 10),
+      webhookTolerance: 300, // max age of a webhook signature, in seconds
+      circuitBreaker,
     },
   },
 
+  // Customers returning from redirect-based checkouts (Paystack, Stripe
+  // iDEAL, Sofort, Bancontact) land on callbackUrl and are sent on to the
+  // merchant's success or failure URL with a signed result token. These
+  // URLs and secret apply to platform payments; merchants set their own.
+  checkout: {
+    callbackUrl: `${
+      process.env.BASE_URL || `http://localhost:${process.env.PORT || 3001}`
+    }/api/payments/callback`,
+    successUrl: process.env.CHECKOUT_SUCCESS_URL || null,
+    failureUrl: process.env.CHECKOUT_FAILURE_URL || null,
+    tokenSecret: process.env.CHECKOUT_TOKEN_SECRET || null,
+    tokenTtl: 15 * 60, // result tokens expire after 15 minutes (seconds)
+  },
+
+  // Persistence (the file driver is for local development only)
+  persistence: {
+    driver: process.env.PERSISTENCE_DRIVER || "memory",
+    dataDir: process.env.DATA_DIR || "data",
+  },
+
   // Webhook Configuration
   webhooks: {
     timeout: 5000, // 5 seconds
@@ -128,6 +180,38 @@ module.exports = {
     retryDelay: 1000, // 1 second
   },
 
+  // Outbound webhooks to merchant endpoints
+  merchantWebhooks: {
+    timeout: 10000, // 10 seconds
+    maxAttempts: 8,
+    retryDelay: 30000, // 30 seconds, doubling per attempt
+    maxRetryDelay: 6 * 60 * 60 * 1000, // 6 hours
+    signatureHeader: "x-unified-signature",
+    disableAfterFailures: 25, // consecutive failed attempts
+    // http URLs and private hosts are refused unless
+    // WEBHOOK_ALLOW_PRIVATE_URLS=true, for local development
+    allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true",
+  },
+
+  // Subscription billing. Each API process checks for due renewals;
+  // renewal charges are idempotent per billing period.
+  billing: {
+    schedulerInterval: parseInt(
+      process.env.BILLING_SCHEDULER_INTERVAL_MS || "60000",
+      10
+    ), // 1 minute
+    // After a failed renewal: retry this many days after the first
+    // failure, then cancel, pause or mark the subscription unpaid. Plans
+    // can set their own schedule.
+    dunning: {
+      retryDays: (process.env.BILLING_DUNNING_RETRY_DAYS || "1,3,7")
+        .split(",")
+        .map((day) => parseInt(day, 10)),
+      finalAction: process.env.BILLING_DUNNING_FINAL_ACTION || "cancel",
+      outageRetryDelay: 60 * 60 * 1000, // 1 hour
+    },
+  },
+
   // Monitoring
   monitoring: {
     enabled: true,
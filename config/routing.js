@@ -0,0 +1,51 @@
+/**
+ * Gateway Routing Rules
+ *
+ * Used when a payment request omits `gateway`. Rules are evaluated in
+ * order; the first rule whose `match` conditions all hold and that has an
+ * eligible target wins. A target is eligible when the gateway is configured,
+ * supports the currency and supports the requested payment method.
+ *
+ * match fields (all optional, all must hold):
+ *   currency       - ISO 4217 codes
+ *   country        - customer ISO 3166-1 alpha-2 codes
+ *   paymentMethod  - payment methods / Paystack channels
+ *   amount         - { min, max } in minor units (inclusive)
+ *   merchantId     - merchant IDs
+ *
+ * target: either `gateway: "name"` or `split: [{ gateway, weight }]`
+ *
+ * failover: when enabled (or when a request sends `failover: true`), a
+ * payment that fails with a retryable error is retried on the next eligible
+ * gateway, but only after a status lookup confirms the failed attempt did
+ * not create a payment that could still be charged.
+ *
+ * Set ROUTING_RULES_FILE to a JSON file with the same shape to override.
+ */
+module.exports = {
+  rules: [
+    {
+      id: "african-local-currencies",
+      match: { currency: ["NGN", "GHS", "KES", "ZAR", "XOF", "EGP"] },
+      gateway: "paystack",
+    },
+    {
+      id: "african-local-methods",
+      match: {
+        paymentMethod: ["ussd", "mobile_money", "bank", "qr"],
+      },
+      gateway: "paystack",
+    },
+  ],
+
+  // Order tried when no rule matches
+  defaultGateways: ["stripe", "paystack"],
+
+  // Per-merchant gateway order, used instead of defaultGateways
+  merchantPreferences: {},
+
+  failover: {
+    enabled: process.env.GATEWAY_FAILOVER === "true",
+    maxAttempts: 2,
+  },
+};
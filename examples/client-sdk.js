@@ -3,14 +3,22 @@
  * A simple example of how to integrate with the Unified Payments API
  */
 
+const crypto = require("crypto");
+
 class UnifiedPaymentsClient {
-  constructor(apiKey, baseUrl = "http://localhost:3001") {
+  /**
+   * @param {string|null} apiKey - Secret API key; not needed when signing
+   * @param {string} baseUrl - API base URL
+   * @param {Object} [signing] - { keyId, signingSecret } to sign every
+   *   request instead of sending the API key
+   */
+  constructor(apiKey, baseUrl = "http://localhost:3001", signing = null) {
     this.apiKey = apiKey;
     this.baseUrl = baseUrl;
-    this.headers = {
-      "Content-Type": "application/json",
-      "x-api-key": apiKey,
-    };
+    this.signing = signing;
+    this.headers = signing
+      ? { "Content-Type": "application/json" }
+      : { "Content-Type": "application/json", "x-api-key": apiKey };
   }
 
   /**
@@ -28,6 +36,13 @@ class UnifiedPaymentsClient {
       config.body = JSON.stringify(options.body);
     }
 
+    if (this.signing) {
+      config.headers = {
+        ...config.headers,
+        ...this.signRequest(config.method, url, config.body),
+      };
+    }
+
     try {
       const response = await fetch(url, config);
       const data = await response.json();
@@ -43,6 +58,35 @@ class UnifiedPaymentsClient {
     }
   }
 
+  /**
+   * Build the headers of a signed request: an HMAC-SHA256 with the
+   * signing secret over the method, path, timestamp, nonce and a hash of
+   * the exact body sent
+   */
+  signRequest(method, url, body = "") {
+    const { pathname, search } = new URL(url);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const payload = [
+      method.toUpperCase(),
+      `${pathname}${search}`,
+      timestamp,
+      nonce,
+      crypto.createHash("sha256").update(body).digest("hex"),
+    ].join("\n");
+    const signature = crypto
+      .createHmac("sha256", this.signing.signingSecret)
+      .update(payload, "utf8")
+      .digest("hex");
+
+    return {
+      "x-key-id": this.signing.keyId,
+      "x-timestamp": timestamp,
+      "x-nonce": nonce,
+      "x-signature": `v1=${signature}`,
+    };
+  }
+
   /**
    * Get available payment gateways
    */
@@ -57,12 +101,21 @@ class UnifiedPaymentsClient {
     return this.request(`/api/payments/gateways/${gateway}`);
   }
 
+  /**
+   * Build headers for a mutating request, adding an Idempotency-Key.
+   * Pass the same key when retrying so the payment is not duplicated.
+   */
+  mutationHeaders(idempotencyKey = crypto.randomUUID()) {
+    return { ...this.headers, "Idempotency-Key": idempotencyKey };
+  }
+
   /**
    * Create a payment intent
    */
-  async createPaymentIntent(paymentData) {
+  async createPaymentIntent(paymentData, idempotencyKey) {
     return this.request("/api/payments/intent", {
       method: "POST",
+      headers: this.mutationHeaders(idempotencyKey),
       body: paymentData,
     });
   }
@@ -70,9 +123,10 @@ class UnifiedPaymentsClient {
   /**
    * Process a payment
    */
-  async processPayment(paymentData) {
+  async processPayment(paymentData, idempotencyKey) {
     return this.request("/api/payments/process", {
       method: "POST",
+      headers: this.mutationHeaders(idempotencyKey),
       body: paymentData,
     });
   }
@@ -80,13 +134,21 @@ class UnifiedPaymentsClient {
   /**
    * Process a refund
    */
-  async processRefund(refundData) {
+  async processRefund(refundData, idempotencyKey) {
     return this.request("/api/payments/refund", {
       method: "POST",
+      headers: this.mutationHeaders(idempotencyKey),
       body: refundData,
     });
   }
 
+  /**
+   * Get a stored payment by its unified ID
+   */
+  async getPayment(paymentId) {
+    return this.request(`/api/payments/${paymentId}`);
+  }
+
   /**
    * Get payment status
    */
@@ -107,12 +169,75 @@ class UnifiedPaymentsClient {
   async getGatewayHealth() {
     return this.request("/api/health/gateways");
   }
+
+  /**
+   * Register an endpoint for unified events. Keep the returned secret;
+   * it is needed to verify deliveries and is not shown again.
+   */
+  async createWebhookEndpoint(endpointData) {
+    return this.request("/api/webhook-endpoints", {
+      method: "POST",
+      body: endpointData,
+    });
+  }
+
+  /**
+   * Verify a webhook delivery and return the parsed event.
+   * Pass the raw request body, not a re-serialized object.
+   * @param {string|Buffer} payload - Raw request body
+   * @param {string} signatureHeader - X-Unified-Signature header value
+   * @param {string} secret - Endpoint secret
+   * @param {number} [toleranceSeconds] - Maximum age of the signature
+   * @returns {Object} Verified event
+   * @throws {Error} If the signature is missing, wrong or too old
+   */
+  static verifyWebhook(
+    payload,
+    signatureHeader,
+    secret,
+    toleranceSeconds = 300
+  ) {
+    const parts = Object.fromEntries(
+      String(signatureHeader || "")
+        .split(",")
+        .map((part) => part.trim().split("="))
+    );
+    const timestamp = Number(parts.t);
+
+    if (!timestamp || !parts.v1) {
+      throw new Error("Webhook signature header is malformed");
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+      throw new Error("Webhook timestamp is outside the tolerance");
+    }
+
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${payload.toString("utf8")}`, "utf8")
+      .digest();
+    const received = Buffer.from(parts.v1, "hex");
+
+    if (
+      received.length !== expected.length ||
+      !crypto.timingSafeEqual(received, expected)
+    ) {
+      throw new Error("Webhook signature does not match");
+    }
+
+    return JSON.parse(payload.toString("utf8"));
+  }
 }
 
 // Example usage
 async function example() {
   const client = new UnifiedPaymentsClient("your-api-key-here");
 
+  // Server-to-server callers can sign requests instead, so the API key
+  // never travels:
+  //   new UnifiedPaymentsClient(null, baseUrl, {
+  //     keyId: "key_...", signingSecret: "ss_..." })
+
   try {
     // Get available gateways
     console.log("Available gateways:");
@@ -149,6 +274,17 @@ async function example() {
     });
     console.log("Payment:", payment);
 
+    // Receive payment outcomes instead of polling. In the endpoint's
+    // handler, verify with the raw body:
+    //   UnifiedPaymentsClient.verifyWebhook(
+    //     rawBody, req.headers["x-unified-signature"], secret)
+    console.log("\nRegistering webhook endpoint:");
+    const { endpoint } = await client.createWebhookEndpoint({
+      url: "https://yourapp.com/webhooks/payments",
+      events: ["payment.succeeded", "payment.failed", "refund.succeeded"],
+    });
+    console.log("Endpoint:", endpoint.id);
+
     // Check system health
     console.log("\nSystem health:");
     const health = await client.getHealth();
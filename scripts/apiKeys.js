@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * API key administration
+ *
+ *   npm run keys -- create --name "Admin" --mode live --scopes keys:write,read
+ *   npm run keys -- create --name "Shop" --merchant merch_... [--mode test]
+ *   npm run keys -- list [--mode test] [--merchant merch_...]
+ *   npm run keys -- rotate <id> [--grace-hours 24]
+ *   npm run keys -- revoke <id>
+ *   npm run keys -- signing-secret <id>
+ *
+ * Use it to create the first keys:write key; after that the
+ * /api/api-keys endpoints manage keys. Keys created without --merchant are
+ * platform keys, which can also manage merchants (with merchants:write). With the file store, run it while
+ * the server is stopped, since the server keeps its own copy of the keys.
+ */
+require("dotenv").config();
+
+const apiKeyService = require("../src/services/ApiKeyService");
+const apiKeyRepository = require("../src/repositories/ApiKeyRepository");
+const storeFactory = require("../src/factories/StoreFactory");
+const { ApiKeyStatus } = apiKeyRepository;
+const {
+  KeyMode,
+  DEFAULT_SCOPES,
+  isKnownScope,
+} = require("../src/domain/apiKeys");
+
+/**
+ * Split argv into positional arguments and --flag values
+ */
+const parseArgs = (argv) => {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      flags[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  return { positional, flags };
+};
+
+const printKey = ({ hashedKey, signingSecret, ...apiKey }) =>
+  console.log(JSON.stringify(apiKey, null, 2));
+
+const printSecret = (secret) => {
+  console.log(`\nSecret (shown once, store it now):\n  ${secret}\n`);
+};
+
+const commands = {
+  async create(args, flags) {
+    const mode = flags.mode || KeyMode.TEST;
+    const scopes = flags.scopes ? flags.scopes.split(",") : [...DEFAULT_SCOPES];
+
+    if (!flags.name) {
+      throw new Error("--name is required");
+    }
+
+    if (!Object.values(KeyMode).includes(mode)) {
+      throw new Error("--mode must be live or test");
+    }
+
+    const unknown = scopes.filter((scope) => !isKnownScope(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scopes: ${unknown.join(", ")}`);
+    }
+
+    const { apiKey, secret } = await apiKeyService.issue({
+      name: flags.name,
+      mode,
+      scopes,
+      merchantId: flags.merchant,
+      expiresAt: flags.expires && new Date(flags.expires).toISOString(),
+    });
+
+    printKey(apiKey);
+    printSecret(secret);
+  },
+
+  async list(args, flags) {
+    const apiKeys = await apiKeyRepository.list({
+      mode: flags.mode,
+      merchantId: flags.merchant,
+    });
+
+    for (const apiKey of apiKeys) {
+      console.log(
+        [
+          apiKey.id,
+          apiKey.mode,
+          apiKey.status,
+          apiKey.displayKey,
+          apiKey.scopes.join(","),
+          apiKey.merchantId || "platform",
+          apiKey.name,
+        ].join("\t")
+      );
+    }
+  },
+
+  async rotate([id], flags) {
+    const graceHours = parseFloat(flags["grace-hours"]) || 0;
+    const { apiKey, secret, previous } = await apiKeyService.rotate(id, {
+      gracePeriodMs: graceHours * 60 * 60 * 1000,
+    });
+
+    printKey(apiKey);
+    printSecret(secret);
+    console.log(
+      previous.status === ApiKeyStatus.REVOKED
+        ? `${previous.id} was revoked`
+        : `${previous.id} keeps working until ${previous.expiresAt}`
+    );
+  },
+
+  async revoke([id]) {
+    printKey(await apiKeyService.revoke(id));
+  },
+
+  async "signing-secret"([id]) {
+    const { apiKey, signingSecret } = await apiKeyService.createSigningSecret(
+      id
+    );
+
+    printKey(apiKey);
+    console.log(
+      `\nSigning secret (shown once, store it now):\n  ${signingSecret}\n`
+    );
+  },
+};
+
+const main = async () => {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, flags } = parseArgs(rest);
+
+  if (!commands[command]) {
+    console.error(
+      "Usage: apiKeys.js <create|list|rotate|revoke|signing-secret> [options]"
+    );
+    process.exit(1);
+  }
+
+  // Keys in the memory store would be gone when this process exits
+  if (storeFactory.getDriverName() === "memory") {
+    throw new Error(
+      "The memory store does not persist keys; set PERSISTENCE_DRIVER to a persistent driver such as file"
+    );
+  }
+
+  await commands[command](positional, flags);
+};
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
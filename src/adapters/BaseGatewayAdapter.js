@@ -1,3 +1,26 @@
+const crypto = require("crypto");
+const {
+  getExponent,
+  isKnownCurrency,
+  isValidMinorAmount,
+  convertExponent,
+} = require("../domain/currencies");
+const {
+  ErrorCode,
+  isKnownErrorCode,
+  getErrorDefinition,
+  codeForHttpStatus,
+} = require("../domain/errorCatalog");
+const { KeyMode, getKeyMode } = require("../domain/apiKeys");
+
+// Node socket errors raised when a gateway cannot be reached
+const CONNECTION_ERROR_CODES = [
+  "ETIMEDOUT",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "EAI_AGAIN",
+];
+
 /**
  * Base Gateway Adapter Interface
  * All payment gateway adapters must implement these methods
@@ -6,6 +29,43 @@ class BaseGatewayAdapter {
   constructor(config) {
     this.config = config;
     this.gatewayName = this.constructor.name;
+    // Credentials without a known prefix may move real money, so they are
+    // treated as live ones and never serve sandbox traffic
+    this.mode = getKeyMode(config.secretKey) || KeyMode.LIVE;
+    // Currencies where the gateway's API unit differs from ISO 4217
+    this.exponentOverrides = {};
+    // Where customers return after paying on the gateway's own pages
+    this.callbackUrl = config.callbackUrl || null;
+  }
+
+  /**
+   * Read the payment reference a gateway adds to the callback URL when it
+   * sends the customer back. Static, because the adapter holding the
+   * payment is not known until the payment is found.
+   * @param {Object} query - Callback query parameters
+   * @returns {string|null} Gateway payment reference, or null if the
+   *   callback is not from this gateway
+   */
+  static getCallbackReference(query) {
+    return null;
+  }
+
+  /**
+   * Whether the gateway only takes test credentials (a sandbox that never
+   * serves live traffic)
+   * @returns {boolean} True for sandbox-only gateways
+   */
+  static isSandboxOnly() {
+    return false;
+  }
+
+  /**
+   * URL the gateway should send the customer back to
+   * @param {Object} data - Payment data; callbackUrl overrides the default
+   * @returns {string|null} Callback URL
+   */
+  getCallbackUrl(data) {
+    return data.callbackUrl || this.callbackUrl;
   }
 
   /**
@@ -27,14 +87,239 @@ class BaseGatewayAdapter {
   }
 
   /**
-   * Verify a webhook signature
-   * @param {Object} webhookData - Webhook data and headers
-   * @returns {Promise<boolean>} Verification result
+   * Capture an authorized payment, in full or in part
+   * @param {Object} captureData - { reference, amount (optional, minor
+   *   units), currency, captureMethod, unifiedId, idempotencyKey }
+   * @returns {Promise<Object>} Capture result
+   */
+  async capturePayment(captureData) {
+    throw new Error(`${this.gatewayName} must implement capturePayment method`);
+  }
+
+  /**
+   * Cancel a payment that has not been captured, releasing any hold
+   * @param {Object} cancelData - { reference, reason, captureMethod,
+   *   unifiedId, idempotencyKey }
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelPayment(cancelData) {
+    throw new Error(`${this.gatewayName} must implement cancelPayment method`);
+  }
+
+  /**
+   * Check whether the gateway can authorize now and capture later
+   * (captureMethod "manual")
+   * @returns {boolean} True if supported
+   */
+  supportsManualCapture() {
+    return false;
+  }
+
+  /**
+   * Check whether a capture can take less than the authorized amount
+   * @returns {boolean} True if supported
+   */
+  supportsPartialCapture() {
+    return false;
+  }
+
+  /**
+   * Create a customer at the gateway
+   * @param {Object} customerData - { email, name, phone, metadata,
+   *   customerId (unified), idempotencyKey }
+   * @returns {Promise<Object>} Result with gatewayResponse.customerId
+   */
+  async createCustomer(customerData) {
+    throw new Error(`${this.gatewayName} must implement createCustomer method`);
+  }
+
+  /**
+   * Update a customer at the gateway
+   * @param {Object} customerData - { gatewayCustomerId, email, name,
+   *   phone, metadata }
+   * @returns {Promise<Object>} Result with gatewayResponse.customerId
+   */
+  async updateCustomer(customerData) {
+    throw new Error(`${this.gatewayName} must implement updateCustomer method`);
+  }
+
+  /**
+   * Delete a customer at the gateway
+   * @param {Object} customerData - { gatewayCustomerId }
+   * @returns {Promise<Object>} Result with gatewayResponse.deleted
+   */
+  async deleteCustomer(customerData) {
+    throw new Error(`${this.gatewayName} must implement deleteCustomer method`);
+  }
+
+  /**
+   * Attach a reusable payment method to a gateway customer
+   * @param {Object} attachData - { gatewayCustomerId, paymentMethodId
+   *   (gateway's own), customerEmail, idempotencyKey }
+   * @returns {Promise<Object>} Result with gatewayResponse.paymentMethod:
+   *   { gatewayPaymentMethodId, channel, brand, last4, expMonth, expYear,
+   *   bank }
+   */
+  async attachPaymentMethod(attachData) {
+    throw new Error(
+      `${this.gatewayName} must implement attachPaymentMethod method`
+    );
+  }
+
+  /**
+   * Detach a payment method so it can no longer be charged
+   * @param {Object} detachData - { gatewayCustomerId, paymentMethodId }
+   * @returns {Promise<Object>} Result
+   */
+  async detachPaymentMethod(detachData) {
+    throw new Error(
+      `${this.gatewayName} must implement detachPaymentMethod method`
+    );
+  }
+
+  /**
+   * Check whether the gateway keeps customers and saved payment methods
+   * @returns {boolean} True if supported
+   */
+  supportsCustomers() {
+    return false;
+  }
+
+  /**
+   * Verify a webhook signature against the raw request body
+   * @param {Object} webhookData - { body: raw body Buffer, signature }
+   * @returns {Promise<Object>} { isValid, event } or { isValid, error }
    */
   async verifyWebhook(webhookData) {
     throw new Error(`${this.gatewayName} must implement verifyWebhook method`);
   }
 
+  /**
+   * Get the request header carrying the gateway's webhook signature
+   * @returns {string} Lower-case header name
+   */
+  getWebhookSignatureHeader() {
+    throw new Error(
+      `${this.gatewayName} must implement getWebhookSignatureHeader method`
+    );
+  }
+
+  /**
+   * Check whether a parsed webhook body looks like one of this gateway's
+   * events. Used to identify the sender when signature headers are
+   * ambiguous; verification still decides whether it is genuine.
+   * @param {Object} payload - Parsed request body
+   * @returns {boolean} True if the shape matches
+   */
+  isWebhookPayload(payload) {
+    throw new Error(
+      `${this.gatewayName} must implement isWebhookPayload method`
+    );
+  }
+
+  /**
+   * Get the raw request body a webhook signature was computed over.
+   * A parsed body cannot be verified: re-serializing it changes key order
+   * and whitespace.
+   * @param {Buffer|string} body - Raw request body
+   * @returns {Buffer} Body bytes
+   */
+  getRawBody(body) {
+    if (Buffer.isBuffer(body)) {
+      return body;
+    }
+
+    if (typeof body === "string") {
+      return Buffer.from(body, "utf8");
+    }
+
+    throw new Error("Raw request body is required to verify the signature");
+  }
+
+  /**
+   * Compare hex signatures in constant time
+   * @param {string} expected - Signature we computed
+   * @param {string} received - Signature from the request
+   * @returns {boolean} True if they match
+   */
+  signaturesMatch(expected, received) {
+    const expectedBuffer = Buffer.from(String(expected), "hex");
+    const receivedBuffer = Buffer.from(String(received), "hex");
+
+    return (
+      expectedBuffer.length > 0 &&
+      expectedBuffer.length === receivedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, receivedBuffer)
+    );
+  }
+
+  /**
+   * Get the gateway's ID for a verified webhook event. Redeliveries of an
+   * event must return the same ID so they can be deduplicated.
+   * @param {Object} event - Verified webhook payload
+   * @returns {string} Gateway event ID
+   */
+  getWebhookEventId(event) {
+    throw new Error(
+      `${this.gatewayName} must implement getWebhookEventId method`
+    );
+  }
+
+  /**
+   * Get the gateway's type for a verified webhook event
+   * @param {Object} event - Verified webhook payload
+   * @returns {string} Event type (e.g. payment_intent.succeeded)
+   */
+  getWebhookEventType(event) {
+    throw new Error(
+      `${this.gatewayName} must implement getWebhookEventType method`
+    );
+  }
+
+  /**
+   * Translate a verified webhook event into a unified event
+   * (see src/domain/webhookEvents.js). Events with no unified meaning
+   * get the type "unknown".
+   * @param {Object} event - Verified webhook payload
+   * @returns {Object} Unified event (see buildWebhookEvent)
+   */
+  normalizeWebhookEvent(event) {
+    throw new Error(
+      `${this.gatewayName} must implement normalizeWebhookEvent method`
+    );
+  }
+
+  /**
+   * Build a unified webhook event. Amounts are in ISO minor units.
+   * @param {string} type - Unified event type
+   * @param {string} gatewayEventType - Event type sent by the gateway
+   * @param {Object} fields - paymentId (unified ID from metadata),
+   *   paymentReference, status, gatewayStatus, amount, currency,
+   *   refund, dispute, transfer, occurredAt
+   * @returns {Object} Unified event
+   */
+  buildWebhookEvent(type, gatewayEventType, fields = {}) {
+    return {
+      type,
+      gatewayEventType,
+      paymentId: null,
+      paymentReference: null,
+      status: null,
+      gatewayStatus: null,
+      amount: null,
+      currency: null,
+      refund: null,
+      dispute: null,
+      transfer: null,
+      occurredAt: null,
+      ...fields,
+      // Missing IDs are null, never undefined or empty, so they cannot be
+      // looked up
+      paymentId: fields.paymentId || null,
+      paymentReference: fields.paymentReference || null,
+    };
+  }
+
   /**
    * Get payment status
    * @param {string} paymentId - Payment identifier
@@ -57,6 +342,29 @@ class BaseGatewayAdapter {
     );
   }
 
+  /**
+   * Find the payment an earlier attempt created, by its unified ID.
+   * Used to confirm an attempt that errored never reached the gateway.
+   * @param {Object} paymentData - Data the attempt was made with (incl. unifiedId)
+   * @param {Date} attemptedAt - When the attempt started
+   * @returns {Promise<Object|null>} { status, gatewayStatus, reference }, or
+   *   null if the gateway has no such payment. Throws if it cannot tell.
+   */
+  async findPayment(paymentData, attemptedAt) {
+    throw new Error(`${this.gatewayName} must implement findPayment method`);
+  }
+
+  /**
+   * Map a gateway payment status onto the unified lifecycle
+   * (see src/domain/paymentStatus.js)
+   * @param {string} gatewayStatus - Status reported by the gateway
+   * @param {Object} details - Raw gateway object, for context-dependent statuses
+   * @returns {string} Unified payment status
+   */
+  mapStatus(gatewayStatus, details) {
+    throw new Error(`${this.gatewayName} must implement mapStatus method`);
+  }
+
   /**
    * Validate payment data
    * @param {Object} paymentData - Payment data to validate
@@ -73,63 +381,192 @@ class BaseGatewayAdapter {
       };
     }
 
-    if (paymentData.amount <= 0) {
+    if (!isValidMinorAmount(paymentData.amount)) {
+      return {
+        isValid: false,
+        errors: ["amount must be a positive integer in minor units"],
+      };
+    }
+
+    if (!isKnownCurrency(paymentData.currency)) {
+      return {
+        isValid: false,
+        errors: [`currency '${paymentData.currency}' is not an ISO 4217 code`],
+      };
+    }
+
+    if (!this.supportsCurrency(paymentData.currency)) {
       return {
         isValid: false,
-        errors: ["amount must be greater than 0"],
+        errors: [
+          `currency '${paymentData.currency}' is not supported by ${this.gatewayName}`,
+        ],
       };
     }
 
     return { isValid: true, errors: [] };
   }
 
+  /**
+   * Get the number of decimal places the gateway API uses for a currency
+   * @param {string} currency - Currency code
+   * @returns {number} Exponent
+   */
+  getGatewayExponent(currency) {
+    const code = String(currency).toUpperCase();
+    return this.exponentOverrides[code] ?? getExponent(code);
+  }
+
+  /**
+   * Convert an API amount (ISO minor units) to the gateway's unit
+   * @param {number} amount - Integer minor units
+   * @param {string} currency - Currency code
+   * @returns {number} Integer amount for the gateway
+   */
+  toGatewayAmount(amount, currency) {
+    return convertExponent(
+      amount,
+      getExponent(currency),
+      this.getGatewayExponent(currency)
+    );
+  }
+
+  /**
+   * Convert a gateway amount back to ISO minor units
+   * @param {number} amount - Integer amount from the gateway
+   * @param {string} currency - Currency code
+   * @returns {number} Integer minor units
+   */
+  fromGatewayAmount(amount, currency) {
+    return convertExponent(
+      amount,
+      this.getGatewayExponent(currency),
+      getExponent(currency)
+    );
+  }
+
   /**
    * Format unified response
    * @param {Object} gatewayResponse - Response from payment gateway
+   * @param {string} [unifiedId] - Unified ID assigned by the caller
    * @returns {Object} Unified response format
    */
-  formatResponse(gatewayResponse) {
+  formatResponse(gatewayResponse, unifiedId = this.generateUnifiedId()) {
     return {
       success: true,
       gateway: this.gatewayName.toLowerCase(),
       gatewayResponse,
       timestamp: new Date().toISOString(),
-      unifiedId: this.generateUnifiedId(),
+      unifiedId,
     };
   }
 
   /**
    * Format error response
    * @param {Error} error - Error object
-   * @returns {Object} Unified error format
+   * @param {string} [unifiedId] - Unified ID assigned by the caller
+   * @returns {Object} Unified error format (see src/domain/errorCatalog.js)
    */
-  formatError(error) {
+  formatError(error, unifiedId = this.generateUnifiedId()) {
+    const { code, declineCode = null } = this.translateError(error);
+    const { httpStatus, retryable } = getErrorDefinition(code);
+
     return {
       success: false,
       gateway: this.gatewayName.toLowerCase(),
       error: {
         message: error.message,
-        code: error.code || "UNKNOWN_ERROR",
-        details: error.details || null,
+        code,
+        declineCode,
+        httpStatus,
+        retryable,
+        details: this.getErrorDetails(error),
       },
       timestamp: new Date().toISOString(),
-      unifiedId: this.generateUnifiedId(),
+      unifiedId,
     };
   }
 
   /**
-   * Generate unified transaction ID
+   * Translate an error into a unified catalog code. Adapters override this
+   * for their gateway's own error codes and fall back to it for the rest.
+   * @param {Error} error - Error thrown by the adapter or gateway call
+   * @returns {Object} { code, declineCode }
+   */
+  translateError(error) {
+    if (isKnownErrorCode(error.code)) {
+      return { code: error.code };
+    }
+
+    if (CONNECTION_ERROR_CODES.includes(error.code)) {
+      return { code: ErrorCode.GATEWAY_UNAVAILABLE };
+    }
+
+    return { code: codeForHttpStatus(error.statusCode) };
+  }
+
+  /**
+   * Gateway details for an error (status code, gateway code, request ID)
+   * @param {Error} error - Error object
+   * @returns {Object|null} Details
+   */
+  getErrorDetails(error) {
+    return error.details || null;
+  }
+
+  /**
+   * Check whether an error is an outage (5xx, rate limit, network) rather
+   * than a problem with the payment itself
+   * @param {Error} error - Error thrown by the gateway call
+   * @returns {boolean} True if another gateway could be tried
+   */
+  isRetryableError(error) {
+    return getErrorDefinition(this.translateError(error).code).retryable;
+  }
+
+  /**
+   * Build an error for a request the gateway cannot accept
+   * @param {string} message - What is wrong with the request
+   * @param {string} [code] - Catalog code
+   * @returns {Error} Error carrying the catalog code
+   */
+  invalidRequest(message, code = ErrorCode.INVALID_REQUEST) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Build the idempotency key sent to the gateway for one operation.
+   * The operation is part of the key so the same client key can be used
+   * for a payment and its refund without the gateway seeing a conflict.
+   * @param {Object} data - Request data carrying idempotencyKey, already
+   *   scoped to the API key and route by the idempotency middleware
+   * @param {string} operation - Operation name (payment, intent, refund)
+   * @returns {string|undefined} Gateway key, or undefined if none was given
+   */
+  getIdempotencyKey(data, operation) {
+    if (!data.idempotencyKey) {
+      return undefined;
+    }
+
+    return `${operation}-${data.idempotencyKey}`;
+  }
+
+  /**
+   * Generate unified transaction ID. It is the payment's primary key, so the
+   * random part comes from the CSPRNG and is long enough not to collide.
    * @returns {string} Unique transaction ID
    */
   generateUnifiedId() {
     const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substr(2, 5);
+    const random = crypto.randomBytes(10).toString("hex");
     return `unified_${this.gatewayName.toLowerCase()}_${timestamp}_${random}`;
   }
 
   /**
    * Get supported currencies
-   * @returns {Array} List of supported currencies
+   * @returns {Array} Upper-case ISO 4217 codes
    */
   getSupportedCurrencies() {
     throw new Error(
@@ -137,6 +574,32 @@ class BaseGatewayAdapter {
     );
   }
 
+  /**
+   * Get supported currencies per merchant country, for gateways whose
+   * currencies depend on where the merchant account is registered
+   * @returns {Object|null} Country code -> currency codes, or null
+   */
+  getCurrenciesByCountry() {
+    return null;
+  }
+
+  /**
+   * Check whether the gateway can charge in a currency
+   * @param {string} currency - Currency code
+   * @param {string} [country] - Merchant account country (ISO 3166-1 alpha-2)
+   * @returns {boolean} True if supported
+   */
+  supportsCurrency(currency, country) {
+    const code = String(currency).toUpperCase();
+    const byCountry = this.getCurrenciesByCountry();
+
+    if (country && byCountry) {
+      return (byCountry[country.toUpperCase()] || []).includes(code);
+    }
+
+    return this.getSupportedCurrencies().includes(code);
+  }
+
   /**
    * Get supported payment methods
    * @returns {Array} List of supported payment methods
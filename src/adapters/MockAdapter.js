@@ -0,0 +1,1086 @@
+const crypto = require("crypto");
+const BaseGatewayAdapter = require("./BaseGatewayAdapter");
+const { PaymentStatus, CaptureMethod } = require("../domain/paymentStatus");
+const { ErrorCode } = require("../domain/errorCatalog");
+const { CURRENCY_CODES } = require("../domain/currencies");
+const {
+  WebhookEventType,
+  isKnownEventType,
+  getEventCategory,
+} = require("../domain/webhookEvents");
+
+// Outcomes the mock gateway can simulate for a payment
+const MockScenario = Object.freeze({
+  SUCCEED: "succeed",
+  AUTHORIZE: "authorize",
+  CHALLENGE: "challenge",
+  DELAYED_SUCCESS: "delayed_success",
+  DELAYED_FAILURE: "delayed_failure",
+  DECLINE: "decline",
+  INSUFFICIENT_FUNDS: "insufficient_funds",
+  EXPIRED_CARD: "expired_card",
+  INCORRECT_CVC: "incorrect_cvc",
+  REFUND_FAILURE: "refund_failure",
+  UNAVAILABLE: "unavailable",
+});
+
+// Card numbers, sent as paymentMethodId, that pick a scenario
+const MOCK_CARDS = {
+  4242424242424242: MockScenario.SUCCEED,
+  4000000000003220: MockScenario.CHALLENGE,
+  4000000000000002: MockScenario.DECLINE,
+  4000000000009995: MockScenario.INSUFFICIENT_FUNDS,
+  4000000000000069: MockScenario.EXPIRED_CARD,
+  4000000000000127: MockScenario.INCORRECT_CVC,
+  4000000000005126: MockScenario.REFUND_FAILURE,
+};
+
+// Amounts in minor units that pick a scenario when no magic card is sent.
+// The last two digits follow ISO 8583 response codes where one exists.
+const MOCK_AMOUNTS = {
+  10001: MockScenario.CHALLENGE,
+  10002: MockScenario.DECLINE,
+  10003: MockScenario.DELAYED_SUCCESS,
+  10004: MockScenario.DELAYED_FAILURE,
+  10005: MockScenario.AUTHORIZE,
+  10051: MockScenario.INSUFFICIENT_FUNDS,
+  10054: MockScenario.EXPIRED_CARD,
+  10082: MockScenario.INCORRECT_CVC,
+  10091: MockScenario.UNAVAILABLE,
+};
+
+// Status a confirmed payment gets in each scenario. Processing payments
+// move to settlesTo when their webhook is due.
+const SCENARIO_OUTCOMES = {
+  [MockScenario.SUCCEED]: { status: "succeeded" },
+  [MockScenario.AUTHORIZE]: { status: "requires_capture" },
+  [MockScenario.CHALLENGE]: { status: "requires_action" },
+  [MockScenario.DELAYED_SUCCESS]: {
+    status: "processing",
+    settlesTo: "succeeded",
+  },
+  [MockScenario.DELAYED_FAILURE]: {
+    status: "processing",
+    settlesTo: "failed",
+    declineCode: "card_declined",
+  },
+  [MockScenario.DECLINE]: { status: "failed", declineCode: "card_declined" },
+  [MockScenario.INSUFFICIENT_FUNDS]: {
+    status: "failed",
+    declineCode: "insufficient_funds",
+  },
+  [MockScenario.EXPIRED_CARD]: {
+    status: "failed",
+    declineCode: "expired_card",
+  },
+  [MockScenario.INCORRECT_CVC]: {
+    status: "failed",
+    declineCode: "incorrect_cvc",
+  },
+  [MockScenario.REFUND_FAILURE]: { status: "succeeded" },
+};
+
+// Mock payment statuses -> unified lifecycle
+const STATUS_MAP = {
+  requires_payment_method: PaymentStatus.CREATED,
+  requires_action: PaymentStatus.REQUIRES_ACTION,
+  processing: PaymentStatus.PENDING,
+  requires_capture: PaymentStatus.AUTHORIZED,
+  succeeded: PaymentStatus.CAPTURED,
+  failed: PaymentStatus.FAILED,
+  canceled: PaymentStatus.CANCELED,
+};
+
+// Mock payment status -> event type sent when a payment reaches it
+const STATUS_EVENTS = {
+  requires_action: WebhookEventType.PAYMENT_REQUIRES_ACTION,
+  processing: WebhookEventType.PAYMENT_PENDING,
+  requires_capture: WebhookEventType.PAYMENT_AUTHORIZED,
+  succeeded: WebhookEventType.PAYMENT_SUCCEEDED,
+  failed: WebhookEventType.PAYMENT_FAILED,
+  canceled: WebhookEventType.PAYMENT_CANCELED,
+};
+
+// Mock payment statuses that can still be canceled
+const CANCELABLE_STATUSES = [
+  "requires_payment_method",
+  "requires_action",
+  "requires_capture",
+];
+
+// Mock decline codes -> unified error codes
+const MOCK_DECLINE_CODES = {
+  card_declined: ErrorCode.CARD_DECLINED,
+  insufficient_funds: ErrorCode.INSUFFICIENT_FUNDS,
+  expired_card: ErrorCode.EXPIRED_CARD,
+  incorrect_cvc: ErrorCode.INCORRECT_CVC,
+  authentication_failed: ErrorCode.AUTHENTICATION_REQUIRED,
+};
+
+// Payments held by the simulated gateway, by reference, for every mock
+// account in the process
+const transactions = new Map();
+
+// Customers and their saved cards, by ID, for every mock account
+const customers = new Map();
+const paymentMethods = new Map();
+
+// Card brand by leading digit
+const CARD_BRANDS = { 3: "amex", 4: "visa", 5: "mastercard", 6: "discover" };
+
+/**
+ * Mock Gateway Adapter - An in-process sandbox gateway for offline
+ * development and tests. Outcomes are picked by magic card numbers or
+ * amounts, and every state change is sent back as a signed webhook, the
+ * way a real gateway would. It only ever accepts test keys.
+ */
+class MockAdapter extends BaseGatewayAdapter {
+  constructor(config) {
+    super(config);
+    this.secretKey = config.secretKey;
+    // Webhooks are signed with the secret key unless a secret is given
+    this.webhookSecret = config.webhookSecret || config.secretKey;
+    this.baseUrl = config.baseUrl;
+    this.webhookUrl =
+      config.webhookUrl || `${config.baseUrl}/api/webhooks/unified/mock`;
+    this.webhookDelay = config.webhookDelay ?? 2000;
+    this.webhookTolerance = config.webhookTolerance ?? 300;
+    this.timeout = config.timeout ?? 5000;
+  }
+
+  /**
+   * Process a payment: confirm an intent created earlier, or create and
+   * confirm a new payment
+   */
+  async processPayment(paymentData) {
+    const unifiedId = paymentData.unifiedId || this.generateUnifiedId();
+
+    try {
+      const validation = this.validatePaymentData(paymentData);
+      if (!validation.isValid) {
+        throw this.invalidRequest(
+          `Validation failed: ${validation.errors.join(", ")}`
+        );
+      }
+
+      // A retry with the same idempotency key gets the first outcome
+      const idempotencyKey = this.getIdempotencyKey(paymentData, "payment");
+      let transaction =
+        idempotencyKey && this.findByIdempotencyKey(idempotencyKey);
+
+      if (!transaction) {
+        transaction = this.confirmPayment(paymentData, unifiedId);
+        transaction.idempotencyKey = idempotencyKey || null;
+      }
+
+      if (transaction.declineCode) {
+        throw this.declineError(transaction);
+      }
+
+      return this.formatPaymentResponse(transaction);
+    } catch (error) {
+      return this.formatError(error, unifiedId);
+    }
+  }
+
+  /**
+   * Process a refund. Refunds of payments made with the refund failure
+   * card stay pending until their webhook reports the failure.
+   */
+  async processRefund(refundData) {
+    const unifiedId = refundData.unifiedId || this.generateUnifiedId();
+
+    try {
+      const reference =
+        refundData.transactionReference || refundData.paymentIntentId;
+
+      if (!reference) {
+        throw this.invalidRequest(
+          "transactionReference is required for mock refunds"
+        );
+      }
+
+      const transaction = this.getTransaction(reference);
+
+      if (transaction.status !== "succeeded") {
+        throw this.invalidRequest(
+          `Payment '${reference}' has not been captured`
+        );
+      }
+
+      const remaining =
+        (transaction.amountCaptured ?? transaction.amount) -
+        transaction.amountRefunded;
+      const amount = refundData.amount || remaining;
+
+      if (amount > remaining) {
+        throw this.invalidRequest(
+          `Refund amount exceeds the ${remaining} left to refund`,
+          ErrorCode.INVALID_AMOUNT
+        );
+      }
+
+      const willFail = transaction.scenario === MockScenario.REFUND_FAILURE;
+      const refund = {
+        refundId: `mock_re_${crypto.randomBytes(12).toString("hex")}`,
+        reference: transaction.reference,
+        status: willFail ? "pending" : "succeeded",
+        amount,
+        currency: transaction.currency,
+        reason: refundData.reason || "requested_by_customer",
+      };
+
+      transaction.refunds.push(refund);
+
+      if (willFail) {
+        this.later(() => {
+          refund.status = "failed";
+          this.emitWebhook(WebhookEventType.REFUND_FAILED, { ...refund });
+        });
+      } else {
+        transaction.amountRefunded += amount;
+        this.emitWebhook(WebhookEventType.REFUND_SUCCEEDED, { ...refund });
+      }
+
+      return this.formatResponse({ ...refund }, unifiedId);
+    } catch (error) {
+      return this.formatError(error, unifiedId);
+    }
+  }
+
+  /**
+   * Capture an authorized payment. A partial capture releases the rest.
+   */
+  async capturePayment(captureData) {
+    const unifiedId = captureData.unifiedId || this.generateUnifiedId();
+
+    try {
+      const transaction = this.getTransaction(captureData.reference);
+
+      if (transaction.status !== "requires_capture") {
+        throw this.invalidRequest(
+          `Payment '${transaction.reference}' is not awaiting capture`
+        );
+      }
+
+      const amount = captureData.amount || transaction.amount;
+
+      if (amount > transaction.amount) {
+        throw this.invalidRequest(
+          `Capture amount exceeds the ${transaction.amount} authorized`,
+          ErrorCode.INVALID_AMOUNT
+        );
+      }
+
+      transaction.status = "succeeded";
+      transaction.amountCaptured = amount;
+      this.emitPaymentWebhook(transaction);
+
+      return this.formatResponse(
+        {
+          reference: transaction.reference,
+          status: this.mapStatus(transaction.status),
+          gatewayStatus: transaction.status,
+          amount: transaction.amount,
+          amountCaptured: amount,
+          currency: transaction.currency,
+        },
+        unifiedId
+      );
+    } catch (error) {
+      return this.formatError(error, unifiedId);
+    }
+  }
+
+  /**
+   * Cancel a payment that has not been paid or captured
+   */
+  async cancelPayment(cancelData) {
+    const unifiedId = cancelData.unifiedId || this.generateUnifiedId();
+
+    try {
+      const transaction = this.getTransaction(cancelData.reference);
+
+      if (!CANCELABLE_STATUSES.includes(transaction.status)) {
+        throw this.invalidRequest(
+          `Payment '${transaction.reference}' can no longer be canceled`
+        );
+      }
+
+      transaction.status = "canceled";
+      transaction.cancellationReason = cancelData.reason || null;
+      this.emitPaymentWebhook(transaction);
+
+      return this.formatResponse(
+        {
+          reference: transaction.reference,
+          status: this.mapStatus(transaction.status),
+          gatewayStatus: transaction.status,
+          amount: transaction.amount,
+          currency: transaction.currency,
+        },
+        unifiedId
+      );
+    } catch (error) {
+      return this.formatError(error, unifiedId);
+    }
+  }
+
+  /**
+   * Verify a mock webhook signature: HMAC-SHA256 of "<timestamp>.<body>"
+   * with the webhook secret, sent as "t=<timestamp>,v1=<hex>"
+   */
+  async verifyWebhook(webhookData) {
+    try {
+      const { body, signature } = webhookData;
+
+      if (!signature) {
+        throw new Error("No signature provided");
+      }
+
+      const rawBody = this.getRawBody(body);
+      const { t: timestamp, v1: received } = Object.fromEntries(
+        String(signature)
+          .split(",")
+          .map((part) => part.split("="))
+      );
+
+      if (!/^\d+$/.test(timestamp || "")) {
+        throw new Error("Signature timestamp is missing");
+      }
+
+      if (
+        Math.abs(Date.now() / 1000 - Number(timestamp)) > this.webhookTolerance
+      ) {
+        throw new Error("Signature timestamp is outside the tolerance");
+      }
+
+      if (!this.signaturesMatch(this.sign(rawBody, timestamp), received)) {
+        throw new Error("Invalid webhook signature");
+      }
+
+      return {
+        isValid: true,
+        event: JSON.parse(rawBody.toString("utf8")),
+      };
+    } catch (error) {
+      return {
+        isValid: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * The mock gateway signs webhooks in the x-mock-signature header
+   */
+  getWebhookSignatureHeader() {
+    return "x-mock-signature";
+  }
+
+  /**
+   * Mock events are { id, object: "mock_event", type, data }
+   */
+  isWebhookPayload(payload) {
+    return Boolean(
+      payload &&
+        payload.object === "mock_event" &&
+        typeof payload.type === "string" &&
+        payload.data
+    );
+  }
+
+  /**
+   * Mock events carry their own ID
+   */
+  getWebhookEventId(event) {
+    return event.id;
+  }
+
+  /**
+   * Mock event type
+   */
+  getWebhookEventType(event) {
+    return event.type;
+  }
+
+  /**
+   * Translate a mock event. The mock sends the unified event types, with
+   * the payment or refund as it was when the event was sent.
+   */
+  normalizeWebhookEvent(event) {
+    const { data } = event;
+    const type = isKnownEventType(event.type)
+      ? event.type
+      : WebhookEventType.UNKNOWN;
+    const fields = {
+      occurredAt: event.created || null,
+      amount: data.amount ?? null,
+      currency: data.currency || null,
+      paymentReference: data.reference || null,
+    };
+
+    switch (getEventCategory(type)) {
+      case "payment":
+        return this.buildWebhookEvent(type, event.type, {
+          ...fields,
+          paymentId: (data.metadata || {}).unified_payment_id || null,
+          status: this.mapStatus(data.status),
+          gatewayStatus: data.status,
+        });
+      case "refund":
+        return this.buildWebhookEvent(type, event.type, {
+          ...fields,
+          refund: {
+            gatewayRefundId: data.refundId,
+            amount: fields.amount,
+            currency: fields.currency,
+          },
+        });
+      default:
+        return this.buildWebhookEvent(type, event.type, fields);
+    }
+  }
+
+  /**
+   * Get payment status from the mock gateway
+   */
+  async getPaymentStatus(paymentReference) {
+    try {
+      if (!paymentReference) {
+        throw this.invalidRequest("Payment reference is required");
+      }
+
+      const transaction = this.getTransaction(paymentReference);
+
+      return this.formatResponse({
+        status: this.mapStatus(transaction.status),
+        gatewayStatus: transaction.status,
+        amount: transaction.amount,
+        amountCaptured: transaction.amountCaptured,
+        amountRefunded: transaction.amountRefunded,
+        currency: transaction.currency,
+        reference: transaction.reference,
+        declineCode: transaction.declineCode,
+        createdAt: transaction.createdAt,
+      });
+    } catch (error) {
+      return this.formatError(error);
+    }
+  }
+
+  /**
+   * Create a payment intent, confirmed later by processPayment with its
+   * paymentIntentId
+   */
+  async createPaymentIntent(intentData) {
+    const unifiedId = intentData.unifiedId || this.generateUnifiedId();
+
+    try {
+      const validation = this.validatePaymentData(intentData);
+      if (!validation.isValid) {
+        throw this.invalidRequest(
+          `Validation failed: ${validation.errors.join(", ")}`
+        );
+      }
+
+      const transaction = this.createTransaction(intentData, unifiedId);
+
+      return this.formatPaymentResponse(transaction);
+    } catch (error) {
+      return this.formatError(error, unifiedId);
+    }
+  }
+
+  /**
+   * Pass or fail the 3-D Secure challenge of a payment
+   * @param {string} reference - Payment reference
+   * @param {boolean} passed - Whether the customer passed the challenge
+   * @returns {Object} Payment after the challenge
+   */
+  completeChallenge(reference, passed) {
+    const transaction = this.getTransaction(reference);
+
+    if (transaction.status !== "requires_action") {
+      throw this.invalidRequest(
+        `Payment '${reference}' is not awaiting authentication`
+      );
+    }
+
+    transaction.status = passed ? this.getPaidStatus(transaction) : "failed";
+    transaction.declineCode = passed ? null : "authentication_failed";
+    this.emitPaymentWebhook(transaction);
+
+    return this.toPublicTransaction(transaction);
+  }
+
+  /**
+   * Map a mock payment status onto the unified lifecycle
+   */
+  mapStatus(gatewayStatus) {
+    return STATUS_MAP[gatewayStatus] || PaymentStatus.PENDING;
+  }
+
+  /**
+   * Find the payment an attempt created, by its unified ID
+   */
+  async findPayment(paymentData) {
+    const transaction = Array.from(transactions.values()).find(
+      (candidate) =>
+        this.owns(candidate) &&
+        candidate.metadata.unified_payment_id === paymentData.unifiedId
+    );
+
+    if (!transaction) {
+      return null;
+    }
+
+    return {
+      status: this.mapStatus(transaction.status),
+      gatewayStatus: transaction.status,
+      reference: transaction.reference,
+    };
+  }
+
+  /**
+   * Translate mock declines by decline code
+   */
+  translateError(error) {
+    if (error.declineCode) {
+      return {
+        code: MOCK_DECLINE_CODES[error.declineCode] || ErrorCode.CARD_DECLINED,
+        declineCode: error.declineCode,
+      };
+    }
+
+    return super.translateError(error);
+  }
+
+  /**
+   * Work out the scenario for a payment: a magic card wins over a magic
+   * amount, and anything else succeeds
+   */
+  getScenario(paymentData) {
+    const card = this.getCardNumber(paymentData).replace(/\D/g, "");
+
+    return (
+      MOCK_CARDS[card] ||
+      MOCK_AMOUNTS[paymentData.amount] ||
+      MockScenario.SUCCEED
+    );
+  }
+
+  /**
+   * Card number a payment uses: given directly, or saved on the customer
+   * as a mock_pm_ payment method
+   */
+  getCardNumber(paymentData) {
+    const id = String(paymentData.paymentMethodId || "");
+
+    if (!id.startsWith("mock_pm_")) {
+      return id;
+    }
+
+    const paymentMethod = paymentMethods.get(id);
+
+    if (
+      !paymentMethod ||
+      !this.owns(paymentMethod) ||
+      paymentMethod.customerId !== paymentData.gatewayCustomerId
+    ) {
+      throw this.gatewayError(
+        `Payment method '${id}' not found`,
+        ErrorCode.RESOURCE_NOT_FOUND,
+        404
+      );
+    }
+
+    return paymentMethod.card;
+  }
+
+  /**
+   * Confirm an intent created earlier, or create and confirm a payment,
+   * with the scenario the request picks
+   */
+  confirmPayment(paymentData, unifiedId) {
+    const scenario = this.getScenario(paymentData);
+
+    if (scenario === MockScenario.UNAVAILABLE) {
+      throw this.gatewayError(
+        "The mock gateway is unavailable",
+        ErrorCode.GATEWAY_UNAVAILABLE,
+        503
+      );
+    }
+
+    let transaction;
+
+    if (paymentData.paymentIntentId) {
+      transaction = this.getTransaction(paymentData.paymentIntentId);
+
+      if (transaction.status !== "requires_payment_method") {
+        throw this.invalidRequest(
+          `Payment '${transaction.reference}' has already been confirmed`
+        );
+      }
+    } else {
+      transaction = this.createTransaction(paymentData, unifiedId);
+    }
+
+    this.confirm(transaction, scenario);
+
+    return transaction;
+  }
+
+  /**
+   * Store a new payment awaiting confirmation
+   */
+  createTransaction(paymentData, unifiedId) {
+    const reference = `mock_pay_${crypto.randomBytes(12).toString("hex")}`;
+    const transaction = {
+      reference,
+      adapter: this,
+      status: "requires_payment_method",
+      scenario: null,
+      declineCode: null,
+      amount: paymentData.amount,
+      amountCaptured: null,
+      amountRefunded: 0,
+      currency: paymentData.currency.toUpperCase(),
+      captureMethod: paymentData.captureMethod || CaptureMethod.AUTOMATIC,
+      customerEmail: paymentData.customerEmail || null,
+      callbackUrl: this.getCallbackUrl(paymentData),
+      metadata: { unified_payment_id: unifiedId, ...paymentData.metadata },
+      clientSecret: `${reference}_secret_${crypto
+        .randomBytes(12)
+        .toString("hex")}`,
+      idempotencyKey: null,
+      refunds: [],
+      createdAt: new Date().toISOString(),
+    };
+
+    transactions.set(reference, transaction);
+
+    return transaction;
+  }
+
+  /**
+   * Apply a scenario to a payment and announce the result. Processing
+   * payments settle when the webhook delay has passed.
+   */
+  confirm(transaction, scenario) {
+    const outcome = SCENARIO_OUTCOMES[scenario];
+
+    transaction.scenario = scenario;
+    transaction.status =
+      outcome.status === "succeeded"
+        ? this.getPaidStatus(transaction)
+        : outcome.status;
+    transaction.declineCode =
+      outcome.status === "failed" ? outcome.declineCode : null;
+    this.emitPaymentWebhook(transaction);
+
+    if (outcome.settlesTo) {
+      this.later(() => {
+        transaction.status =
+          outcome.settlesTo === "succeeded"
+            ? this.getPaidStatus(transaction)
+            : outcome.settlesTo;
+        transaction.declineCode = outcome.declineCode || null;
+        this.emitPaymentWebhook(transaction);
+      });
+    }
+  }
+
+  /**
+   * Status of a payment the customer has paid: held for capture, or
+   * captured straight away
+   */
+  getPaidStatus(transaction) {
+    return transaction.captureMethod === CaptureMethod.MANUAL
+      ? "requires_capture"
+      : "succeeded";
+  }
+
+  /**
+   * Format a payment the way processPayment and createPaymentIntent return it
+   */
+  formatPaymentResponse(transaction) {
+    const requiresAction = transaction.status === "requires_action";
+
+    return this.formatResponse(
+      {
+        reference: transaction.reference,
+        status: this.mapStatus(transaction.status),
+        gatewayStatus: transaction.status,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        clientSecret: transaction.clientSecret,
+        requiresAction,
+        authorizationUrl: requiresAction
+          ? `${this.baseUrl}/api/mock/challenges/${transaction.reference}`
+          : null,
+      },
+      transaction.metadata.unified_payment_id
+    );
+  }
+
+  /**
+   * Get one of this account's payments
+   * @throws {Error} resource_not_found for unknown references
+   */
+  getTransaction(reference) {
+    const transaction = transactions.get(reference);
+
+    if (!transaction || !this.owns(transaction)) {
+      throw this.gatewayError(
+        `Payment '${reference}' not found`,
+        ErrorCode.RESOURCE_NOT_FOUND,
+        404
+      );
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Find the payment created with an idempotency key
+   */
+  findByIdempotencyKey(idempotencyKey) {
+    return Array.from(transactions.values()).find(
+      (transaction) =>
+        this.owns(transaction) && transaction.idempotencyKey === idempotencyKey
+    );
+  }
+
+  /**
+   * Payments, customers and saved cards belong to the account (secret
+   * key) that created them, so each merchant's mock credentials see their
+   * own
+   */
+  owns(record) {
+    return record.adapter.secretKey === this.secretKey;
+  }
+
+  /**
+   * Copy of a payment without the adapter that holds it
+   */
+  toPublicTransaction(transaction) {
+    const { adapter, idempotencyKey, ...fields } = transaction;
+    return { ...fields, refunds: transaction.refunds.map((r) => ({ ...r })) };
+  }
+
+  /**
+   * Send the webhook for a payment's current status
+   */
+  emitPaymentWebhook(transaction) {
+    const { clientSecret, ...data } = this.toPublicTransaction(transaction);
+    this.emitWebhook(STATUS_EVENTS[transaction.status], data);
+  }
+
+  /**
+   * Send a signed event to the webhook URL once the delay has passed
+   * @param {string} type - Unified event type
+   * @param {Object} data - Payment or refund, as it is now
+   * @returns {Object} Event
+   */
+  emitWebhook(type, data) {
+    const event = {
+      id: `evt_mock_${crypto.randomBytes(12).toString("hex")}`,
+      object: "mock_event",
+      type,
+      created: new Date().toISOString(),
+      data,
+    };
+
+    this.later(() => this.deliverWebhook(event));
+
+    return event;
+  }
+
+  /**
+   * POST a signed event to the webhook URL. Each event is sent once;
+   * failures are only logged.
+   * @param {Object} event - Mock event
+   */
+  async deliverWebhook(event) {
+    const body = JSON.stringify(event);
+
+    try {
+      const response = await fetch(this.webhookUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          [this.getWebhookSignatureHeader()]: this.signWebhook(body),
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeout),
+      });
+
+      // The response body is not used
+      if (response.body) {
+        await response.body.cancel();
+      }
+
+      if (!response.ok) {
+        console.warn(
+          `Mock webhook ${event.id} was rejected with HTTP ${response.status}`
+        );
+      }
+    } catch (error) {
+      console.warn(
+        `Mock webhook ${event.id} could not be delivered to ${
+          this.webhookUrl
+        }: ${error.cause?.message || error.message}`
+      );
+    }
+  }
+
+  /**
+   * Build the signature header for a webhook body
+   * @param {string|Buffer} body - Raw body
+   * @param {number} [timestamp] - Unix seconds; now when omitted
+   * @returns {string} "t=<timestamp>,v1=<hex>"
+   */
+  signWebhook(body, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${this.sign(body, timestamp)}`;
+  }
+
+  /**
+   * HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret
+   */
+  sign(body, timestamp) {
+    return crypto
+      .createHmac("sha256", this.webhookSecret)
+      .update(`${timestamp}.`)
+      .update(body)
+      .digest("hex");
+  }
+
+  /**
+   * Run a callback once the webhook delay has passed
+   */
+  later(callback) {
+    // Never hold the process open for a simulated webhook
+    setTimeout(callback, this.webhookDelay).unref();
+  }
+
+  /**
+   * Build an error the way the HTTP client reports gateway errors
+   */
+  gatewayError(message, code, statusCode) {
+    const error = this.invalidRequest(message, code);
+    error.statusCode = statusCode;
+    error.details = { statusCode, gatewayCode: code, requestId: null };
+    return error;
+  }
+
+  /**
+   * Build the error for a declined payment
+   */
+  declineError(transaction) {
+    const error = this.gatewayError(
+      `The card was declined (${transaction.declineCode})`,
+      null,
+      402
+    );
+    error.declineCode = transaction.declineCode;
+    error.details.gatewayCode = transaction.declineCode;
+    return error;
+  }
+
+  /**
+   * The mock gateway charges in any ISO 4217 currency
+   */
+  getSupportedCurrencies() {
+    return [...CURRENCY_CODES];
+  }
+
+  /**
+   * Create a mock customer
+   */
+  async createCustomer(customerData) {
+    const customer = {
+      id: `mock_cus_${crypto.randomBytes(12).toString("hex")}`,
+      adapter: this,
+      email: customerData.email,
+      name: customerData.name || null,
+      phone: customerData.phone || null,
+      metadata: customerData.metadata || {},
+    };
+    customers.set(customer.id, customer);
+
+    return this.formatResponse({ customerId: customer.id });
+  }
+
+  /**
+   * Update a mock customer
+   */
+  async updateCustomer(customerData) {
+    try {
+      const customer = this.getCustomer(customerData.gatewayCustomerId);
+
+      for (const field of ["email", "name", "phone", "metadata"]) {
+        if (customerData[field] !== undefined) {
+          customer[field] = customerData[field];
+        }
+      }
+
+      return this.formatResponse({ customerId: customer.id });
+    } catch (error) {
+      return this.formatError(error);
+    }
+  }
+
+  /**
+   * Delete a mock customer and its saved cards
+   */
+  async deleteCustomer(customerData) {
+    try {
+      const customer = this.getCustomer(customerData.gatewayCustomerId);
+      customers.delete(customer.id);
+
+      for (const [id, paymentMethod] of paymentMethods) {
+        if (paymentMethod.customerId === customer.id) {
+          paymentMethods.delete(id);
+        }
+      }
+
+      return this.formatResponse({ customerId: customer.id, deleted: true });
+    } catch (error) {
+      return this.formatError(error);
+    }
+  }
+
+  /**
+   * Save a card number (magic cards included) on a customer as a
+   * mock_pm_ payment method
+   */
+  async attachPaymentMethod(attachData) {
+    try {
+      const customer = this.getCustomer(attachData.gatewayCustomerId);
+      const card = String(attachData.paymentMethodId || "").replace(/\D/g, "");
+
+      if (!/^\d{12,19}$/.test(card)) {
+        throw this.invalidRequest(
+          "paymentMethodId must be a card number for the mock gateway",
+          ErrorCode.INVALID_CARD
+        );
+      }
+
+      const paymentMethod = {
+        id: `mock_pm_${crypto.randomBytes(12).toString("hex")}`,
+        adapter: this,
+        customerId: customer.id,
+        card,
+      };
+      paymentMethods.set(paymentMethod.id, paymentMethod);
+
+      return this.formatResponse({
+        paymentMethod: {
+          gatewayPaymentMethodId: paymentMethod.id,
+          channel: "card",
+          brand: CARD_BRANDS[card[0]] || "unknown",
+          last4: card.slice(-4),
+          expMonth: 12,
+          expYear: new Date().getFullYear() + 3,
+          bank: null,
+        },
+      });
+    } catch (error) {
+      return this.formatError(error);
+    }
+  }
+
+  /**
+   * Remove a saved card
+   */
+  async detachPaymentMethod(detachData) {
+    const paymentMethod = paymentMethods.get(detachData.paymentMethodId);
+
+    if (paymentMethod && this.owns(paymentMethod)) {
+      paymentMethods.delete(paymentMethod.id);
+    }
+
+    return this.formatResponse({ paymentMethodId: detachData.paymentMethodId });
+  }
+
+  /**
+   * The mock keeps customers and saved cards
+   */
+  supportsCustomers() {
+    return true;
+  }
+
+  /**
+   * Get one of this account's customers
+   */
+  getCustomer(id) {
+    const customer = customers.get(id);
+
+    if (!customer || !this.owns(customer)) {
+      throw this.gatewayError(
+        `Customer '${id}' not found`,
+        ErrorCode.RESOURCE_NOT_FOUND,
+        404
+      );
+    }
+
+    return customer;
+  }
+
+  /**
+   * The challenge page returns customers with ?reference=<reference>
+   */
+  static getCallbackReference(query) {
+    return /^mock_pay_[a-f0-9]+$/.test(query.reference || "")
+      ? query.reference
+      : null;
+  }
+
+  /**
+   * The mock never serves live traffic
+   */
+  static isSandboxOnly() {
+    return true;
+  }
+
+  /**
+   * The mock holds funds with captureMethod "manual"
+   */
+  supportsManualCapture() {
+    return true;
+  }
+
+  /**
+   * The mock captures any amount up to the authorized one
+   */
+  supportsPartialCapture() {
+    return true;
+  }
+
+  /**
+   * Get supported payment methods
+   */
+  getSupportedPaymentMethods() {
+    return ["card"];
+  }
+}
+
+/**
+ * Pass or fail a 3-D Secure challenge on whichever mock account holds the
+ * payment, as the card issuer's page would
+ * @param {string} reference - Payment reference
+ * @param {boolean} passed - Whether the customer passed the challenge
+ * @returns {Object|null} Payment after the challenge, or null if unknown
+ */
+MockAdapter.completeChallenge = (reference, passed) => {
+  const transaction = transactions.get(reference);
+
+  return transaction
+    ? transaction.adapter.completeChallenge(reference, passed)
+    : null;
+};
+
+module.exports = MockAdapter;
+module.exports.MockScenario = MockScenario;
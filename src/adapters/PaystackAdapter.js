@@ -1,73 +1,149 @@
+const crypto = require("crypto");
 const BaseGatewayAdapter = require("./BaseGatewayAdapter");
+const {
+  GatewayHttpClient,
+  GatewayError,
+} = require("../http/GatewayHttpClient");
+const { PaymentStatus, CaptureMethod } = require("../domain/paymentStatus");
+const { ErrorCode } = require("../domain/errorCatalog");
+const {
+  WebhookEventType,
+  getEventCategory,
+} = require("../domain/webhookEvents");
+
+// Currencies a Paystack merchant can accept, by account country
+const COUNTRY_CURRENCIES = {
+  NG: ["NGN", "USD"],
+  GH: ["GHS", "USD"],
+  KE: ["KES", "USD"],
+  ZA: ["ZAR"],
+  CI: ["XOF"],
+  EG: ["EGP"],
+};
+
+// Paystack transaction statuses -> unified lifecycle
+const STATUS_MAP = {
+  pending: PaymentStatus.PENDING,
+  ongoing: PaymentStatus.PENDING,
+  processing: PaymentStatus.PENDING,
+  queued: PaymentStatus.PENDING,
+  send_pin: PaymentStatus.REQUIRES_ACTION,
+  send_otp: PaymentStatus.REQUIRES_ACTION,
+  send_phone: PaymentStatus.REQUIRES_ACTION,
+  send_birthday: PaymentStatus.REQUIRES_ACTION,
+  send_address: PaymentStatus.REQUIRES_ACTION,
+  open_url: PaymentStatus.REQUIRES_ACTION,
+  success: PaymentStatus.CAPTURED,
+  failed: PaymentStatus.FAILED,
+  abandoned: PaymentStatus.FAILED,
+  reversed: PaymentStatus.REFUNDED,
+  // Preauthorizations
+  reserved: PaymentStatus.AUTHORIZED,
+  captured: PaymentStatus.CAPTURED,
+  released: PaymentStatus.CANCELED,
+};
+
+// Paystack reports most errors only as messages; match them to unified codes
+const PAYSTACK_ERROR_MESSAGES = [
+  [/insufficient funds/i, ErrorCode.INSUFFICIENT_FUNDS],
+  [/expired card/i, ErrorCode.EXPIRED_CARD],
+  [/invalid cvv|incorrect cvv/i, ErrorCode.INCORRECT_CVC],
+  [/declined|do not honou?r/i, ErrorCode.CARD_DECLINED],
+  [/duplicate transaction reference/i, ErrorCode.DUPLICATE_REQUEST],
+  [/invalid key/i, ErrorCode.GATEWAY_AUTHENTICATION_FAILED],
+  [/currency not supported/i, ErrorCode.CURRENCY_NOT_SUPPORTED],
+  [/amount|minimum/i, ErrorCode.INVALID_AMOUNT],
+  [/not found/i, ErrorCode.RESOURCE_NOT_FOUND],
+];
+
+// Paystack event type -> unified event type
+const PAYSTACK_EVENT_TYPES = {
+  "charge.success": WebhookEventType.PAYMENT_SUCCEEDED,
+  "refund.pending": WebhookEventType.REFUND_PENDING,
+  "refund.processing": WebhookEventType.REFUND_PENDING,
+  "refund.processed": WebhookEventType.REFUND_SUCCEEDED,
+  "refund.failed": WebhookEventType.REFUND_FAILED,
+  "charge.dispute.create": WebhookEventType.DISPUTE_OPENED,
+  "transfer.success": WebhookEventType.TRANSFER_SUCCEEDED,
+  "transfer.failed": WebhookEventType.TRANSFER_FAILED,
+  "transfer.reversed": WebhookEventType.TRANSFER_REVERSED,
+};
+
+// Resolved dispute outcome -> unified event type. Accepting the
+// chargeback refunds the customer; a declined dispute keeps the funds.
+const PAYSTACK_DISPUTE_RESOLUTIONS = {
+  "merchant-accepted": WebhookEventType.DISPUTE_LOST,
+  declined: WebhookEventType.DISPUTE_WON,
+};
 
 class PaystackAdapter extends BaseGatewayAdapter {
   constructor(config) {
     super(config);
     this.secretKey = config.secretKey;
     this.publicKey = config.publicKey;
+    // Preauthorization (hold now, capture later) is enabled per account
+    // by Paystack
+    this.preauthorization = Boolean(config.preauthorization);
     this.baseUrl = "https://api.paystack.co";
+    this.http = new GatewayHttpClient({
+      gateway: "Paystack",
+      baseUrl: this.baseUrl,
+      headers: { Authorization: `Bearer ${this.secretKey}` },
+      timeout: config.timeout,
+      retries: config.retries,
+      backoff: config.backoff,
+    });
+    // Paystack amounts are already in the subunit (kobo, pesewas, cents),
+    // so no exponent overrides are needed
   }
 
   /**
-   * Make authenticated request to Paystack API
+   * Make authenticated request to Paystack API. GET requests are retried
+   * on timeouts, network errors and 5xx; writes are sent once.
+   * @throws {GatewayError} With statusCode, gatewayCode and requestId
    */
   async makeRequest(endpoint, method = "GET", data = null) {
-    const url = `${this.baseUrl}${endpoint}`;
-    const headers = {
-      Authorization: `Bearer ${this.secretKey}`,
-      "Content-Type": "application/json",
-    };
-
-    const options = {
+    return this.http.request({
       method,
-      headers,
-    };
-
-    if (data && (method === "POST" || method === "PUT")) {
-      options.body = JSON.stringify(data);
-    }
-
-    try {
-      const response = await fetch(url, options);
-      const result = await response.json();
-
-      if (!response.ok) {
-        throw new Error(
-          result.message || `Paystack API error: ${response.status}`
-        );
-      }
-
-      return result;
-    } catch (error) {
-      throw new Error(`Paystack request failed: ${error.message}`);
-    }
+      path: endpoint,
+      body: data && (method === "POST" || method === "PUT") ? data : null,
+    });
   }
 
   /**
    * Process a payment using Paystack
    */
   async processPayment(paymentData) {
+    const unifiedId = paymentData.unifiedId || this.generateUnifiedId();
+
     try {
       const validation = this.validatePaymentData(paymentData);
       if (!validation.isValid) {
-        throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+        throw this.invalidRequest(
+          `Validation failed: ${validation.errors.join(", ")}`
+        );
       }
 
       if (!paymentData.customerEmail) {
-        throw new Error("customerEmail is required for Paystack payments");
+        throw this.invalidRequest(
+          "customerEmail is required for Paystack payments"
+        );
+      }
+
+      // A saved authorization is charged directly, without a checkout page
+      if (paymentData.paymentMethodId) {
+        return await this.chargeAuthorization(paymentData, unifiedId);
       }
 
       // Initialize transaction
       const transactionData = {
-        amount: paymentData.amount * 100, // Paystack expects amount in kobo (smallest currency unit)
+        amount: this.toGatewayAmount(paymentData.amount, paymentData.currency),
         email: paymentData.customerEmail,
         currency: paymentData.currency.toUpperCase(),
-        reference: this.generateUnifiedId(),
-        callback_url:
-          paymentData.callbackUrl ||
-          `${process.env.BASE_URL}/api/payments/callback`,
+        reference: this.buildReference(paymentData, "payment", unifiedId),
+        callback_url: this.getCallbackUrl(paymentData),
         metadata: {
-          unified_payment_id: this.generateUnifiedId(),
+          unified_payment_id: unifiedId,
           customer_email: paymentData.customerEmail,
           ...paymentData.metadata,
         },
@@ -78,39 +154,99 @@ class PaystackAdapter extends BaseGatewayAdapter {
       }
 
       const transaction = await this.makeRequest(
-        "/transaction/initialize",
+        this.getInitializeEndpoint(paymentData),
         "POST",
         transactionData
       );
 
-      return this.formatResponse({
-        transactionId: transaction.data.id,
-        reference: transaction.data.reference,
-        authorizationUrl: transaction.data.authorization_url,
-        accessCode: transaction.data.access_code,
-        status: "pending",
-        amount: paymentData.amount,
-        currency: paymentData.currency,
-      });
+      return this.formatResponse(
+        {
+          transactionId: transaction.data.id,
+          reference: transaction.data.reference,
+          authorizationUrl: transaction.data.authorization_url,
+          accessCode: transaction.data.access_code,
+          status: PaymentStatus.PENDING,
+          gatewayStatus: "pending",
+          amount: paymentData.amount,
+          currency: paymentData.currency,
+        },
+        unifiedId
+      );
     } catch (error) {
-      return this.formatError(error);
+      return this.formatError(error, unifiedId);
     }
   }
 
+  /**
+   * Charge a saved authorization_code. Paystack answers declines with a
+   * "failed" transaction rather than an error status.
+   */
+  async chargeAuthorization(paymentData, unifiedId) {
+    const currency = paymentData.currency.toUpperCase();
+    const manual = paymentData.captureMethod === CaptureMethod.MANUAL;
+
+    if (manual && !this.preauthorization) {
+      throw this.invalidRequest(
+        "Preauthorization is not enabled for this Paystack account"
+      );
+    }
+
+    const charge = await this.makeRequest(
+      manual
+        ? "/preauthorization/reserve_authorization"
+        : "/transaction/charge_authorization",
+      "POST",
+      {
+        authorization_code: paymentData.paymentMethodId,
+        email: paymentData.customerEmail,
+        amount: this.toGatewayAmount(paymentData.amount, currency),
+        currency,
+        reference: this.buildReference(paymentData, "payment", unifiedId),
+        metadata: {
+          unified_payment_id: unifiedId,
+          customer_email: paymentData.customerEmail,
+          ...paymentData.metadata,
+        },
+      }
+    );
+
+    if (charge.data.status === "failed") {
+      throw new GatewayError(charge.data.gateway_response || "Declined", {
+        gateway: "Paystack",
+        statusCode: 402,
+        gatewayCode: "failed",
+      });
+    }
+
+    return this.formatResponse(
+      {
+        transactionId: charge.data.id,
+        reference: charge.data.reference,
+        status: this.mapStatus(charge.data.status),
+        gatewayStatus: charge.data.status,
+        amount: this.fromGatewayAmount(charge.data.amount, currency),
+        currency,
+      },
+      unifiedId
+    );
+  }
+
   /**
    * Process a refund using Paystack
    */
   async processRefund(refundData) {
+    const unifiedId = refundData.unifiedId || this.generateUnifiedId();
+
     try {
       if (!refundData.transactionReference) {
-        throw new Error(
+        throw this.invalidRequest(
           "transactionReference is required for Paystack refunds"
         );
       }
 
       const refundDataPayload = {
         transaction: refundData.transactionReference,
-        amount: refundData.amount ? refundData.amount * 100 : undefined,
+        amount: refundData.amount || undefined,
         reason: refundData.reason || "requested_by_customer",
       };
 
@@ -120,12 +256,188 @@ class PaystackAdapter extends BaseGatewayAdapter {
         refundDataPayload
       );
 
+      return this.formatResponse(
+        {
+          refundId: refund.data.id,
+          status: refund.data.status,
+          amount: refund.data.amount,
+          currency: refund.data.currency,
+          reference: refund.data.reference,
+        },
+        unifiedId
+      );
+    } catch (error) {
+      return this.formatError(error, unifiedId);
+    }
+  }
+
+  /**
+   * Capture a preauthorization, in full or in part
+   */
+  async capturePayment(captureData) {
+    const unifiedId = captureData.unifiedId || this.generateUnifiedId();
+
+    try {
+      this.assertPreauthorization(captureData, "captured");
+
+      const currency = captureData.currency.toUpperCase();
+      const capture = await this.makeRequest(
+        "/preauthorization/capture_authorization",
+        "POST",
+        {
+          reference: captureData.reference,
+          currency,
+          amount: captureData.amount
+            ? this.toGatewayAmount(captureData.amount, currency)
+            : undefined,
+        }
+      );
+
+      return this.formatResponse(
+        {
+          reference: capture.data.reference,
+          status: this.mapStatus(capture.data.status),
+          gatewayStatus: capture.data.status,
+          amountCaptured: this.fromGatewayAmount(capture.data.amount, currency),
+          currency,
+        },
+        unifiedId
+      );
+    } catch (error) {
+      return this.formatError(error, unifiedId);
+    }
+  }
+
+  /**
+   * Release a preauthorization. Ordinary transactions cannot be canceled;
+   * Paystack abandons them when the customer does not pay.
+   */
+  async cancelPayment(cancelData) {
+    const unifiedId = cancelData.unifiedId || this.generateUnifiedId();
+
+    try {
+      this.assertPreauthorization(cancelData, "canceled");
+
+      const release = await this.makeRequest(
+        "/preauthorization/release_authorization",
+        "POST",
+        { reference: cancelData.reference }
+      );
+
+      return this.formatResponse(
+        {
+          reference: release.data.reference,
+          status: this.mapStatus(release.data.status),
+          gatewayStatus: release.data.status,
+        },
+        unifiedId
+      );
+    } catch (error) {
+      return this.formatError(error, unifiedId);
+    }
+  }
+
+  /**
+   * Create a Paystack customer
+   */
+  async createCustomer(customerData) {
+    try {
+      const customer = await this.makeRequest("/customer", "POST", {
+        email: customerData.email,
+        ...this.splitName(customerData.name),
+        phone: customerData.phone,
+        metadata: {
+          unified_customer_id: customerData.customerId,
+          ...customerData.metadata,
+        },
+      });
+
+      return this.formatResponse({ customerId: customer.data.customer_code });
+    } catch (error) {
+      return this.formatError(error);
+    }
+  }
+
+  /**
+   * Update a Paystack customer. Paystack identifies customers by email, so
+   * the email cannot be changed.
+   */
+  async updateCustomer(customerData) {
+    try {
+      const customer = await this.makeRequest(
+        `/customer/${customerData.gatewayCustomerId}`,
+        "PUT",
+        {
+          ...this.splitName(customerData.name),
+          phone: customerData.phone,
+          metadata: customerData.metadata,
+        }
+      );
+
+      return this.formatResponse({ customerId: customer.data.customer_code });
+    } catch (error) {
+      return this.formatError(error);
+    }
+  }
+
+  /**
+   * Paystack cannot delete customers; detaching their authorizations is
+   * what stops them being charged
+   */
+  async deleteCustomer(customerData) {
+    return this.formatResponse({
+      customerId: customerData.gatewayCustomerId,
+      deleted: false,
+    });
+  }
+
+  /**
+   * Attach a reusable authorization_code. Paystack saves authorizations
+   * when a customer pays, so this checks the code is one of the
+   * customer's and reads its card details.
+   */
+  async attachPaymentMethod(attachData) {
+    try {
+      const customer = await this.makeRequest(
+        `/customer/${attachData.gatewayCustomerId}`
+      );
+      const authorization = (customer.data.authorizations || []).find(
+        (candidate) =>
+          candidate.authorization_code === attachData.paymentMethodId
+      );
+
+      if (!authorization) {
+        throw this.invalidRequest(
+          `Authorization '${attachData.paymentMethodId}' does not belong to this customer`,
+          ErrorCode.RESOURCE_NOT_FOUND
+        );
+      }
+
+      if (!authorization.reusable) {
+        throw this.invalidRequest(
+          `Authorization '${attachData.paymentMethodId}' cannot be reused`
+        );
+      }
+
+      return this.formatResponse({
+        paymentMethod: this.formatPaymentMethod(authorization),
+      });
+    } catch (error) {
+      return this.formatError(error);
+    }
+  }
+
+  /**
+   * Deactivate an authorization_code so it can no longer be charged
+   */
+  async detachPaymentMethod(detachData) {
+    try {
+      await this.makeRequest("/customer/deactivate_authorization", "POST", {
+        authorization_code: detachData.paymentMethodId,
+      });
+
       return this.formatResponse({
-        refundId: refund.data.id,
-        status: refund.data.status,
-        amount: refund.data.amount / 100, // Convert back from kobo
-        currency: refund.data.currency,
-        reference: refund.data.reference,
+        paymentMethodId: detachData.paymentMethodId,
       });
     } catch (error) {
       return this.formatError(error);
@@ -133,7 +445,96 @@ class PaystackAdapter extends BaseGatewayAdapter {
   }
 
   /**
-   * Verify Paystack webhook signature
+   * Paystack keeps customers and their reusable authorizations
+   */
+  supportsCustomers() {
+    return true;
+  }
+
+  /**
+   * Convert a Paystack authorization to the unified saved method shape
+   */
+  formatPaymentMethod(authorization) {
+    return {
+      gatewayPaymentMethodId: authorization.authorization_code,
+      channel: authorization.channel,
+      brand: authorization.brand || authorization.card_type || null,
+      last4: authorization.last4 || null,
+      expMonth: Number(authorization.exp_month) || null,
+      expYear: Number(authorization.exp_year) || null,
+      bank: authorization.bank || null,
+    };
+  }
+
+  /**
+   * Paystack takes first and last names separately
+   */
+  splitName(name) {
+    if (!name) {
+      return {};
+    }
+
+    const [firstName, ...rest] = name.trim().split(/\s+/);
+    return { first_name: firstName, last_name: rest.join(" ") || undefined };
+  }
+
+  /**
+   * Paystack returns customers with ?trxref=<reference>&reference=<reference>
+   */
+  static getCallbackReference(query) {
+    return query.reference || query.trxref || null;
+  }
+
+  /**
+   * Initialize a preauthorization for manual capture, else a transaction
+   */
+  getInitializeEndpoint(data) {
+    if (data.captureMethod !== CaptureMethod.MANUAL) {
+      return "/transaction/initialize";
+    }
+
+    if (!this.preauthorization) {
+      throw this.invalidRequest(
+        "Preauthorization is not enabled for this Paystack account"
+      );
+    }
+
+    return "/preauthorization/initialize";
+  }
+
+  /**
+   * Only preauthorizations can be captured or released
+   */
+  assertPreauthorization(data, action) {
+    if (!data.reference) {
+      throw this.invalidRequest("reference is required");
+    }
+
+    if (data.captureMethod !== CaptureMethod.MANUAL || !this.preauthorization) {
+      throw this.invalidRequest(
+        `Only Paystack preauthorizations can be ${action}`
+      );
+    }
+  }
+
+  /**
+   * Paystack holds funds through preauthorization, where enabled
+   */
+  supportsManualCapture() {
+    return this.preauthorization;
+  }
+
+  /**
+   * Preauthorizations can be captured for less than the held amount
+   */
+  supportsPartialCapture() {
+    return this.preauthorization;
+  }
+
+  /**
+   * Verify Paystack webhook signature: HMAC-SHA512 of the raw body with
+   * the secret key. Paystack signs no timestamp, so there is no tolerance
+   * to check; redeliveries are caught by event deduplication.
    */
   async verifyWebhook(webhookData) {
     try {
@@ -143,20 +544,19 @@ class PaystackAdapter extends BaseGatewayAdapter {
         throw new Error("No signature provided");
       }
 
-      // Paystack webhook verification
-      const crypto = require("crypto");
+      const rawBody = this.getRawBody(body);
       const hash = crypto
         .createHmac("sha512", this.secretKey)
-        .update(JSON.stringify(body), "utf8")
+        .update(rawBody)
         .digest("hex");
 
-      if (hash !== signature) {
+      if (!this.signaturesMatch(hash, signature)) {
         throw new Error("Invalid webhook signature");
       }
 
       return {
         isValid: true,
-        event: body,
+        event: JSON.parse(rawBody.toString("utf8")),
       };
     } catch (error) {
       return {
@@ -166,22 +566,148 @@ class PaystackAdapter extends BaseGatewayAdapter {
     }
   }
 
+  /**
+   * Paystack signs webhooks in the x-paystack-signature header
+   */
+  getWebhookSignatureHeader() {
+    return "x-paystack-signature";
+  }
+
+  /**
+   * Paystack sends { event, data }
+   */
+  isWebhookPayload(payload) {
+    return Boolean(
+      payload && typeof payload.event === "string" && payload.data
+    );
+  }
+
+  /**
+   * Paystack events have no ID of their own; an event type happens once
+   * per transaction, refund or transfer
+   */
+  getWebhookEventId(event) {
+    const { data } = event;
+    // Refund events carry neither an ID nor a transaction reference
+    const id =
+      data.id ||
+      data.reference ||
+      data.refund_reference ||
+      data.transaction_reference;
+
+    return `${event.event}_${id}`;
+  }
+
+  /**
+   * Paystack event type
+   */
+  getWebhookEventType(event) {
+    return event.event;
+  }
+
+  /**
+   * Translate a Paystack event. Charge events carry the transaction;
+   * refund and dispute events point back to it by reference.
+   */
+  normalizeWebhookEvent(event) {
+    const { data } = event;
+    const type = this.getUnifiedEventType(event.event, data);
+    const transaction = data.transaction || {};
+    const gatewayCurrency = data.currency || transaction.currency;
+    const currency = gatewayCurrency ? gatewayCurrency.toUpperCase() : null;
+    const toAmount = (amount) =>
+      amount !== undefined && amount !== null && currency
+        ? this.fromGatewayAmount(amount, currency)
+        : null;
+    const fields = {
+      occurredAt: data.paid_at || data.updated_at || data.createdAt || null,
+      amount: toAmount(data.amount),
+      currency,
+    };
+
+    switch (getEventCategory(type)) {
+      case "payment":
+        return this.buildWebhookEvent(type, event.event, {
+          ...fields,
+          // Paystack sends an empty string when there is no metadata
+          paymentId: (data.metadata || {}).unified_payment_id || null,
+          paymentReference: data.reference || null,
+          status: this.mapStatus(data.status),
+          gatewayStatus: data.status,
+        });
+      case "refund":
+        return this.buildWebhookEvent(type, event.event, {
+          ...fields,
+          paymentReference: data.transaction_reference || null,
+          refund: {
+            gatewayRefundId: data.id || data.refund_reference || null,
+            amount: fields.amount,
+            currency,
+          },
+        });
+      case "dispute": {
+        const amount = toAmount(data.refund_amount ?? transaction.amount);
+
+        return this.buildWebhookEvent(type, event.event, {
+          ...fields,
+          amount,
+          paymentReference: transaction.reference || null,
+          dispute: {
+            gatewayDisputeId: data.id,
+            amount,
+            currency,
+            reason: data.category || null,
+          },
+        });
+      }
+      case "transfer":
+        return this.buildWebhookEvent(type, event.event, {
+          ...fields,
+          transfer: {
+            gatewayTransferId: data.transfer_code || data.id,
+            amount: fields.amount,
+            currency,
+          },
+        });
+      default:
+        return this.buildWebhookEvent(type, event.event, fields);
+    }
+  }
+
+  /**
+   * Map a Paystack event type, using the resolution for resolved disputes
+   */
+  getUnifiedEventType(eventType, data) {
+    if (eventType === "charge.dispute.resolve") {
+      return (
+        PAYSTACK_DISPUTE_RESOLUTIONS[data.resolution] ||
+        WebhookEventType.UNKNOWN
+      );
+    }
+
+    return PAYSTACK_EVENT_TYPES[eventType] || WebhookEventType.UNKNOWN;
+  }
+
   /**
    * Get payment status from Paystack
    */
   async getPaymentStatus(paymentReference) {
     try {
       if (!paymentReference) {
-        throw new Error("Payment reference is required");
+        throw this.invalidRequest("Payment reference is required");
       }
 
       const transaction = await this.makeRequest(
-        `/transaction/verify/${paymentReference}`
+        `/transaction/verify/${encodeURIComponent(paymentReference)}`
       );
 
       return this.formatResponse({
-        status: transaction.data.status,
-        amount: transaction.data.amount / 100, // Convert from kobo
+        status: this.mapStatus(transaction.data.status),
+        gatewayStatus: transaction.data.status,
+        amount: this.fromGatewayAmount(
+          transaction.data.amount,
+          transaction.data.currency
+        ),
         currency: transaction.data.currency,
         reference: transaction.data.reference,
         gateway: transaction.data.gateway,
@@ -198,119 +724,159 @@ class PaystackAdapter extends BaseGatewayAdapter {
    * Create a payment intent (initialize transaction)
    */
   async createPaymentIntent(intentData) {
+    const unifiedId = intentData.unifiedId || this.generateUnifiedId();
+
     try {
       const validation = this.validatePaymentData(intentData);
       if (!validation.isValid) {
-        throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+        throw this.invalidRequest(
+          `Validation failed: ${validation.errors.join(", ")}`
+        );
       }
 
       if (!intentData.customerEmail) {
-        throw new Error(
+        throw this.invalidRequest(
           "customerEmail is required for Paystack payment intents"
         );
       }
 
       const transactionData = {
-        amount: intentData.amount * 100,
+        amount: this.toGatewayAmount(intentData.amount, intentData.currency),
         email: intentData.customerEmail,
         currency: intentData.currency.toUpperCase(),
-        reference: this.generateUnifiedId(),
-        callback_url:
-          intentData.callbackUrl ||
-          `${process.env.BASE_URL}/api/payments/callback`,
+        reference: this.buildReference(intentData, "intent", unifiedId),
+        callback_url: this.getCallbackUrl(intentData),
         metadata: {
-          unified_payment_id: this.generateUnifiedId(),
+          unified_payment_id: unifiedId,
           customer_email: intentData.customerEmail,
           ...intentData.metadata,
         },
       };
 
       const transaction = await this.makeRequest(
-        "/transaction/initialize",
+        this.getInitializeEndpoint(intentData),
         "POST",
         transactionData
       );
 
-      return this.formatResponse({
-        transactionId: transaction.data.id,
+      return this.formatResponse(
+        {
+          transactionId: transaction.data.id,
+          reference: transaction.data.reference,
+          authorizationUrl: transaction.data.authorization_url,
+          accessCode: transaction.data.access_code,
+          status: PaymentStatus.PENDING,
+          gatewayStatus: "pending",
+          amount: intentData.amount,
+          currency: intentData.currency,
+        },
+        unifiedId
+      );
+    } catch (error) {
+      return this.formatError(error, unifiedId);
+    }
+  }
+
+  /**
+   * Map a transaction status onto the unified lifecycle
+   */
+  mapStatus(gatewayStatus) {
+    return STATUS_MAP[gatewayStatus] || PaymentStatus.PENDING;
+  }
+
+  /**
+   * Find a transaction by the reference the attempt would have used
+   */
+  async findPayment(paymentData) {
+    const reference = this.buildReference(
+      paymentData,
+      "payment",
+      paymentData.unifiedId
+    );
+
+    try {
+      const transaction = await this.makeRequest(
+        `/transaction/verify/${encodeURIComponent(reference)}`
+      );
+
+      return {
+        status: this.mapStatus(transaction.data.status),
+        gatewayStatus: transaction.data.status,
         reference: transaction.data.reference,
-        authorizationUrl: transaction.data.authorization_url,
-        accessCode: transaction.data.access_code,
-        status: "pending",
-        amount: intentData.amount,
-        currency: intentData.currency,
-      });
+      };
     } catch (error) {
-      return this.formatError(error);
+      // Paystack answers an unknown reference with 400 or 404
+      if (
+        error.statusCode === 404 ||
+        (error.statusCode === 400 && /not found/i.test(error.message))
+      ) {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Build the transaction reference. With an idempotency key the reference
+   * is derived from it, so Paystack rejects a retried initialization as a
+   * duplicate reference instead of creating a second transaction.
+   */
+  buildReference(data, operation, unifiedId) {
+    const idempotencyKey = this.getIdempotencyKey(data, operation);
+
+    if (!idempotencyKey) {
+      return unifiedId;
     }
+
+    const digest = crypto
+      .createHash("sha256")
+      .update(idempotencyKey)
+      .digest("hex")
+      .substr(0, 32);
+
+    return `idem-${digest}`;
   }
 
   /**
-   * Get supported currencies
+   * Translate Paystack API errors by message, falling back to HTTP status
+   */
+  translateError(error) {
+    if (error.name !== "GatewayError" || !error.statusCode) {
+      return super.translateError(error);
+    }
+
+    const match = PAYSTACK_ERROR_MESSAGES.find(([pattern]) =>
+      pattern.test(error.message)
+    );
+
+    if (!match || error.statusCode >= 500) {
+      return super.translateError(error);
+    }
+
+    const code = match[1];
+    const isDecline = [
+      ErrorCode.CARD_DECLINED,
+      ErrorCode.INSUFFICIENT_FUNDS,
+      ErrorCode.EXPIRED_CARD,
+      ErrorCode.INCORRECT_CVC,
+    ].includes(code);
+
+    return { code, declineCode: isDecline ? error.gatewayCode : null };
+  }
+
+  /**
+   * Get supported currencies (all merchant countries combined)
    */
   getSupportedCurrencies() {
-    return [
-      "NGN",
-      "GHS",
-      "ZAR",
-      "USD",
-      "EUR",
-      "GBP",
-      "KES",
-      "UGX",
-      "TZS",
-      "ZMW",
-      "MAD",
-      "EGP",
-      "XOF",
-      "XAF",
-      "CDF",
-      "RWF",
-      "BIF",
-      "DJF",
-      "KMF",
-      "MGA",
-      "MUR",
-      "SCR",
-      "SZL",
-      "MWK",
-      "BWP",
-      "NAD",
-      "LSL",
-      "STN",
-      "AOA",
-      "CVE",
-      "GMD",
-      "GNF",
-      "GW",
-      "MRT",
-      "ML",
-      "BF",
-      "BJ",
-      "TG",
-      "CI",
-      "SN",
-      "GM",
-      "GN",
-      "SL",
-      "LR",
-      "CM",
-      "CF",
-      "TD",
-      "NE",
-      "SD",
-      "ER",
-      "ET",
-      "SO",
-      "DJ",
-      "YT",
-      "KM",
-      "MG",
-      "RE",
-      "MU",
-      "SC",
-      "COM",
-    ];
+    return [...new Set(Object.values(COUNTRY_CURRENCIES).flat())];
+  }
+
+  /**
+   * Get supported currencies per merchant account country
+   */
+  getCurrenciesByCountry() {
+    return COUNTRY_CURRENCIES;
   }
 
   /**
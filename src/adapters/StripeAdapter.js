@@ -1,71 +1,236 @@
 const BaseGatewayAdapter = require("./BaseGatewayAdapter");
+const https = require("https");
 const stripe = require("stripe");
+const { ErrorCode } = require("../domain/errorCatalog");
+const { PaymentStatus } = require("../domain/paymentStatus");
+const {
+  WebhookEventType,
+  getEventCategory,
+} = require("../domain/webhookEvents");
+
+// Currencies Stripe can charge in, for accounts in any supported country
+// prettier-ignore
+const STRIPE_CURRENCIES = [
+  "USD", "AED", "AFN", "ALL", "AMD", "AOA", "ARS", "AUD", "AWG", "AZN",
+  "BAM", "BBD", "BDT", "BGN", "BHD", "BIF", "BMD", "BND", "BOB", "BRL",
+  "BSD", "BWP", "BYN", "BZD", "CAD", "CDF", "CHF", "CLP", "CNY", "COP",
+  "CRC", "CVE", "CZK", "DJF", "DKK", "DOP", "DZD", "EGP", "ETB", "EUR",
+  "FJD", "FKP", "GBP", "GEL", "GIP", "GMD", "GNF", "GTQ", "GYD", "HKD",
+  "HNL", "HTG", "HUF", "IDR", "ILS", "INR", "ISK", "JMD", "JOD", "JPY",
+  "KES", "KGS", "KHR", "KMF", "KRW", "KWD", "KYD", "KZT", "LAK", "LBP",
+  "LKR", "LRD", "LSL", "MAD", "MDL", "MGA", "MKD", "MMK", "MNT", "MOP",
+  "MUR", "MVR", "MWK", "MXN", "MYR", "MZN", "NAD", "NGN", "NIO", "NOK",
+  "NPR", "NZD", "OMR", "PAB", "PEN", "PGK", "PHP", "PKR", "PLN", "PYG",
+  "QAR", "RON", "RSD", "RUB", "RWF", "SAR", "SBD", "SCR", "SEK", "SGD",
+  "SHP", "SLE", "SOS", "SRD", "SZL", "THB", "TJS", "TND", "TOP", "TRY",
+  "TTD", "TWD", "TZS", "UAH", "UGX", "UYU", "UZS", "VND", "VUV", "WST",
+  "XAF", "XCD", "XOF", "XPF", "YER", "ZAR", "ZMW",
+];
+
+// Stripe PaymentIntent statuses -> unified lifecycle
+const STATUS_MAP = {
+  requires_payment_method: PaymentStatus.CREATED,
+  requires_confirmation: PaymentStatus.PENDING,
+  requires_action: PaymentStatus.REQUIRES_ACTION,
+  processing: PaymentStatus.PENDING,
+  requires_capture: PaymentStatus.AUTHORIZED,
+  succeeded: PaymentStatus.CAPTURED,
+  canceled: PaymentStatus.CANCELED,
+};
+
+// Stripe decline_code -> unified error code; other declines stay card_declined
+const STRIPE_DECLINE_CODES = {
+  insufficient_funds: ErrorCode.INSUFFICIENT_FUNDS,
+  expired_card: ErrorCode.EXPIRED_CARD,
+  incorrect_cvc: ErrorCode.INCORRECT_CVC,
+  invalid_cvc: ErrorCode.INCORRECT_CVC,
+  incorrect_number: ErrorCode.INVALID_CARD,
+  invalid_number: ErrorCode.INVALID_CARD,
+  invalid_expiry_month: ErrorCode.INVALID_CARD,
+  invalid_expiry_year: ErrorCode.INVALID_CARD,
+  authentication_required: ErrorCode.AUTHENTICATION_REQUIRED,
+  processing_error: ErrorCode.PROCESSING_ERROR,
+};
+
+// Stripe error code -> unified error code
+const STRIPE_ERROR_CODES = {
+  card_declined: ErrorCode.CARD_DECLINED,
+  expired_card: ErrorCode.EXPIRED_CARD,
+  incorrect_cvc: ErrorCode.INCORRECT_CVC,
+  invalid_cvc: ErrorCode.INCORRECT_CVC,
+  incorrect_number: ErrorCode.INVALID_CARD,
+  invalid_number: ErrorCode.INVALID_CARD,
+  invalid_expiry_month: ErrorCode.INVALID_CARD,
+  invalid_expiry_year: ErrorCode.INVALID_CARD,
+  processing_error: ErrorCode.PROCESSING_ERROR,
+  authentication_required: ErrorCode.AUTHENTICATION_REQUIRED,
+  payment_intent_authentication_failure: ErrorCode.AUTHENTICATION_REQUIRED,
+  amount_too_small: ErrorCode.INVALID_AMOUNT,
+  amount_too_large: ErrorCode.INVALID_AMOUNT,
+  resource_missing: ErrorCode.RESOURCE_NOT_FOUND,
+  idempotency_key_in_use: ErrorCode.DUPLICATE_REQUEST,
+  rate_limit: ErrorCode.RATE_LIMITED,
+};
+
+// Stripe error type -> unified error code, when the code is not mapped
+const STRIPE_ERROR_TYPES = {
+  StripeCardError: ErrorCode.CARD_DECLINED,
+  StripeInvalidRequestError: ErrorCode.INVALID_REQUEST,
+  StripeIdempotencyError: ErrorCode.DUPLICATE_REQUEST,
+  StripeAuthenticationError: ErrorCode.GATEWAY_AUTHENTICATION_FAILED,
+  StripePermissionError: ErrorCode.GATEWAY_AUTHENTICATION_FAILED,
+  StripeRateLimitError: ErrorCode.RATE_LIMITED,
+  StripeConnectionError: ErrorCode.GATEWAY_UNAVAILABLE,
+  StripeAPIError: ErrorCode.GATEWAY_UNAVAILABLE,
+};
+
+// Stripe event type -> unified event type
+const STRIPE_EVENT_TYPES = {
+  "payment_intent.processing": WebhookEventType.PAYMENT_PENDING,
+  "payment_intent.requires_action": WebhookEventType.PAYMENT_REQUIRES_ACTION,
+  "payment_intent.amount_capturable_updated":
+    WebhookEventType.PAYMENT_AUTHORIZED,
+  "payment_intent.succeeded": WebhookEventType.PAYMENT_SUCCEEDED,
+  "payment_intent.payment_failed": WebhookEventType.PAYMENT_FAILED,
+  "payment_intent.canceled": WebhookEventType.PAYMENT_CANCELED,
+  "refund.failed": WebhookEventType.REFUND_FAILED,
+  "charge.dispute.created": WebhookEventType.DISPUTE_OPENED,
+  "transfer.created": WebhookEventType.TRANSFER_SUCCEEDED,
+  "transfer.reversed": WebhookEventType.TRANSFER_REVERSED,
+};
+
+// Refund events whose meaning depends on the refund's status
+const STRIPE_REFUND_EVENTS = [
+  "refund.created",
+  "refund.updated",
+  "charge.refund.updated",
+];
+
+// Stripe refund status -> unified event type
+const STRIPE_REFUND_STATUSES = {
+  pending: WebhookEventType.REFUND_PENDING,
+  requires_action: WebhookEventType.REFUND_PENDING,
+  succeeded: WebhookEventType.REFUND_SUCCEEDED,
+  failed: WebhookEventType.REFUND_FAILED,
+  canceled: WebhookEventType.REFUND_FAILED,
+};
+
+// Closed dispute status -> unified event type. A closed inquiry
+// (warning_closed) never became a chargeback.
+const STRIPE_DISPUTE_OUTCOMES = {
+  won: WebhookEventType.DISPUTE_WON,
+  warning_closed: WebhookEventType.DISPUTE_WON,
+  lost: WebhookEventType.DISPUTE_LOST,
+};
 
 class StripeAdapter extends BaseGatewayAdapter {
   constructor(config) {
     super(config);
-    this.stripe = stripe(config.secretKey);
+    // The SDK retries with its own idempotency keys, so writes are safe
+    this.stripe = stripe(config.secretKey, {
+      timeout: config.timeout ?? 10000,
+      maxNetworkRetries: config.retries ?? 3,
+      httpAgent: new https.Agent({ keepAlive: true }),
+    });
     this.webhookSecret = config.webhookSecret;
+    this.webhookTolerance = config.webhookTolerance ?? 300;
+    // Zero-decimal in ISO 4217, but Stripe still expects two decimals
+    this.exponentOverrides = { ISK: 2, UGX: 2 };
   }
 
   /**
    * Process a payment using Stripe
    */
   async processPayment(paymentData) {
+    const unifiedId = paymentData.unifiedId || this.generateUnifiedId();
+
     try {
       const validation = this.validatePaymentData(paymentData);
       if (!validation.isValid) {
-        throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+        throw this.invalidRequest(
+          `Validation failed: ${validation.errors.join(", ")}`
+        );
       }
 
       let paymentIntent;
 
       if (paymentData.paymentMethodId) {
         // Create and confirm payment intent with existing payment method
-        paymentIntent = await this.stripe.paymentIntents.create({
-          amount: paymentData.amount,
-          currency: paymentData.currency.toLowerCase(),
-          payment_method: paymentData.paymentMethodId,
-          confirm: true,
-          description:
-            paymentData.description || "Payment via Unified Payments API",
-          metadata: {
-            unified_payment_id: this.generateUnifiedId(),
-            customer_email: paymentData.customerEmail,
-            ...paymentData.metadata,
+        paymentIntent = await this.stripe.paymentIntents.create(
+          {
+            amount: this.toGatewayAmount(
+              paymentData.amount,
+              paymentData.currency
+            ),
+            currency: paymentData.currency.toLowerCase(),
+            payment_method: paymentData.paymentMethodId,
+            customer: paymentData.gatewayCustomerId,
+            confirm: true,
+            // Renewals are charged without the customer present
+            off_session: paymentData.offSession || undefined,
+            // Redirect-based methods (iDEAL, Sofort, Bancontact) come back here
+            return_url: paymentData.offSession
+              ? undefined
+              : this.getCallbackUrl(paymentData) || undefined,
+            capture_method: paymentData.captureMethod,
+            description:
+              paymentData.description || "Payment via Unified Payments API",
+            metadata: {
+              unified_payment_id: unifiedId,
+              customer_email: paymentData.customerEmail,
+              ...paymentData.metadata,
+            },
           },
-        });
+          this.getRequestOptions(paymentData, "payment")
+        );
       } else if (paymentData.paymentIntentId) {
         // Confirm existing payment intent
         paymentIntent = await this.stripe.paymentIntents.confirm(
-          paymentData.paymentIntentId
+          paymentData.paymentIntentId,
+          { return_url: this.getCallbackUrl(paymentData) || undefined },
+          this.getRequestOptions(paymentData, "confirm")
         );
       } else {
         // Create payment intent without confirming
-        paymentIntent = await this.stripe.paymentIntents.create({
-          amount: paymentData.amount,
-          currency: paymentData.currency.toLowerCase(),
-          description:
-            paymentData.description || "Payment via Unified Payments API",
-          metadata: {
-            unified_payment_id: this.generateUnifiedId(),
-            customer_email: paymentData.customerEmail,
-            ...paymentData.metadata,
+        paymentIntent = await this.stripe.paymentIntents.create(
+          {
+            amount: this.toGatewayAmount(
+              paymentData.amount,
+              paymentData.currency
+            ),
+            currency: paymentData.currency.toLowerCase(),
+            customer: paymentData.gatewayCustomerId,
+            capture_method: paymentData.captureMethod,
+            description:
+              paymentData.description || "Payment via Unified Payments API",
+            metadata: {
+              unified_payment_id: unifiedId,
+              customer_email: paymentData.customerEmail,
+              ...paymentData.metadata,
+            },
           },
-        });
+          this.getRequestOptions(paymentData, "payment")
+        );
       }
 
-      return this.formatResponse({
-        paymentIntentId: paymentIntent.id,
-        status: paymentIntent.status,
-        amount: paymentIntent.amount,
-        currency: paymentIntent.currency,
-        clientSecret: paymentIntent.client_secret,
-        requiresAction: paymentIntent.status === "requires_action",
-        nextAction: paymentIntent.next_action,
-      });
+      return this.formatResponse(
+        {
+          paymentIntentId: paymentIntent.id,
+          status: this.mapStatus(paymentIntent.status, paymentIntent),
+          gatewayStatus: paymentIntent.status,
+          amount: this.fromGatewayAmount(
+            paymentIntent.amount,
+            paymentIntent.currency
+          ),
+          currency: paymentIntent.currency,
+          clientSecret: paymentIntent.client_secret,
+          requiresAction: paymentIntent.status === "requires_action",
+          nextAction: paymentIntent.next_action,
+        },
+        unifiedId
+      );
     } catch (error) {
-      return this.formatError(error);
+      return this.formatError(error, unifiedId);
     }
   }
 
@@ -73,26 +238,195 @@ class StripeAdapter extends BaseGatewayAdapter {
    * Process a refund using Stripe
    */
   async processRefund(refundData) {
+    const unifiedId = refundData.unifiedId || this.generateUnifiedId();
+
     try {
       if (!refundData.paymentIntentId) {
-        throw new Error("paymentIntentId is required for refunds");
+        throw this.invalidRequest("paymentIntentId is required for refunds");
+      }
+
+      const refund = await this.stripe.refunds.create(
+        {
+          payment_intent: refundData.paymentIntentId,
+          amount: this.toGatewayRefundAmount(refundData),
+          reason: refundData.reason || "requested_by_customer",
+          metadata: {
+            unified_refund_id: unifiedId,
+            reason: refundData.reason,
+          },
+        },
+        this.getRequestOptions(refundData, "refund")
+      );
+
+      return this.formatResponse(
+        {
+          refundId: refund.id,
+          status: refund.status,
+          amount: this.fromGatewayAmount(refund.amount, refund.currency),
+          currency: refund.currency,
+        },
+        unifiedId
+      );
+    } catch (error) {
+      return this.formatError(error, unifiedId);
+    }
+  }
+
+  /**
+   * Capture an authorized PaymentIntent. A partial capture releases the
+   * rest of the hold.
+   */
+  async capturePayment(captureData) {
+    const unifiedId = captureData.unifiedId || this.generateUnifiedId();
+
+    try {
+      if (!captureData.reference) {
+        throw this.invalidRequest("reference is required for captures");
+      }
+
+      const paymentIntent = await this.stripe.paymentIntents.capture(
+        captureData.reference,
+        {
+          amount_to_capture: captureData.amount
+            ? this.toGatewayAmount(captureData.amount, captureData.currency)
+            : undefined,
+        },
+        this.getRequestOptions(captureData, "capture")
+      );
+
+      return this.formatResponse(
+        {
+          paymentIntentId: paymentIntent.id,
+          status: this.mapStatus(paymentIntent.status, paymentIntent),
+          gatewayStatus: paymentIntent.status,
+          amount: this.fromGatewayAmount(
+            paymentIntent.amount,
+            paymentIntent.currency
+          ),
+          amountCaptured: this.fromGatewayAmount(
+            paymentIntent.amount_received,
+            paymentIntent.currency
+          ),
+          currency: paymentIntent.currency,
+        },
+        unifiedId
+      );
+    } catch (error) {
+      return this.formatError(error, unifiedId);
+    }
+  }
+
+  /**
+   * Cancel a PaymentIntent, releasing the hold on an authorized one
+   */
+  async cancelPayment(cancelData) {
+    const unifiedId = cancelData.unifiedId || this.generateUnifiedId();
+
+    try {
+      if (!cancelData.reference) {
+        throw this.invalidRequest("reference is required for cancellations");
       }
 
-      const refund = await this.stripe.refunds.create({
-        payment_intent: refundData.paymentIntentId,
-        amount: refundData.amount || undefined,
-        reason: refundData.reason || "requested_by_customer",
-        metadata: {
-          unified_refund_id: this.generateUnifiedId(),
-          reason: refundData.reason,
+      const paymentIntent = await this.stripe.paymentIntents.cancel(
+        cancelData.reference,
+        { cancellation_reason: cancelData.reason },
+        this.getRequestOptions(cancelData, "cancel")
+      );
+
+      return this.formatResponse(
+        {
+          paymentIntentId: paymentIntent.id,
+          status: this.mapStatus(paymentIntent.status, paymentIntent),
+          gatewayStatus: paymentIntent.status,
+          amount: this.fromGatewayAmount(
+            paymentIntent.amount,
+            paymentIntent.currency
+          ),
+          currency: paymentIntent.currency,
+        },
+        unifiedId
+      );
+    } catch (error) {
+      return this.formatError(error, unifiedId);
+    }
+  }
+
+  /**
+   * Create a Stripe Customer
+   */
+  async createCustomer(customerData) {
+    try {
+      const customer = await this.stripe.customers.create(
+        {
+          email: customerData.email,
+          name: customerData.name,
+          phone: customerData.phone,
+          metadata: {
+            unified_customer_id: customerData.customerId,
+            ...customerData.metadata,
+          },
         },
+        this.getRequestOptions(customerData, "customer")
+      );
+
+      return this.formatResponse({ customerId: customer.id });
+    } catch (error) {
+      return this.formatError(error);
+    }
+  }
+
+  /**
+   * Update a Stripe Customer
+   */
+  async updateCustomer(customerData) {
+    try {
+      const customer = await this.stripe.customers.update(
+        customerData.gatewayCustomerId,
+        {
+          email: customerData.email,
+          name: customerData.name,
+          phone: customerData.phone,
+          metadata: customerData.metadata,
+        }
+      );
+
+      return this.formatResponse({ customerId: customer.id });
+    } catch (error) {
+      return this.formatError(error);
+    }
+  }
+
+  /**
+   * Delete a Stripe Customer, detaching its payment methods
+   */
+  async deleteCustomer(customerData) {
+    try {
+      const deleted = await this.stripe.customers.del(
+        customerData.gatewayCustomerId
+      );
+
+      return this.formatResponse({
+        customerId: deleted.id,
+        deleted: deleted.deleted,
       });
+    } catch (error) {
+      return this.formatError(error);
+    }
+  }
+
+  /**
+   * Attach a PaymentMethod to a Stripe Customer
+   */
+  async attachPaymentMethod(attachData) {
+    try {
+      const paymentMethod = await this.stripe.paymentMethods.attach(
+        attachData.paymentMethodId,
+        { customer: attachData.gatewayCustomerId },
+        this.getRequestOptions(attachData, "attach")
+      );
 
       return this.formatResponse({
-        refundId: refund.id,
-        status: refund.status,
-        amount: refund.amount,
-        currency: refund.currency,
+        paymentMethod: this.formatPaymentMethod(paymentMethod),
       });
     } catch (error) {
       return this.formatError(error);
@@ -100,7 +434,71 @@ class StripeAdapter extends BaseGatewayAdapter {
   }
 
   /**
-   * Verify Stripe webhook signature
+   * Detach a PaymentMethod from its Stripe Customer
+   */
+  async detachPaymentMethod(detachData) {
+    try {
+      const paymentMethod = await this.stripe.paymentMethods.detach(
+        detachData.paymentMethodId
+      );
+
+      return this.formatResponse({ paymentMethodId: paymentMethod.id });
+    } catch (error) {
+      return this.formatError(error);
+    }
+  }
+
+  /**
+   * Stripe keeps Customers with attached PaymentMethods
+   */
+  supportsCustomers() {
+    return true;
+  }
+
+  /**
+   * Convert a Stripe PaymentMethod to the unified saved method shape.
+   * Cards carry brand and expiry; bank debits only last4 and bank.
+   */
+  formatPaymentMethod(paymentMethod) {
+    const card = paymentMethod.card || {};
+    const details = paymentMethod[paymentMethod.type] || {};
+
+    return {
+      gatewayPaymentMethodId: paymentMethod.id,
+      channel: paymentMethod.type,
+      brand: card.brand || null,
+      last4: card.last4 || details.last4 || null,
+      expMonth: card.exp_month || null,
+      expYear: card.exp_year || null,
+      bank: details.bank_name || details.bank || null,
+    };
+  }
+
+  /**
+   * Stripe returns customers with ?payment_intent=<id> and a
+   * redirect_status that is not to be trusted on its own
+   */
+  static getCallbackReference(query) {
+    return query.payment_intent || null;
+  }
+
+  /**
+   * Stripe holds funds with capture_method=manual
+   */
+  supportsManualCapture() {
+    return true;
+  }
+
+  /**
+   * Stripe captures any amount up to the authorized one
+   */
+  supportsPartialCapture() {
+    return true;
+  }
+
+  /**
+   * Verify Stripe webhook signature. The SDK compares in constant time and
+   * rejects signatures older than the tolerance.
    */
   async verifyWebhook(webhookData) {
     try {
@@ -111,9 +509,10 @@ class StripeAdapter extends BaseGatewayAdapter {
       }
 
       const event = this.stripe.webhooks.constructEvent(
-        body,
+        this.getRawBody(body),
         signature,
-        this.webhookSecret
+        this.webhookSecret,
+        this.webhookTolerance
       );
 
       return {
@@ -128,6 +527,109 @@ class StripeAdapter extends BaseGatewayAdapter {
     }
   }
 
+  /**
+   * Stripe signs webhooks in the stripe-signature header
+   */
+  getWebhookSignatureHeader() {
+    return "stripe-signature";
+  }
+
+  /**
+   * Stripe sends Event objects
+   */
+  isWebhookPayload(payload) {
+    return Boolean(
+      payload &&
+        payload.object === "event" &&
+        typeof payload.type === "string" &&
+        payload.data
+    );
+  }
+
+  /**
+   * Stripe events carry their own ID
+   */
+  getWebhookEventId(event) {
+    return event.id;
+  }
+
+  /**
+   * Stripe event type
+   */
+  getWebhookEventType(event) {
+    return event.type;
+  }
+
+  /**
+   * Translate a Stripe event. Payment events carry the PaymentIntent;
+   * refund and dispute events point back to it via payment_intent.
+   */
+  normalizeWebhookEvent(event) {
+    const object = event.data.object;
+    const type = this.getUnifiedEventType(event.type, object);
+    const currency = object.currency ? object.currency.toUpperCase() : null;
+    const amount =
+      object.amount !== undefined && currency
+        ? this.fromGatewayAmount(object.amount, currency)
+        : null;
+    const fields = {
+      occurredAt: new Date(event.created * 1000).toISOString(),
+      amount,
+      currency,
+    };
+
+    switch (getEventCategory(type)) {
+      case "payment":
+        return this.buildWebhookEvent(type, event.type, {
+          ...fields,
+          paymentId: (object.metadata || {}).unified_payment_id || null,
+          paymentReference: object.id || null,
+          status: this.mapStatus(object.status, object),
+          gatewayStatus: object.status,
+        });
+      case "refund":
+        return this.buildWebhookEvent(type, event.type, {
+          ...fields,
+          paymentReference: object.payment_intent || null,
+          refund: { gatewayRefundId: object.id, amount, currency },
+        });
+      case "dispute":
+        return this.buildWebhookEvent(type, event.type, {
+          ...fields,
+          paymentReference: object.payment_intent || null,
+          dispute: {
+            gatewayDisputeId: object.id,
+            amount,
+            currency,
+            reason: object.reason || null,
+          },
+        });
+      case "transfer":
+        return this.buildWebhookEvent(type, event.type, {
+          ...fields,
+          transfer: { gatewayTransferId: object.id, amount, currency },
+        });
+      default:
+        return this.buildWebhookEvent(type, event.type, fields);
+    }
+  }
+
+  /**
+   * Map a Stripe event type, using the object's status where the type
+   * alone is ambiguous
+   */
+  getUnifiedEventType(eventType, object) {
+    if (STRIPE_REFUND_EVENTS.includes(eventType)) {
+      return STRIPE_REFUND_STATUSES[object.status] || WebhookEventType.UNKNOWN;
+    }
+
+    if (eventType === "charge.dispute.closed") {
+      return STRIPE_DISPUTE_OUTCOMES[object.status] || WebhookEventType.UNKNOWN;
+    }
+
+    return STRIPE_EVENT_TYPES[eventType] || WebhookEventType.UNKNOWN;
+  }
+
   /**
    * Get payment status from Stripe
    */
@@ -138,8 +640,12 @@ class StripeAdapter extends BaseGatewayAdapter {
       );
 
       return this.formatResponse({
-        status: paymentIntent.status,
-        amount: paymentIntent.amount,
+        status: this.mapStatus(paymentIntent.status, paymentIntent),
+        gatewayStatus: paymentIntent.status,
+        amount: this.fromGatewayAmount(
+          paymentIntent.amount,
+          paymentIntent.currency
+        ),
         currency: paymentIntent.currency,
         created: paymentIntent.created,
         lastPaymentError: paymentIntent.last_payment_error,
@@ -153,187 +659,155 @@ class StripeAdapter extends BaseGatewayAdapter {
    * Create a payment intent
    */
   async createPaymentIntent(intentData) {
+    const unifiedId = intentData.unifiedId || this.generateUnifiedId();
+
     try {
       const validation = this.validatePaymentData(intentData);
       if (!validation.isValid) {
-        throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+        throw this.invalidRequest(
+          `Validation failed: ${validation.errors.join(", ")}`
+        );
       }
 
-      const paymentIntent = await this.stripe.paymentIntents.create({
-        amount: intentData.amount,
-        currency: intentData.currency.toLowerCase(),
-        description:
-          intentData.description || "Payment intent via Unified Payments API",
-        metadata: {
-          unified_payment_id: this.generateUnifiedId(),
-          customer_email: intentData.customerEmail,
-          ...intentData.metadata,
+      const paymentIntent = await this.stripe.paymentIntents.create(
+        {
+          amount: this.toGatewayAmount(intentData.amount, intentData.currency),
+          currency: intentData.currency.toLowerCase(),
+          customer: intentData.gatewayCustomerId,
+          capture_method: intentData.captureMethod,
+          description:
+            intentData.description || "Payment intent via Unified Payments API",
+          metadata: {
+            unified_payment_id: unifiedId,
+            customer_email: intentData.customerEmail,
+            ...intentData.metadata,
+          },
         },
-      });
+        this.getRequestOptions(intentData, "intent")
+      );
 
-      return this.formatResponse({
-        paymentIntentId: paymentIntent.id,
-        clientSecret: paymentIntent.client_secret,
-        status: paymentIntent.status,
-        amount: paymentIntent.amount,
-        currency: paymentIntent.currency,
-      });
+      return this.formatResponse(
+        {
+          paymentIntentId: paymentIntent.id,
+          clientSecret: paymentIntent.client_secret,
+          status: this.mapStatus(paymentIntent.status, paymentIntent),
+          gatewayStatus: paymentIntent.status,
+          amount: this.fromGatewayAmount(
+            paymentIntent.amount,
+            paymentIntent.currency
+          ),
+          currency: paymentIntent.currency,
+        },
+        unifiedId
+      );
     } catch (error) {
-      return this.formatError(error);
+      return this.formatError(error, unifiedId);
+    }
+  }
+
+  /**
+   * Convert an optional partial refund amount. Without a currency the
+   * amount is passed through (only ISK and UGX differ from ISO units).
+   */
+  toGatewayRefundAmount(refundData) {
+    if (!refundData.amount) {
+      return undefined;
+    }
+
+    return refundData.currency
+      ? this.toGatewayAmount(refundData.amount, refundData.currency)
+      : refundData.amount;
+  }
+
+  /**
+   * Map a PaymentIntent status onto the unified lifecycle
+   */
+  mapStatus(gatewayStatus, paymentIntent = {}) {
+    // A declined attempt sends the intent back to requires_payment_method
+    if (
+      gatewayStatus === "requires_payment_method" &&
+      paymentIntent.last_payment_error
+    ) {
+      return PaymentStatus.FAILED;
+    }
+
+    return STATUS_MAP[gatewayStatus] || PaymentStatus.PENDING;
+  }
+
+  /**
+   * Build Stripe request options (native idempotency support)
+   */
+  getRequestOptions(data, operation) {
+    const idempotencyKey = this.getIdempotencyKey(data, operation);
+    return idempotencyKey ? { idempotencyKey } : undefined;
+  }
+
+  /**
+   * Find a PaymentIntent by the unified ID in its metadata. Lists recent
+   * intents rather than using search, which can lag by up to a minute.
+   */
+  async findPayment(paymentData, attemptedAt) {
+    const intents = await this.stripe.paymentIntents.list({
+      created: { gte: Math.floor(attemptedAt.getTime() / 1000) - 60 },
+      limit: 100,
+    });
+    const paymentIntent = intents.data.find(
+      (intent) => intent.metadata.unified_payment_id === paymentData.unifiedId
+    );
+
+    if (paymentIntent) {
+      return {
+        status: this.mapStatus(paymentIntent.status, paymentIntent),
+        gatewayStatus: paymentIntent.status,
+        reference: paymentIntent.id,
+      };
+    }
+
+    if (intents.has_more) {
+      throw new Error("Too many recent payment intents to confirm the attempt");
+    }
+
+    return null;
+  }
+
+  /**
+   * Translate Stripe errors: decline codes first, then error codes, then
+   * the error type
+   */
+  translateError(error) {
+    if (!error.type || !error.type.startsWith("Stripe")) {
+      return super.translateError(error);
+    }
+
+    const code =
+      STRIPE_DECLINE_CODES[error.decline_code] ||
+      STRIPE_ERROR_CODES[error.code] ||
+      STRIPE_ERROR_TYPES[error.type] ||
+      super.translateError(error).code;
+
+    return { code, declineCode: error.decline_code || null };
+  }
+
+  /**
+   * Stripe errors carry their own status code, error code and request ID
+   */
+  getErrorDetails(error) {
+    if (!error.type || !error.type.startsWith("Stripe")) {
+      return super.getErrorDetails(error);
     }
+
+    return {
+      statusCode: error.statusCode || null,
+      gatewayCode: error.code || null,
+      requestId: error.requestId || null,
+    };
   }
 
   /**
-   * Get supported currencies
+   * Get supported currencies (Stripe presentment currencies)
    */
   getSupportedCurrencies() {
-    return [
-      "usd",
-      "eur",
-      "gbp",
-      "cad",
-      "aud",
-      "jpy",
-      "chf",
-      "sek",
-      "nok",
-      "dkk",
-      "pln",
-      "czk",
-      "huf",
-      "ron",
-      "bgn",
-      "hrk",
-      "rub",
-      "try",
-      "brl",
-      "mxn",
-      "ars",
-      "clp",
-      "cop",
-      "pen",
-      "uyu",
-      "pyg",
-      "bob",
-      "ecv",
-      "gtq",
-      "hnl",
-      "nio",
-      "crc",
-      "pab",
-      "vef",
-      "dop",
-      "jmd",
-      "ttd",
-      "bbd",
-      "bzd",
-      "xcd",
-      "htg",
-      "awg",
-      "ang",
-      "srd",
-      "gyd",
-      "fjd",
-      "pgk",
-      "wst",
-      "vuv",
-      "top",
-      "sbd",
-      "kwd",
-      "bhd",
-      "omr",
-      "qar",
-      "aed",
-      "sar",
-      "jod",
-      "lbp",
-      "egp",
-      "mad",
-      "tnd",
-      "lyd",
-      "dzd",
-      "mro",
-      "mru",
-      "ngn",
-      "ghs",
-      "kes",
-      "ugx",
-      "tzs",
-      "bif",
-      "rwf",
-      "djf",
-      "kmf",
-      "mga",
-      "mur",
-      "scr",
-      "szl",
-      "zmw",
-      "mwk",
-      "bwp",
-      "naf",
-      "szl",
-      "ls",
-      "stn",
-      "aoa",
-      "cve",
-      "gmd",
-      "gnb",
-      "gw",
-      "mrt",
-      "ml",
-      "bf",
-      "bj",
-      "tg",
-      "ci",
-      "sn",
-      "gm",
-      "gn",
-      "sl",
-      "lr",
-      "cm",
-      "cf",
-      "td",
-      "ne",
-      "sd",
-      "er",
-      "et",
-      "so",
-      "dj",
-      "yt",
-      "km",
-      "mg",
-      "re",
-      "mu",
-      "sc",
-      "com",
-      "km",
-      "yt",
-      "dj",
-      "so",
-      "et",
-      "er",
-      "sd",
-      "ne",
-      "td",
-      "cf",
-      "cm",
-      "lr",
-      "sl",
-      "gn",
-      "gm",
-      "sn",
-      "ci",
-      "tg",
-      "bj",
-      "bf",
-      "ml",
-      "mrt",
-      "gw",
-      "gnb",
-      "gmd",
-      "cve",
-      "aoa",
-    ];
+    return STRIPE_CURRENCIES;
   }
 
   /**
@@ -0,0 +1,55 @@
+/**
+ * API Keys
+ * Keys are issued per mode: test keys only reach sandbox gateway
+ * credentials, live keys only live ones.
+ */
+
+const KeyMode = Object.freeze({
+  LIVE: "live",
+  TEST: "test",
+});
+
+const ApiKeyScope = Object.freeze({
+  READ: "read",
+  PAYMENTS_WRITE: "payments:write",
+  REFUNDS_WRITE: "refunds:write",
+  WEBHOOKS_WRITE: "webhooks:write",
+  KEYS_WRITE: "keys:write",
+  MERCHANTS_WRITE: "merchants:write",
+});
+
+// Scopes given to a key when none are requested; keys:write and
+// merchants:write are never implied
+const DEFAULT_SCOPES = Object.freeze([
+  ApiKeyScope.READ,
+  ApiKeyScope.PAYMENTS_WRITE,
+  ApiKeyScope.REFUNDS_WRITE,
+  ApiKeyScope.WEBHOOKS_WRITE,
+]);
+
+/**
+ * Get the mode of a secret key from its sk_live_ / sk_test_ prefix, or the
+ * rk_live_ / rk_test_ prefix of a gateway's restricted keys. API keys and
+ * gateway secret keys share the convention.
+ * @param {string} key - Secret key
+ * @returns {string|null} live, test, or null without a known prefix
+ */
+const getKeyMode = (key) => {
+  const match = /^[sr]k_(live|test)_/.exec(key || "");
+  return match ? match[1] : null;
+};
+
+/**
+ * Check whether a value is an API key scope
+ * @param {string} scope - Scope to check
+ * @returns {boolean} True if known
+ */
+const isKnownScope = (scope) => Object.values(ApiKeyScope).includes(scope);
+
+module.exports = {
+  KeyMode,
+  ApiKeyScope,
+  DEFAULT_SCOPES,
+  getKeyMode,
+  isKnownScope,
+};
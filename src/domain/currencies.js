@@ -0,0 +1,294 @@
+/**
+ * Currency Registry
+ * Amounts in this API are always integers in the currency's minor unit,
+ * as defined by its ISO 4217 exponent (USD 1000 = $10.00, JPY 1000 = ¥1000,
+ * KWD 1000 = 1.000 KD).
+ */
+
+// ISO 4217 currencies: code, numeric code, exponent, symbol, name, and the
+// ISO 3166-1 countries/territories that use them
+// prettier-ignore
+const CURRENCY_DATA = [
+  ["AED", "784", 2, "د.إ", "UAE Dirham", ["AE"]],
+  ["AFN", "971", 2, "؋", "Afghani", ["AF"]],
+  ["ALL", "008", 2, "L", "Lek", ["AL"]],
+  ["AMD", "051", 2, "֏", "Armenian Dram", ["AM"]],
+  ["AOA", "973", 2, "Kz", "Kwanza", ["AO"]],
+  ["ARS", "032", 2, "$", "Argentine Peso", ["AR"]],
+  ["AUD", "036", 2, "A$", "Australian Dollar", ["AU", "CX", "CC", "HM", "KI", "NR", "NF", "TV"]],
+  ["AWG", "533", 2, "ƒ", "Aruban Florin", ["AW"]],
+  ["AZN", "944", 2, "₼", "Azerbaijan Manat", ["AZ"]],
+  ["BAM", "977", 2, "KM", "Convertible Mark", ["BA"]],
+  ["BBD", "052", 2, "Bds$", "Barbados Dollar", ["BB"]],
+  ["BDT", "050", 2, "৳", "Taka", ["BD"]],
+  ["BGN", "975", 2, "лв", "Bulgarian Lev", ["BG"]],
+  ["BHD", "048", 3, ".د.ب", "Bahraini Dinar", ["BH"]],
+  ["BIF", "108", 0, "FBu", "Burundi Franc", ["BI"]],
+  ["BMD", "060", 2, "BD$", "Bermudian Dollar", ["BM"]],
+  ["BND", "096", 2, "B$", "Brunei Dollar", ["BN"]],
+  ["BOB", "068", 2, "Bs", "Boliviano", ["BO"]],
+  ["BRL", "986", 2, "R$", "Brazilian Real", ["BR"]],
+  ["BSD", "044", 2, "B$", "Bahamian Dollar", ["BS"]],
+  ["BTN", "064", 2, "Nu.", "Ngultrum", ["BT"]],
+  ["BWP", "072", 2, "P", "Pula", ["BW"]],
+  ["BYN", "933", 2, "Br", "Belarusian Ruble", ["BY"]],
+  ["BZD", "084", 2, "BZ$", "Belize Dollar", ["BZ"]],
+  ["CAD", "124", 2, "C$", "Canadian Dollar", ["CA"]],
+  ["CDF", "976", 2, "FC", "Congolese Franc", ["CD"]],
+  ["CHF", "756", 2, "CHF", "Swiss Franc", ["CH", "LI"]],
+  ["CLP", "152", 0, "$", "Chilean Peso", ["CL"]],
+  ["CNY", "156", 2, "¥", "Yuan Renminbi", ["CN"]],
+  ["COP", "170", 2, "$", "Colombian Peso", ["CO"]],
+  ["CRC", "188", 2, "₡", "Costa Rican Colon", ["CR"]],
+  ["CUP", "192", 2, "$", "Cuban Peso", ["CU"]],
+  ["CVE", "132", 2, "Esc", "Cabo Verde Escudo", ["CV"]],
+  ["CZK", "203", 2, "Kč", "Czech Koruna", ["CZ"]],
+  ["DJF", "262", 0, "Fdj", "Djibouti Franc", ["DJ"]],
+  ["DKK", "208", 2, "kr", "Danish Krone", ["DK", "FO", "GL"]],
+  ["DOP", "214", 2, "RD$", "Dominican Peso", ["DO"]],
+  ["DZD", "012", 2, "د.ج", "Algerian Dinar", ["DZ"]],
+  ["EGP", "818", 2, "E£", "Egyptian Pound", ["EG"]],
+  ["ERN", "232", 2, "Nfk", "Nakfa", ["ER"]],
+  ["ETB", "230", 2, "Br", "Ethiopian Birr", ["ET"]],
+  ["EUR", "978", 2, "€", "Euro", ["AD", "AT", "BE", "CY", "DE", "EE", "ES", "FI", "FR", "GR", "HR", "IE", "IT", "LT", "LU", "LV", "MC", "ME", "MT", "NL", "PT", "SI", "SK", "SM", "VA", "XK", "AX", "BL", "GF", "GP", "MF", "MQ", "PM", "RE", "TF", "YT"]],
+  ["FJD", "242", 2, "FJ$", "Fiji Dollar", ["FJ"]],
+  ["FKP", "238", 2, "£", "Falkland Islands Pound", ["FK"]],
+  ["GBP", "826", 2, "£", "Pound Sterling", ["GB", "GG", "IM", "JE", "GS"]],
+  ["GEL", "981", 2, "₾", "Lari", ["GE"]],
+  ["GHS", "936", 2, "GH₵", "Ghana Cedi", ["GH"]],
+  ["GIP", "292", 2, "£", "Gibraltar Pound", ["GI"]],
+  ["GMD", "270", 2, "D", "Dalasi", ["GM"]],
+  ["GNF", "324", 0, "FG", "Guinean Franc", ["GN"]],
+  ["GTQ", "320", 2, "Q", "Quetzal", ["GT"]],
+  ["GYD", "328", 2, "G$", "Guyana Dollar", ["GY"]],
+  ["HKD", "344", 2, "HK$", "Hong Kong Dollar", ["HK"]],
+  ["HNL", "340", 2, "L", "Lempira", ["HN"]],
+  ["HTG", "332", 2, "G", "Gourde", ["HT"]],
+  ["HUF", "348", 2, "Ft", "Forint", ["HU"]],
+  ["IDR", "360", 2, "Rp", "Rupiah", ["ID"]],
+  ["ILS", "376", 2, "₪", "New Israeli Sheqel", ["IL", "PS"]],
+  ["INR", "356", 2, "₹", "Indian Rupee", ["IN", "BT"]],
+  ["IQD", "368", 3, "ع.د", "Iraqi Dinar", ["IQ"]],
+  ["IRR", "364", 2, "﷼", "Iranian Rial", ["IR"]],
+  ["ISK", "352", 0, "kr", "Iceland Krona", ["IS"]],
+  ["JMD", "388", 2, "J$", "Jamaican Dollar", ["JM"]],
+  ["JOD", "400", 3, "د.ا", "Jordanian Dinar", ["JO"]],
+  ["JPY", "392", 0, "¥", "Yen", ["JP"]],
+  ["KES", "404", 2, "KSh", "Kenyan Shilling", ["KE"]],
+  ["KGS", "417", 2, "с", "Som", ["KG"]],
+  ["KHR", "116", 2, "៛", "Riel", ["KH"]],
+  ["KMF", "174", 0, "CF", "Comorian Franc", ["KM"]],
+  ["KPW", "408", 2, "₩", "North Korean Won", ["KP"]],
+  ["KRW", "410", 0, "₩", "Won", ["KR"]],
+  ["KWD", "414", 3, "د.ك", "Kuwaiti Dinar", ["KW"]],
+  ["KYD", "136", 2, "CI$", "Cayman Islands Dollar", ["KY"]],
+  ["KZT", "398", 2, "₸", "Tenge", ["KZ"]],
+  ["LAK", "418", 2, "₭", "Lao Kip", ["LA"]],
+  ["LBP", "422", 2, "ل.ل", "Lebanese Pound", ["LB"]],
+  ["LKR", "144", 2, "Rs", "Sri Lanka Rupee", ["LK"]],
+  ["LRD", "430", 2, "L$", "Liberian Dollar", ["LR"]],
+  ["LSL", "426", 2, "L", "Loti", ["LS"]],
+  ["LYD", "434", 3, "ل.د", "Libyan Dinar", ["LY"]],
+  ["MAD", "504", 2, "د.م.", "Moroccan Dirham", ["MA", "EH"]],
+  ["MDL", "498", 2, "L", "Moldovan Leu", ["MD"]],
+  ["MGA", "969", 2, "Ar", "Malagasy Ariary", ["MG"]],
+  ["MKD", "807", 2, "ден", "Denar", ["MK"]],
+  ["MMK", "104", 2, "K", "Kyat", ["MM"]],
+  ["MNT", "496", 2, "₮", "Tugrik", ["MN"]],
+  ["MOP", "446", 2, "MOP$", "Pataca", ["MO"]],
+  ["MRU", "929", 2, "UM", "Ouguiya", ["MR"]],
+  ["MUR", "480", 2, "₨", "Mauritius Rupee", ["MU"]],
+  ["MVR", "462", 2, "Rf", "Rufiyaa", ["MV"]],
+  ["MWK", "454", 2, "MK", "Malawi Kwacha", ["MW"]],
+  ["MXN", "484", 2, "$", "Mexican Peso", ["MX"]],
+  ["MYR", "458", 2, "RM", "Malaysian Ringgit", ["MY"]],
+  ["MZN", "943", 2, "MT", "Mozambique Metical", ["MZ"]],
+  ["NAD", "516", 2, "N$", "Namibia Dollar", ["NA"]],
+  ["NGN", "566", 2, "₦", "Naira", ["NG"]],
+  ["NIO", "558", 2, "C$", "Cordoba Oro", ["NI"]],
+  ["NOK", "578", 2, "kr", "Norwegian Krone", ["NO", "SJ", "BV"]],
+  ["NPR", "524", 2, "Rs", "Nepalese Rupee", ["NP"]],
+  ["NZD", "554", 2, "NZ$", "New Zealand Dollar", ["NZ", "CK", "NU", "PN", "TK"]],
+  ["OMR", "512", 3, "ر.ع.", "Rial Omani", ["OM"]],
+  ["PAB", "590", 2, "B/.", "Balboa", ["PA"]],
+  ["PEN", "604", 2, "S/", "Sol", ["PE"]],
+  ["PGK", "598", 2, "K", "Kina", ["PG"]],
+  ["PHP", "608", 2, "₱", "Philippine Peso", ["PH"]],
+  ["PKR", "586", 2, "Rs", "Pakistan Rupee", ["PK"]],
+  ["PLN", "985", 2, "zł", "Zloty", ["PL"]],
+  ["PYG", "600", 0, "₲", "Guarani", ["PY"]],
+  ["QAR", "634", 2, "ر.ق", "Qatari Rial", ["QA"]],
+  ["RON", "946", 2, "lei", "Romanian Leu", ["RO"]],
+  ["RSD", "941", 2, "дин.", "Serbian Dinar", ["RS"]],
+  ["RUB", "643", 2, "₽", "Russian Ruble", ["RU"]],
+  ["RWF", "646", 0, "FRw", "Rwanda Franc", ["RW"]],
+  ["SAR", "682", 2, "ر.س", "Saudi Riyal", ["SA"]],
+  ["SBD", "090", 2, "SI$", "Solomon Islands Dollar", ["SB"]],
+  ["SCR", "690", 2, "SRe", "Seychelles Rupee", ["SC"]],
+  ["SDG", "938", 2, "ج.س.", "Sudanese Pound", ["SD"]],
+  ["SEK", "752", 2, "kr", "Swedish Krona", ["SE"]],
+  ["SGD", "702", 2, "S$", "Singapore Dollar", ["SG"]],
+  ["SHP", "654", 2, "£", "Saint Helena Pound", ["SH"]],
+  ["SLE", "925", 2, "Le", "Leone", ["SL"]],
+  ["SOS", "706", 2, "Sh", "Somali Shilling", ["SO"]],
+  ["SRD", "968", 2, "$", "Surinam Dollar", ["SR"]],
+  ["SSP", "728", 2, "£", "South Sudanese Pound", ["SS"]],
+  ["STN", "930", 2, "Db", "Dobra", ["ST"]],
+  ["SVC", "222", 2, "₡", "El Salvador Colon", ["SV"]],
+  ["SYP", "760", 2, "£S", "Syrian Pound", ["SY"]],
+  ["SZL", "748", 2, "E", "Lilangeni", ["SZ"]],
+  ["THB", "764", 2, "฿", "Baht", ["TH"]],
+  ["TJS", "972", 2, "SM", "Somoni", ["TJ"]],
+  ["TMT", "934", 2, "m", "Turkmenistan New Manat", ["TM"]],
+  ["TND", "788", 3, "د.ت", "Tunisian Dinar", ["TN"]],
+  ["TOP", "776", 2, "T$", "Pa’anga", ["TO"]],
+  ["TRY", "949", 2, "₺", "Turkish Lira", ["TR"]],
+  ["TTD", "780", 2, "TT$", "Trinidad and Tobago Dollar", ["TT"]],
+  ["TWD", "901", 2, "NT$", "New Taiwan Dollar", ["TW"]],
+  ["TZS", "834", 2, "TSh", "Tanzanian Shilling", ["TZ"]],
+  ["UAH", "980", 2, "₴", "Hryvnia", ["UA"]],
+  ["UGX", "800", 0, "USh", "Uganda Shilling", ["UG"]],
+  ["USD", "840", 2, "$", "US Dollar", ["US", "AS", "BQ", "EC", "FM", "GU", "IO", "MH", "MP", "PA", "PR", "PW", "SV", "TC", "TL", "UM", "VG", "VI"]],
+  ["UYU", "858", 2, "$U", "Peso Uruguayo", ["UY"]],
+  ["UZS", "860", 2, "soʻm", "Uzbekistan Sum", ["UZ"]],
+  ["VES", "928", 2, "Bs.S", "Bolívar Soberano", ["VE"]],
+  ["VND", "704", 0, "₫", "Dong", ["VN"]],
+  ["VUV", "548", 0, "VT", "Vatu", ["VU"]],
+  ["WST", "882", 2, "WS$", "Tala", ["WS"]],
+  ["XAF", "950", 0, "FCFA", "CFA Franc BEAC", ["CM", "CF", "TD", "CG", "GQ", "GA"]],
+  ["XCD", "951", 2, "EC$", "East Caribbean Dollar", ["AG", "AI", "DM", "GD", "KN", "LC", "MS", "VC"]],
+  ["XCG", "532", 2, "Cg", "Caribbean Guilder", ["CW", "SX"]],
+  ["XOF", "952", 0, "CFA", "CFA Franc BCEAO", ["BJ", "BF", "CI", "GW", "ML", "NE", "SN", "TG"]],
+  ["XPF", "953", 0, "₣", "CFP Franc", ["NC", "PF", "WF"]],
+  ["YER", "886", 2, "﷼", "Yemeni Rial", ["YE"]],
+  ["ZAR", "710", 2, "R", "Rand", ["ZA", "LS", "NA"]],
+  ["ZMW", "967", 2, "ZK", "Zambian Kwacha", ["ZM"]],
+  ["ZWG", "924", 2, "ZiG", "Zimbabwe Gold", ["ZW"]],
+];
+
+const CURRENCIES = new Map(
+  CURRENCY_DATA.map(
+    ([code, numericCode, exponent, symbol, name, countries]) => [
+      code,
+      Object.freeze({ code, numericCode, exponent, symbol, name, countries }),
+    ]
+  )
+);
+
+const CURRENCY_CODES = Array.from(CURRENCIES.keys());
+
+/**
+ * Normalize a currency code to upper case
+ * @param {string} code - Currency code in any case
+ * @returns {string} Upper-case code
+ */
+const normalizeCode = (code) => String(code || "").toUpperCase();
+
+/**
+ * Check whether a code is a known ISO 4217 currency
+ * @param {string} code - Currency code
+ * @returns {boolean} True if known
+ */
+const isKnownCurrency = (code) => CURRENCIES.has(normalizeCode(code));
+
+/**
+ * Get the registry entry for a currency
+ * @param {string} code - Currency code
+ * @returns {Object} { code, numericCode, exponent, symbol, name, countries }
+ */
+const getCurrency = (code) => {
+  const currency = CURRENCIES.get(normalizeCode(code));
+
+  if (!currency) {
+    throw new Error(`Unknown currency: ${code}`);
+  }
+
+  return currency;
+};
+
+/**
+ * Get the ISO 4217 exponent (number of minor-unit digits)
+ * @param {string} code - Currency code
+ * @returns {number} Exponent
+ */
+const getExponent = (code) => getCurrency(code).exponent;
+
+/**
+ * Get the currencies used in a country
+ * @param {string} country - ISO 3166-1 alpha-2 code
+ * @returns {Array} Currency codes
+ */
+const getCurrenciesForCountry = (country) => {
+  const normalized = String(country || "").toUpperCase();
+
+  return CURRENCY_CODES.filter((code) =>
+    CURRENCIES.get(code).countries.includes(normalized)
+  );
+};
+
+/**
+ * Check that an amount is a positive integer number of minor units
+ * @param {*} amount - Amount to check
+ * @returns {boolean} True if valid
+ */
+const isValidMinorAmount = (amount) =>
+  Number.isSafeInteger(amount) && amount > 0;
+
+/**
+ * Re-express an integer amount at a different exponent using integer
+ * arithmetic only. Scaling down must not drop a non-zero fraction.
+ * @param {number} amount - Integer amount
+ * @param {number} fromExponent - Exponent the amount is expressed in
+ * @param {number} toExponent - Exponent to convert to
+ * @returns {number} Converted integer amount
+ */
+const convertExponent = (amount, fromExponent, toExponent) => {
+  if (fromExponent === toExponent) {
+    return amount;
+  }
+
+  if (toExponent > fromExponent) {
+    return amount * 10 ** (toExponent - fromExponent);
+  }
+
+  const divisor = 10 ** (fromExponent - toExponent);
+
+  if (amount % divisor !== 0) {
+    throw new Error(
+      `Amount ${amount} cannot be expressed with ${toExponent} decimal places`
+    );
+  }
+
+  return amount / divisor;
+};
+
+/**
+ * Format a minor-unit amount as a decimal string (for display and logs)
+ * @param {number} amount - Integer minor units
+ * @param {string} code - Currency code
+ * @returns {string} Decimal string, e.g. "10.00"
+ */
+const formatAmount = (amount, code) => {
+  const exponent = getExponent(code);
+
+  if (exponent === 0) {
+    return String(amount);
+  }
+
+  const digits = String(Math.abs(amount)).padStart(exponent + 1, "0");
+  const sign = amount < 0 ? "-" : "";
+
+  return `${sign}${digits.slice(0, -exponent)}.${digits.slice(-exponent)}`;
+};
+
+module.exports = {
+  CURRENCY_CODES,
+  normalizeCode,
+  isKnownCurrency,
+  getCurrency,
+  getCurrenciesForCountry,
+  getExponent,
+  isValidMinorAmount,
+  convertExponent,
+  formatAmount,
+};
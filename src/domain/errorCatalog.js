@@ -0,0 +1,111 @@
+/**
+ * Unified Gateway Error Catalog
+ * Every adapter translates its gateway's errors into these codes, so
+ * clients can branch on them without knowing which gateway was used.
+ */
+
+const ErrorCode = Object.freeze({
+  CARD_DECLINED: "card_declined",
+  INSUFFICIENT_FUNDS: "insufficient_funds",
+  EXPIRED_CARD: "expired_card",
+  INCORRECT_CVC: "incorrect_cvc",
+  INVALID_CARD: "invalid_card",
+  AUTHENTICATION_REQUIRED: "authentication_required",
+  PROCESSING_ERROR: "processing_error",
+  INVALID_REQUEST: "invalid_request",
+  INVALID_AMOUNT: "invalid_amount",
+  CURRENCY_NOT_SUPPORTED: "currency_not_supported",
+  RESOURCE_NOT_FOUND: "resource_not_found",
+  DUPLICATE_REQUEST: "duplicate_request",
+  GATEWAY_AUTHENTICATION_FAILED: "gateway_authentication_failed",
+  RATE_LIMITED: "rate_limited",
+  GATEWAY_UNAVAILABLE: "gateway_unavailable",
+  GATEWAY_TIMEOUT: "gateway_timeout",
+  CIRCUIT_OPEN: "circuit_open",
+  UNKNOWN_ERROR: "unknown_error",
+});
+
+/**
+ * Code -> HTTP status returned to the client, whether the same payment
+ * may be retried (later or on another gateway), and a description
+ */
+// prettier-ignore
+const ERROR_CATALOG = Object.freeze({
+  [ErrorCode.CARD_DECLINED]: { httpStatus: 402, retryable: false, description: "The card was declined" },
+  [ErrorCode.INSUFFICIENT_FUNDS]: { httpStatus: 402, retryable: false, description: "The card has insufficient funds" },
+  [ErrorCode.EXPIRED_CARD]: { httpStatus: 402, retryable: false, description: "The card has expired" },
+  [ErrorCode.INCORRECT_CVC]: { httpStatus: 402, retryable: false, description: "The card's security code is incorrect" },
+  [ErrorCode.INVALID_CARD]: { httpStatus: 402, retryable: false, description: "The card number or expiry date is invalid" },
+  [ErrorCode.AUTHENTICATION_REQUIRED]: { httpStatus: 402, retryable: false, description: "The customer must authenticate the payment (3-D Secure, OTP)" },
+  [ErrorCode.PROCESSING_ERROR]: { httpStatus: 502, retryable: true, description: "The gateway could not process the card" },
+  [ErrorCode.INVALID_REQUEST]: { httpStatus: 400, retryable: false, description: "The request is missing or has invalid fields" },
+  [ErrorCode.INVALID_AMOUNT]: { httpStatus: 400, retryable: false, description: "The amount is outside the gateway's limits" },
+  [ErrorCode.CURRENCY_NOT_SUPPORTED]: { httpStatus: 400, retryable: false, description: "The gateway cannot charge in this currency" },
+  [ErrorCode.RESOURCE_NOT_FOUND]: { httpStatus: 404, retryable: false, description: "The payment or refund does not exist at the gateway" },
+  [ErrorCode.DUPLICATE_REQUEST]: { httpStatus: 409, retryable: false, description: "The gateway already has a request with this reference" },
+  [ErrorCode.GATEWAY_AUTHENTICATION_FAILED]: { httpStatus: 502, retryable: false, description: "The gateway rejected the configured credentials" },
+  [ErrorCode.RATE_LIMITED]: { httpStatus: 429, retryable: true, description: "The gateway is rate limiting requests" },
+  [ErrorCode.GATEWAY_UNAVAILABLE]: { httpStatus: 502, retryable: true, description: "The gateway returned a server error or could not be reached" },
+  [ErrorCode.GATEWAY_TIMEOUT]: { httpStatus: 504, retryable: true, description: "The gateway did not respond in time" },
+  [ErrorCode.CIRCUIT_OPEN]: { httpStatus: 503, retryable: true, description: "The gateway is failing; the call was not sent" },
+  [ErrorCode.UNKNOWN_ERROR]: { httpStatus: 500, retryable: false, description: "The error could not be classified" },
+});
+
+/**
+ * Check whether a code is in the catalog
+ * @param {string} code - Error code
+ * @returns {boolean} True if known
+ */
+const isKnownErrorCode = (code) =>
+  Object.prototype.hasOwnProperty.call(ERROR_CATALOG, code);
+
+/**
+ * Get the catalog entry for a code, falling back to unknown_error
+ * @param {string} code - Error code
+ * @returns {Object} { code, httpStatus, retryable, description }
+ */
+const getErrorDefinition = (code) => {
+  const known = isKnownErrorCode(code) ? code : ErrorCode.UNKNOWN_ERROR;
+  return { code: known, ...ERROR_CATALOG[known] };
+};
+
+/**
+ * Map an HTTP status from a gateway onto a catalog code
+ * @param {number} statusCode - Gateway response status
+ * @returns {string} Error code
+ */
+const codeForHttpStatus = (statusCode) => {
+  if (!statusCode) {
+    return ErrorCode.UNKNOWN_ERROR;
+  }
+
+  if (statusCode === 429) {
+    return ErrorCode.RATE_LIMITED;
+  }
+
+  if (statusCode >= 500) {
+    return ErrorCode.GATEWAY_UNAVAILABLE;
+  }
+
+  if (statusCode === 401 || statusCode === 403) {
+    return ErrorCode.GATEWAY_AUTHENTICATION_FAILED;
+  }
+
+  if (statusCode === 404) {
+    return ErrorCode.RESOURCE_NOT_FOUND;
+  }
+
+  if (statusCode === 409) {
+    return ErrorCode.DUPLICATE_REQUEST;
+  }
+
+  return ErrorCode.INVALID_REQUEST;
+};
+
+module.exports = {
+  ErrorCode,
+  ERROR_CATALOG,
+  isKnownErrorCode,
+  getErrorDefinition,
+  codeForHttpStatus,
+};
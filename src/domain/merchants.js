@@ -0,0 +1,19 @@
+/**
+ * Merchants
+ * Records carry the ID of the merchant they belong to, or null for the
+ * platform. Merchant API keys only reach their own merchant's records;
+ * platform keys, which operate the service, reach every record.
+ */
+
+/**
+ * Check whether a caller can see a record
+ * @param {Object} record - Record with a merchantId
+ * @param {string|null} merchantId - Caller's merchant (null for platform)
+ * @returns {boolean} True if visible
+ */
+const isAccessibleTo = (record, merchantId) =>
+  !merchantId || record.merchantId === merchantId;
+
+module.exports = {
+  isAccessibleTo,
+};
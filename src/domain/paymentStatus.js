@@ -0,0 +1,119 @@
+/**
+ * Unified Payment Lifecycle
+ * Every adapter maps its gateway statuses onto these values.
+ */
+const { AppError } = require("../middleware/errorHandler");
+
+const PaymentStatus = Object.freeze({
+  CREATED: "created",
+  PENDING: "pending",
+  REQUIRES_ACTION: "requires_action",
+  AUTHORIZED: "authorized",
+  CAPTURED: "captured",
+  FAILED: "failed",
+  CANCELED: "canceled",
+  PARTIALLY_REFUNDED: "partially_refunded",
+  REFUNDED: "refunded",
+  DISPUTED: "disputed",
+});
+
+// When an authorized payment is captured: straight away, or by a later
+// capture call (funds are held until then)
+const CaptureMethod = Object.freeze({
+  AUTOMATIC: "automatic",
+  MANUAL: "manual",
+});
+
+const {
+  CREATED,
+  PENDING,
+  REQUIRES_ACTION,
+  AUTHORIZED,
+  CAPTURED,
+  FAILED,
+  CANCELED,
+  PARTIALLY_REFUNDED,
+  REFUNDED,
+  DISPUTED,
+} = PaymentStatus;
+
+/**
+ * Allowed transitions, keyed by current status.
+ * A failed attempt may be retried (Stripe returns the intent to
+ * requires_payment_method), so failed is not terminal; canceled is.
+ */
+const TRANSITIONS = Object.freeze({
+  [CREATED]: [PENDING, REQUIRES_ACTION, AUTHORIZED, CAPTURED, FAILED, CANCELED],
+  [PENDING]: [REQUIRES_ACTION, AUTHORIZED, CAPTURED, FAILED, CANCELED],
+  [REQUIRES_ACTION]: [PENDING, AUTHORIZED, CAPTURED, FAILED, CANCELED],
+  [AUTHORIZED]: [CAPTURED, FAILED, CANCELED],
+  [CAPTURED]: [PARTIALLY_REFUNDED, REFUNDED, DISPUTED],
+  [FAILED]: [PENDING, REQUIRES_ACTION, AUTHORIZED, CAPTURED, CANCELED],
+  [CANCELED]: [],
+  [PARTIALLY_REFUNDED]: [PARTIALLY_REFUNDED, REFUNDED, DISPUTED],
+  [REFUNDED]: [DISPUTED],
+  [DISPUTED]: [CAPTURED, PARTIALLY_REFUNDED, REFUNDED],
+});
+
+/**
+ * Check whether a value is a unified status
+ * @param {string} status - Status to check
+ * @returns {boolean} True if known
+ */
+const isValidStatus = (status) =>
+  Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+
+/**
+ * Check whether a payment may move between two statuses.
+ * Staying in the same status is always allowed.
+ * @param {string} from - Current status
+ * @param {string} to - Next status
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (from, to) => {
+  if (!isValidStatus(to)) {
+    return false;
+  }
+
+  if (!from || from === to) {
+    return true;
+  }
+
+  return isValidStatus(from) && TRANSITIONS[from].includes(to);
+};
+
+/**
+ * Validate a transition, throwing when it is not allowed
+ * @param {string} from - Current status
+ * @param {string} to - Next status
+ * @returns {string} The next status
+ */
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    throw new AppError(
+      `Invalid payment status transition from '${from}' to '${to}'`,
+      409,
+      "INVALID_STATUS_TRANSITION"
+    );
+  }
+
+  return to;
+};
+
+/**
+ * Check whether a payment can no longer change status
+ * @param {string} status - Current status
+ * @returns {boolean} True for terminal statuses
+ */
+const isTerminal = (status) =>
+  isValidStatus(status) && TRANSITIONS[status].length === 0;
+
+module.exports = {
+  PaymentStatus,
+  CaptureMethod,
+  TRANSITIONS,
+  isValidStatus,
+  canTransition,
+  assertTransition,
+  isTerminal,
+};
@@ -0,0 +1,148 @@
+/**
+ * Rate Limits
+ * Quotas are counted per API key and per merchant, separately for payment
+ * calls and for everything else. Each quota allows `limit` requests per
+ * `windowMs`, enforced with one of two algorithms:
+ *
+ *   sliding-window - counts this window plus a weighted share of the last
+ *                    one, so bursts at a window boundary are not doubled
+ *   token-bucket   - `limit` tokens refilled evenly over `windowMs`, so a
+ *                    full bucket allows a burst of `limit`
+ *
+ * The functions here are the reference implementations; stores must
+ * apply them atomically (see stores/RedisRateLimitStore for the Lua port).
+ */
+
+const RateLimitAlgorithm = Object.freeze({
+  SLIDING_WINDOW: "sliding-window",
+  TOKEN_BUCKET: "token-bucket",
+});
+
+const RateLimitQuota = Object.freeze({
+  PAYMENTS: "payments",
+  READS: "reads",
+});
+
+/**
+ * Count a request in a sliding window
+ * @param {Object|null} state - { windowStart, current, previous }
+ * @param {Object} quota - { limit, windowMs }
+ * @param {number} now - Current time in ms
+ * @returns {Object} { state, result: { allowed, remaining, resetMs,
+ *   retryAfterMs } }
+ */
+const slidingWindow = (state, { limit, windowMs }, now) => {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  let current = 0;
+  let previous = 0;
+
+  if (state && state.windowStart === windowStart) {
+    ({ current, previous } = state);
+  } else if (state && state.windowStart === windowStart - windowMs) {
+    previous = state.current;
+  }
+
+  const elapsed = now - windowStart;
+  const count = previous * (1 - elapsed / windowMs) + current;
+  const allowed = count + 1 <= limit;
+  const resetMs = windowMs - elapsed;
+  let retryAfterMs = 0;
+
+  if (!allowed) {
+    // Wait until the last window's share has decayed enough, or for the
+    // next window if this one alone is full
+    retryAfterMs =
+      current + 1 <= limit && previous > 0
+        ? Math.ceil(windowMs * (1 - (limit - 1 - current) / previous)) - elapsed
+        : resetMs;
+  }
+
+  return {
+    state: {
+      windowStart,
+      current: allowed ? current + 1 : current,
+      previous,
+    },
+    result: {
+      allowed,
+      remaining: Math.max(0, Math.floor(limit - count - (allowed ? 1 : 0))),
+      resetMs,
+      retryAfterMs,
+    },
+  };
+};
+
+/**
+ * Take a token from a bucket
+ * @param {Object|null} state - { tokens, updatedAt }
+ * @param {Object} quota - { limit, windowMs }
+ * @param {number} now - Current time in ms
+ * @returns {Object} { state, result } as for slidingWindow; resetMs is
+ *   the time until the bucket is full again
+ */
+const tokenBucket = (state, { limit, windowMs }, now) => {
+  const refillRate = limit / windowMs;
+  const tokens = state
+    ? Math.min(limit, state.tokens + (now - state.updatedAt) * refillRate)
+    : limit;
+  const allowed = tokens >= 1;
+  const left = allowed ? tokens - 1 : tokens;
+
+  return {
+    state: { tokens: left, updatedAt: now },
+    result: {
+      allowed,
+      remaining: Math.floor(left),
+      resetMs: Math.ceil((limit - left) / refillRate),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillRate),
+    },
+  };
+};
+
+const ALGORITHMS = {
+  [RateLimitAlgorithm.SLIDING_WINDOW]: slidingWindow,
+  [RateLimitAlgorithm.TOKEN_BUCKET]: tokenBucket,
+};
+
+/**
+ * Get the reference implementation of an algorithm
+ * @param {string} algorithm - RateLimitAlgorithm value
+ * @returns {Function} (state, quota, now) => { state, result }
+ */
+const getAlgorithm = (algorithm) => {
+  const apply = ALGORITHMS[algorithm];
+
+  if (!apply) {
+    throw new Error(`Unsupported rate limit algorithm: ${algorithm}`);
+  }
+
+  return apply;
+};
+
+/**
+ * Check per-key or per-merchant quota overrides: an object mapping quota
+ * names to { limit, windowMs }, with windows of at least a second
+ * @param {Object} overrides - Overrides to check
+ * @returns {boolean} True if valid
+ */
+const isValidQuotaOverrides = (overrides) =>
+  Boolean(overrides) &&
+  typeof overrides === "object" &&
+  Object.entries(overrides).every(
+    ([name, quota]) =>
+      Object.values(RateLimitQuota).includes(name) &&
+      Boolean(quota) &&
+      Number.isInteger(quota.limit) &&
+      quota.limit >= 1 &&
+      Number.isInteger(quota.windowMs) &&
+      quota.windowMs >= 1000
+  );
+
+module.exports = {
+  RateLimitAlgorithm,
+  RateLimitQuota,
+  slidingWindow,
+  tokenBucket,
+  getAlgorithm,
+  isValidQuotaOverrides,
+};
@@ -0,0 +1,191 @@
+/**
+ * Plans and Subscriptions
+ * Subscriptions are billed by this API: each period is charged to the
+ * customer's saved payment method when the previous one ends. A failed
+ * renewal starts dunning: the charge is retried on a schedule until it is
+ * paid or the schedule runs out.
+ */
+
+const { ErrorCode, getErrorDefinition } = require("./errorCatalog");
+
+const PlanInterval = Object.freeze({
+  DAY: "day",
+  WEEK: "week",
+  MONTH: "month",
+  YEAR: "year",
+});
+
+const SubscriptionStatus = Object.freeze({
+  TRIALING: "trialing",
+  ACTIVE: "active",
+  PAST_DUE: "past_due",
+  PAUSED: "paused",
+  // Dunning ran out; not billed until resumed
+  UNPAID: "unpaid",
+  CANCELED: "canceled",
+});
+
+// Statuses whose period end triggers a renewal charge
+const RENEWABLE_STATUSES = Object.freeze([
+  SubscriptionStatus.TRIALING,
+  SubscriptionStatus.ACTIVE,
+]);
+
+// Why a subscription charge was made
+const SubscriptionChargeType = Object.freeze({
+  INITIAL: "initial",
+  RENEWAL: "renewal",
+  RETRY: "retry",
+  PRORATION: "proration",
+});
+
+// What happens to a subscription when dunning runs out
+const DunningFinalAction = Object.freeze({
+  CANCEL: "cancel",
+  PAUSE: "pause",
+  MARK_UNPAID: "unpaid",
+});
+
+// How dunning ended
+const DunningOutcome = Object.freeze({
+  RECOVERED: "recovered",
+  EXHAUSTED: "exhausted",
+  // The subscription was paused or canceled first
+  STOPPED: "stopped",
+});
+
+/**
+ * When a failed subscription charge is tried again, by its normalized
+ * error code
+ */
+const RetryStrategy = Object.freeze({
+  // At the next step of the dunning schedule
+  SCHEDULED: "scheduled",
+  // Gateway trouble, not the card: within the hour, without using a step
+  SOON: "soon",
+  // The same card cannot succeed; steps only remind the customer
+  UPDATE_PAYMENT_METHOD: "update_payment_method",
+  // The customer must confirm the payment themselves
+  AUTHENTICATE: "authenticate",
+});
+
+// Codes whose card will keep failing until the customer replaces it. A
+// detached payment method surfaces as payment_method_not_found.
+const REPLACE_CARD_CODES = [
+  ErrorCode.EXPIRED_CARD,
+  ErrorCode.INVALID_CARD,
+  ErrorCode.INCORRECT_CVC,
+  "payment_method_not_found",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add billing intervals to a date. Months and years keep the day of the
+ * month where they can and otherwise use the month's last day (Jan 31 ->
+ * Feb 28), always counted from the original date.
+ * @param {Date} date - Start
+ * @param {string} interval - day, week, month or year
+ * @param {number} [count] - Number of intervals
+ * @returns {Date} End
+ */
+const addInterval = (date, interval, count = 1) => {
+  const start = new Date(date);
+
+  if (interval === PlanInterval.DAY || interval === PlanInterval.WEEK) {
+    const days = interval === PlanInterval.WEEK ? 7 * count : count;
+    return new Date(start.getTime() + days * DAY_MS);
+  }
+
+  const months = interval === PlanInterval.YEAR ? 12 * count : count;
+  const end = new Date(start);
+  end.setUTCDate(1);
+  end.setUTCMonth(end.getUTCMonth() + months);
+
+  const lastDay = new Date(
+    Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  end.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+
+  return end;
+};
+
+/**
+ * Share of an amount for the part of a period still to run, in minor
+ * units
+ * @param {number} amount - Amount for the whole period
+ * @param {Object} period - { start, end }
+ * @param {Date} at - When the share starts
+ * @returns {number} Prorated amount
+ */
+const prorate = (amount, period, at) => {
+  const start = new Date(period.start).getTime();
+  const end = new Date(period.end).getTime();
+  const remaining = Math.min(Math.max(end - at.getTime(), 0), end - start);
+
+  return end > start ? Math.round((amount * remaining) / (end - start)) : 0;
+};
+
+/**
+ * Pick the retry strategy for a failed charge. Declines such as
+ * card_declined and insufficient_funds often pass days later, so they
+ * follow the schedule.
+ * @param {string} code - Normalized error code
+ * @returns {string} Retry strategy
+ */
+const getRetryStrategy = (code) => {
+  if (REPLACE_CARD_CODES.includes(code)) {
+    return RetryStrategy.UPDATE_PAYMENT_METHOD;
+  }
+
+  if (code === ErrorCode.AUTHENTICATION_REQUIRED) {
+    return RetryStrategy.AUTHENTICATE;
+  }
+
+  return getErrorDefinition(code).retryable
+    ? RetryStrategy.SOON
+    : RetryStrategy.SCHEDULED;
+};
+
+// Fields a plan's dunning schedule may set
+const DUNNING_SCHEDULE_FIELDS = ["retryDays", "finalAction"];
+
+/**
+ * Check a dunning schedule: up to 10 steps, in days after the first
+ * failure, in increasing order, and no other fields
+ * @param {Object} dunning - { retryDays, finalAction }
+ * @returns {boolean} True if valid
+ */
+const isValidDunningSchedule = (dunning) =>
+  Boolean(dunning) &&
+  typeof dunning === "object" &&
+  !Array.isArray(dunning) &&
+  Object.keys(dunning).every((field) =>
+    DUNNING_SCHEDULE_FIELDS.includes(field)
+  ) &&
+  (dunning.retryDays === undefined ||
+    (Array.isArray(dunning.retryDays) &&
+      dunning.retryDays.length <= 10 &&
+      dunning.retryDays.every(
+        (day, index) =>
+          Number.isInteger(day) &&
+          day >= 1 &&
+          day <= 60 &&
+          (index === 0 || day > dunning.retryDays[index - 1])
+      ))) &&
+  (dunning.finalAction === undefined ||
+    Object.values(DunningFinalAction).includes(dunning.finalAction));
+
+module.exports = {
+  PlanInterval,
+  SubscriptionStatus,
+  RENEWABLE_STATUSES,
+  SubscriptionChargeType,
+  DunningFinalAction,
+  DunningOutcome,
+  RetryStrategy,
+  addInterval,
+  prorate,
+  getRetryStrategy,
+  isValidDunningSchedule,
+};
@@ -0,0 +1,53 @@
+/**
+ * Unified Webhook Events
+ * Every adapter translates its gateway events into these types
+ * (see BaseGatewayAdapter.normalizeWebhookEvent). Subscription events are
+ * raised by this API's own billing.
+ */
+
+const WebhookEventType = Object.freeze({
+  PAYMENT_PENDING: "payment.pending",
+  PAYMENT_REQUIRES_ACTION: "payment.requires_action",
+  PAYMENT_AUTHORIZED: "payment.authorized",
+  PAYMENT_SUCCEEDED: "payment.succeeded",
+  PAYMENT_FAILED: "payment.failed",
+  PAYMENT_CANCELED: "payment.canceled",
+  REFUND_PENDING: "refund.pending",
+  REFUND_SUCCEEDED: "refund.succeeded",
+  REFUND_FAILED: "refund.failed",
+  DISPUTE_OPENED: "dispute.opened",
+  DISPUTE_WON: "dispute.won",
+  DISPUTE_LOST: "dispute.lost",
+  TRANSFER_SUCCEEDED: "transfer.succeeded",
+  TRANSFER_FAILED: "transfer.failed",
+  TRANSFER_REVERSED: "transfer.reversed",
+  SUBSCRIPTION_RENEWED: "subscription.renewed",
+  SUBSCRIPTION_PAYMENT_FAILED: "subscription.payment_failed",
+  SUBSCRIPTION_ACTION_REQUIRED: "subscription.action_required",
+  SUBSCRIPTION_DUNNING_EXHAUSTED: "subscription.dunning_exhausted",
+  SUBSCRIPTION_CANCELED: "subscription.canceled",
+  UNKNOWN: "unknown",
+});
+
+/**
+ * Check whether a value is a unified event type
+ * @param {string} type - Event type to check
+ * @returns {boolean} True if known
+ */
+const isKnownEventType = (type) =>
+  Object.values(WebhookEventType).includes(type);
+
+/**
+ * Get the resource an event type is about
+ * @param {string} type - Unified event type
+ * @returns {string} payment, refund, dispute, transfer, subscription or
+ *   unknown
+ */
+const getEventCategory = (type) =>
+  isKnownEventType(type) ? type.split(".")[0] : WebhookEventType.UNKNOWN;
+
+module.exports = {
+  WebhookEventType,
+  isKnownEventType,
+  getEventCategory,
+};
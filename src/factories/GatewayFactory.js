@@ -1,74 +1,380 @@
 const StripeAdapter = require("../adapters/StripeAdapter");
 const PaystackAdapter = require("../adapters/PaystackAdapter");
+const MockAdapter = require("../adapters/MockAdapter");
+const merchantRepository = require("../repositories/MerchantRepository");
+const credentialCipher = require("../security/CredentialCipher");
+const { MerchantStatus } = merchantRepository;
+const { AppError } = require("../middleware/errorHandler");
+const { getCurrency } = require("../domain/currencies");
+const { KeyMode } = require("../domain/apiKeys");
+const { gateways, checkout } = require("../../config/production");
+const logger = require("../logger");
+
+// Credential fields of each gateway, with the environment variable suffix
+// each is read from
+const CREDENTIAL_FIELDS = {
+  stripe: {
+    secretKey: "SECRET_KEY",
+    publishableKey: "PUBLISHABLE_KEY",
+    webhookSecret: "WEBHOOK_SECRET",
+  },
+  paystack: {
+    secretKey: "SECRET_KEY",
+    publicKey: "PUBLIC_KEY",
+  },
+  mock: {
+    secretKey: "SECRET_KEY",
+    webhookSecret: "WEBHOOK_SECRET",
+    webhookUrl: "WEBHOOK_URL",
+  },
+};
+
+// Adapter class of each gateway
+const ADAPTER_CLASSES = {
+  stripe: StripeAdapter,
+  paystack: PaystackAdapter,
+  mock: MockAdapter,
+};
 
 /**
- * Gateway Factory - Manages payment gateway adapters
+ * Gateway Factory - Manages payment gateway adapters. Platform adapters
+ * come from environment variables; merchants bring their own credentials
+ * and get their own adapters, built on first use and cached.
  */
 class GatewayFactory {
   constructor() {
-    this.adapters = new Map();
+    // Adapters by mode, then by gateway name
+    this.adapters = this.createAdapterSet();
+    // Merchant ID -> { adapters, defaultGateways }
+    this.merchants = new Map();
     this.initializeAdapters();
   }
 
   /**
-   * Initialize all available payment gateway adapters
+   * Create an empty set of adapters, by mode then by gateway name
+   * @returns {Map<string, Map<string, BaseGatewayAdapter>>}
+   */
+  createAdapterSet() {
+    return new Map([
+      [KeyMode.LIVE, new Map()],
+      [KeyMode.TEST, new Map()],
+    ]);
+  }
+
+  /**
+   * Initialize all available payment gateway adapters. Each gateway's
+   * main credentials count as live or sandbox by their key prefix;
+   * STRIPE_TEST_* and PAYSTACK_TEST_* add sandbox credentials alongside
+   * live ones. MOCK_SECRET_KEY (a test key) enables the offline mock
+   * gateway.
    */
   initializeAdapters() {
-    // Initialize Stripe adapter
-    if (process.env.STRIPE_SECRET_KEY) {
-      this.adapters.set(
-        "stripe",
-        new StripeAdapter({
-          secretKey: process.env.STRIPE_SECRET_KEY,
-          publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
-          webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
-        })
+    for (const [gatewayName, fields] of Object.entries(CREDENTIAL_FIELDS)) {
+      const upperName = gatewayName.toUpperCase();
+
+      for (const prefix of [upperName, `${upperName}_TEST`]) {
+        if (!process.env[`${prefix}_SECRET_KEY`]) {
+          continue;
+        }
+
+        const credentials = Object.fromEntries(
+          Object.entries(fields).map(([field, suffix]) => [
+            field,
+            process.env[`${prefix}_${suffix}`],
+          ])
+        );
+
+        this.registerAdapter(
+          this.adapters,
+          gatewayName,
+          this.createAdapter(gatewayName, credentials),
+          `${prefix}_SECRET_KEY`
+        );
+      }
+    }
+  }
+
+  /**
+   * Create an adapter from a set of credentials
+   * @param {string} gatewayName - Name of the gateway
+   * @param {Object} credentials - Fields from CREDENTIAL_FIELDS
+   * @returns {BaseGatewayAdapter} Gateway adapter instance
+   */
+  createAdapter(gatewayName, credentials) {
+    switch (gatewayName) {
+      case "stripe":
+        return new StripeAdapter({
+          ...credentials,
+          callbackUrl: checkout.callbackUrl,
+          timeout: gateways.stripe.timeout,
+          retries: gateways.stripe.retries,
+          webhookTolerance: gateways.stripe.webhookTolerance,
+        });
+      case "paystack":
+        return new PaystackAdapter({
+          ...credentials,
+          callbackUrl: checkout.callbackUrl,
+          timeout: gateways.paystack.timeout,
+          retries: gateways.paystack.retries,
+          backoff: gateways.paystack.backoff,
+          preauthorization: gateways.paystack.preauthorization,
+        });
+      case "mock":
+        return new MockAdapter({
+          ...credentials,
+          callbackUrl: checkout.callbackUrl,
+          baseUrl: gateways.mock.baseUrl,
+          timeout: gateways.mock.timeout,
+          webhookDelay: gateways.mock.webhookDelay,
+          webhookTolerance: gateways.mock.webhookTolerance,
+        });
+      default:
+        throw new Error(`Unsupported payment gateway: ${gatewayName}`);
+    }
+  }
+
+  /**
+   * Register an adapter under the mode of its credentials
+   * @param {Map} adapters - Adapter set to add it to
+   * @param {string} gatewayName - Name of the gateway
+   * @param {BaseGatewayAdapter} adapter - Configured adapter
+   * @param {string} source - Where the credentials came from
+   */
+  registerAdapter(adapters, gatewayName, adapter, source) {
+    const modeAdapters = adapters.get(adapter.mode);
+
+    // Sandbox-only gateways (the mock) never serve live traffic
+    if (
+      (source.includes("_TEST_") || this.isSandboxOnly(gatewayName)) &&
+      adapter.mode !== KeyMode.TEST
+    ) {
+      logger.warn(`Ignoring ${source}: it is not a test key`);
+      return;
+    }
+
+    if (modeAdapters.has(gatewayName)) {
+      logger.warn(
+        `Ignoring ${source}: ${adapter.mode} ${gatewayName} credentials are already configured`
+      );
+      return;
+    }
+
+    modeAdapters.set(gatewayName, adapter);
+  }
+
+  /**
+   * Check whether a gateway only takes test credentials
+   * @param {string} gatewayName - Name of the gateway
+   * @returns {boolean} True for sandbox-only gateways
+   */
+  isSandboxOnly(gatewayName) {
+    const AdapterClass = ADAPTER_CLASSES[gatewayName.toLowerCase()];
+    return !!AdapterClass && AdapterClass.isSandboxOnly();
+  }
+
+  /**
+   * Get the credential fields a gateway takes
+   * @param {string} gatewayName - Name of the gateway
+   * @returns {Array<string>|null} Field names, or null for unknown gateways
+   */
+  getCredentialFields(gatewayName) {
+    const fields = CREDENTIAL_FIELDS[gatewayName.toLowerCase()];
+    return fields ? Object.keys(fields) : null;
+  }
+
+  /**
+   * Build and cache a merchant's adapters from its stored credentials.
+   * Does nothing for platform requests (no merchant) or once cached.
+   * @param {string|null} merchantId - Merchant ID
+   */
+  async loadMerchant(merchantId) {
+    if (!merchantId || this.merchants.has(merchantId)) {
+      return;
+    }
+
+    const merchant = await merchantRepository.findById(merchantId);
+
+    if (!merchant) {
+      throw new AppError(
+        `Merchant '${merchantId}' not found`,
+        404,
+        "MERCHANT_NOT_FOUND"
       );
     }
 
-    // Initialize Paystack adapter
-    if (process.env.PAYSTACK_SECRET_KEY) {
-      this.adapters.set(
-        "paystack",
-        new PaystackAdapter({
-          secretKey: process.env.PAYSTACK_SECRET_KEY,
-          publicKey: process.env.PAYSTACK_PUBLIC_KEY,
-        })
+    const adapters = this.createAdapterSet();
+
+    if (merchant.status === MerchantStatus.ACTIVE) {
+      for (const [gatewayName, settings] of Object.entries(merchant.gateways)) {
+        if (!settings.enabled) {
+          continue;
+        }
+
+        for (const [mode, stored] of Object.entries(settings.credentials)) {
+          const context = `${merchant.id}:${gatewayName}:${mode}`;
+
+          this.registerAdapter(
+            adapters,
+            gatewayName,
+            this.createAdapter(
+              gatewayName,
+              credentialCipher.decrypt(stored.encrypted, context)
+            ),
+            `merchant ${context} credentials`
+          );
+        }
+      }
+    }
+
+    this.merchants.set(merchantId, {
+      adapters,
+      defaultGateways: merchant.defaultGateways,
+    });
+  }
+
+  /**
+   * Drop a merchant's cached adapters, after its settings change
+   * @param {string} merchantId - Merchant ID
+   */
+  evictMerchant(merchantId) {
+    this.merchants.delete(merchantId);
+  }
+
+  /**
+   * Get the adapter set for the platform or a loaded merchant
+   * @param {string|null} merchantId - Merchant ID
+   * @returns {Map} Adapters by mode, then by gateway name
+   */
+  getAdapterSet(merchantId) {
+    if (!merchantId) {
+      return this.adapters;
+    }
+
+    if (!this.merchants.has(merchantId)) {
+      throw new Error(
+        `Gateways for merchant '${merchantId}' are not loaded (call loadMerchant first)`
       );
     }
+
+    return this.merchants.get(merchantId).adapters;
+  }
+
+  /**
+   * Get a merchant's preferred gateway order
+   * @param {string|null} merchantId - Merchant ID (loaded)
+   * @returns {Array<string>} Gateway names; empty for the platform
+   */
+  getDefaultGateways(merchantId) {
+    return merchantId ? this.merchants.get(merchantId).defaultGateways : [];
   }
 
   /**
    * Get a payment gateway adapter by name
    * @param {string} gatewayName - Name of the gateway (stripe, paystack, etc.)
+   * @param {string} mode - live or test; without it the live adapter is
+   *   preferred (for mode-independent work such as reading webhooks)
+   * @param {string|null} merchantId - Merchant whose credentials to use;
+   *   platform credentials when omitted
    * @returns {BaseGatewayAdapter} Gateway adapter instance
    */
-  getGateway(gatewayName) {
+  getGateway(gatewayName, mode, merchantId) {
     const normalizedName = gatewayName.toLowerCase();
+    const adapterSet = this.getAdapterSet(merchantId);
+    const modes = mode ? [mode] : [KeyMode.LIVE, KeyMode.TEST];
+
+    for (const candidate of modes) {
+      const adapters = adapterSet.get(candidate);
 
-    if (!this.adapters.has(normalizedName)) {
-      throw new Error(`Unsupported payment gateway: ${gatewayName}`);
+      if (adapters && adapters.has(normalizedName)) {
+        return adapters.get(normalizedName);
+      }
     }
 
-    return this.adapters.get(normalizedName);
+    throw new Error(
+      `Unsupported payment gateway: ${gatewayName}${
+        mode ? ` (${mode} mode)` : ""
+      }${merchantId ? ` for merchant '${merchantId}'` : ""}`
+    );
+  }
+
+  /**
+   * Get the adapters configured for a gateway, one per mode
+   * @param {string} gatewayName - Name of the gateway
+   * @param {string|null} merchantId - Merchant ID; platform when omitted
+   * @returns {Array<BaseGatewayAdapter>} Live adapter first
+   */
+  getGatewayAdapters(gatewayName, merchantId) {
+    const normalizedName = gatewayName.toLowerCase();
+
+    return Array.from(this.getAdapterSet(merchantId).values())
+      .filter((adapters) => adapters.has(normalizedName))
+      .map((adapters) => adapters.get(normalizedName));
   }
 
   /**
    * Get all available gateways
+   * @param {string} mode - live or test; all modes when omitted
+   * @param {string|null} merchantId - Merchant ID; platform when omitted
    * @returns {Array} List of available gateway names
    */
-  getAvailableGateways() {
-    return Array.from(this.adapters.keys());
+  getAvailableGateways(mode, merchantId) {
+    const names = Array.from(this.getAdapterSet(merchantId))
+      .filter(([adapterMode]) => !mode || adapterMode === mode)
+      .flatMap(([, adapters]) => Array.from(adapters.keys()));
+
+    return [...new Set(names)];
   }
 
   /**
    * Check if a gateway is available
    * @param {string} gatewayName - Name of the gateway
+   * @param {string} mode - live or test; any mode when omitted
+   * @param {string|null} merchantId - Merchant ID; platform when omitted
    * @returns {boolean} True if gateway is available
    */
-  isGatewayAvailable(gatewayName) {
-    const normalizedName = gatewayName.toLowerCase();
-    return this.adapters.has(normalizedName);
+  isGatewayAvailable(gatewayName, mode, merchantId) {
+    return this.getAvailableGateways(mode, merchantId).includes(
+      gatewayName.toLowerCase()
+    );
+  }
+
+  /**
+   * Identify the gateway that sent a webhook: the one whose signature
+   * header is present, narrowed by payload shape if several are
+   * @param {Object} headers - Request headers (lower-case names)
+   * @param {Object} payload - Parsed request body
+   * @param {string|null} merchantId - Merchant the webhook is for
+   * @returns {string|null} Gateway name, or null if it cannot be told
+   */
+  detectWebhookGateway(headers, payload, merchantId) {
+    const adapterFor = (name) => this.getGateway(name, null, merchantId);
+    let candidates = this.getAvailableGateways(null, merchantId).filter(
+      (name) => headers[adapterFor(name).getWebhookSignatureHeader()]
+    );
+
+    if (candidates.length > 1) {
+      candidates = candidates.filter((name) =>
+        adapterFor(name).isWebhookPayload(payload)
+      );
+    }
+
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  /**
+   * Identify the payment a customer returned from a gateway with. Several
+   * gateways may claim the same parameter (Paystack and the mock both send
+   * ?reference=), so every match is returned.
+   * @param {Object} query - Callback query parameters
+   * @returns {Array<Object>} { gateway, reference } candidates
+   */
+  getCallbackReferences(query) {
+    return Object.entries(ADAPTER_CLASSES)
+      .map(([gateway, Adapter]) => ({
+        gateway,
+        reference: Adapter.getCallbackReference(query),
+      }))
+      .filter(({ reference }) => typeof reference === "string");
   }
 
   /**
@@ -81,13 +387,19 @@ class GatewayFactory {
 
     return {
       name: gatewayName,
-      supportedCurrencies: gateway.getSupportedCurrencies(),
+      supportedCurrencies: gateway.getSupportedCurrencies().map((code) => {
+        const { numericCode, exponent, symbol, name } = getCurrency(code);
+        return { code, numericCode, exponent, symbol, name };
+      }),
+      currenciesByCountry: gateway.getCurrenciesByCountry(),
       supportedPaymentMethods: gateway.getSupportedPaymentMethods(),
       features: {
         refunds: true,
         webhooks: true,
         paymentIntents: true,
         statusChecking: true,
+        manualCapture: gateway.supportsManualCapture(),
+        partialCapture: gateway.supportsPartialCapture(),
       },
     };
   }
@@ -99,7 +411,7 @@ class GatewayFactory {
   getAllGatewayCapabilities() {
     const capabilities = {};
 
-    for (const [name, adapter] of this.adapters) {
+    for (const name of this.getAvailableGateways()) {
       capabilities[name] = this.getGatewayCapabilities(name);
     }
 
@@ -127,11 +439,19 @@ class GatewayFactory {
       warnings.push("All supported gateways are configured");
     }
 
+    if (this.isGatewayAvailable("mock")) {
+      warnings.push("The mock gateway is enabled: its payments are simulated");
+    }
+
     return {
       isValid: errors.length === 0,
       errors,
       warnings,
       availableGateways: this.getAvailableGateways(),
+      gatewaysByMode: {
+        live: this.getAvailableGateways(KeyMode.LIVE),
+        test: this.getAvailableGateways(KeyMode.TEST),
+      },
     };
   }
 
@@ -141,7 +461,7 @@ class GatewayFactory {
    */
   getGatewayStats() {
     const stats = {
-      totalGateways: this.adapters.size,
+      totalGateways: this.getAvailableGateways().length,
       availableGateways: this.getAvailableGateways(),
       configurationStatus: this.validateConfiguration(),
     };
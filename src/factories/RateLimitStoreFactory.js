@@ -0,0 +1,84 @@
+const MemoryRateLimitStore = require("../stores/MemoryRateLimitStore");
+const RedisRateLimitStore = require("../stores/RedisRateLimitStore");
+
+/**
+ * Rate Limit Store Factory - Creates the store every rate limiter shares,
+ * chosen by RATE_LIMIT_STORE (memory or redis)
+ */
+class RateLimitStoreFactory {
+  constructor() {
+    this.drivers = new Map([
+      ["memory", () => new MemoryRateLimitStore()],
+      ["redis", () => this.createRedisStore()],
+    ]);
+    this.store = null;
+  }
+
+  /**
+   * Register a custom store driver
+   * @param {string} name - Driver name used in RATE_LIMIT_STORE
+   * @param {Function} create - () => store extending BaseRateLimitStore
+   */
+  registerDriver(name, create) {
+    this.drivers.set(name.toLowerCase(), create);
+  }
+
+  /**
+   * Get (or create) the shared store
+   * @returns {BaseRateLimitStore} Store instance
+   */
+  getStore() {
+    if (!this.store) {
+      const driverName = (
+        process.env.RATE_LIMIT_STORE || "memory"
+      ).toLowerCase();
+      const create = this.drivers.get(driverName);
+
+      if (!create) {
+        throw new Error(`Unsupported rate limit store: ${driverName}`);
+      }
+
+      this.store = create();
+    }
+
+    return this.store;
+  }
+
+  /**
+   * Use a specific store, e.g. one built around an existing Redis client
+   * @param {BaseRateLimitStore} store - Store instance
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Connect to REDIS_URL with ioredis, which is only needed for this store
+   */
+  createRedisStore() {
+    if (!process.env.REDIS_URL) {
+      throw new Error(
+        "REDIS_URL must be set to use the redis rate limit store"
+      );
+    }
+
+    let Redis;
+
+    try {
+      Redis = require("ioredis");
+    } catch (error) {
+      throw new Error(
+        "The redis rate limit store needs the ioredis package (npm install ioredis)"
+      );
+    }
+
+    return new RedisRateLimitStore({
+      client: new Redis(process.env.REDIS_URL),
+    });
+  }
+}
+
+// Create singleton instance
+const rateLimitStoreFactory = new RateLimitStoreFactory();
+
+module.exports = rateLimitStoreFactory;
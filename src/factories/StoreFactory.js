@@ -0,0 +1,64 @@
+const path = require("path");
+const MemoryStore = require("../stores/MemoryStore");
+const FileStore = require("../stores/FileStore");
+const { persistence } = require("../../config/production");
+
+/**
+ * Store Factory - Creates one persistence store per collection
+ */
+class StoreFactory {
+  constructor() {
+    this.drivers = new Map([
+      ["memory", MemoryStore],
+      ["file", FileStore],
+    ]);
+    this.stores = new Map();
+  }
+
+  /**
+   * Get the configured driver name
+   * @returns {string} Driver name (memory, file, or a registered driver)
+   */
+  getDriverName() {
+    return persistence.driver.toLowerCase();
+  }
+
+  /**
+   * Register a custom store driver (e.g. a SQL or document database)
+   * @param {string} name - Driver name used in PERSISTENCE_DRIVER
+   * @param {Function} StoreClass - Class extending BaseStore
+   */
+  registerDriver(name, StoreClass) {
+    this.drivers.set(name.toLowerCase(), StoreClass);
+  }
+
+  /**
+   * Get (or create) the store for a collection
+   * @param {string} collection - Collection name (payments, webhook_events, ...)
+   * @returns {BaseStore} Store instance
+   */
+  getStore(collection) {
+    if (!this.stores.has(collection)) {
+      const driverName = this.getDriverName();
+      const StoreClass = this.drivers.get(driverName);
+
+      if (!StoreClass) {
+        throw new Error(`Unsupported persistence driver: ${driverName}`);
+      }
+
+      this.stores.set(
+        collection,
+        new StoreClass(collection, {
+          directory: path.resolve(persistence.dataDir),
+        })
+      );
+    }
+
+    return this.stores.get(collection);
+  }
+}
+
+// Create singleton instance
+const storeFactory = new StoreFactory();
+
+module.exports = storeFactory;
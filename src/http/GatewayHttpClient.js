@@ -0,0 +1,218 @@
+const http = require("http");
+const https = require("https");
+const { ErrorCode } = require("../domain/errorCatalog");
+
+// Methods that can be retried without an idempotency guarantee
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Shared keep-alive agents so gateway calls reuse TLS connections
+const agents = {
+  "http:": new http.Agent({ keepAlive: true }),
+  "https:": new https.Agent({ keepAlive: true }),
+};
+
+/**
+ * Error from a gateway HTTP call
+ */
+class GatewayError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "GatewayError";
+    this.gateway = options.gateway;
+    // Catalog code when known from the transport (timeout, unreachable);
+    // adapters translate HTTP errors from statusCode and gatewayCode
+    this.code = options.code || null;
+    this.statusCode = options.statusCode || null;
+    this.gatewayCode = options.gatewayCode || null;
+    this.requestId = options.requestId || null;
+    this.retryable = Boolean(options.retryable);
+    this.retryAfterMs = options.retryAfterMs || null;
+    this.details = {
+      statusCode: this.statusCode,
+      gatewayCode: this.gatewayCode,
+      requestId: this.requestId,
+    };
+  }
+}
+
+/**
+ * Gateway HTTP Client - JSON requests with a timeout, keep-alive
+ * connections and retries with exponential backoff for safe calls
+ */
+class GatewayHttpClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.gateway - Gateway label used in errors
+   * @param {string} options.baseUrl - API base URL
+   * @param {Object} [options.headers] - Headers sent on every request
+   * @param {number} [options.timeout] - Per-attempt timeout in ms
+   * @param {number} [options.retries] - Retries after the first attempt
+   * @param {Object} [options.backoff] - { baseMs, maxMs }
+   * @param {string} [options.requestIdHeader] - Response header with the request ID
+   */
+  constructor(options) {
+    this.gateway = options.gateway;
+    this.baseUrl = options.baseUrl;
+    this.headers = options.headers || {};
+    this.timeout = options.timeout ?? 10000;
+    this.retries = options.retries ?? 3;
+    this.backoff = { baseMs: 200, maxMs: 5000, ...options.backoff };
+    this.requestIdHeader = options.requestIdHeader || "x-request-id";
+    this.random = Math.random;
+    this.sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Send a request, retrying retryable failures when the call is safe
+   * @param {Object} request - { method, path, body, headers, idempotent }
+   *   idempotent defaults to true for GET/HEAD/OPTIONS only
+   * @returns {Promise<Object>} Parsed JSON response body
+   * @throws {GatewayError} On timeout, network error or non-2xx response
+   */
+  async request({ method = "GET", path, body, headers, idempotent }) {
+    const canRetry = idempotent ?? SAFE_METHODS.includes(method);
+    const maxAttempts = canRetry ? this.retries + 1 : 1;
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await this.send(method, path, body, headers);
+      } catch (error) {
+        if (!error.retryable || attempt >= maxAttempts) {
+          throw error;
+        }
+
+        await this.sleep(this.getDelay(attempt, error.retryAfterMs));
+      }
+    }
+  }
+
+  /**
+   * Backoff before the next attempt: full jitter over an exponential
+   * ceiling, or the gateway's Retry-After if it asked for longer
+   */
+  getDelay(attempt, retryAfterMs) {
+    const ceiling = Math.min(
+      this.backoff.maxMs,
+      this.backoff.baseMs * 2 ** (attempt - 1)
+    );
+    const delay = Math.round(this.random() * ceiling);
+
+    return Math.min(this.backoff.maxMs, Math.max(delay, retryAfterMs || 0));
+  }
+
+  /**
+   * Make one attempt
+   */
+  send(method, path, body, headers = {}) {
+    const url = new URL(path, this.baseUrl);
+    const payload = body ? JSON.stringify(body) : null;
+    const transport = url.protocol === "http:" ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(
+        url,
+        {
+          method,
+          agent: agents[url.protocol],
+          headers: {
+            Accept: "application/json",
+            ...this.headers,
+            ...(payload && {
+              "Content-Type": "application/json",
+              "Content-Length": Buffer.byteLength(payload),
+            }),
+            ...headers,
+          },
+        },
+        (res) => {
+          const chunks = [];
+
+          res.on("data", (chunk) => chunks.push(chunk));
+          res.on("error", (error) => req.destroy(error));
+          res.on("end", () => {
+            clearTimeout(timer);
+
+            const result = this.parseBody(Buffer.concat(chunks));
+
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+              resolve(result);
+            } else {
+              reject(this.responseError(res, result));
+            }
+          });
+        }
+      );
+
+      const timer = setTimeout(() => {
+        req.destroy(
+          new GatewayError(
+            `${this.gateway} request timed out after ${this.timeout}ms`,
+            {
+              gateway: this.gateway,
+              code: ErrorCode.GATEWAY_TIMEOUT,
+              retryable: true,
+            }
+          )
+        );
+      }, this.timeout);
+
+      req.on("error", (error) => {
+        clearTimeout(timer);
+        reject(
+          error instanceof GatewayError
+            ? error
+            : new GatewayError(
+                `${this.gateway} request failed: ${error.message}`,
+                {
+                  gateway: this.gateway,
+                  code: ErrorCode.GATEWAY_UNAVAILABLE,
+                  gatewayCode: error.code,
+                  retryable: true,
+                }
+              )
+        );
+      });
+
+      if (payload) {
+        req.write(payload);
+      }
+
+      req.end();
+    });
+  }
+
+  /**
+   * Parse a JSON body, tolerating HTML error pages from proxies
+   */
+  parseBody(buffer) {
+    try {
+      return buffer.length ? JSON.parse(buffer.toString("utf8")) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Build the error for a non-2xx response
+   */
+  responseError(res, result) {
+    const statusCode = res.statusCode;
+    const retryAfter = Number(res.headers["retry-after"]);
+
+    return new GatewayError(
+      `${this.gateway} request failed: ${
+        result.message || `HTTP ${statusCode}`
+      }`,
+      {
+        gateway: this.gateway,
+        statusCode,
+        gatewayCode: result.code || null,
+        requestId: res.headers[this.requestIdHeader] || null,
+        retryable: statusCode >= 500 || statusCode === 429,
+        retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null,
+      }
+    );
+  }
+}
+
+module.exports = { GatewayHttpClient, GatewayError };
@@ -0,0 +1,23 @@
+const winston = require("winston");
+
+/**
+ * Application Logger - The winston logger shared by the server and the
+ * services it runs. Silent under Jest so test output stays readable.
+ */
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || "info",
+  silent: process.env.NODE_ENV === "test",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: "unified-payments-api" },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    }),
+  ],
+});
+
+module.exports = logger;
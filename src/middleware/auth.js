@@ -2,111 +2,152 @@
  * Authentication Middleware
  */
 
+const apiKeyService = require("../services/ApiKeyService");
+const gatewayFactory = require("../factories/GatewayFactory");
+const {
+  SignatureHeader,
+  isSignedRequest,
+} = require("../security/requestSigning");
+
 /**
- * Validate API key from request headers
+ * Read the API key from the x-api-key or Authorization header
  */
-const validateApiKey = (req, res, next) => {
-  const apiKey = req.headers["x-api-key"] || req.headers["authorization"];
+const getApiKey = (req) => {
+  const header = req.headers["x-api-key"] || req.headers["authorization"];
+  return header ? header.replace(/^Bearer\s+/i, "") : null;
+};
 
-  if (!apiKey) {
+/**
+ * Authenticate a request by its signature or, when unsigned, by its API
+ * key, and load the gateways of the key's merchant
+ * @returns {Promise<Object>} Key
+ */
+const authenticateRequest = async (req) => {
+  const apiKey = isSignedRequest(req.headers)
+    ? await apiKeyService.authenticateSigned({
+        keyId: req.headers[SignatureHeader.KEY_ID],
+        timestamp: req.headers[SignatureHeader.TIMESTAMP],
+        nonce: req.headers[SignatureHeader.NONCE],
+        signature: req.headers[SignatureHeader.SIGNATURE],
+        method: req.method,
+        path: req.originalUrl,
+        body: req.rawBody,
+      })
+    : await apiKeyService.authenticate(getApiKey(req));
+
+  await gatewayFactory.loadMerchant(apiKey.merchantId);
+  return apiKey;
+};
+
+/**
+ * Authenticate a request at most once, however many middlewares ask: a
+ * signed request's nonce can only be used once. Failures are kept too.
+ * @returns {Promise<Object>} Key
+ */
+const authenticateOnce = (req) => {
+  if (!req.authentication) {
+    req.authentication = authenticateRequest(req);
+  }
+
+  return req.authentication;
+};
+
+/**
+ * Validate API key from request headers, or the request's signature. The
+ * key record (id, mode, scopes, merchantId) is available as req.apiKey,
+ * and the gateways of its merchant are loaded.
+ */
+const validateApiKey = async (req, res, next) => {
+  if (!getApiKey(req) && !isSignedRequest(req.headers)) {
     return res.status(401).json({
       success: false,
       error: "API key is required",
       message:
-        "Please provide an API key in the x-api-key header or Authorization header",
+        "Please provide an API key in the x-api-key header or Authorization header, or sign the request",
     });
   }
 
-  // For demo purposes, accept any API key
-  // In production, you would validate against a database
-  if (process.env.NODE_ENV === "production") {
-    // Check if API key is valid (implement your validation logic here)
-    const isValidKey = validateApiKeyAgainstDatabase(apiKey);
-
-    if (!isValidKey) {
-      return res.status(401).json({
-        success: false,
-        error: "Invalid API key",
-        message: "The provided API key is not valid",
-      });
+  try {
+    req.apiKey = await authenticateOnce(req);
+  } catch (error) {
+    if (!error.isOperational) {
+      return next(error);
     }
+
+    return res.status(error.statusCode).json({
+      success: false,
+      error: "Invalid API key",
+      code: error.code,
+      message: error.message,
+    });
   }
 
-  // Add API key to request for logging purposes
-  req.apiKey = apiKey;
   next();
 };
 
 /**
- * Validate API key against database (placeholder for production)
+ * Require a scope on the authenticated API key (use after validateApiKey)
+ * @param {string} scope - Scope from ApiKeyScope
  */
-const validateApiKeyAgainstDatabase = (apiKey) => {
-  // TODO: Implement actual API key validation
-  // This could involve:
-  // 1. Checking against a database of valid API keys
-  // 2. Validating JWT tokens
-  // 3. Checking API key permissions and rate limits
-
-  // For now, accept any non-empty key
-  return apiKey && apiKey.length > 0;
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      error: "Insufficient scope",
+      code: "INSUFFICIENT_SCOPE",
+      message: `This API key does not have the '${scope}' scope`,
+    });
+  }
+
+  next();
 };
 
 /**
- * Optional API key validation (for endpoints that can work with or without auth)
+ * Require a platform key, one not tied to a merchant (use after
+ * validateApiKey)
  */
-const optionalApiKey = (req, res, next) => {
-  const apiKey = req.headers["x-api-key"] || req.headers["authorization"];
-
-  if (apiKey) {
-    req.apiKey = apiKey;
-    req.isAuthenticated = true;
-  } else {
-    req.isAuthenticated = false;
+const requirePlatformKey = (req, res, next) => {
+  if (req.apiKey.merchantId) {
+    return res.status(403).json({
+      success: false,
+      error: "Platform API key required",
+      code: "PLATFORM_KEY_REQUIRED",
+      message: "This endpoint cannot be used with a merchant API key",
+    });
   }
 
   next();
 };
 
 /**
- * Rate limiting based on API key
+ * Optional API key validation (for endpoints that can work with or without auth)
  */
-const rateLimitByApiKey = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
-  const requests = new Map();
-
-  return (req, res, next) => {
-    const apiKey = req.apiKey || req.ip;
-    const now = Date.now();
-
-    if (!requests.has(apiKey)) {
-      requests.set(apiKey, { count: 1, resetTime: now + windowMs });
-    } else {
-      const userRequests = requests.get(apiKey);
-
-      if (now > userRequests.resetTime) {
-        userRequests.count = 1;
-        userRequests.resetTime = now + windowMs;
-      } else {
-        userRequests.count++;
-      }
-
-      if (userRequests.count > maxRequests) {
-        return res.status(429).json({
-          success: false,
-          error: "Rate limit exceeded",
-          message: `Too many requests. Limit: ${maxRequests} requests per ${
-            windowMs / 1000 / 60
-          } minutes`,
-          retryAfter: Math.ceil((userRequests.resetTime - now) / 1000),
-        });
+const optionalApiKey = async (req, res, next) => {
+  if (getApiKey(req) || isSignedRequest(req.headers)) {
+    try {
+      req.apiKey = await authenticateOnce(req);
+    } catch (error) {
+      if (!error.isOperational) {
+        return next(error);
       }
     }
+  }
 
-    next();
-  };
+  req.isAuthenticated = Boolean(req.apiKey);
+  next();
 };
 
+/**
+ * Authenticate requests that carry credentials before they are rate
+ * limited, so that only valid keys are exempt from the IP limit. Invalid
+ * credentials are reported by the routes' validateApiKey.
+ */
+const identifyApiKey = optionalApiKey;
+
 module.exports = {
   validateApiKey,
+  requireScope,
+  requirePlatformKey,
   optionalApiKey,
-  rateLimitByApiKey,
+  identifyApiKey,
 };
@@ -1,6 +1,11 @@
 /**
  * Error Handling Middleware
  */
+const {
+  isKnownErrorCode,
+  getErrorDefinition,
+  codeForHttpStatus,
+} = require("../domain/errorCatalog");
 
 /**
  * Global error handler
@@ -51,26 +56,13 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 401 };
   }
 
-  // Stripe errors
-  if (err.type === "StripeCardError") {
-    const message = err.message;
-    error = { message, statusCode: 400, code: "CARD_ERROR" };
-  }
-
-  if (err.type === "StripeInvalidRequestError") {
-    const message = err.message;
-    error = { message, statusCode: 400, code: "INVALID_REQUEST" };
-  }
-
-  if (err.type === "StripeAPIError") {
-    const message = "Payment service error";
-    error = { message, statusCode: 500, code: "PAYMENT_SERVICE_ERROR" };
-  }
-
-  // Paystack errors
-  if (err.message && err.message.includes("Paystack")) {
-    const message = err.message;
-    error = { message, statusCode: 400, code: "PAYSTACK_ERROR" };
+  // Gateway errors that escaped an adapter (adapters normally translate
+  // their own errors; see src/domain/errorCatalog.js)
+  if (err.name === "GatewayError" || (err.type || "").startsWith("Stripe")) {
+    const { code, httpStatus } = getErrorDefinition(
+      isKnownErrorCode(err.code) ? err.code : codeForHttpStatus(err.statusCode)
+    );
+    error = { message: err.message, statusCode: httpStatus, code };
   }
 
   // Default error
@@ -0,0 +1,122 @@
+/**
+ * Idempotency Middleware
+ */
+const crypto = require("crypto");
+const idempotencyRepository = require("../repositories/IdempotencyRepository");
+
+const DEFAULT_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Honor the Idempotency-Key header on mutating endpoints.
+ * The first response for a key is stored and replayed for retries with the
+ * same body; a different body gets 422 and a concurrent duplicate gets 409.
+ * req.idempotencyKey is the key scoped to the API key and route, so two
+ * clients sending the same value never share a gateway idempotency key.
+ */
+const idempotency = (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid Idempotency-Key",
+      message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  const ttlHours =
+    parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || DEFAULT_TTL_HOURS;
+  const scopedKey = hash(
+    [
+      req.apiKey ? req.apiKey.id : "anonymous",
+      req.baseUrl + req.path,
+      key,
+    ].join(":")
+  );
+  const fingerprint = hash(
+    [req.method, req.baseUrl + req.path, JSON.stringify(req.body || {})].join(
+      ":"
+    )
+  );
+
+  return idempotencyRepository
+    .claim(scopedKey, fingerprint, ttlHours * 60 * 60 * 1000)
+    .then(({ claimed, record }) => {
+      if (!claimed) {
+        return replay(res, record, fingerprint);
+      }
+
+      captureResponse(res, scopedKey);
+      req.idempotencyKey = scopedKey;
+      next();
+    })
+    .catch(next);
+};
+
+/**
+ * Answer a retried request from the stored record
+ */
+const replay = (res, record, fingerprint) => {
+  if (record.fingerprint !== fingerprint) {
+    return res.status(422).json({
+      success: false,
+      error: "Idempotency key reused with a different request",
+      message:
+        "This Idempotency-Key was already used with a different request body",
+    });
+  }
+
+  if (record.state !== "completed") {
+    return res.status(409).json({
+      success: false,
+      error: "Request in progress",
+      message: "A request with this Idempotency-Key is still being processed",
+    });
+  }
+
+  res.set("Idempotent-Replayed", "true");
+  return res.status(record.statusCode).json(record.body);
+};
+
+/**
+ * Store the response once it is sent; release the key on server errors or
+ * aborted requests so the client can retry
+ */
+const captureResponse = (res, scopedKey) => {
+  const json = res.json.bind(res);
+  let responseBody;
+
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on("close", () => {
+    const completed =
+      res.writableFinished &&
+      responseBody !== undefined &&
+      res.statusCode < 500;
+
+    const update = completed
+      ? idempotencyRepository.complete(scopedKey, res.statusCode, responseBody)
+      : idempotencyRepository.release(scopedKey);
+
+    update.catch((error) => {
+      console.error("Idempotency record update failed:", error.message);
+    });
+  });
+};
+
+/**
+ * SHA-256 hex digest
+ */
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+module.exports = {
+  idempotency,
+};
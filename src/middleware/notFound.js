@@ -4,6 +4,8 @@
 
 const notFound = (req, res, next) => {
   const error = new Error(`Not Found - ${req.originalUrl}`);
+  error.statusCode = 404;
+  error.code = "NOT_FOUND";
   res.status(404);
   next(error);
 };
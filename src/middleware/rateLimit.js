@@ -0,0 +1,158 @@
+/**
+ * Rate Limiting Middleware
+ * Counters live in the shared rate limit store, so limits hold across
+ * replicas. Responses carry RateLimit-* headers for the tightest quota
+ * that applied.
+ */
+
+const rateLimitStoreFactory = require("../factories/RateLimitStoreFactory");
+const merchantRepository = require("../repositories/MerchantRepository");
+const { rateLimits } = require("../../config/production");
+const logger = require("../logger");
+
+// Whether the last request found the store failing, so an outage is
+// logged once rather than on every request
+let storeFailing = false;
+
+/**
+ * Count a request against each quota in turn, stopping at the first that
+ * is exhausted
+ * @param {Array} checks - [{ key, quota }]
+ * @returns {Promise<Object|null>} Tightest result with its quota, or null
+ *   when there was nothing to check
+ */
+const consume = async (checks) => {
+  const store = rateLimitStoreFactory.getStore();
+  const now = Date.now();
+  let tightest = null;
+
+  for (const { key, quota } of checks) {
+    const result = {
+      ...(await store.hit(key, rateLimits.algorithm, quota, now)),
+      quota,
+    };
+
+    if (!result.allowed) {
+      return result;
+    }
+
+    if (!tightest || result.remaining < tightest.remaining) {
+      tightest = result;
+    }
+  }
+
+  return tightest;
+};
+
+/**
+ * Build a middleware enforcing the quotas returned for each request. The
+ * store is created here, so a misconfigured store stops the app at startup
+ * instead of turning rate limiting off.
+ * @param {Function} getChecks - async (req) => [{ key, quota }]
+ */
+const limitRequests = (getChecks) => {
+  rateLimitStoreFactory.getStore();
+
+  return async (req, res, next) => {
+    let result;
+
+    try {
+      result = await consume(await getChecks(req));
+    } catch (error) {
+      // An unreachable store should not take the API down with it
+      if (!storeFailing) {
+        storeFailing = true;
+        logger.error("Rate limit store failed, skipping rate limits", {
+          error: error.message,
+        });
+      }
+      return next();
+    }
+
+    if (storeFailing) {
+      storeFailing = false;
+      logger.info("Rate limit store recovered");
+    }
+
+    if (!result) {
+      return next();
+    }
+
+    const { limit, windowMs } = result.quota;
+    const windowSeconds = Math.ceil(windowMs / 1000);
+
+    res.set({
+      "RateLimit-Policy": `${limit};w=${windowSeconds}`,
+      "RateLimit-Limit": limit,
+      "RateLimit-Remaining": result.remaining,
+      "RateLimit-Reset": Math.ceil(result.resetMs / 1000),
+    });
+
+    if (!result.allowed) {
+      const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+
+      res.set("Retry-After", retryAfter);
+      return res.status(429).json({
+        success: false,
+        error: "Rate limit exceeded",
+        code: "RATE_LIMIT_EXCEEDED",
+        message: `Too many requests. Limit: ${limit} requests per ${windowSeconds} seconds`,
+        retryAfter,
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Get a quota, preferring a key's or merchant's own override
+ * @param {Object|null} overrides - rateLimits of the key or merchant
+ * @param {string} quotaName - RateLimitQuota value
+ * @param {string} subject - key or merchant
+ */
+const getQuota = (overrides, quotaName, subject) =>
+  (overrides && overrides[quotaName]) || rateLimits.quotas[quotaName][subject];
+
+/**
+ * Rate limit by API key and, for merchant keys, by merchant (use after
+ * validateApiKey)
+ * @param {string} quotaName - RateLimitQuota value
+ */
+const rateLimitByApiKey = (quotaName) =>
+  limitRequests(async (req) => {
+    const { apiKey } = req;
+    const checks = [
+      {
+        key: `${quotaName}:key:${apiKey.id}`,
+        quota: getQuota(apiKey.rateLimits, quotaName, "key"),
+      },
+    ];
+
+    if (apiKey.merchantId) {
+      const merchant = await merchantRepository.findById(apiKey.merchantId);
+
+      checks.push({
+        key: `${quotaName}:merchant:${apiKey.merchantId}`,
+        quota: getQuota(merchant && merchant.rateLimits, quotaName, "merchant"),
+      });
+    }
+
+    return checks;
+  });
+
+/**
+ * Rate limit requests by client IP unless they were authenticated (use
+ * after identifyApiKey); those are limited per key instead. Made-up keys
+ * count against the IP. Behind a load balancer, set TRUST_PROXY so req.ip
+ * is the client's address.
+ */
+const rateLimitByIp = () =>
+  limitRequests(async (req) =>
+    req.apiKey ? [] : [{ key: `ip:${req.ip}`, quota: rateLimits.ip }]
+  );
+
+module.exports = {
+  rateLimitByApiKey,
+  rateLimitByIp,
+};
@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const storeFactory = require("../factories/StoreFactory");
+
+const ApiKeyStatus = Object.freeze({
+  ACTIVE: "active",
+  REVOKED: "revoked",
+});
+
+/**
+ * API Key Repository - Persists issued API keys. Only a hash of each
+ * secret is stored; the secret itself is shown once, when it is issued.
+ */
+class ApiKeyRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Hash a secret key for storage and lookup. Keys carry 192 random bits,
+   * so a fast unsalted hash is enough to make a leaked store useless.
+   * @param {string} secret - Secret key
+   * @returns {string} Hex digest
+   */
+  hash(secret) {
+    return crypto.createHash("sha256").update(secret).digest("hex");
+  }
+
+  /**
+   * Store a new key
+   * @param {Object} apiKey - { secret, name, mode, scopes, merchantId,
+   *   rateLimits, expiresAt, rotatedFrom }
+   * @returns {Promise<Object>} Stored key (without the secret)
+   */
+  async create(apiKey) {
+    const now = new Date().toISOString();
+
+    return this.store.insert({
+      id: `key_${crypto.randomBytes(12).toString("hex")}`,
+      name: apiKey.name,
+      mode: apiKey.mode,
+      scopes: apiKey.scopes,
+      merchantId: apiKey.merchantId || null,
+      // Quota overrides; the configured defaults apply when null
+      rateLimits: apiKey.rateLimits || null,
+      hashedKey: this.hash(apiKey.secret),
+      // Enough of the key to recognise it in listings
+      displayKey: `${apiKey.secret.substr(0, 12)}...${apiKey.secret.slice(-4)}`,
+      status: ApiKeyStatus.ACTIVE,
+      expiresAt: apiKey.expiresAt || null,
+      lastUsedAt: null,
+      rotatedFrom: apiKey.rotatedFrom || null,
+      // Encrypted; set when request signing is enabled for the key
+      signingSecret: null,
+      signingSecretCreatedAt: null,
+      revokedAt: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  /**
+   * Get a key by ID
+   * @param {string} id - Key ID
+   * @returns {Promise<Object|null>} Key
+   */
+  async findById(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Find the key a secret belongs to
+   * @param {string} secret - Secret key from a request
+   * @returns {Promise<Object|null>} Key
+   */
+  async findBySecret(secret) {
+    const [apiKey] = await this.store.find({ hashedKey: this.hash(secret) });
+    return apiKey || null;
+  }
+
+  /**
+   * List keys matching a filter
+   * @param {Object} filter - mode, status, merchantId
+   * @returns {Promise<Array>} Keys, oldest first
+   */
+  async list(filter = {}) {
+    const apiKeys = await this.store.search(filter);
+    return apiKeys.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Update a key
+   * @param {string} id - Key ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object|null>} Updated key
+   */
+  async update(id, changes) {
+    return this.store.update(id, {
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Record that a key was used
+   * @param {string} id - Key ID
+   * @returns {Promise<Object|null>} Updated key
+   */
+  async recordUse(id) {
+    return this.store.update(id, { lastUsedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Revoke a key. Revoked keys are kept so past use stays traceable.
+   * @param {string} id - Key ID
+   * @returns {Promise<Object|null>} Revoked key
+   */
+  async revoke(id) {
+    return this.store.update(id, (apiKey) => {
+      if (apiKey.status === ApiKeyStatus.REVOKED) {
+        return apiKey;
+      }
+
+      const now = new Date().toISOString();
+      return {
+        ...apiKey,
+        status: ApiKeyStatus.REVOKED,
+        revokedAt: now,
+        updatedAt: now,
+      };
+    });
+  }
+}
+
+// Create singleton instance
+const apiKeyRepository = new ApiKeyRepository(
+  storeFactory.getStore("api_keys")
+);
+
+module.exports = apiKeyRepository;
+module.exports.ApiKeyStatus = ApiKeyStatus;
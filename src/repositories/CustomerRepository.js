@@ -0,0 +1,143 @@
+const crypto = require("crypto");
+const storeFactory = require("../factories/StoreFactory");
+
+/**
+ * Customer Repository - Persists customers, the IDs of their matching
+ * customers at each gateway, and their saved payment methods
+ */
+class CustomerRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Create a customer
+   * @param {Object} customer - { email, name, phone, metadata, mode,
+   *   merchantId }
+   * @returns {Promise<Object>} Stored customer
+   */
+  async create(customer) {
+    const now = new Date().toISOString();
+
+    return this.store.insert({
+      id: `cus_${crypto.randomBytes(12).toString("hex")}`,
+      email: customer.email,
+      name: customer.name || null,
+      phone: customer.phone || null,
+      metadata: customer.metadata || {},
+      mode: customer.mode || null,
+      merchantId: customer.merchantId || null,
+      // Gateway name -> the gateway's customer ID
+      gatewayCustomers: {},
+      paymentMethods: [],
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  /**
+   * Get a customer by ID
+   * @param {string} id - Customer ID
+   * @returns {Promise<Object|null>} Customer
+   */
+  async findById(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * List customers matching a filter
+   * @param {Object} filter - email, mode, merchantId
+   * @returns {Promise<Array>} Customers, newest first
+   */
+  async list(filter = {}) {
+    const customers = await this.store.search(filter);
+    return customers.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Update customer fields
+   * @param {string} id - Customer ID
+   * @param {Object} changes - email, name, phone, metadata
+   * @returns {Promise<Object|null>} Updated customer
+   */
+  async update(id, changes) {
+    return this.store.update(id, {
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Record the customer's ID at a gateway
+   * @param {string} id - Customer ID
+   * @param {string} gateway - Gateway name
+   * @param {string} gatewayCustomerId - The gateway's customer ID
+   * @returns {Promise<Object|null>} Updated customer
+   */
+  async setGatewayCustomer(id, gateway, gatewayCustomerId) {
+    return this.store.update(id, (customer) => ({
+      ...customer,
+      gatewayCustomers: {
+        ...customer.gatewayCustomers,
+        [gateway]: gatewayCustomerId,
+      },
+      updatedAt: new Date().toISOString(),
+    }));
+  }
+
+  /**
+   * Save a payment method on a customer
+   * @param {string} id - Customer ID
+   * @param {Object} paymentMethod - { gateway, gatewayPaymentMethodId,
+   *   channel, brand, last4, expMonth, expYear, bank }
+   * @returns {Promise<Object>} Saved payment method, with its ID
+   */
+  async addPaymentMethod(id, paymentMethod) {
+    const now = new Date().toISOString();
+    const saved = {
+      id: `upm_${crypto.randomBytes(12).toString("hex")}`,
+      ...paymentMethod,
+      createdAt: now,
+    };
+
+    await this.store.update(id, (customer) => ({
+      ...customer,
+      paymentMethods: [...customer.paymentMethods, saved],
+      updatedAt: now,
+    }));
+
+    return saved;
+  }
+
+  /**
+   * Remove a saved payment method
+   * @param {string} id - Customer ID
+   * @param {string} paymentMethodId - Saved payment method ID
+   * @returns {Promise<Object|null>} Updated customer
+   */
+  async removePaymentMethod(id, paymentMethodId) {
+    return this.store.update(id, (customer) => ({
+      ...customer,
+      paymentMethods: customer.paymentMethods.filter(
+        (paymentMethod) => paymentMethod.id !== paymentMethodId
+      ),
+      updatedAt: new Date().toISOString(),
+    }));
+  }
+
+  /**
+   * Delete a customer
+   * @param {string} id - Customer ID
+   * @returns {Promise<boolean>} True if it was removed
+   */
+  async delete(id) {
+    return this.store.delete(id);
+  }
+}
+
+// Create singleton instance
+const customerRepository = new CustomerRepository(
+  storeFactory.getStore("customers")
+);
+
+module.exports = customerRepository;
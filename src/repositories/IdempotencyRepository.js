@@ -0,0 +1,100 @@
+const storeFactory = require("../factories/StoreFactory");
+
+/**
+ * Idempotency Repository - Tracks Idempotency-Key claims and stored responses
+ */
+class IdempotencyRepository {
+  constructor(store) {
+    this.store = store;
+    this.lastSweep = 0;
+  }
+
+  /**
+   * Claim a key for a request
+   * @param {string} id - Scoped key (API key + route + Idempotency-Key)
+   * @param {string} fingerprint - Hash of the request method, path and body
+   * @param {number} ttlMs - How long a stored response stays replayable
+   * @returns {Promise<Object>} { claimed: true } or { claimed: false, record }
+   */
+  async claim(id, fingerprint, ttlMs) {
+    const now = Date.now();
+    const record = {
+      id,
+      fingerprint,
+      state: "in_progress",
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString(),
+    };
+
+    await this.sweep(now);
+
+    try {
+      await this.store.insert(record);
+      return { claimed: true, record };
+    } catch (error) {
+      if (error.code !== "DUPLICATE_KEY") {
+        throw error;
+      }
+    }
+
+    const existing = await this.store.get(id);
+
+    // Expired (or released in the meantime) keys can be claimed again
+    if (!existing || new Date(existing.expiresAt).getTime() <= now) {
+      await this.store.delete(id);
+      return this.claim(id, fingerprint, ttlMs);
+    }
+
+    return { claimed: false, record: existing };
+  }
+
+  /**
+   * Store the response for a claimed key
+   * @param {string} id - Scoped key
+   * @param {number} statusCode - HTTP status code sent
+   * @param {Object} body - JSON body sent
+   * @returns {Promise<Object|null>} Updated record
+   */
+  async complete(id, statusCode, body) {
+    return this.store.update(id, {
+      state: "completed",
+      statusCode,
+      body,
+      completedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Release a claimed key so the request can be retried
+   * @param {string} id - Scoped key
+   * @returns {Promise<boolean>} True if the key was released
+   */
+  async release(id) {
+    return this.store.delete(id);
+  }
+
+  /**
+   * Drop expired records, at most once a minute
+   * @param {number} now - Current time in ms
+   */
+  async sweep(now) {
+    if (now - this.lastSweep < 60000) {
+      return;
+    }
+
+    this.lastSweep = now;
+
+    for (const record of await this.store.find()) {
+      if (new Date(record.expiresAt).getTime() <= now) {
+        await this.store.delete(record.id);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const idempotencyRepository = new IdempotencyRepository(
+  storeFactory.getStore("idempotency_keys")
+);
+
+module.exports = idempotencyRepository;
@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const storeFactory = require("../factories/StoreFactory");
+const { generateRedirectSecret } = require("../security/resultTokens");
+
+const MerchantStatus = Object.freeze({
+  ACTIVE: "active",
+  DISABLED: "disabled",
+});
+
+/**
+ * Merchant Repository - Persists merchant accounts. Each merchant holds
+ * its own gateway credentials, encrypted, under
+ * gateways.<gateway>.credentials.<mode>.
+ */
+class MerchantRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Create a merchant with no gateways configured
+   * @param {Object} merchant - { name, defaultGateways, rateLimits,
+   *   redirectUrls }
+   * @returns {Promise<Object>} Stored merchant
+   */
+  async create(merchant) {
+    const now = new Date().toISOString();
+
+    return this.store.insert({
+      id: `merch_${crypto.randomBytes(12).toString("hex")}`,
+      name: merchant.name,
+      status: MerchantStatus.ACTIVE,
+      defaultGateways: merchant.defaultGateways || [],
+      // Quota overrides; the configured defaults apply when null
+      rateLimits: merchant.rateLimits || null,
+      // Where customers go after a redirect-based checkout, with a result
+      // token signed with redirectSecret
+      redirectUrls: merchant.redirectUrls || null,
+      redirectSecret: generateRedirectSecret(),
+      gateways: {},
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  /**
+   * Get a merchant by ID
+   * @param {string} id - Merchant ID
+   * @returns {Promise<Object|null>} Merchant
+   */
+  async findById(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * List merchants matching a filter
+   * @param {Object} filter - status
+   * @returns {Promise<Array>} Merchants, oldest first
+   */
+  async list(filter = {}) {
+    const merchants = await this.store.search(filter);
+    return merchants.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Update a merchant
+   * @param {string} id - Merchant ID
+   * @param {Object} changes - name, status, defaultGateways, rateLimits,
+   *   redirectUrls, redirectSecret
+   * @returns {Promise<Object|null>} Updated merchant
+   */
+  async update(id, changes) {
+    return this.store.update(id, {
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Change one gateway's settings
+   * @param {string} id - Merchant ID
+   * @param {string} gateway - Gateway name
+   * @param {Function} change - (settings | undefined) => settings, or
+   *   null to remove the gateway
+   * @returns {Promise<Object|null>} Updated merchant
+   */
+  async updateGateway(id, gateway, change) {
+    return this.store.update(id, (merchant) => {
+      const { [gateway]: current, ...others } = merchant.gateways;
+      const next = change(current);
+
+      return {
+        ...merchant,
+        gateways: next ? { ...others, [gateway]: next } : others,
+        updatedAt: new Date().toISOString(),
+      };
+    });
+  }
+}
+
+// Create singleton instance
+const merchantRepository = new MerchantRepository(
+  storeFactory.getStore("merchants")
+);
+
+module.exports = merchantRepository;
+module.exports.MerchantStatus = MerchantStatus;
@@ -0,0 +1,74 @@
+const storeFactory = require("../factories/StoreFactory");
+
+/**
+ * Nonce Repository - Remembers the nonces of signed requests while their
+ * timestamps are still accepted, so a captured request cannot be replayed
+ */
+class NonceRepository {
+  constructor(store) {
+    this.store = store;
+    this.lastSweep = 0;
+  }
+
+  /**
+   * Use a nonce once
+   * @param {string} keyId - API key the request was signed with
+   * @param {string} nonce - Nonce from the request
+   * @param {number} ttlMs - How long to remember it
+   * @returns {Promise<boolean>} True if the nonce had not been used
+   */
+  async use(keyId, nonce, ttlMs) {
+    const id = `${keyId}:${nonce}`;
+    const now = Date.now();
+
+    await this.sweep(now);
+
+    try {
+      await this.store.insert({
+        id,
+        expiresAt: new Date(now + ttlMs).toISOString(),
+      });
+      return true;
+    } catch (error) {
+      if (error.code !== "DUPLICATE_KEY") {
+        throw error;
+      }
+    }
+
+    const existing = await this.store.get(id);
+
+    // Once expired the nonce may be used again: a replay of the request
+    // that first used it is too old to pass the timestamp check
+    if (!existing || new Date(existing.expiresAt).getTime() <= now) {
+      await this.store.delete(id);
+      return this.use(keyId, nonce, ttlMs);
+    }
+
+    return false;
+  }
+
+  /**
+   * Drop expired nonces, at most once a minute
+   * @param {number} now - Current time in ms
+   */
+  async sweep(now) {
+    if (now - this.lastSweep < 60000) {
+      return;
+    }
+
+    this.lastSweep = now;
+
+    for (const record of await this.store.find()) {
+      if (new Date(record.expiresAt).getTime() <= now) {
+        await this.store.delete(record.id);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const nonceRepository = new NonceRepository(
+  storeFactory.getStore("request_nonces")
+);
+
+module.exports = nonceRepository;
@@ -0,0 +1,174 @@
+const storeFactory = require("../factories/StoreFactory");
+const { assertTransition } = require("../domain/paymentStatus");
+
+/**
+ * Replace the entry with the same key, or append a new one
+ */
+const upsertEntry = (entries = [], key, entry, now) => {
+  const index = entry[key]
+    ? entries.findIndex((existing) => existing[key] === entry[key])
+    : -1;
+
+  if (index === -1) {
+    return [...entries, { ...entry, createdAt: now }];
+  }
+
+  const updated = [...entries];
+  updated[index] = { ...entries[index], ...entry, updatedAt: now };
+  return updated;
+};
+
+/**
+ * Payment Repository - Persists payments, their status history and refunds
+ */
+class PaymentRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Create a payment record
+   * @param {Object} payment - Payment fields (id is the unified ID)
+   * @returns {Promise<Object>} Stored payment
+   */
+  async create(payment) {
+    const { statusSource = "api", ...fields } = payment;
+    const now = new Date().toISOString();
+
+    return this.store.insert({
+      refunds: [],
+      disputes: [],
+      metadata: {},
+      ...fields,
+      statusHistory: [{ status: fields.status, source: statusSource, at: now }],
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  /**
+   * Get a payment by unified ID
+   * @param {string} id - Unified payment ID
+   * @returns {Promise<Object|null>} Payment record
+   */
+  async findById(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Find a payment by the identifier the gateway knows it by
+   * @param {string} gateway - Gateway name
+   * @param {string} gatewayReference - Payment intent ID, reference, ...
+   * @returns {Promise<Object|null>} Payment record
+   */
+  async findByGatewayReference(gateway, gatewayReference) {
+    if (!gatewayReference) {
+      return null;
+    }
+
+    const [payment] = await this.store.find({ gateway, gatewayReference });
+    return payment || null;
+  }
+
+  /**
+   * List payments matching a filter
+   * @param {Object} filter - Field/value pairs (gateway, status, ...)
+   * @returns {Promise<Array>} Payments, newest first
+   */
+  async list(filter = {}) {
+    const payments = await this.store.search(filter);
+    return payments.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Update payment fields without touching the status history
+   * @param {string} id - Unified payment ID
+   * @param {Object} changes - Fields to merge
+   * @returns {Promise<Object|null>} Updated payment
+   */
+  async update(id, changes) {
+    return this.store.update(id, {
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Record a status change, appending to the status history.
+   * Rejects transitions the unified lifecycle does not allow.
+   * @param {string} id - Unified payment ID
+   * @param {string} status - New unified status
+   * @param {Object} details - Extra fields (source, gatewayStatus, ...)
+   * @returns {Promise<Object|null>} Updated payment
+   */
+  async recordStatus(id, status, details = {}) {
+    const { source = "api", ...changes } = details;
+
+    return this.store.update(id, (payment) => {
+      assertTransition(payment.status, status);
+
+      const now = new Date().toISOString();
+      const history = payment.statusHistory || [];
+
+      if (payment.status !== status) {
+        history.push({ status, source, at: now });
+      }
+
+      return {
+        ...payment,
+        ...changes,
+        status,
+        statusHistory: history,
+        updatedAt: now,
+      };
+    });
+  }
+
+  /**
+   * Add a refund, or update the one with the same gateway refund ID
+   * @param {string} id - Unified payment ID
+   * @param {Object} refund - Refund fields (gatewayRefundId, status, ...)
+   * @returns {Promise<Object|null>} Updated payment
+   */
+  async upsertRefund(id, refund) {
+    return this.store.update(id, (payment) => {
+      const now = new Date().toISOString();
+
+      return {
+        ...payment,
+        refunds: upsertEntry(payment.refunds, "gatewayRefundId", refund, now),
+        updatedAt: now,
+      };
+    });
+  }
+
+  /**
+   * Add a dispute, or update the one with the same gateway dispute ID
+   * @param {string} id - Unified payment ID
+   * @param {Object} dispute - Dispute fields (gatewayDisputeId, status, ...)
+   * @returns {Promise<Object|null>} Updated payment
+   */
+  async upsertDispute(id, dispute) {
+    return this.store.update(id, (payment) => {
+      const now = new Date().toISOString();
+
+      return {
+        ...payment,
+        disputes: upsertEntry(
+          payment.disputes,
+          "gatewayDisputeId",
+          dispute,
+          now
+        ),
+        updatedAt: now,
+      };
+    });
+  }
+}
+
+// Create singleton instance
+const paymentRepository = new PaymentRepository(
+  storeFactory.getStore("payments")
+);
+
+module.exports = paymentRepository;
@@ -0,0 +1,77 @@
+const crypto = require("crypto");
+const storeFactory = require("../factories/StoreFactory");
+
+/**
+ * Plan Repository - Persists billing plans. A plan's price and interval
+ * never change once subscriptions use it; a new plan is made instead.
+ */
+class PlanRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Create a plan
+   * @param {Object} plan - { name, amount, currency, interval,
+   *   intervalCount, trialDays, dunning, metadata, mode, merchantId }
+   * @returns {Promise<Object>} Stored plan
+   */
+  async create(plan) {
+    const now = new Date().toISOString();
+
+    return this.store.insert({
+      id: `plan_${crypto.randomBytes(12).toString("hex")}`,
+      name: plan.name,
+      amount: plan.amount,
+      currency: plan.currency.toUpperCase(),
+      interval: plan.interval,
+      intervalCount: plan.intervalCount || 1,
+      trialDays: plan.trialDays || 0,
+      // { retryDays, finalAction } overriding the default schedule
+      dunning: plan.dunning || null,
+      active: true,
+      metadata: plan.metadata || {},
+      mode: plan.mode || null,
+      merchantId: plan.merchantId || null,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  /**
+   * Get a plan by ID
+   * @param {string} id - Plan ID
+   * @returns {Promise<Object|null>} Plan
+   */
+  async findById(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * List plans matching a filter
+   * @param {Object} filter - active, mode, merchantId
+   * @returns {Promise<Array>} Plans, newest first
+   */
+  async list(filter = {}) {
+    const plans = await this.store.search(filter);
+    return plans.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Update plan fields
+   * @param {string} id - Plan ID
+   * @param {Object} changes - name, trialDays, active, metadata
+   * @returns {Promise<Object|null>} Updated plan
+   */
+  async update(id, changes) {
+    return this.store.update(id, {
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+}
+
+// Create singleton instance
+const planRepository = new PlanRepository(storeFactory.getStore("plans"));
+
+module.exports = planRepository;
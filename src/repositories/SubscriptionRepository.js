@@ -0,0 +1,156 @@
+const crypto = require("crypto");
+const storeFactory = require("../factories/StoreFactory");
+const {
+  RENEWABLE_STATUSES,
+  SubscriptionStatus,
+} = require("../domain/subscriptions");
+
+/**
+ * Subscription Repository - Persists subscriptions, their billing period
+ * and the charges made for them
+ */
+class SubscriptionRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Create a subscription
+   * @param {Object} subscription - { customerId, planId, paymentMethodId,
+   *   status, currentPeriodStart, currentPeriodEnd, trialEnd, metadata,
+   *   mode, merchantId }
+   * @returns {Promise<Object>} Stored subscription
+   */
+  async create(subscription) {
+    const now = new Date().toISOString();
+
+    return this.store.insert({
+      id: `sub_${crypto.randomBytes(12).toString("hex")}`,
+      customerId: subscription.customerId,
+      planId: subscription.planId,
+      paymentMethodId: subscription.paymentMethodId,
+      status: subscription.status,
+      currentPeriodStart: subscription.currentPeriodStart,
+      currentPeriodEnd: subscription.currentPeriodEnd,
+      trialEnd: subscription.trialEnd || null,
+      cancelAtPeriodEnd: false,
+      canceledAt: null,
+      pausedAt: null,
+      // Minor units owed back to the customer (e.g. after a downgrade),
+      // taken off the next charges
+      creditBalance: 0,
+      charges: [],
+      // Collection of the last failed renewal; see SubscriptionService
+      dunning: null,
+      // Why the scheduler could not renew or collect it, until it can
+      renewalError: null,
+      metadata: subscription.metadata || {},
+      mode: subscription.mode || null,
+      merchantId: subscription.merchantId || null,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  /**
+   * Get a subscription by ID
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Object|null>} Subscription
+   */
+  async findById(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * List subscriptions matching a filter
+   * @param {Object} filter - customerId, planId, status, mode, merchantId
+   * @returns {Promise<Array>} Subscriptions, newest first
+   */
+  async list(filter = {}) {
+    const subscriptions = await this.store.search(filter);
+    return subscriptions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Find subscriptions whose period has ended and that are due a renewal
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Due subscriptions, longest overdue first
+   */
+  async findDue(now) {
+    const due = [];
+
+    for (const status of RENEWABLE_STATUSES) {
+      const subscriptions = await this.store.find({ status });
+      due.push(
+        ...subscriptions.filter(
+          (subscription) => new Date(subscription.currentPeriodEnd) <= now
+        )
+      );
+    }
+
+    return due.sort((a, b) =>
+      a.currentPeriodEnd.localeCompare(b.currentPeriodEnd)
+    );
+  }
+
+  /**
+   * Find past-due subscriptions whose next dunning attempt is due
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Due subscriptions, longest waiting first
+   */
+  async findDunningDue(now) {
+    const pastDue = await this.store.find({
+      status: SubscriptionStatus.PAST_DUE,
+    });
+
+    return pastDue
+      .filter(
+        ({ dunning }) =>
+          dunning &&
+          dunning.nextAttemptAt &&
+          new Date(dunning.nextAttemptAt) <= now
+      )
+      .sort((a, b) =>
+        a.dunning.nextAttemptAt.localeCompare(b.dunning.nextAttemptAt)
+      );
+  }
+
+  /**
+   * Update subscription fields
+   * @param {string} id - Subscription ID
+   * @param {Object} changes - Fields to merge
+   * @returns {Promise<Object|null>} Updated subscription
+   */
+  async update(id, changes) {
+    return this.store.update(id, {
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Record a charge made for a subscription, with other changes
+   * @param {string} id - Subscription ID
+   * @param {Object} charge - { type, paymentId, amount, currency, status,
+   *   error, periodStart, periodEnd }
+   * @param {Object} changes - Fields to merge
+   * @returns {Promise<Object|null>} Updated subscription
+   */
+  async addCharge(id, charge, changes = {}) {
+    const now = new Date().toISOString();
+
+    return this.store.update(id, (subscription) => ({
+      ...subscription,
+      ...changes,
+      charges: [...subscription.charges, { ...charge, createdAt: now }],
+      updatedAt: now,
+    }));
+  }
+}
+
+// Create singleton instance
+const subscriptionRepository = new SubscriptionRepository(
+  storeFactory.getStore("subscriptions")
+);
+
+module.exports = subscriptionRepository;
@@ -0,0 +1,164 @@
+const crypto = require("crypto");
+const storeFactory = require("../factories/StoreFactory");
+
+const WebhookDeliveryStatus = Object.freeze({
+  PENDING: "pending",
+  DELIVERING: "delivering",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+});
+
+/**
+ * Webhook Delivery Repository - Persists each unified event sent to each
+ * merchant endpoint, with a log of every attempt
+ */
+class WebhookDeliveryRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Build the delivery ID for an event and endpoint, so publishing the
+   * same event twice does not deliver it twice
+   * @param {string} eventId - Outbound event ID
+   * @param {string} endpointId - Endpoint ID
+   * @returns {string} Delivery ID
+   */
+  buildId(eventId, endpointId) {
+    const digest = crypto
+      .createHash("sha256")
+      .update(`${eventId}:${endpointId}`)
+      .digest("hex")
+      .substr(0, 24);
+
+    return `whdel_${digest}`;
+  }
+
+  /**
+   * Queue an event for an endpoint unless it already is
+   * @param {Object} delivery - { endpointId, merchantId, event }
+   * @returns {Promise<Object|null>} New delivery, or null if it existed
+   */
+  async create(delivery) {
+    const now = new Date().toISOString();
+
+    try {
+      return await this.store.insert({
+        id: this.buildId(delivery.event.id, delivery.endpointId),
+        endpointId: delivery.endpointId,
+        merchantId: delivery.merchantId || null,
+        eventId: delivery.event.id,
+        eventType: delivery.event.type,
+        payload: delivery.event,
+        status: WebhookDeliveryStatus.PENDING,
+        attempts: 0,
+        attemptLog: [],
+        lastError: null,
+        createdAt: now,
+        nextAttemptAt: now,
+        deliveredAt: null,
+      });
+    } catch (error) {
+      if (error.code === "DUPLICATE_KEY") {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Get a delivery by ID
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object|null>} Delivery
+   */
+  async findById(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * List deliveries matching a filter
+   * @param {Object} filter - endpointId, eventId, eventType, status
+   * @returns {Promise<Array>} Deliveries, newest first
+   */
+  async list(filter = {}) {
+    const deliveries = await this.store.search(filter);
+    return deliveries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Mark a pending delivery as in flight. Fails if another worker got it.
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object|null>} Claimed delivery, or null if not pending
+   */
+  async claim(id) {
+    try {
+      return await this.store.update(id, (existing) => {
+        if (existing.status !== WebhookDeliveryStatus.PENDING) {
+          throw new Error("Delivery is not pending");
+        }
+
+        return {
+          ...existing,
+          status: WebhookDeliveryStatus.DELIVERING,
+          attempts: existing.attempts + 1,
+        };
+      });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Record an attempt and its outcome
+   * @param {string} id - Delivery ID
+   * @param {Object} attempt - { at, statusCode, durationMs, error }
+   * @param {Date|null} nextAttemptAt - When to retry a failed attempt;
+   *   null gives up
+   * @returns {Promise<Object|null>} Updated delivery
+   */
+  async recordAttempt(id, attempt, nextAttemptAt) {
+    return this.store.update(id, (delivery) => {
+      const succeeded = !attempt.error;
+      let status = WebhookDeliveryStatus.FAILED;
+
+      if (succeeded) {
+        status = WebhookDeliveryStatus.SUCCEEDED;
+      } else if (nextAttemptAt) {
+        status = WebhookDeliveryStatus.PENDING;
+      }
+
+      return {
+        ...delivery,
+        status,
+        attemptLog: [
+          ...delivery.attemptLog,
+          { attempt: delivery.attempts, ...attempt },
+        ],
+        lastError: attempt.error || null,
+        nextAttemptAt: nextAttemptAt ? nextAttemptAt.toISOString() : null,
+        deliveredAt: succeeded ? attempt.at : delivery.deliveredAt,
+      };
+    });
+  }
+
+  /**
+   * Queue a delivery to be sent again
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object|null>} Updated delivery
+   */
+  async requeue(id) {
+    return this.store.update(id, {
+      status: WebhookDeliveryStatus.PENDING,
+      nextAttemptAt: new Date().toISOString(),
+    });
+  }
+}
+
+// Create singleton instance
+const webhookDeliveryRepository = new WebhookDeliveryRepository(
+  storeFactory.getStore("webhook_deliveries")
+);
+
+module.exports = webhookDeliveryRepository;
+module.exports.WebhookDeliveryStatus = WebhookDeliveryStatus;
@@ -0,0 +1,150 @@
+const crypto = require("crypto");
+const storeFactory = require("../factories/StoreFactory");
+
+const WebhookEndpointStatus = Object.freeze({
+  ENABLED: "enabled",
+  DISABLED: "disabled",
+});
+
+/**
+ * Webhook Endpoint Repository - Persists the merchant URLs that unified
+ * events are delivered to
+ */
+class WebhookEndpointRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Register an endpoint. A signing secret is generated unless given.
+   * @param {Object} endpoint - { url, events, secret, merchantId, description }
+   * @returns {Promise<Object>} Stored endpoint, including its secret
+   */
+  async create(endpoint) {
+    const now = new Date().toISOString();
+
+    return this.store.insert({
+      id: `we_${crypto.randomBytes(12).toString("hex")}`,
+      url: endpoint.url,
+      events: endpoint.events,
+      secret:
+        endpoint.secret || `whsec_${crypto.randomBytes(24).toString("hex")}`,
+      merchantId: endpoint.merchantId || null,
+      description: endpoint.description || null,
+      status: WebhookEndpointStatus.ENABLED,
+      consecutiveFailures: 0,
+      disabledAt: null,
+      disabledReason: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  /**
+   * Get an endpoint by ID
+   * @param {string} id - Endpoint ID
+   * @returns {Promise<Object|null>} Endpoint
+   */
+  async findById(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * List endpoints matching a filter
+   * @param {Object} filter - merchantId, status
+   * @returns {Promise<Array>} Endpoints, oldest first
+   */
+  async list(filter = {}) {
+    const endpoints = await this.store.search(filter);
+    return endpoints.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Find the enabled endpoints an event should go to: those subscribed to
+   * its type (or to "*") that belong to its merchant or to no merchant
+   * @param {string} type - Unified event type
+   * @param {string|null} merchantId - Merchant the event belongs to
+   * @returns {Promise<Array>} Endpoints
+   */
+  async findSubscribed(type, merchantId) {
+    const endpoints = await this.store.find({
+      status: WebhookEndpointStatus.ENABLED,
+    });
+
+    return endpoints.filter(
+      (endpoint) =>
+        (endpoint.events.includes("*") || endpoint.events.includes(type)) &&
+        (!endpoint.merchantId || endpoint.merchantId === merchantId)
+    );
+  }
+
+  /**
+   * Update endpoint settings. Re-enabling clears the failure count.
+   * @param {string} id - Endpoint ID
+   * @param {Object} changes - url, events, description, status
+   * @returns {Promise<Object|null>} Updated endpoint
+   */
+  async update(id, changes) {
+    const reset =
+      changes.status === WebhookEndpointStatus.ENABLED
+        ? { consecutiveFailures: 0, disabledAt: null, disabledReason: null }
+        : {};
+
+    return this.store.update(id, {
+      ...changes,
+      ...reset,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Record the outcome of a delivery attempt, disabling the endpoint once
+   * it has failed too many times in a row
+   * @param {string} id - Endpoint ID
+   * @param {boolean} success - Whether the attempt succeeded
+   * @param {number} disableAfter - Consecutive failures that disable it
+   * @returns {Promise<Object|null>} Updated endpoint
+   */
+  async recordAttempt(id, success, disableAfter) {
+    return this.store.update(id, (endpoint) => {
+      const now = new Date().toISOString();
+
+      if (success) {
+        return { ...endpoint, consecutiveFailures: 0, updatedAt: now };
+      }
+
+      const consecutiveFailures = endpoint.consecutiveFailures + 1;
+      const disable =
+        endpoint.status === WebhookEndpointStatus.ENABLED &&
+        consecutiveFailures >= disableAfter;
+
+      return {
+        ...endpoint,
+        consecutiveFailures,
+        ...(disable && {
+          status: WebhookEndpointStatus.DISABLED,
+          disabledAt: now,
+          disabledReason: `${consecutiveFailures} consecutive failed deliveries`,
+        }),
+        updatedAt: now,
+      };
+    });
+  }
+
+  /**
+   * Delete an endpoint
+   * @param {string} id - Endpoint ID
+   * @returns {Promise<boolean>} True if it existed
+   */
+  async delete(id) {
+    return this.store.delete(id);
+  }
+}
+
+// Create singleton instance
+const webhookEndpointRepository = new WebhookEndpointRepository(
+  storeFactory.getStore("webhook_endpoints")
+);
+
+module.exports = webhookEndpointRepository;
+module.exports.WebhookEndpointStatus = WebhookEndpointStatus;
@@ -0,0 +1,170 @@
+const storeFactory = require("../factories/StoreFactory");
+
+const WebhookEventStatus = Object.freeze({
+  PENDING: "pending",
+  PROCESSING: "processing",
+  PROCESSED: "processed",
+  FAILED: "failed",
+});
+
+/**
+ * Webhook Event Repository - Persists verified inbound gateway events.
+ * Records are keyed by gateway and gateway event ID, so a redelivered
+ * event maps onto the record of the first delivery.
+ */
+class WebhookEventRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Build the record ID for a gateway event. Event IDs are only unique
+   * within one gateway account, so merchants' events are kept apart.
+   * @param {string} gateway - Gateway name
+   * @param {string} gatewayEventId - Event ID assigned by the gateway
+   * @param {string|null} merchantId - Merchant whose account sent it
+   * @returns {string} Record ID
+   */
+  buildId(gateway, gatewayEventId, merchantId) {
+    return merchantId
+      ? `whevt_${merchantId}_${gateway}_${gatewayEventId}`
+      : `whevt_${gateway}_${gatewayEventId}`;
+  }
+
+  /**
+   * Store an event unless it was already received
+   * @param {Object} event - { gateway, merchantId, gatewayEventId, type,
+   *   payload }
+   * @returns {Promise<Object>} { duplicate, record }
+   */
+  async record(event) {
+    const id = this.buildId(
+      event.gateway,
+      event.gatewayEventId,
+      event.merchantId
+    );
+    const now = new Date().toISOString();
+
+    try {
+      const record = await this.store.insert({
+        id,
+        ...event,
+        status: WebhookEventStatus.PENDING,
+        attempts: 0,
+        lastError: null,
+        deliveries: 1,
+        receivedAt: now,
+        lastReceivedAt: now,
+        nextAttemptAt: now,
+        processedAt: null,
+      });
+
+      return { duplicate: false, record };
+    } catch (error) {
+      if (error.code !== "DUPLICATE_KEY") {
+        throw error;
+      }
+    }
+
+    const record = await this.store.update(id, (existing) => ({
+      ...existing,
+      deliveries: existing.deliveries + 1,
+      lastReceivedAt: now,
+    }));
+
+    return { duplicate: true, record };
+  }
+
+  /**
+   * Get an event by record ID
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Event record
+   */
+  async findById(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * List events matching a filter
+   * @param {Object} filter - gateway, merchantId, type, status
+   * @returns {Promise<Array>} Events, newest first
+   */
+  async list(filter = {}) {
+    const events = await this.store.search(filter);
+    return events.sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+  }
+
+  /**
+   * Mark a pending event as processing. Fails if another worker got it.
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Claimed record, or null if not pending
+   */
+  async claim(id) {
+    try {
+      return await this.store.update(id, (existing) => {
+        if (existing.status !== WebhookEventStatus.PENDING) {
+          throw new Error("Event is not pending");
+        }
+
+        return {
+          ...existing,
+          status: WebhookEventStatus.PROCESSING,
+          attempts: existing.attempts + 1,
+        };
+      });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Mark an event processed
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Updated record
+   */
+  async markProcessed(id) {
+    return this.store.update(id, {
+      status: WebhookEventStatus.PROCESSED,
+      lastError: null,
+      nextAttemptAt: null,
+      processedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Record a failed attempt
+   * @param {string} id - Record ID
+   * @param {string} message - Error message
+   * @param {Date|null} nextAttemptAt - When to retry; null gives up
+   * @returns {Promise<Object|null>} Updated record
+   */
+  async markFailed(id, message, nextAttemptAt) {
+    return this.store.update(id, {
+      status: nextAttemptAt
+        ? WebhookEventStatus.PENDING
+        : WebhookEventStatus.FAILED,
+      lastError: message,
+      nextAttemptAt: nextAttemptAt ? nextAttemptAt.toISOString() : null,
+    });
+  }
+
+  /**
+   * Queue an event to be processed again
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Updated record
+   */
+  async requeue(id) {
+    return this.store.update(id, {
+      status: WebhookEventStatus.PENDING,
+      nextAttemptAt: new Date().toISOString(),
+    });
+  }
+}
+
+// Create singleton instance
+const webhookEventRepository = new WebhookEventRepository(
+  storeFactory.getStore("webhook_events")
+);
+
+module.exports = webhookEventRepository;
+module.exports.WebhookEventStatus = WebhookEventStatus;
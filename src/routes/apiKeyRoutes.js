@@ -0,0 +1,293 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const apiKeyService = require("../services/ApiKeyService");
+const apiKeyRepository = require("../repositories/ApiKeyRepository");
+const { ApiKeyStatus } = apiKeyRepository;
+const { validateApiKey, requireScope } = require("../middleware/auth");
+const { ApiKeyScope } = require("../domain/apiKeys");
+const {
+  RateLimitQuota,
+  isValidQuotaOverrides,
+} = require("../domain/rateLimits");
+const { rateLimitByApiKey } = require("../middleware/rateLimit");
+
+const router = express.Router();
+
+// Managing keys needs keys:write. Keys only see keys of their own mode,
+// and merchant keys only those of their merchant.
+router.use(
+  validateApiKey,
+  requireScope(ApiKeyScope.KEYS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.READS)
+);
+
+/**
+ * Key as returned by the API. The hash and signing secret never leave the
+ * server.
+ */
+const publicApiKey = ({ hashedKey, signingSecret, ...apiKey }) => ({
+  ...apiKey,
+  signingEnabled: Boolean(signingSecret),
+});
+
+/**
+ * Keys the caller may manage
+ */
+const callerScope = (req) => ({
+  mode: req.apiKey.mode,
+  merchantId: req.apiKey.merchantId,
+});
+
+const sendError = (res, error) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: "Internal server error",
+    message: error.message,
+  });
+};
+
+/**
+ * @route POST /api/api-keys
+ * @desc Issue an API key in the caller's mode. The secret is only shown
+ *   in this response. Platform keys may issue keys for a merchant;
+ *   merchant keys issue keys for their own merchant.
+ * @access Private (keys:write)
+ */
+router.post(
+  "/",
+  [
+    body("name").isString().notEmpty().withMessage("name is required"),
+    body("scopes")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("scopes must be a non-empty array"),
+    body("scopes.*")
+      .isIn(Object.values(ApiKeyScope))
+      .withMessage(
+        `Scopes must be one of ${Object.values(ApiKeyScope).join(", ")}`
+      ),
+    body("expiresAt")
+      .optional()
+      .isISO8601()
+      .withMessage("expiresAt must be an ISO 8601 date")
+      .custom((value) => new Date(value) > new Date())
+      .withMessage("expiresAt must be in the future"),
+    body("merchantId")
+      .optional()
+      .isString()
+      .withMessage("merchantId must be a string"),
+    body("rateLimits")
+      .optional()
+      .custom(isValidQuotaOverrides)
+      .withMessage(
+        "rateLimits must map payments and/or reads to { limit, windowMs }"
+      ),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { name, scopes, expiresAt, merchantId, rateLimits } = req.body;
+
+      if (merchantId && req.apiKey.merchantId) {
+        return res.status(403).json({
+          success: false,
+          error: "Platform API key required",
+          code: "PLATFORM_KEY_REQUIRED",
+          message: "Merchant API keys can only issue keys for their merchant",
+        });
+      }
+
+      const { apiKey, secret } = await apiKeyService.issue({
+        name,
+        mode: req.apiKey.mode,
+        scopes,
+        merchantId: req.apiKey.merchantId || merchantId,
+        rateLimits,
+        expiresAt: expiresAt && new Date(expiresAt).toISOString(),
+      });
+
+      res
+        .status(201)
+        .json({ success: true, apiKey: publicApiKey(apiKey), secret });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/api-keys
+ * @desc List API keys of the caller's mode, filtered by status and (for
+ *   platform keys) merchant
+ * @access Private (keys:write)
+ */
+router.get(
+  "/",
+  [
+    query("status")
+      .optional()
+      .isIn(Object.values(ApiKeyStatus))
+      .withMessage("Status must be active or revoked"),
+    query("merchantId").optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const apiKeys = await apiKeyRepository.list({
+        mode: req.apiKey.mode,
+        merchantId: req.apiKey.merchantId || req.query.merchantId,
+        status: req.query.status,
+      });
+
+      res
+        .status(200)
+        .json({ success: true, apiKeys: apiKeys.map(publicApiKey) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/api-keys/:id
+ * @desc Get an API key
+ * @access Private (keys:write)
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.getKey(req.params.id, callerScope(req));
+
+    res.status(200).json({ success: true, apiKey: publicApiKey(apiKey) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route POST /api/api-keys/:id/rotate
+ * @desc Replace an API key with a new secret. The old key is revoked, or
+ *   keeps working for gracePeriodHours.
+ * @access Private (keys:write)
+ */
+router.post(
+  "/:id/rotate",
+  [
+    body("gracePeriodHours")
+      .optional()
+      .isInt({ min: 0, max: 168 })
+      .withMessage("gracePeriodHours must be between 0 and 168")
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { gracePeriodHours = 0 } = req.body;
+      const { apiKey, secret, previous } = await apiKeyService.rotate(
+        req.params.id,
+        {
+          ...callerScope(req),
+          gracePeriodMs: gracePeriodHours * 60 * 60 * 1000,
+        }
+      );
+
+      res.status(201).json({
+        success: true,
+        apiKey: publicApiKey(apiKey),
+        secret,
+        previous: publicApiKey(previous),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/api-keys/:id/revoke
+ * @desc Revoke an API key. It stops working immediately.
+ * @access Private (keys:write)
+ */
+router.post("/:id/revoke", async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.params.id, callerScope(req));
+
+    res.status(200).json({ success: true, apiKey: publicApiKey(apiKey) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route POST /api/api-keys/:id/signing-secret
+ * @desc Enable request signing for a key, replacing any earlier signing
+ *   secret. The secret is only shown in this response.
+ * @access Private (keys:write)
+ */
+router.post("/:id/signing-secret", async (req, res) => {
+  try {
+    const { apiKey, signingSecret } = await apiKeyService.createSigningSecret(
+      req.params.id,
+      callerScope(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      apiKey: publicApiKey(apiKey),
+      signingSecret,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route DELETE /api/api-keys/:id/signing-secret
+ * @desc Disable request signing for a key
+ * @access Private (keys:write)
+ */
+router.delete("/:id/signing-secret", async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.removeSigningSecret(
+      req.params.id,
+      callerScope(req)
+    );
+
+    res.status(200).json({ success: true, apiKey: publicApiKey(apiKey) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,315 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const customerService = require("../services/CustomerService");
+const { validateApiKey, requireScope } = require("../middleware/auth");
+const { idempotency } = require("../middleware/idempotency");
+const { ApiKeyScope } = require("../domain/apiKeys");
+const { RateLimitQuota } = require("../domain/rateLimits");
+const { rateLimitByApiKey } = require("../middleware/rateLimit");
+
+const router = express.Router();
+
+// Saved customers are charged like any payment, so managing them takes
+// payments:write
+router.use(validateApiKey, rateLimitByApiKey(RateLimitQuota.READS));
+
+/**
+ * Payment method as returned by the API, in the same shape for every
+ * gateway. The gateway's own ID (a Paystack authorization_code can charge
+ * the card) stays on the server.
+ */
+const publicPaymentMethod = ({ gatewayPaymentMethodId, ...paymentMethod }) =>
+  paymentMethod;
+
+const publicCustomer = (customer) => ({
+  ...customer,
+  paymentMethods: customer.paymentMethods.map(publicPaymentMethod),
+});
+
+const sendError = (res, error) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: "Internal server error",
+    message: error.message,
+  });
+};
+
+const customerValidators = (optional) => [
+  body("email")
+    .optional(optional)
+    .isEmail()
+    .withMessage("Invalid email format"),
+  body("name").optional().isString().withMessage("name must be a string"),
+  body("phone").optional().isString().withMessage("phone must be a string"),
+  body("metadata")
+    .optional()
+    .isObject()
+    .withMessage("Metadata must be an object"),
+];
+
+/**
+ * Caller scope for the service: the key's mode and merchant
+ */
+const getOptions = (req) => ({
+  idempotencyKey: req.idempotencyKey,
+  mode: req.apiKey.mode,
+  merchantId: req.apiKey.merchantId,
+});
+
+/**
+ * @route POST /api/customers
+ * @desc Create a customer, with a matching customer at each available
+ *   gateway that keeps customers
+ * @access Private (payments:write)
+ */
+router.post(
+  "/",
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  idempotency,
+  customerValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { email, name, phone, metadata } = req.body;
+      const customer = await customerService.create(
+        { email, name, phone, metadata },
+        getOptions(req)
+      );
+
+      res
+        .status(201)
+        .json({ success: true, customer: publicCustomer(customer) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/customers
+ * @desc List customers, filtered by email
+ * @access Private (read)
+ */
+router.get(
+  "/",
+  requireScope(ApiKeyScope.READ),
+  [query("email").optional().isEmail().withMessage("Invalid email format")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const customers = await customerService.list(
+        { email: req.query.email },
+        getOptions(req)
+      );
+
+      res
+        .status(200)
+        .json({ success: true, customers: customers.map(publicCustomer) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/customers/:id
+ * @desc Get a customer and its saved payment methods
+ * @access Private (read)
+ */
+router.get("/:id", requireScope(ApiKeyScope.READ), async (req, res) => {
+  try {
+    const customer = await customerService.getCustomer(
+      req.params.id,
+      getOptions(req)
+    );
+
+    res.status(200).json({ success: true, customer: publicCustomer(customer) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route PATCH /api/customers/:id
+ * @desc Update a customer here and at its gateways
+ * @access Private (payments:write)
+ */
+router.patch(
+  "/:id",
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  customerValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { email, name, phone, metadata } = req.body;
+      const changes = Object.fromEntries(
+        Object.entries({ email, name, phone, metadata }).filter(
+          ([, value]) => value !== undefined
+        )
+      );
+
+      const customer = await customerService.update(
+        req.params.id,
+        changes,
+        getOptions(req)
+      );
+
+      res
+        .status(200)
+        .json({ success: true, customer: publicCustomer(customer) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/customers/:id
+ * @desc Delete a customer, detaching its saved payment methods
+ * @access Private (payments:write)
+ */
+router.delete(
+  "/:id",
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  async (req, res) => {
+    try {
+      await customerService.delete(req.params.id, getOptions(req));
+
+      res.status(200).json({ success: true, deleted: true, id: req.params.id });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/customers/:id/payment-methods
+ * @desc Save a reusable payment method on a customer: a Stripe
+ *   PaymentMethod ID, or a Paystack authorization_code from an earlier
+ *   payment by the customer's email
+ * @access Private (payments:write)
+ */
+router.post(
+  "/:id/payment-methods",
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  idempotency,
+  [
+    body("gateway")
+      .isIn(["stripe", "paystack", "mock"])
+      .withMessage("Gateway must be stripe, paystack or mock"),
+    body("paymentMethodId")
+      .isString()
+      .notEmpty()
+      .withMessage("paymentMethodId is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { gateway, paymentMethodId } = req.body;
+      const paymentMethod = await customerService.attachPaymentMethod(
+        req.params.id,
+        { gateway, paymentMethodId },
+        getOptions(req)
+      );
+
+      res.status(201).json({
+        success: true,
+        paymentMethod: publicPaymentMethod(paymentMethod),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/customers/:id/payment-methods
+ * @desc List a customer's saved payment methods
+ * @access Private (read)
+ */
+router.get(
+  "/:id/payment-methods",
+  requireScope(ApiKeyScope.READ),
+  async (req, res) => {
+    try {
+      const customer = await customerService.getCustomer(
+        req.params.id,
+        getOptions(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        paymentMethods: customer.paymentMethods.map(publicPaymentMethod),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/customers/:id/payment-methods/:paymentMethodId
+ * @desc Detach a saved payment method at its gateway
+ * @access Private (payments:write)
+ */
+router.delete(
+  "/:id/payment-methods/:paymentMethodId",
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  async (req, res) => {
+    try {
+      const customer = await customerService.detachPaymentMethod(
+        req.params.id,
+        req.params.paymentMethodId,
+        getOptions(req)
+      );
+
+      res
+        .status(200)
+        .json({ success: true, customer: publicCustomer(customer) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,8 +1,16 @@
 const express = require("express");
 const gatewayFactory = require("../factories/GatewayFactory");
+const gatewayHealth = require("../services/GatewayHealthMonitor");
 
 const router = express.Router();
 
+// Circuit breaker state -> reported gateway status
+const BREAKER_STATUS = {
+  closed: "available",
+  half_open: "degraded",
+  open: "unavailable",
+};
+
 /**
  * @route GET /api/health
  * @desc Get overall system health status
@@ -72,9 +80,13 @@ router.get("/gateways", (req, res) => {
       try {
         const gateway = gatewayFactory.getGateway(gatewayName);
         const capabilities = gatewayFactory.getGatewayCapabilities(gatewayName);
+        const { state, openedAt, retryAt, ...stats } =
+          gatewayHealth.getSnapshot(gatewayName, { mode: gateway.mode });
 
         gatewayDetails[gatewayName] = {
-          status: "available",
+          status: BREAKER_STATUS[state],
+          circuitBreaker: { state, openedAt, retryAt },
+          health: stats,
           capabilities: capabilities,
           supportedCurrencies: gateway.getSupportedCurrencies().length,
           supportedPaymentMethods: gateway.getSupportedPaymentMethods().length,
@@ -95,7 +107,15 @@ router.get("/gateways", (req, res) => {
       totalGateways: availableGateways.length,
       gateways: gatewayDetails,
       summary: {
-        available: availableGateways.length,
+        available: Object.values(gatewayDetails).filter(
+          (g) => g.status === "available"
+        ).length,
+        degraded: Object.values(gatewayDetails).filter(
+          (g) => g.status === "degraded"
+        ).length,
+        unavailable: Object.values(gatewayDetails).filter(
+          (g) => g.status === "unavailable"
+        ).length,
         errors: Object.values(gatewayDetails).filter(
           (g) => g.status === "error"
         ).length,
@@ -0,0 +1,375 @@
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const gatewayFactory = require("../factories/GatewayFactory");
+const merchantService = require("../services/MerchantService");
+const merchantRepository = require("../repositories/MerchantRepository");
+const { MerchantStatus } = merchantRepository;
+const {
+  validateApiKey,
+  requireScope,
+  requirePlatformKey,
+} = require("../middleware/auth");
+const { ApiKeyScope, KeyMode } = require("../domain/apiKeys");
+const {
+  RateLimitQuota,
+  isValidQuotaOverrides,
+} = require("../domain/rateLimits");
+const { rateLimitByApiKey } = require("../middleware/rateLimit");
+
+const router = express.Router();
+
+// Merchants are managed with platform keys that have merchants:write
+router.use(
+  validateApiKey,
+  requirePlatformKey,
+  requireScope(ApiKeyScope.MERCHANTS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.READS)
+);
+
+const SUPPORTED_GATEWAYS = ["stripe", "paystack", "mock"];
+
+/**
+ * Merchant as returned by the API. Encrypted credentials never leave the
+ * server; only a hint of each secret key is shown.
+ */
+const publicMerchant = (merchant) => ({
+  ...merchant,
+  gateways: Object.fromEntries(
+    Object.entries(merchant.gateways).map(([name, settings]) => [
+      name,
+      {
+        enabled: settings.enabled,
+        credentials: Object.fromEntries(
+          Object.entries(settings.credentials).map(
+            ([mode, { encrypted, ...stored }]) => [mode, stored]
+          )
+        ),
+      },
+    ])
+  ),
+});
+
+const sendError = (res, error) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: "Internal server error",
+    message: error.message,
+  });
+};
+
+const merchantValidators = (optional) => [
+  body("name")
+    .optional(optional)
+    .isString()
+    .notEmpty()
+    .withMessage("name is required"),
+  body("defaultGateways")
+    .optional()
+    .isArray()
+    .withMessage("defaultGateways must be an array"),
+  body("defaultGateways.*")
+    .isIn(SUPPORTED_GATEWAYS)
+    .withMessage("Gateways must be stripe, paystack or mock"),
+  body("rateLimits")
+    .optional({ values: "null" })
+    .custom(isValidQuotaOverrides)
+    .withMessage(
+      "rateLimits must map payments and/or reads to { limit, windowMs }"
+    ),
+  body("redirectUrls")
+    .optional({ values: "null" })
+    .isObject()
+    .withMessage("redirectUrls must be an object"),
+  body("redirectUrls.successUrl")
+    .if(body("redirectUrls").isObject())
+    .isURL({ protocols: ["http", "https"], require_tld: false })
+    .withMessage("redirectUrls.successUrl must be an http(s) URL"),
+  body("redirectUrls.failureUrl")
+    .optional()
+    .isURL({ protocols: ["http", "https"], require_tld: false })
+    .withMessage("redirectUrls.failureUrl must be an http(s) URL"),
+];
+
+/**
+ * Check that credentials have exactly the fields the gateway takes, all
+ * strings, including a secretKey
+ */
+const validateCredentials = (credentials, { req }) => {
+  const fields = gatewayFactory.getCredentialFields(req.params.gateway);
+  const unknown = Object.keys(credentials).filter(
+    (field) => !fields.includes(field)
+  );
+
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown credential fields: ${unknown.join(", ")} (expected ${fields.join(
+        ", "
+      )})`
+    );
+  }
+
+  if (!Object.values(credentials).every((value) => typeof value === "string")) {
+    throw new Error("Credential values must be strings");
+  }
+
+  if (!credentials.secretKey) {
+    throw new Error("credentials.secretKey is required");
+  }
+
+  return true;
+};
+
+/**
+ * @route POST /api/merchants
+ * @desc Create a merchant. Its gateways are configured separately.
+ * @access Private (platform key, merchants:write)
+ */
+router.post("/", merchantValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors.array(),
+      });
+    }
+
+    const { name, defaultGateways, rateLimits, redirectUrls } = req.body;
+    const merchant = await merchantService.create({
+      name,
+      defaultGateways,
+      rateLimits,
+      redirectUrls,
+    });
+
+    res.status(201).json({ success: true, merchant: publicMerchant(merchant) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route GET /api/merchants
+ * @desc List merchants, filtered by status
+ * @access Private (platform key, merchants:write)
+ */
+router.get(
+  "/",
+  [
+    query("status")
+      .optional()
+      .isIn(Object.values(MerchantStatus))
+      .withMessage("Status must be active or disabled"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const merchants = await merchantRepository.list({
+        status: req.query.status,
+      });
+
+      res
+        .status(200)
+        .json({ success: true, merchants: merchants.map(publicMerchant) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/merchants/:id
+ * @desc Get a merchant
+ * @access Private (platform key, merchants:write)
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const merchant = await merchantService.getMerchant(req.params.id);
+
+    res.status(200).json({ success: true, merchant: publicMerchant(merchant) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route PATCH /api/merchants/:id
+ * @desc Rename a merchant, change its default gateways, quotas or
+ *   checkout redirect URLs, or disable it. A disabled merchant's keys stop
+ *   working.
+ * @access Private (platform key, merchants:write)
+ */
+router.patch(
+  "/:id",
+  [
+    ...merchantValidators(true),
+    body("status")
+      .optional()
+      .isIn(Object.values(MerchantStatus))
+      .withMessage("Status must be active or disabled"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { name, defaultGateways, rateLimits, redirectUrls, status } =
+        req.body;
+      const changes = Object.fromEntries(
+        Object.entries({
+          name,
+          defaultGateways,
+          rateLimits,
+          redirectUrls,
+          status,
+        }).filter(([, value]) => value !== undefined)
+      );
+
+      const merchant = await merchantService.update(req.params.id, changes);
+
+      res
+        .status(200)
+        .json({ success: true, merchant: publicMerchant(merchant) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/merchants/:id/redirect-secret
+ * @desc Replace the secret that signs the merchant's checkout result
+ *   tokens
+ * @access Private (platform key, merchants:write)
+ */
+router.post("/:id/redirect-secret", async (req, res) => {
+  try {
+    const merchant = await merchantService.rotateRedirectSecret(req.params.id);
+
+    res.status(200).json({ success: true, merchant: publicMerchant(merchant) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route PUT /api/merchants/:id/gateways/:gateway
+ * @desc Store a merchant's credentials for a gateway and/or enable or
+ *   disable it. Credentials are filed under live or test by their secret
+ *   key prefix and stored encrypted.
+ * @access Private (platform key, merchants:write)
+ */
+router.put(
+  "/:id/gateways/:gateway",
+  [
+    param("gateway")
+      .isIn(SUPPORTED_GATEWAYS)
+      .withMessage("Gateway must be stripe, paystack or mock"),
+    body("enabled")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("enabled must be a boolean"),
+    body("credentials")
+      .optional()
+      .isObject()
+      .withMessage("credentials must be an object")
+      .bail()
+      .custom(validateCredentials),
+    body()
+      .custom(
+        (settings) =>
+          settings.enabled !== undefined || settings.credentials !== undefined
+      )
+      .withMessage("Provide credentials and/or enabled"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { enabled, credentials } = req.body;
+      const merchant = await merchantService.configureGateway(
+        req.params.id,
+        req.params.gateway,
+        { enabled, credentials }
+      );
+
+      res
+        .status(200)
+        .json({ success: true, merchant: publicMerchant(merchant) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/merchants/:id/gateways/:gateway
+ * @desc Remove a merchant's credentials for a gateway, for one mode
+ *   (?mode=live|test) or both
+ * @access Private (platform key, merchants:write)
+ */
+router.delete(
+  "/:id/gateways/:gateway",
+  [
+    query("mode")
+      .optional()
+      .isIn(Object.values(KeyMode))
+      .withMessage("Mode must be live or test"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const merchant = await merchantService.removeGateway(
+        req.params.id,
+        req.params.gateway,
+        req.query.mode
+      );
+
+      res
+        .status(200)
+        .json({ success: true, merchant: publicMerchant(merchant) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const express = require("express");
+const { param, query, validationResult } = require("express-validator");
+const MockAdapter = require("../adapters/MockAdapter");
+
+const router = express.Router();
+
+/**
+ * @route GET /api/mock/challenges/:reference
+ * @desc 3-D Secure page of the mock gateway (the authorizationUrl of a
+ *   challenged payment). Passes the challenge, or fails it with
+ *   ?outcome=fail, then returns to the payment's callbackUrl if it has one.
+ * @access Public (stands in for the card issuer)
+ */
+router.get(
+  "/challenges/:reference",
+  [
+    param("reference")
+      .matches(/^mock_pay_[a-f0-9]+$/)
+      .withMessage("Invalid payment reference"),
+    query("outcome")
+      .optional()
+      .isIn(["pass", "fail"])
+      .withMessage("outcome must be pass or fail"),
+  ],
+  async (req, res) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const payment = MockAdapter.completeChallenge(
+        req.params.reference,
+        req.query.outcome !== "fail"
+      );
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          error: `Payment '${req.params.reference}' not found`,
+        });
+      }
+
+      if (payment.callbackUrl) {
+        const callbackUrl = new URL(payment.callbackUrl);
+        callbackUrl.searchParams.set("reference", payment.reference);
+        return res.redirect(303, callbackUrl.toString());
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          reference: payment.reference,
+          status: payment.status,
+          declineCode: payment.declineCode,
+        },
+      });
+    } catch (error) {
+      // Raised by the adapter when the payment is not awaiting a challenge
+      if (error.code) {
+        return res.status(409).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
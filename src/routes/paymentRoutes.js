@@ -1,28 +1,96 @@
 const express = require("express");
 const { body, validationResult } = require("express-validator");
 const gatewayFactory = require("../factories/GatewayFactory");
-const { validateApiKey } = require("../middleware/auth");
+const paymentService = require("../services/PaymentService");
+const checkoutService = require("../services/CheckoutService");
+const { validateApiKey, requireScope } = require("../middleware/auth");
+const { idempotency } = require("../middleware/idempotency");
+const { isKnownCurrency } = require("../domain/currencies");
+const { CaptureMethod } = require("../domain/paymentStatus");
+const { ApiKeyScope } = require("../domain/apiKeys");
+const { RateLimitQuota } = require("../domain/rateLimits");
+const { rateLimitByApiKey } = require("../middleware/rateLimit");
 
 const router = express.Router();
 
+/**
+ * Check that a currency is a real ISO 4217 code the chosen gateway supports
+ */
+const validateCurrency = (currency, { req }) => {
+  if (typeof currency !== "string" || !isKnownCurrency(currency)) {
+    throw new Error(`Currency '${currency}' is not a valid ISO 4217 code`);
+  }
+
+  const { gateway } = req.body;
+  const { mode, merchantId } = req.apiKey;
+
+  if (
+    gateway &&
+    gatewayFactory.isGatewayAvailable(gateway, mode, merchantId) &&
+    !gatewayFactory
+      .getGateway(gateway, mode, merchantId)
+      .supportsCurrency(currency)
+  ) {
+    throw new Error(
+      `Currency '${currency.toUpperCase()}' is not supported by gateway '${gateway}'`
+    );
+  }
+
+  return true;
+};
+
+// Routing hints, used when the request omits `gateway`
+const routingValidators = [
+  body("customerCountry")
+    .optional()
+    .isISO31661Alpha2()
+    .withMessage("customerCountry must be an ISO 3166-1 alpha-2 code"),
+  body("paymentMethod")
+    .optional()
+    .isString()
+    .withMessage("paymentMethod must be a string"),
+];
+
+// Payments for a saved customer. With customerId, paymentMethodId may be
+// one of the customer's saved payment methods (upm_...).
+const customerValidators = [
+  body("customerId")
+    .optional()
+    .isString()
+    .withMessage("customerId must be a string"),
+  body("paymentMethodId")
+    .optional()
+    .isString()
+    .withMessage("paymentMethodId must be a string"),
+];
+
+// "manual" only authorizes; the payment is captured or canceled later
+const captureMethodValidator = body("captureMethod")
+  .optional()
+  .isIn(Object.values(CaptureMethod))
+  .withMessage("captureMethod must be automatic or manual");
+
 /**
  * @route POST /api/payments/process
- * @desc Process a payment through specified gateway
+ * @desc Process a payment through the specified or routed gateway
  * @access Private
  */
 router.post(
   "/process",
   validateApiKey,
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.PAYMENTS),
+  idempotency,
   [
     body("gateway")
-      .isIn(["stripe", "paystack"])
-      .withMessage("Gateway must be stripe or paystack"),
+      .optional()
+      .isIn(["stripe", "paystack", "mock"])
+      .withMessage("Gateway must be stripe, paystack or mock"),
     body("amount")
-      .isFloat({ min: 0.01 })
-      .withMessage("Amount must be greater than 0"),
-    body("currency")
-      .isLength({ min: 3, max: 3 })
-      .withMessage("Currency must be 3 characters"),
+      .isInt({ min: 1 })
+      .withMessage("Amount must be a positive integer in minor units")
+      .toInt(),
+    body("currency").custom(validateCurrency),
     body("customerEmail")
       .optional()
       .isEmail()
@@ -31,6 +99,14 @@ router.post(
       .optional()
       .isString()
       .withMessage("Description must be a string"),
+    ...routingValidators,
+    ...customerValidators,
+    captureMethodValidator,
+    body("failover")
+      .optional()
+      .isBoolean()
+      .withMessage("failover must be a boolean")
+      .toBoolean(),
     body("metadata")
       .optional()
       .isObject()
@@ -48,28 +124,42 @@ router.post(
         });
       }
 
-      const { gateway, ...paymentData } = req.body;
+      const { gateway, failover, ...paymentData } = req.body;
+      const { mode, merchantId } = req.apiKey;
 
-      // Check if gateway is available
-      if (!gatewayFactory.isGatewayAvailable(gateway)) {
+      // Check if gateway is available to the key's merchant in its mode
+      if (
+        gateway &&
+        !gatewayFactory.isGatewayAvailable(gateway, mode, merchantId)
+      ) {
         return res.status(400).json({
           success: false,
           error: `Gateway '${gateway}' is not available or not configured`,
         });
       }
 
-      // Get gateway adapter
-      const gatewayAdapter = gatewayFactory.getGateway(gateway);
-
-      // Process payment
-      const result = await gatewayAdapter.processPayment(paymentData);
+      // Process payment and record it
+      const result = await paymentService.processPayment(gateway, paymentData, {
+        idempotencyKey: req.idempotencyKey,
+        merchantId,
+        failover,
+        mode,
+      });
 
       if (result.success) {
         res.status(200).json(result);
       } else {
-        res.status(400).json(result);
+        res.status(result.error.httpStatus).json(result);
       }
     } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: "Internal server error",
@@ -87,16 +177,19 @@ router.post(
 router.post(
   "/intent",
   validateApiKey,
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.PAYMENTS),
+  idempotency,
   [
     body("gateway")
-      .isIn(["stripe", "paystack"])
-      .withMessage("Gateway must be stripe or paystack"),
+      .optional()
+      .isIn(["stripe", "paystack", "mock"])
+      .withMessage("Gateway must be stripe, paystack or mock"),
     body("amount")
-      .isFloat({ min: 0.01 })
-      .withMessage("Amount must be greater than 0"),
-    body("currency")
-      .isLength({ min: 3, max: 3 })
-      .withMessage("Currency must be 3 characters"),
+      .isInt({ min: 1 })
+      .withMessage("Amount must be a positive integer in minor units")
+      .toInt(),
+    body("currency").custom(validateCurrency),
     body("customerEmail")
       .optional()
       .isEmail()
@@ -105,6 +198,9 @@ router.post(
       .optional()
       .isString()
       .withMessage("Description must be a string"),
+    ...routingValidators,
+    ...customerValidators,
+    captureMethodValidator,
   ],
   async (req, res) => {
     try {
@@ -118,23 +214,42 @@ router.post(
       }
 
       const { gateway, ...intentData } = req.body;
+      const { mode, merchantId } = req.apiKey;
 
-      if (!gatewayFactory.isGatewayAvailable(gateway)) {
+      if (
+        gateway &&
+        !gatewayFactory.isGatewayAvailable(gateway, mode, merchantId)
+      ) {
         return res.status(400).json({
           success: false,
           error: `Gateway '${gateway}' is not available`,
         });
       }
 
-      const gatewayAdapter = gatewayFactory.getGateway(gateway);
-      const result = await gatewayAdapter.createPaymentIntent(intentData);
+      const result = await paymentService.createPaymentIntent(
+        gateway,
+        intentData,
+        {
+          idempotencyKey: req.idempotencyKey,
+          merchantId,
+          mode,
+        }
+      );
 
       if (result.success) {
         res.status(200).json(result);
       } else {
-        res.status(400).json(result);
+        res.status(result.error.httpStatus).json(result);
       }
     } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: "Internal server error",
@@ -152,14 +267,37 @@ router.post(
 router.post(
   "/refund",
   validateApiKey,
+  requireScope(ApiKeyScope.REFUNDS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.PAYMENTS),
+  idempotency,
   [
     body("gateway")
-      .isIn(["stripe", "paystack"])
-      .withMessage("Gateway must be stripe or paystack"),
+      .if(body("paymentId").not().exists())
+      .isIn(["stripe", "paystack", "mock"])
+      .withMessage("Gateway must be stripe, paystack or mock"),
+    body("paymentId")
+      .optional()
+      .isString()
+      .withMessage("paymentId must be a unified payment ID"),
+    // Without a paymentId the gateway's own reference picks the payment
+    body("paymentIntentId")
+      .if(body("paymentId").not().exists())
+      .if(body("transactionReference").not().exists())
+      .isString()
+      .notEmpty()
+      .withMessage(
+        "paymentId, paymentIntentId or transactionReference is required"
+      ),
+    body("transactionReference")
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage("transactionReference must be a string"),
     body("amount")
       .optional()
-      .isFloat({ min: 0.01 })
-      .withMessage("Amount must be greater than 0"),
+      .isInt({ min: 1 })
+      .withMessage("Amount must be a positive integer in minor units")
+      .toInt(),
     body("reason").optional().isString().withMessage("Reason must be a string"),
   ],
   async (req, res) => {
@@ -174,23 +312,38 @@ router.post(
       }
 
       const { gateway, ...refundData } = req.body;
+      const { mode, merchantId } = req.apiKey;
 
-      if (!gatewayFactory.isGatewayAvailable(gateway)) {
+      if (
+        gateway &&
+        !gatewayFactory.isGatewayAvailable(gateway, mode, merchantId)
+      ) {
         return res.status(400).json({
           success: false,
           error: `Gateway '${gateway}' is not available`,
         });
       }
 
-      const gatewayAdapter = gatewayFactory.getGateway(gateway);
-      const result = await gatewayAdapter.processRefund(refundData);
+      const result = await paymentService.processRefund(gateway, refundData, {
+        idempotencyKey: req.idempotencyKey,
+        mode,
+        merchantId,
+      });
 
       if (result.success) {
         res.status(200).json(result);
       } else {
-        res.status(400).json(result);
+        res.status(result.error.httpStatus).json(result);
       }
     } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: "Internal server error",
@@ -205,33 +358,42 @@ router.post(
  * @desc Get payment status
  * @access Private
  */
-router.get("/status/:gateway/:paymentId", validateApiKey, async (req, res) => {
-  try {
-    const { gateway, paymentId } = req.params;
+router.get(
+  "/status/:gateway/:paymentId",
+  validateApiKey,
+  requireScope(ApiKeyScope.READ),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  async (req, res) => {
+    try {
+      const { gateway, paymentId } = req.params;
+      const { mode, merchantId } = req.apiKey;
 
-    if (!gatewayFactory.isGatewayAvailable(gateway)) {
-      return res.status(400).json({
-        success: false,
-        error: `Gateway '${gateway}' is not available`,
-      });
-    }
+      if (!gatewayFactory.isGatewayAvailable(gateway, mode, merchantId)) {
+        return res.status(400).json({
+          success: false,
+          error: `Gateway '${gateway}' is not available`,
+        });
+      }
 
-    const gatewayAdapter = gatewayFactory.getGateway(gateway);
-    const result = await gatewayAdapter.getPaymentStatus(paymentId);
+      const result = await paymentService.getPaymentStatus(gateway, paymentId, {
+        mode,
+        merchantId,
+      });
 
-    if (result.success) {
-      res.status(200).json(result);
-    } else {
-      res.status(400).json(result);
+      if (result.success) {
+        res.status(200).json(result);
+      } else {
+        res.status(result.error.httpStatus).json(result);
+      }
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
     }
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: "Internal server error",
-      message: error.message,
-    });
   }
-});
+);
 
 /**
  * @route GET /api/payments/gateways
@@ -322,4 +484,205 @@ router.get("/health", (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/payments/callback
+ * @desc Where customers return from redirect-based checkouts (Paystack,
+ *   Stripe iDEAL/Sofort/Bancontact, mock 3-D Secure). Verifies the payment
+ *   with the gateway, then redirects to the merchant's success or failure
+ *   URL with a signed result token. Without a redirect URL only the
+ *   outcome is returned.
+ * @access Public (customer's browser)
+ */
+router.get("/callback", async (req, res) => {
+  try {
+    const { outcome, redirectUrl } = await checkoutService.handleCallback(
+      req.query
+    );
+
+    if (redirectUrl) {
+      return res.redirect(303, redirectUrl);
+    }
+
+    res.status(200).json({ success: true, data: { outcome } });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route GET /api/payments/:paymentId
+ * @desc Get a stored payment by its unified ID
+ * @access Private
+ */
+router.get(
+  "/:paymentId",
+  validateApiKey,
+  requireScope(ApiKeyScope.READ),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  async (req, res) => {
+    try {
+      const payment = await paymentService.getPayment(req.params.paymentId, {
+        mode: req.apiKey.mode,
+        merchantId: req.apiKey.merchantId,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: payment,
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/payments/:paymentId/capture
+ * @desc Capture an authorized payment, in full or in part
+ * @access Private
+ */
+router.post(
+  "/:paymentId/capture",
+  validateApiKey,
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.PAYMENTS),
+  idempotency,
+  [
+    body("amount")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Amount must be a positive integer in minor units")
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const result = await paymentService.capturePayment(
+        req.params.paymentId,
+        { amount: req.body.amount },
+        {
+          idempotencyKey: req.idempotencyKey,
+          mode: req.apiKey.mode,
+          merchantId: req.apiKey.merchantId,
+        }
+      );
+
+      if (result.success) {
+        res.status(200).json(result);
+      } else {
+        res.status(result.error.httpStatus).json(result);
+      }
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/payments/:paymentId/cancel
+ * @desc Cancel (void) a payment that has not been captured
+ * @access Private
+ */
+router.post(
+  "/:paymentId/cancel",
+  validateApiKey,
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.PAYMENTS),
+  idempotency,
+  [
+    body("reason")
+      .optional()
+      .isIn(["duplicate", "fraudulent", "requested_by_customer", "abandoned"])
+      .withMessage(
+        "reason must be duplicate, fraudulent, requested_by_customer or abandoned"
+      ),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const result = await paymentService.cancelPayment(
+        req.params.paymentId,
+        { reason: req.body.reason },
+        {
+          idempotencyKey: req.idempotencyKey,
+          mode: req.apiKey.mode,
+          merchantId: req.apiKey.merchantId,
+        }
+      );
+
+      if (result.success) {
+        res.status(200).json(result);
+      } else {
+        res.status(result.error.httpStatus).json(result);
+      }
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,235 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const planService = require("../services/PlanService");
+const { validateApiKey, requireScope } = require("../middleware/auth");
+const { isKnownCurrency } = require("../domain/currencies");
+const {
+  PlanInterval,
+  isValidDunningSchedule,
+} = require("../domain/subscriptions");
+const { ApiKeyScope } = require("../domain/apiKeys");
+const { RateLimitQuota } = require("../domain/rateLimits");
+const { rateLimitByApiKey } = require("../middleware/rateLimit");
+
+const router = express.Router();
+
+router.use(validateApiKey, rateLimitByApiKey(RateLimitQuota.READS));
+
+const sendError = (res, error) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: "Internal server error",
+    message: error.message,
+  });
+};
+
+// Fields that can change after a plan is made; its price and interval
+// cannot
+const planChangeValidators = (optional) => [
+  body("name")
+    .optional(optional)
+    .isString()
+    .notEmpty()
+    .withMessage("name is required"),
+  body("trialDays")
+    .optional()
+    .isInt({ min: 0, max: 730 })
+    .withMessage("trialDays must be between 0 and 730")
+    .toInt(),
+  body("dunning")
+    .optional({ values: "null" })
+    .custom(isValidDunningSchedule)
+    .withMessage(
+      "dunning must be { retryDays: increasing days from 1 to 60, finalAction: cancel, pause or unpaid } with no other fields"
+    ),
+  body("metadata")
+    .optional()
+    .isObject()
+    .withMessage("Metadata must be an object"),
+];
+
+/**
+ * Caller scope for the service: the key's mode and merchant
+ */
+const getOptions = (req) => ({
+  mode: req.apiKey.mode,
+  merchantId: req.apiKey.merchantId,
+});
+
+/**
+ * @route POST /api/plans
+ * @desc Create a billing plan
+ * @access Private (payments:write)
+ */
+router.post(
+  "/",
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  [
+    ...planChangeValidators(false),
+    body("amount")
+      .isInt({ min: 1 })
+      .withMessage("Amount must be a positive integer in minor units")
+      .toInt(),
+    body("currency")
+      .custom((currency) => isKnownCurrency(currency))
+      .withMessage("currency must be a valid ISO 4217 code"),
+    body("interval")
+      .isIn(Object.values(PlanInterval))
+      .withMessage("interval must be day, week, month or year"),
+    body("intervalCount")
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage("intervalCount must be between 1 and 365")
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const {
+        name,
+        amount,
+        currency,
+        interval,
+        intervalCount,
+        trialDays,
+        dunning,
+        metadata,
+      } = req.body;
+      const plan = await planService.create(
+        {
+          name,
+          amount,
+          currency,
+          interval,
+          intervalCount,
+          trialDays,
+          dunning,
+          metadata,
+        },
+        getOptions(req)
+      );
+
+      res.status(201).json({ success: true, plan });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/plans
+ * @desc List plans, filtered by active
+ * @access Private (read)
+ */
+router.get(
+  "/",
+  requireScope(ApiKeyScope.READ),
+  [
+    query("active")
+      .optional()
+      .isBoolean()
+      .withMessage("active must be true or false")
+      .toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const plans = await planService.list(
+        { active: req.query.active },
+        getOptions(req)
+      );
+
+      res.status(200).json({ success: true, plans });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/plans/:id
+ * @desc Get a plan
+ * @access Private (read)
+ */
+router.get("/:id", requireScope(ApiKeyScope.READ), async (req, res) => {
+  try {
+    const plan = await planService.getPlan(req.params.id, getOptions(req));
+
+    res.status(200).json({ success: true, plan });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route PATCH /api/plans/:id
+ * @desc Rename a plan, change its trial, dunning schedule or metadata,
+ *   or archive it (active: false)
+ * @access Private (payments:write)
+ */
+router.patch(
+  "/:id",
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  [
+    ...planChangeValidators(true),
+    body("active")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("active must be a boolean"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { name, trialDays, dunning, active, metadata } = req.body;
+      const changes = Object.fromEntries(
+        Object.entries({ name, trialDays, dunning, active, metadata }).filter(
+          ([, value]) => value !== undefined
+        )
+      );
+
+      const plan = await planService.update(
+        req.params.id,
+        changes,
+        getOptions(req)
+      );
+
+      res.status(200).json({ success: true, plan });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+module.exports = router;
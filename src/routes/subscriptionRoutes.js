@@ -0,0 +1,344 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const subscriptionService = require("../services/SubscriptionService");
+const { validateApiKey, requireScope } = require("../middleware/auth");
+const { idempotency } = require("../middleware/idempotency");
+const { SubscriptionStatus } = require("../domain/subscriptions");
+const { ApiKeyScope } = require("../domain/apiKeys");
+const { RateLimitQuota } = require("../domain/rateLimits");
+const { rateLimitByApiKey } = require("../middleware/rateLimit");
+
+const router = express.Router();
+
+router.use(validateApiKey);
+
+const sendError = (res, error) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: "Internal server error",
+    message: error.message,
+  });
+};
+
+/**
+ * Caller scope for the service: the key's mode and merchant
+ */
+const getOptions = (req) => ({
+  mode: req.apiKey.mode,
+  merchantId: req.apiKey.merchantId,
+});
+
+/**
+ * @route POST /api/subscriptions
+ * @desc Subscribe a customer to a plan, billed to one of the customer's
+ *   saved payment methods. Without a trial the first period is charged
+ *   now.
+ * @access Private (payments:write)
+ */
+router.post(
+  "/",
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.PAYMENTS),
+  idempotency,
+  [
+    body("customerId")
+      .isString()
+      .notEmpty()
+      .withMessage("customerId is required"),
+    body("planId").isString().notEmpty().withMessage("planId is required"),
+    body("paymentMethodId")
+      .isString()
+      .notEmpty()
+      .withMessage("paymentMethodId must be a saved payment method ID"),
+    body("trialDays")
+      .optional()
+      .isInt({ min: 0, max: 730 })
+      .withMessage("trialDays must be between 0 and 730")
+      .toInt(),
+    body("metadata")
+      .optional()
+      .isObject()
+      .withMessage("Metadata must be an object"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { customerId, planId, paymentMethodId, trialDays, metadata } =
+        req.body;
+      const subscription = await subscriptionService.create(
+        { customerId, planId, paymentMethodId, trialDays, metadata },
+        getOptions(req)
+      );
+
+      res.status(201).json({ success: true, subscription });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/subscriptions
+ * @desc List subscriptions, filtered by customerId, planId or status
+ * @access Private (read)
+ */
+router.get(
+  "/",
+  requireScope(ApiKeyScope.READ),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  [
+    query("status")
+      .optional()
+      .isIn(Object.values(SubscriptionStatus))
+      .withMessage(
+        `Status must be one of ${Object.values(SubscriptionStatus).join(", ")}`
+      ),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { customerId, planId, status } = req.query;
+      const subscriptions = await subscriptionService.list(
+        { customerId, planId, status },
+        getOptions(req)
+      );
+
+      res.status(200).json({ success: true, subscriptions });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/subscriptions/:id
+ * @desc Get a subscription and its charges
+ * @access Private (read)
+ */
+router.get(
+  "/:id",
+  requireScope(ApiKeyScope.READ),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  async (req, res) => {
+    try {
+      const subscription = await subscriptionService.getSubscription(
+        req.params.id,
+        getOptions(req)
+      );
+
+      res.status(200).json({ success: true, subscription });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route PATCH /api/subscriptions/:id
+ * @desc Change the saved payment method future periods are charged to,
+ *   or the metadata. A past-due subscription's new payment method is
+ *   charged on the next dunning run.
+ * @access Private (payments:write)
+ */
+router.patch(
+  "/:id",
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  [
+    body("paymentMethodId")
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage("paymentMethodId must be a saved payment method ID"),
+    body("metadata")
+      .optional()
+      .isObject()
+      .withMessage("Metadata must be an object"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { paymentMethodId, metadata } = req.body;
+      const changes = Object.fromEntries(
+        Object.entries({ paymentMethodId, metadata }).filter(
+          ([, value]) => value !== undefined
+        )
+      );
+
+      const subscription = await subscriptionService.update(
+        req.params.id,
+        changes,
+        getOptions(req)
+      );
+
+      res.status(200).json({ success: true, subscription });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/subscriptions/:id/pause
+ * @desc Stop billing a subscription until it is resumed
+ * @access Private (payments:write)
+ */
+router.post(
+  "/:id/pause",
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  async (req, res) => {
+    try {
+      const subscription = await subscriptionService.pause(
+        req.params.id,
+        getOptions(req)
+      );
+
+      res.status(200).json({ success: true, subscription });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/subscriptions/:id/resume
+ * @desc Resume a paused or unpaid subscription, or charge a past-due one
+ *   again. A period that ended meanwhile is charged now.
+ * @access Private (payments:write)
+ */
+router.post(
+  "/:id/resume",
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.PAYMENTS),
+  idempotency,
+  async (req, res) => {
+    try {
+      const subscription = await subscriptionService.resume(
+        req.params.id,
+        getOptions(req)
+      );
+
+      res.status(200).json({ success: true, subscription });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/subscriptions/:id/cancel
+ * @desc Cancel a subscription now, or at the end of its period
+ *   (atPeriodEnd: true)
+ * @access Private (payments:write)
+ */
+router.post(
+  "/:id/cancel",
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  [
+    body("atPeriodEnd")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("atPeriodEnd must be a boolean"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const subscription = await subscriptionService.cancel(
+        req.params.id,
+        { atPeriodEnd: req.body.atPeriodEnd },
+        getOptions(req)
+      );
+
+      res.status(200).json({ success: true, subscription });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/subscriptions/:id/change-plan
+ * @desc Move a subscription to another plan in the same currency, with
+ *   proration unless prorate is false
+ * @access Private (payments:write)
+ */
+router.post(
+  "/:id/change-plan",
+  requireScope(ApiKeyScope.PAYMENTS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.PAYMENTS),
+  idempotency,
+  [
+    body("planId").isString().notEmpty().withMessage("planId is required"),
+    body("prorate")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("prorate must be a boolean"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { planId, prorate } = req.body;
+      const subscription = await subscriptionService.changePlan(
+        req.params.id,
+        { planId, prorate },
+        getOptions(req)
+      );
+
+      res.status(200).json({ success: true, subscription });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+module.exports = router;
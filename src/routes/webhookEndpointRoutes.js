@@ -0,0 +1,468 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const webhookEndpointRepository = require("../repositories/WebhookEndpointRepository");
+const webhookDeliveryRepository = require("../repositories/WebhookDeliveryRepository");
+const merchantWebhookService = require("../services/MerchantWebhookService");
+const { WebhookEndpointStatus } = webhookEndpointRepository;
+const { WebhookDeliveryStatus } = webhookDeliveryRepository;
+const { validateApiKey, requireScope } = require("../middleware/auth");
+const { ApiKeyScope } = require("../domain/apiKeys");
+const { RateLimitQuota } = require("../domain/rateLimits");
+const { rateLimitByApiKey } = require("../middleware/rateLimit");
+const { WebhookEventType } = require("../domain/webhookEvents");
+const { isAccessibleTo } = require("../domain/merchants");
+const { getWebhookUrlError } = require("../security/webhookUrls");
+const { merchantWebhooks } = require("../../config/production");
+
+const router = express.Router();
+
+// Event types an endpoint can subscribe to; "*" subscribes to all
+const SUBSCRIBABLE_EVENTS = [
+  "*",
+  ...Object.values(WebhookEventType).filter(
+    (type) => type !== WebhookEventType.UNKNOWN
+  ),
+];
+
+const endpointValidators = (optional) => [
+  body("url")
+    .optional(optional)
+    .isURL({ protocols: ["http", "https"], require_tld: false })
+    .withMessage("url must be an http or https URL")
+    .bail()
+    .custom((url) => {
+      const refusal = getWebhookUrlError(
+        url,
+        merchantWebhooks.allowPrivateUrls
+      );
+
+      if (refusal) {
+        throw new Error(refusal);
+      }
+
+      return true;
+    }),
+  body("events")
+    .optional(optional)
+    .isArray({ min: 1 })
+    .withMessage("events must be a non-empty array"),
+  body("events.*")
+    .isIn(SUBSCRIBABLE_EVENTS)
+    .withMessage(
+      `Event types must be one of ${SUBSCRIBABLE_EVENTS.join(", ")}`
+    ),
+  body("description")
+    .optional()
+    .isString()
+    .withMessage("description must be a string"),
+];
+
+/**
+ * Endpoint as returned by the API. The secret is only shown on creation.
+ */
+const publicEndpoint = ({ secret, ...endpoint }) => endpoint;
+
+const notFound = (res, id) =>
+  res.status(404).json({
+    success: false,
+    error: `Webhook endpoint '${id}' not found`,
+    code: "WEBHOOK_ENDPOINT_NOT_FOUND",
+  });
+
+const deliveryNotFound = (res, id) =>
+  res.status(404).json({
+    success: false,
+    error: `Webhook delivery '${id}' not found`,
+    code: "WEBHOOK_DELIVERY_NOT_FOUND",
+  });
+
+/**
+ * Get an endpoint the request's key may manage: a merchant's keys only
+ * see that merchant's endpoints
+ */
+const findOwnEndpoint = async (req, id) => {
+  const endpoint = await webhookEndpointRepository.findById(id);
+
+  return endpoint && isAccessibleTo(endpoint, req.apiKey.merchantId)
+    ? endpoint
+    : null;
+};
+
+/**
+ * Get a delivery to an endpoint the request's key may manage
+ */
+const findOwnDelivery = async (req, id) => {
+  const delivery = await webhookDeliveryRepository.findById(id);
+
+  return delivery && (await findOwnEndpoint(req, delivery.endpointId))
+    ? delivery
+    : null;
+};
+
+/**
+ * @route POST /api/webhook-endpoints
+ * @desc Register an endpoint for unified events
+ * @access Private
+ */
+router.post(
+  "/",
+  validateApiKey,
+  requireScope(ApiKeyScope.WEBHOOKS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  [
+    ...endpointValidators(false),
+    body("secret")
+      .optional()
+      .isString()
+      .isLength({ min: 16 })
+      .withMessage("secret must be at least 16 characters"),
+    body("merchantId")
+      .optional()
+      .isString()
+      .withMessage("merchantId must be a string"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { url, events, secret, description } = req.body;
+      const endpoint = await webhookEndpointRepository.create({
+        url,
+        events,
+        secret,
+        // Merchant keys always register endpoints for their own merchant
+        merchantId: req.apiKey.merchantId || req.body.merchantId,
+        description,
+      });
+
+      res.status(201).json({ success: true, endpoint });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/webhook-endpoints
+ * @desc List webhook endpoints, filtered by merchant and status
+ * @access Private
+ */
+router.get(
+  "/",
+  validateApiKey,
+  requireScope(ApiKeyScope.READ),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  [
+    query("merchantId").optional().isString(),
+    query("status")
+      .optional()
+      .isIn(Object.values(WebhookEndpointStatus))
+      .withMessage("Status must be enabled or disabled"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { status } = req.query;
+      const merchantId = req.apiKey.merchantId || req.query.merchantId;
+      const endpoints = await webhookEndpointRepository.list({
+        merchantId,
+        status,
+      });
+
+      res.status(200).json({
+        success: true,
+        endpoints: endpoints.map(publicEndpoint),
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/webhook-endpoints/deliveries/:id
+ * @desc Get a delivery with its attempt log
+ * @access Private
+ */
+router.get(
+  "/deliveries/:id",
+  validateApiKey,
+  requireScope(ApiKeyScope.READ),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  async (req, res) => {
+    try {
+      const delivery = await findOwnDelivery(req, req.params.id);
+
+      if (!delivery) {
+        return deliveryNotFound(res, req.params.id);
+      }
+
+      res.status(200).json({ success: true, delivery });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/webhook-endpoints/deliveries/:id/redeliver
+ * @desc Send a delivery again now
+ * @access Private
+ */
+router.post(
+  "/deliveries/:id/redeliver",
+  validateApiKey,
+  requireScope(ApiKeyScope.WEBHOOKS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  async (req, res) => {
+    try {
+      if (!(await findOwnDelivery(req, req.params.id))) {
+        return deliveryNotFound(res, req.params.id);
+      }
+
+      const delivery = await merchantWebhookService.redeliver(req.params.id);
+
+      res.status(200).json({
+        success: delivery.status === WebhookDeliveryStatus.SUCCEEDED,
+        delivery,
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/webhook-endpoints/:id
+ * @desc Get a webhook endpoint
+ * @access Private
+ */
+router.get(
+  "/:id",
+  validateApiKey,
+  requireScope(ApiKeyScope.READ),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  async (req, res) => {
+    try {
+      const endpoint = await findOwnEndpoint(req, req.params.id);
+
+      if (!endpoint) {
+        return notFound(res, req.params.id);
+      }
+
+      res
+        .status(200)
+        .json({ success: true, endpoint: publicEndpoint(endpoint) });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route PATCH /api/webhook-endpoints/:id
+ * @desc Change an endpoint's URL, events or description, or disable and
+ *   re-enable it
+ * @access Private
+ */
+router.patch(
+  "/:id",
+  validateApiKey,
+  requireScope(ApiKeyScope.WEBHOOKS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  [
+    ...endpointValidators(true),
+    body("status")
+      .optional()
+      .isIn(Object.values(WebhookEndpointStatus))
+      .withMessage("Status must be enabled or disabled"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      if (!(await findOwnEndpoint(req, req.params.id))) {
+        return notFound(res, req.params.id);
+      }
+
+      const { url, events, description, status } = req.body;
+      const changes = Object.fromEntries(
+        Object.entries({ url, events, description, status }).filter(
+          ([, value]) => value !== undefined
+        )
+      );
+
+      if (status === WebhookEndpointStatus.DISABLED) {
+        changes.disabledAt = new Date().toISOString();
+        changes.disabledReason = "Disabled by request";
+      }
+
+      const endpoint = await webhookEndpointRepository.update(
+        req.params.id,
+        changes
+      );
+
+      if (!endpoint) {
+        return notFound(res, req.params.id);
+      }
+
+      res
+        .status(200)
+        .json({ success: true, endpoint: publicEndpoint(endpoint) });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/webhook-endpoints/:id
+ * @desc Delete a webhook endpoint. Pending deliveries to it are dropped.
+ * @access Private
+ */
+router.delete(
+  "/:id",
+  validateApiKey,
+  requireScope(ApiKeyScope.WEBHOOKS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  async (req, res) => {
+    try {
+      if (!(await findOwnEndpoint(req, req.params.id))) {
+        return notFound(res, req.params.id);
+      }
+
+      const deleted = await webhookEndpointRepository.delete(req.params.id);
+
+      if (!deleted) {
+        return notFound(res, req.params.id);
+      }
+
+      res.status(200).json({ success: true, deleted: true });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/webhook-endpoints/:id/deliveries
+ * @desc List deliveries to an endpoint, filtered by status and event type
+ * @access Private
+ */
+router.get(
+  "/:id/deliveries",
+  validateApiKey,
+  requireScope(ApiKeyScope.READ),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  [
+    query("status")
+      .optional()
+      .isIn(Object.values(WebhookDeliveryStatus))
+      .withMessage(
+        `Status must be one of ${Object.values(WebhookDeliveryStatus).join(
+          ", "
+        )}`
+      ),
+    query("eventType").optional().isString(),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage("Limit must be between 1 and 200")
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      if (!(await findOwnEndpoint(req, req.params.id))) {
+        return notFound(res, req.params.id);
+      }
+
+      const { status, eventType, limit = 50 } = req.query;
+      const deliveries = await webhookDeliveryRepository.list({
+        endpointId: req.params.id,
+        status,
+        eventType,
+      });
+
+      res.status(200).json({
+        success: true,
+        total: deliveries.length,
+        deliveries: deliveries.slice(0, limit),
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,90 +1,47 @@
 const express = require("express");
+const { query, validationResult } = require("express-validator");
 const gatewayFactory = require("../factories/GatewayFactory");
+const webhookProcessor = require("../services/WebhookProcessor");
+const webhookEventRepository = require("../repositories/WebhookEventRepository");
+const { WebhookEventStatus } = webhookEventRepository;
+const {
+  validateApiKey,
+  requireScope,
+  requirePlatformKey,
+} = require("../middleware/auth");
+const { ApiKeyScope } = require("../domain/apiKeys");
+const { RateLimitQuota } = require("../domain/rateLimits");
+const { rateLimitByApiKey } = require("../middleware/rateLimit");
+const { isAccessibleTo } = require("../domain/merchants");
 
 const router = express.Router();
 
 /**
- * @route POST /api/webhooks/stripe
- * @desc Handle Stripe webhooks
- * @access Public (webhook endpoint)
+ * Verify a gateway webhook against the raw body and store it for
+ * processing. Gateways only need a 2xx; processing happens in the
+ * background.
+ * @param {string|null} gateway - Gateway that sent the request
+ * @param {string|null} merchantId - Merchant whose credentials signed it;
+ *   platform credentials when omitted (merchant must be loaded)
  */
-router.post(
-  "/stripe",
-  express.raw({ type: "application/json" }),
-  async (req, res) => {
-    try {
-      const signature = req.headers["stripe-signature"];
-
-      if (!signature) {
-        return res.status(400).json({
-          success: false,
-          error: "No signature provided",
-        });
-      }
-
-      // Get Stripe adapter
-      const stripeAdapter = gatewayFactory.getGateway("stripe");
-
-      // Verify webhook
-      const verification = await stripeAdapter.verifyWebhook({
-        body: req.body,
-        signature: signature,
+const receiveWebhook = async (gateway, req, res, merchantId = null) => {
+  try {
+    if (!gateway) {
+      return res.status(400).json({
+        success: false,
+        error: "Could not identify the gateway that sent this webhook",
       });
+    }
 
-      if (!verification.isValid) {
-        return res.status(400).json({
-          success: false,
-          error: "Invalid webhook signature",
-        });
-      }
-
-      const event = verification.event;
-
-      // Process different event types
-      switch (event.type) {
-        case "payment_intent.succeeded":
-          console.log("Payment succeeded:", event.data.object.id);
-          // Handle successful payment
-          break;
-
-        case "payment_intent.payment_failed":
-          console.log("Payment failed:", event.data.object.id);
-          // Handle failed payment
-          break;
-
-        case "charge.refunded":
-          console.log("Refund processed:", event.data.object.id);
-          // Handle refund
-          break;
-
-        default:
-          console.log(`Unhandled event type: ${event.type}`);
-      }
-
-      res.status(200).json({
-        success: true,
-        message: "Webhook processed successfully",
-        eventType: event.type,
-      });
-    } catch (error) {
-      console.error("Stripe webhook error:", error);
-      res.status(400).json({
+    if (!gatewayFactory.isGatewayAvailable(gateway, null, merchantId)) {
+      return res.status(400).json({
         success: false,
-        error: "Webhook processing failed",
-        message: error.message,
+        error: `Gateway '${gateway}' is not supported`,
       });
     }
-  }
-);
 
-/**
- * @route POST /api/webhooks/paystack
- * @desc Handle Paystack webhooks
- * @access Public (webhook endpoint)
- */
-router.post("/paystack", async (req, res) => {
-  try {
-    const signature = req.headers["x-paystack-signature"];
+    const gatewayAdapter = gatewayFactory.getGateway(gateway, null, merchantId);
+    const signature = req.headers[gatewayAdapter.getWebhookSignatureHeader()];
 
     if (!signature) {
       return res.status(400).json({
@@ -93,14 +50,22 @@ router.post("/paystack", async (req, res) => {
       });
     }
 
-    // Get Paystack adapter
-    const paystackAdapter = gatewayFactory.getGateway("paystack");
+    // Verify webhook with the live or sandbox credentials, whichever signed it
+    let verification;
 
-    // Verify webhook
-    const verification = await paystackAdapter.verifyWebhook({
-      body: req.body,
-      signature: signature,
-    });
+    for (const adapter of gatewayFactory.getGatewayAdapters(
+      gateway,
+      merchantId
+    )) {
+      verification = await adapter.verifyWebhook({
+        body: req.rawBody,
+        signature: signature,
+      });
+
+      if (verification.isValid) {
+        break;
+      }
+    }
 
     if (!verification.isValid) {
       return res.status(400).json({
@@ -109,146 +74,252 @@ router.post("/paystack", async (req, res) => {
       });
     }
 
-    const event = verification.event;
-
-    // Process different event types
-    switch (event.event) {
-      case "charge.success":
-        console.log("Payment succeeded:", event.data.reference);
-        // Handle successful payment
-        break;
-
-      case "charge.failed":
-        console.log("Payment failed:", event.data.reference);
-        // Handle failed payment
-        break;
-
-      case "transfer.success":
-        console.log("Transfer succeeded:", event.data.reference);
-        // Handle successful transfer
-        break;
-
-      case "refund.processed":
-        console.log("Refund processed:", event.data.reference);
-        // Handle refund
-        break;
-
-      default:
-        console.log(`Unhandled event type: ${event.event}`);
-    }
+    const { duplicate, record } = await webhookProcessor.receive(
+      gateway.toLowerCase(),
+      verification.event,
+      merchantId
+    );
 
     res.status(200).json({
       success: true,
-      message: "Webhook processed successfully",
-      eventType: event.event,
+      message: duplicate
+        ? "Duplicate webhook ignored"
+        : "Webhook received for processing",
+      gateway: record.gateway,
+      eventId: record.id,
+      eventType: record.type,
+      duplicate,
     });
   } catch (error) {
-    console.error("Paystack webhook error:", error);
+    console.error(`${gateway} webhook error:`, error);
     res.status(400).json({
       success: false,
       error: "Webhook processing failed",
       message: error.message,
     });
   }
-});
+};
 
 /**
- * @route POST /api/webhooks/unified
- * @desc Unified webhook endpoint that routes to appropriate gateway
- * @access Public (webhook endpoint)
+ * Receive a webhook signed with a merchant's own credentials
+ * @param {Function} getGateway - (req) => gateway name, once the
+ *   merchant's adapters are loaded
  */
-router.post("/unified", async (req, res) => {
-  try {
-    const { gateway, ...webhookData } = req.body;
+const receiveMerchantWebhook = (getGateway) => async (req, res) => {
+  const { merchantId } = req.params;
 
-    if (!gateway) {
-      return res.status(400).json({
+  try {
+    await gatewayFactory.loadMerchant(merchantId);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
         success: false,
-        error: "Gateway parameter is required",
+        error: error.message,
+        code: error.code,
       });
     }
 
-    if (!gatewayFactory.isGatewayAvailable(gateway)) {
-      return res.status(400).json({
-        success: false,
-        error: `Gateway '${gateway}' is not supported`,
-      });
-    }
+    throw error;
+  }
 
-    const gatewayAdapter = gatewayFactory.getGateway(gateway);
+  return receiveWebhook(getGateway(req), req, res, merchantId);
+};
 
-    // Get signature from appropriate header
-    let signature;
-    if (gateway === "stripe") {
-      signature = req.headers["stripe-signature"];
-    } else if (gateway === "paystack") {
-      signature = req.headers["x-paystack-signature"];
-    }
+/**
+ * @route POST /api/webhooks/stripe
+ * @desc Handle Stripe webhooks
+ * @access Public (webhook endpoint)
+ */
+router.post("/stripe", (req, res) => receiveWebhook("stripe", req, res));
 
-    if (!signature) {
-      return res.status(400).json({
+/**
+ * @route POST /api/webhooks/paystack
+ * @desc Handle Paystack webhooks
+ * @access Public (webhook endpoint)
+ */
+router.post("/paystack", (req, res) => receiveWebhook("paystack", req, res));
+
+/**
+ * @route POST /api/webhooks/unified
+ * @desc Unified webhook endpoint. Identifies the gateway from its
+ *   signature header and payload shape.
+ * @access Public (webhook endpoint)
+ */
+router.post("/unified", (req, res) =>
+  receiveWebhook(
+    gatewayFactory.detectWebhookGateway(req.headers, req.body),
+    req,
+    res
+  )
+);
+
+/**
+ * @route POST /api/webhooks/unified/:gateway
+ * @desc Unified webhook endpoint with the gateway named in the path
+ * @access Public (webhook endpoint)
+ */
+router.post("/unified/:gateway", (req, res) =>
+  receiveWebhook(req.params.gateway, req, res)
+);
+
+/**
+ * @route POST /api/webhooks/merchants/:merchantId
+ * @desc Webhook endpoint for a merchant's own gateway accounts. Identifies
+ *   the gateway like /unified.
+ * @access Public (webhook endpoint)
+ */
+router.post(
+  "/merchants/:merchantId",
+  receiveMerchantWebhook((req) =>
+    gatewayFactory.detectWebhookGateway(
+      req.headers,
+      req.body,
+      req.params.merchantId
+    )
+  )
+);
+
+/**
+ * @route POST /api/webhooks/merchants/:merchantId/:gateway
+ * @desc Webhook endpoint for a merchant's own gateway account
+ * @access Public (webhook endpoint)
+ */
+router.post(
+  "/merchants/:merchantId/:gateway",
+  receiveMerchantWebhook((req) => req.params.gateway)
+);
+
+/**
+ * @route GET /api/webhooks/events
+ * @desc List stored webhook events, filtered by gateway, type and status
+ * @access Private
+ */
+router.get(
+  "/events",
+  validateApiKey,
+  requireScope(ApiKeyScope.READ),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  [
+    query("gateway")
+      .optional()
+      .isIn(["stripe", "paystack", "mock"])
+      .withMessage("Gateway must be stripe, paystack or mock"),
+    query("type").optional().isString(),
+    query("status")
+      .optional()
+      .isIn(Object.values(WebhookEventStatus))
+      .withMessage(
+        `Status must be one of ${Object.values(WebhookEventStatus).join(", ")}`
+      ),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage("Limit must be between 1 and 200")
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: errors.array(),
+        });
+      }
+
+      const { gateway, type, status, limit = 50 } = req.query;
+      const events = await webhookEventRepository.list({
+        gateway,
+        type,
+        status,
+        merchantId: req.apiKey.merchantId || undefined,
+      });
+
+      res.status(200).json({
+        success: true,
+        total: events.length,
+        events: events.slice(0, limit),
+      });
+    } catch (error) {
+      res.status(500).json({
         success: false,
-        error: "No signature provided",
+        error: "Internal server error",
+        message: error.message,
       });
     }
+  }
+);
 
-    // Verify webhook
-    const verification = await gatewayAdapter.verifyWebhook({
-      body: req.body,
-      signature: signature,
-    });
+/**
+ * @route GET /api/webhooks/events/:id
+ * @desc Get a stored webhook event
+ * @access Private
+ */
+router.get(
+  "/events/:id",
+  validateApiKey,
+  requireScope(ApiKeyScope.READ),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  async (req, res) => {
+    try {
+      const event = await webhookEventRepository.findById(req.params.id);
 
-    if (!verification.isValid) {
-      return res.status(400).json({
+      if (!event || !isAccessibleTo(event, req.apiKey.merchantId)) {
+        return res.status(404).json({
+          success: false,
+          error: `Webhook event '${req.params.id}' not found`,
+          code: "WEBHOOK_EVENT_NOT_FOUND",
+        });
+      }
+
+      res.status(200).json({ success: true, event });
+    } catch (error) {
+      res.status(500).json({
         success: false,
-        error: "Invalid webhook signature",
+        error: "Internal server error",
+        message: error.message,
       });
     }
+  }
+);
 
-    const event = verification.event;
-
-    // Process webhook based on gateway
-    if (gateway === "stripe") {
-      // Handle Stripe events
-      switch (event.type) {
-        case "payment_intent.succeeded":
-          console.log("Stripe payment succeeded:", event.data.object.id);
-          break;
-        case "payment_intent.payment_failed":
-          console.log("Stripe payment failed:", event.data.object.id);
-          break;
-        default:
-          console.log(`Unhandled Stripe event: ${event.type}`);
-      }
-    } else if (gateway === "paystack") {
-      // Handle Paystack events
-      switch (event.event) {
-        case "charge.success":
-          console.log("Paystack payment succeeded:", event.data.reference);
-          break;
-        case "charge.failed":
-          console.log("Paystack payment failed:", event.data.reference);
-          break;
-        default:
-          console.log(`Unhandled Paystack event: ${event.event}`);
+/**
+ * @route POST /api/webhooks/events/:id/replay
+ * @desc Process a stored webhook event again
+ * @access Private (platform keys only)
+ */
+router.post(
+  "/events/:id/replay",
+  validateApiKey,
+  requirePlatformKey,
+  requireScope(ApiKeyScope.WEBHOOKS_WRITE),
+  rateLimitByApiKey(RateLimitQuota.READS),
+  async (req, res) => {
+    try {
+      const event = await webhookProcessor.replay(req.params.id);
+
+      res.status(200).json({
+        success: event.status === WebhookEventStatus.PROCESSED,
+        event,
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+        });
       }
-    }
 
-    res.status(200).json({
-      success: true,
-      message: "Unified webhook processed successfully",
-      gateway: gateway,
-      eventType: event.type || event.event,
-    });
-  } catch (error) {
-    console.error("Unified webhook error:", error);
-    res.status(400).json({
-      success: false,
-      error: "Webhook processing failed",
-      message: error.message,
-    });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
 /**
  * @route GET /api/webhooks/health
@@ -0,0 +1,86 @@
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const VERSION = "v1";
+
+/**
+ * Credential Cipher - Encrypts gateway credentials at rest with
+ * AES-256-GCM under CREDENTIALS_ENCRYPTION_KEY (64 hex characters).
+ * A context string (merchant, gateway, mode) is bound to each value, so
+ * a value copied to another merchant or gateway fails to decrypt.
+ */
+class CredentialCipher {
+  /**
+   * Read the key from the environment when first needed
+   * @returns {Buffer} 32-byte key
+   */
+  getKey() {
+    const key = process.env.CREDENTIALS_ENCRYPTION_KEY;
+
+    if (!key || !/^[0-9a-f]{64}$/i.test(key)) {
+      throw new Error(
+        "CREDENTIALS_ENCRYPTION_KEY must be set to 64 hex characters (32 bytes)"
+      );
+    }
+
+    return Buffer.from(key, "hex");
+  }
+
+  /**
+   * Encrypt a JSON value
+   * @param {Object} value - Credentials
+   * @param {string} context - What the value belongs to
+   * @returns {string} "v1:<iv>:<auth tag>:<ciphertext>", base64 parts
+   */
+  encrypt(value, context) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getKey(), iv);
+    cipher.setAAD(Buffer.from(context, "utf8"));
+
+    const ciphertext = Buffer.concat([
+      cipher.update(JSON.stringify(value), "utf8"),
+      cipher.final(),
+    ]);
+
+    return [
+      VERSION,
+      iv.toString("base64"),
+      cipher.getAuthTag().toString("base64"),
+      ciphertext.toString("base64"),
+    ].join(":");
+  }
+
+  /**
+   * Decrypt a value from encrypt()
+   * @param {string} encrypted - Encrypted value
+   * @param {string} context - Context it was encrypted with
+   * @returns {Object} Credentials
+   */
+  decrypt(encrypted, context) {
+    const [version, iv, tag, ciphertext] = encrypted.split(":");
+
+    if (version !== VERSION) {
+      throw new Error(`Unsupported credential encryption version: ${version}`);
+    }
+
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      this.getKey(),
+      Buffer.from(iv, "base64")
+    );
+    decipher.setAAD(Buffer.from(context, "utf8"));
+    decipher.setAuthTag(Buffer.from(tag, "base64"));
+
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, "base64")),
+      decipher.final(),
+    ]);
+
+    return JSON.parse(plaintext.toString("utf8"));
+  }
+}
+
+// Create singleton instance
+const credentialCipher = new CredentialCipher();
+
+module.exports = credentialCipher;
@@ -0,0 +1,87 @@
+/**
+ * Checkout Result Tokens
+ * Customers returning from a redirect-based checkout are sent to the
+ * merchant's success or failure URL with a token describing the outcome.
+ * The token is the base64url JSON payload and a base64url HMAC-SHA256 of
+ * it, keyed with the merchant's redirect secret, joined by a dot:
+ *
+ *   <payload>.<signature>
+ *
+ * The merchant must check the signature and expiry before trusting it;
+ * the plain query parameters next to it are for display only.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Sign a result payload
+ * @param {string} secret - Redirect secret
+ * @param {Object} payload - { paymentId, status, outcome, ... }
+ * @param {number} ttl - Seconds until the token expires
+ * @param {number} [now] - Current Unix time in seconds
+ * @returns {string} Token
+ */
+const signResultToken = (
+  secret,
+  payload,
+  ttl,
+  now = Math.floor(Date.now() / 1000)
+) => {
+  const body = Buffer.from(
+    JSON.stringify({ ...payload, iat: now, exp: now + ttl }),
+    "utf8"
+  ).toString("base64url");
+
+  return `${body}.${crypto
+    .createHmac("sha256", secret)
+    .update(body, "utf8")
+    .digest("base64url")}`;
+};
+
+/**
+ * Check a token's signature in constant time, and its expiry
+ * @param {string} secret - Redirect secret
+ * @param {string} token - Token from the redirect
+ * @param {number} [now] - Current Unix time in seconds
+ * @returns {Object|null} Payload, or null if the token is not valid
+ */
+const verifyResultToken = (
+  secret,
+  token,
+  now = Math.floor(Date.now() / 1000)
+) => {
+  const [body, signature] = String(token || "").split(".");
+
+  if (!body || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac("sha256", secret).update(body, "utf8").digest("base64url")
+  );
+  const received = Buffer.from(signature);
+
+  if (
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    return null;
+  }
+
+  const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+
+  return payload.exp >= now ? payload : null;
+};
+
+/**
+ * Generate a redirect secret
+ * @returns {string} Secret
+ */
+const generateRedirectSecret = () =>
+  `rdsec_${crypto.randomBytes(24).toString("hex")}`;
+
+module.exports = {
+  signResultToken,
+  verifyResultToken,
+  generateRedirectSecret,
+};
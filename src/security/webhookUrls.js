@@ -0,0 +1,129 @@
+/**
+ * Webhook URL Checks
+ * Merchant endpoints are called from inside this deployment, so unless
+ * private URLs are allowed they must be https URLs on public hosts: an
+ * endpoint on a loopback, link-local or private address would let a
+ * merchant reach internal services (server-side request forgery).
+ */
+
+const dns = require("dns");
+const net = require("net");
+
+// Addresses that are not on the public internet
+const privateAddresses = new net.BlockList();
+
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // Link-local, including cloud metadata services
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3], // Multicast and reserved
+]) {
+  privateAddresses.addSubnet(prefix, bits, "ipv4");
+}
+
+for (const [prefix, bits] of [
+  ["::", 127], // Unspecified and loopback
+  ["::ffff:0:0", 96], // IPv4-mapped
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+]) {
+  privateAddresses.addSubnet(prefix, bits, "ipv6");
+}
+
+/**
+ * Check whether an IP address is loopback, link-local or private
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if it is not a public address
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+
+  return (
+    family !== 0 &&
+    privateAddresses.check(address, family === 6 ? "ipv6" : "ipv4")
+  );
+};
+
+/**
+ * Check a webhook URL before it is stored. Hostnames are only checked
+ * once resolved, when events are sent (see publicLookup).
+ * @param {string} url - Endpoint URL
+ * @param {boolean} allowPrivate - Accept http and private hosts, for local
+ *   development
+ * @returns {string|null} Why the URL is refused, or null if it is allowed
+ */
+const getWebhookUrlError = (url, allowPrivate) => {
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return "url must be an http or https URL";
+  }
+
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return "url must be an http or https URL";
+  }
+
+  if (allowPrivate) {
+    return null;
+  }
+
+  if (parsed.protocol !== "https:") {
+    return "url must use https";
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+
+  if (
+    hostname === "localhost" ||
+    hostname.endsWith(".localhost") ||
+    isPrivateAddress(hostname)
+  ) {
+    return "url must not point at a loopback, link-local or private address";
+  }
+
+  return null;
+};
+
+/**
+ * DNS lookup for outgoing webhook connections (the `lookup` option of
+ * http.request) that refuses hosts resolving to any private address. The
+ * connection is made to the addresses checked here, so a host cannot pass
+ * the check and then resolve to an internal address (DNS rebinding).
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+
+    if (blocked) {
+      return callback(
+        new Error(`${hostname} resolves to private address ${blocked.address}`)
+      );
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  getWebhookUrlError,
+  publicLookup,
+};
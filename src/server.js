@@ -5,34 +5,31 @@ const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
 const compression = require("compression");
-const rateLimit = require("express-rate-limit");
-const winston = require("winston");
 
 const paymentRoutes = require("./routes/paymentRoutes");
 const webhookRoutes = require("./routes/webhookRoutes");
 const healthRoutes = require("./routes/healthRoutes");
+const webhookEndpointRoutes = require("./routes/webhookEndpointRoutes");
+const apiKeyRoutes = require("./routes/apiKeyRoutes");
+const merchantRoutes = require("./routes/merchantRoutes");
+const customerRoutes = require("./routes/customerRoutes");
+const planRoutes = require("./routes/planRoutes");
+const subscriptionRoutes = require("./routes/subscriptionRoutes");
+const mockGatewayRoutes = require("./routes/mockGatewayRoutes");
+const webhookProcessor = require("./services/WebhookProcessor");
+const merchantWebhookService = require("./services/MerchantWebhookService");
+const subscriptionService = require("./services/SubscriptionService");
 const { errorHandler } = require("./middleware/errorHandler");
 const notFound = require("./middleware/notFound");
+const { rateLimitByIp } = require("./middleware/rateLimit");
+const { identifyApiKey } = require("./middleware/auth");
+const { isSignedRequest } = require("./security/requestSigning");
+const logger = require("./logger");
+const { gateways } = require("../config/production");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Configure Winston logger
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || "info",
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.json()
-  ),
-  defaultMeta: { service: "unified-payments-api" },
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.simple(),
-    }),
-  ],
-});
-
 // Security middleware
 app.use(
   helmet({
@@ -47,30 +44,18 @@ app.use(
   })
 );
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    error: "Too many requests from this IP, please try again later.",
-    retryAfter: "15 minutes",
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-app.use("/api/", limiter);
-app.use(
-  "/api/pay",
-  rateLimit({
-    windowMs: 1 * 60 * 1000, // 1 minute
-    max: 10, // limit each IP to 10 payment requests per minute
-    message: {
-      error: "Too many payment requests, please try again later.",
-      retryAfter: "1 minute",
-    },
-  })
-);
+// Behind a load balancer, take client IPs from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set(
+    "trust proxy",
+    process.env.TRUST_PROXY === "true"
+      ? true
+      : Number.isNaN(hops)
+      ? process.env.TRUST_PROXY
+      : hops
+  );
+}
 
 // Middleware
 app.use(compression());
@@ -82,9 +67,27 @@ app.use(
     credentials: true,
   })
 );
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Gateways and signed requests sign the exact bytes they send; keep
+    // them for verification
+    verify: (req, res, buf) => {
+      if (
+        req.originalUrl.startsWith("/api/webhooks") ||
+        isSignedRequest(req.headers)
+      ) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
+// Rate limiting by IP for requests without a valid API key or signature;
+// authenticated requests are limited per key and merchant by their routes
+app.use("/api/", identifyApiKey, rateLimitByIp());
+
 // Request logging
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path}`, {
@@ -98,8 +101,19 @@ app.use((req, res, next) => {
 // Routes
 app.use("/api/payments", paymentRoutes);
 app.use("/api/webhooks", webhookRoutes);
+app.use("/api/webhook-endpoints", webhookEndpointRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/merchants", merchantRoutes);
+app.use("/api/customers", customerRoutes);
+app.use("/api/plans", planRoutes);
+app.use("/api/subscriptions", subscriptionRoutes);
 app.use("/api/health", healthRoutes);
 
+// Challenge pages of the mock gateway, never served in production
+if (gateways.mock.enabled && process.env.NODE_ENV !== "production") {
+  app.use("/api/mock", mockGatewayRoutes);
+}
+
 // API Documentation
 app.get("/api", (req, res) => {
   res.json({
@@ -109,9 +123,15 @@ app.get("/api", (req, res) => {
     endpoints: {
       payments: "/api/payments",
       webhooks: "/api/webhooks",
+      webhookEndpoints: "/api/webhook-endpoints",
+      apiKeys: "/api/api-keys",
+      merchants: "/api/merchants",
+      customers: "/api/customers",
+      plans: "/api/plans",
+      subscriptions: "/api/subscriptions",
       health: "/api/health",
     },
-    supported_gateways: ["stripe", "paystack"],
+    supported_gateways: ["stripe", "paystack", "mock"],
     documentation: "/api/docs",
   });
 });
@@ -131,11 +151,30 @@ process.on("SIGINT", () => {
   process.exit(0);
 });
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`🚀 Unified Payments API running on port ${PORT}`);
-  logger.info(`📚 API Documentation: http://localhost:${PORT}/api`);
-  logger.info(`🔒 Environment: ${process.env.NODE_ENV}`);
-});
+// Start server when run directly; tests import the app without listening
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info(`🚀 Unified Payments API running on port ${PORT}`);
+    logger.info(`📚 API Documentation: http://localhost:${PORT}/api`);
+    logger.info(`🔒 Environment: ${process.env.NODE_ENV}`);
+
+    // Pick up webhook events a previous run did not finish
+    webhookProcessor
+      .resumePending()
+      .then((count) => count && logger.info(`Resumed ${count} webhook events`))
+      .catch((error) => logger.error("Failed to resume webhook events", error));
+    merchantWebhookService
+      .resumePending()
+      .then(
+        (count) => count && logger.info(`Resumed ${count} webhook deliveries`)
+      )
+      .catch((error) =>
+        logger.error("Failed to resume webhook deliveries", error)
+      );
+
+    // Charge subscription renewals as they fall due
+    subscriptionService.start();
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,320 @@
+const crypto = require("crypto");
+const apiKeyRepository = require("../repositories/ApiKeyRepository");
+const merchantRepository = require("../repositories/MerchantRepository");
+const nonceRepository = require("../repositories/NonceRepository");
+const credentialCipher = require("../security/CredentialCipher");
+const { ApiKeyStatus } = apiKeyRepository;
+const { MerchantStatus } = merchantRepository;
+const { AppError } = require("../middleware/errorHandler");
+const { DEFAULT_SCOPES } = require("../domain/apiKeys");
+const { isAccessibleTo } = require("../domain/merchants");
+const { verifyRequestSignature } = require("../security/requestSigning");
+const { apiKeys } = require("../../config/production");
+
+/**
+ * API Key Service - Issues, authenticates, rotates and revokes API keys
+ */
+class ApiKeyService {
+  constructor(config) {
+    this.lastUsedInterval = config.lastUsedInterval;
+    this.signatureTolerance = config.signatureTolerance;
+  }
+
+  /**
+   * Issue a new key. The secret is returned here and never again. Keys
+   * with a merchantId act for that merchant only.
+   * @param {Object} options - { name, mode, scopes, merchantId, rateLimits,
+   *   expiresAt, rotatedFrom }
+   * @returns {Promise<Object>} { apiKey, secret }
+   */
+  async issue(options) {
+    if (options.merchantId) {
+      await this.getActiveMerchant(options.merchantId);
+    }
+
+    const secret = `sk_${options.mode}_${crypto
+      .randomBytes(24)
+      .toString("hex")}`;
+    const apiKey = await apiKeyRepository.create({
+      secret,
+      name: options.name,
+      mode: options.mode,
+      scopes: options.scopes || [...DEFAULT_SCOPES],
+      merchantId: options.merchantId,
+      rateLimits: options.rateLimits,
+      expiresAt: options.expiresAt,
+      rotatedFrom: options.rotatedFrom,
+    });
+
+    return { apiKey, secret };
+  }
+
+  /**
+   * Find the active key for a secret and record its use
+   * @param {string} secret - Secret key from a request
+   * @returns {Promise<Object>} Key
+   */
+  async authenticate(secret) {
+    const apiKey = await apiKeyRepository.findBySecret(secret);
+
+    if (!apiKey) {
+      throw new AppError(
+        "The provided API key is not valid",
+        401,
+        "INVALID_API_KEY"
+      );
+    }
+
+    return this.useKey(apiKey);
+  }
+
+  /**
+   * Authenticate a signed request and record the key's use. The nonce is
+   * only spent once the signature checks out.
+   * @param {Object} request - { keyId, timestamp, nonce, signature,
+   *   method, path, body } (see security/requestSigning)
+   * @returns {Promise<Object>} Key
+   */
+  async authenticateSigned(request) {
+    const { keyId, timestamp, nonce, signature } = request;
+
+    if (!keyId || !/^\d+$/.test(timestamp || "") || !nonce || !signature) {
+      throw new AppError(
+        "Signed requests need X-Key-Id, X-Timestamp, X-Nonce and X-Signature",
+        401,
+        "INVALID_SIGNATURE"
+      );
+    }
+
+    if (Math.abs(Date.now() - timestamp * 1000) > this.signatureTolerance) {
+      throw new AppError(
+        "The request timestamp is outside the allowed clock skew",
+        401,
+        "REQUEST_EXPIRED"
+      );
+    }
+
+    const apiKey = await apiKeyRepository.findById(keyId);
+    const signingSecret =
+      apiKey &&
+      apiKey.signingSecret &&
+      credentialCipher.decrypt(apiKey.signingSecret, `${apiKey.id}:signing`);
+
+    if (
+      !signingSecret ||
+      !verifyRequestSignature(signingSecret, request, signature)
+    ) {
+      throw new AppError(
+        "The request signature is not valid",
+        401,
+        "INVALID_SIGNATURE"
+      );
+    }
+
+    // Remember the nonce for as long as its timestamp could be accepted
+    const fresh = await nonceRepository.use(
+      apiKey.id,
+      nonce,
+      2 * this.signatureTolerance
+    );
+
+    if (!fresh) {
+      throw new AppError(
+        "The request nonce has already been used",
+        401,
+        "NONCE_REUSED"
+      );
+    }
+
+    return this.useKey(apiKey);
+  }
+
+  /**
+   * Check that a key can be used and record its use
+   * @param {Object} apiKey - Key
+   * @returns {Promise<Object>} Key
+   */
+  async useKey(apiKey) {
+    if (apiKey.status === ApiKeyStatus.REVOKED) {
+      throw new AppError(
+        "The provided API key has been revoked",
+        401,
+        "API_KEY_REVOKED"
+      );
+    }
+
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+      throw new AppError(
+        "The provided API key has expired",
+        401,
+        "API_KEY_EXPIRED"
+      );
+    }
+
+    if (apiKey.merchantId) {
+      await this.getActiveMerchant(apiKey.merchantId);
+    }
+
+    // Avoid a write on every request
+    const lastUsed = apiKey.lastUsedAt ? Date.parse(apiKey.lastUsedAt) : 0;
+
+    if (Date.now() - lastUsed >= this.lastUsedInterval) {
+      return apiKeyRepository.recordUse(apiKey.id);
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Replace a key with a new one with the same name, mode, scopes and
+   * quotas.
+   * The old key is revoked, or expires after the grace period so clients
+   * can switch over.
+   * @param {string} id - Key ID
+   * @param {Object} options - { gracePeriodMs, mode, merchantId }
+   * @returns {Promise<Object>} { apiKey, secret, previous }
+   */
+  async rotate(id, options = {}) {
+    const { gracePeriodMs = 0 } = options;
+    const current = await this.getKey(id, options);
+
+    if (current.status === ApiKeyStatus.REVOKED) {
+      throw new AppError(
+        `API key '${id}' has been revoked`,
+        409,
+        "API_KEY_REVOKED"
+      );
+    }
+
+    const issued = await this.issue({
+      name: current.name,
+      mode: current.mode,
+      scopes: current.scopes,
+      merchantId: current.merchantId,
+      rateLimits: current.rateLimits,
+      expiresAt: current.expiresAt,
+      rotatedFrom: current.id,
+    });
+
+    if (gracePeriodMs <= 0) {
+      return { ...issued, previous: await apiKeyRepository.revoke(id) };
+    }
+
+    const graceEndsAt = new Date(Date.now() + gracePeriodMs).toISOString();
+    const previous = await apiKeyRepository.update(id, {
+      expiresAt:
+        current.expiresAt && current.expiresAt < graceEndsAt
+          ? current.expiresAt
+          : graceEndsAt,
+    });
+
+    return { ...issued, previous };
+  }
+
+  /**
+   * Enable request signing for a key, replacing any earlier signing
+   * secret. The secret is returned here and never again; it is stored
+   * encrypted, since the server needs it to check signatures.
+   * @param {string} id - Key ID
+   * @param {Object} scope - { mode, merchantId } of the caller
+   * @returns {Promise<Object>} { apiKey, signingSecret }
+   */
+  async createSigningSecret(id, scope = {}) {
+    const current = await this.getKey(id, scope);
+
+    if (current.status === ApiKeyStatus.REVOKED) {
+      throw new AppError(
+        `API key '${id}' has been revoked`,
+        409,
+        "API_KEY_REVOKED"
+      );
+    }
+
+    const signingSecret = `ss_${crypto.randomBytes(32).toString("hex")}`;
+    const apiKey = await apiKeyRepository.update(id, {
+      signingSecret: credentialCipher.encrypt(signingSecret, `${id}:signing`),
+      signingSecretCreatedAt: new Date().toISOString(),
+    });
+
+    return { apiKey, signingSecret };
+  }
+
+  /**
+   * Disable request signing for a key
+   * @param {string} id - Key ID
+   * @param {Object} scope - { mode, merchantId } of the caller
+   * @returns {Promise<Object>} Key
+   */
+  async removeSigningSecret(id, scope = {}) {
+    await this.getKey(id, scope);
+
+    return apiKeyRepository.update(id, {
+      signingSecret: null,
+      signingSecretCreatedAt: null,
+    });
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} id - Key ID
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Revoked key
+   */
+  async revoke(id, options = {}) {
+    await this.getKey(id, options);
+    return apiKeyRepository.revoke(id);
+  }
+
+  /**
+   * Get a key by ID
+   * @param {string} id - Key ID
+   * @param {Object} scope - { mode, merchantId } of the caller; keys
+   *   outside it are not found
+   * @returns {Promise<Object>} Key
+   */
+  async getKey(id, scope = {}) {
+    const apiKey = await apiKeyRepository.findById(id);
+
+    if (
+      !apiKey ||
+      (scope.mode && apiKey.mode !== scope.mode) ||
+      !isAccessibleTo(apiKey, scope.merchantId)
+    ) {
+      throw new AppError(`API key '${id}' not found`, 404, "API_KEY_NOT_FOUND");
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Get the merchant a key acts for, which must be active
+   * @param {string} merchantId - Merchant ID
+   * @returns {Promise<Object>} Merchant
+   */
+  async getActiveMerchant(merchantId) {
+    const merchant = await merchantRepository.findById(merchantId);
+
+    if (!merchant) {
+      throw new AppError(
+        `Merchant '${merchantId}' not found`,
+        404,
+        "MERCHANT_NOT_FOUND"
+      );
+    }
+
+    if (merchant.status !== MerchantStatus.ACTIVE) {
+      throw new AppError(
+        `Merchant '${merchantId}' is disabled`,
+        403,
+        "MERCHANT_DISABLED"
+      );
+    }
+
+    return merchant;
+  }
+}
+
+// Create singleton instance
+const apiKeyService = new ApiKeyService(apiKeys);
+
+module.exports = apiKeyService;
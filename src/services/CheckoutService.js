@@ -0,0 +1,175 @@
+const gatewayFactory = require("../factories/GatewayFactory");
+const paymentRepository = require("../repositories/PaymentRepository");
+const merchantRepository = require("../repositories/MerchantRepository");
+const paymentService = require("./PaymentService");
+const { AppError } = require("../middleware/errorHandler");
+const { PaymentStatus } = require("../domain/paymentStatus");
+const { signResultToken } = require("../security/resultTokens");
+const { checkout } = require("../../config/production");
+
+// What the customer is told. A pending payment (e.g. a Sofort transfer
+// still clearing) has been submitted but not paid, and a payment the
+// gateway could not confirm is pending too, whatever was stored for it.
+const CheckoutOutcome = Object.freeze({
+  SUCCEEDED: "succeeded",
+  PENDING: "pending",
+  FAILED: "failed",
+});
+
+const SUCCESSFUL_STATUSES = [PaymentStatus.AUTHORIZED, PaymentStatus.CAPTURED];
+
+/**
+ * Checkout Service - Handles customers returning from redirect-based
+ * checkouts. The outcome is verified with the gateway, never taken from
+ * the callback query, which the customer can edit.
+ */
+class CheckoutService {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Verify the payment a customer returned from and work out where to
+   * send them
+   * @param {Object} query - Callback query parameters
+   * @returns {Promise<Object>} { payment, outcome, redirectUrl, token };
+   *   redirectUrl is null when none is configured
+   */
+  async handleCallback(query) {
+    const found = await this.findPayment(query);
+
+    const result = await paymentService.getPaymentStatus(
+      found.gateway,
+      found.gatewayReference,
+      { mode: found.mode, merchantId: found.merchantId }
+    );
+
+    // If the gateway cannot be reached the stored status is only reported;
+    // webhooks will settle the payment later
+    const payment = await paymentRepository.findById(found.id);
+    const outcome = this.getOutcome(payment, result.success);
+
+    const settings = await this.getRedirectSettings(payment.merchantId);
+    const target =
+      outcome === CheckoutOutcome.FAILED
+        ? settings.failureUrl || settings.successUrl
+        : settings.successUrl;
+
+    // The token is only handed over in the redirect: the callback is
+    // public, and anyone with the gateway reference can load it
+    const token =
+      target && settings.secret
+        ? signResultToken(
+            settings.secret,
+            {
+              paymentId: payment.id,
+              merchantId: payment.merchantId,
+              gateway: payment.gateway,
+              status: payment.status,
+              outcome,
+              amount: payment.amount,
+              currency: payment.currency,
+              verified: result.success,
+            },
+            this.config.tokenTtl
+          )
+        : null;
+
+    return {
+      payment,
+      outcome,
+      token,
+      redirectUrl: target
+        ? this.buildRedirectUrl(target, payment, outcome, token)
+        : null,
+    };
+  }
+
+  /**
+   * Work out what to tell the customer about a payment
+   * @param {Object} payment - Payment record after the status check
+   * @param {boolean} verified - Whether the gateway confirmed the status
+   * @returns {string} CheckoutOutcome value
+   */
+  getOutcome(payment, verified) {
+    if (!verified || payment.status === PaymentStatus.PENDING) {
+      return CheckoutOutcome.PENDING;
+    }
+
+    return SUCCESSFUL_STATUSES.includes(payment.status)
+      ? CheckoutOutcome.SUCCEEDED
+      : CheckoutOutcome.FAILED;
+  }
+
+  /**
+   * Find the stored payment a callback is about
+   * @param {Object} query - Callback query parameters
+   * @returns {Promise<Object>} Payment record
+   */
+  async findPayment(query) {
+    for (const { gateway, reference } of gatewayFactory.getCallbackReferences(
+      query
+    )) {
+      const payment = await paymentRepository.findByGatewayReference(
+        gateway,
+        reference
+      );
+
+      if (payment) {
+        return payment;
+      }
+    }
+
+    throw new AppError(
+      "No payment matches this callback",
+      404,
+      "PAYMENT_NOT_FOUND"
+    );
+  }
+
+  /**
+   * Redirect URLs and token secret of a merchant, or of the platform for
+   * payments without a merchant
+   * @param {string|null} merchantId - Merchant ID
+   * @returns {Promise<Object>} { successUrl, failureUrl, secret }
+   */
+  async getRedirectSettings(merchantId) {
+    if (!merchantId) {
+      return {
+        successUrl: this.config.successUrl,
+        failureUrl: this.config.failureUrl,
+        secret: this.config.tokenSecret,
+      };
+    }
+
+    const merchant = await merchantRepository.findById(merchantId);
+    const redirectUrls = (merchant && merchant.redirectUrls) || {};
+
+    return {
+      successUrl: redirectUrls.successUrl || null,
+      failureUrl: redirectUrls.failureUrl || null,
+      secret: merchant ? merchant.redirectSecret : null,
+    };
+  }
+
+  /**
+   * Add the result to the merchant's URL
+   */
+  buildRedirectUrl(target, payment, outcome, token) {
+    const url = new URL(target);
+    url.searchParams.set("paymentId", payment.id);
+    url.searchParams.set("status", payment.status);
+    url.searchParams.set("outcome", outcome);
+
+    if (token) {
+      url.searchParams.set("token", token);
+    }
+
+    return url.toString();
+  }
+}
+
+// Create singleton instance
+const checkoutService = new CheckoutService(checkout);
+
+module.exports = checkoutService;
@@ -0,0 +1,207 @@
+const CircuitState = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+};
+
+/**
+ * Circuit Breaker - Keeps rolling call stats for one gateway and stops
+ * calls to it while it is failing
+ *
+ * closed    -> calls pass; opens when the failure rate in the window
+ *              reaches failureThreshold (after minimumRequests calls)
+ * open      -> calls are rejected until openMs has passed
+ * half_open -> up to halfOpenMaxCalls trial calls pass; a success closes
+ *              the circuit, a failure opens it again
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.windowMs = options.windowMs ?? 60000;
+    this.minimumRequests = options.minimumRequests ?? 10;
+    this.failureThreshold = options.failureThreshold ?? 0.5;
+    this.openMs = options.openMs ?? 30000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls ?? 1;
+    this.slowCallMs = options.slowCallMs ?? 5000;
+    this.now = Date.now;
+    this.reset();
+  }
+
+  /**
+   * Close the circuit and forget all samples
+   */
+  reset() {
+    this.state = CircuitState.CLOSED;
+    this.samples = [];
+    this.openedAt = null;
+    this.trialCalls = 0;
+  }
+
+  /**
+   * Get the current state, moving open -> half_open once openMs has passed
+   * @returns {string} closed, open or half_open
+   */
+  getState() {
+    if (
+      this.state === CircuitState.OPEN &&
+      this.now() - this.openedAt >= this.openMs
+    ) {
+      this.state = CircuitState.HALF_OPEN;
+      this.trialCalls = 0;
+    }
+
+    return this.state;
+  }
+
+  /**
+   * Check whether a call would be let through, without reserving it
+   * @returns {boolean} True if calls are allowed
+   */
+  isAvailable() {
+    const state = this.getState();
+
+    return (
+      state === CircuitState.CLOSED ||
+      (state === CircuitState.HALF_OPEN &&
+        this.trialCalls < this.halfOpenMaxCalls)
+    );
+  }
+
+  /**
+   * Reserve a call. Half-open trial calls are counted here.
+   * @returns {boolean} False if the call must be short-circuited
+   */
+  allowRequest() {
+    if (!this.isAvailable()) {
+      return false;
+    }
+
+    if (this.state === CircuitState.HALF_OPEN) {
+      this.trialCalls += 1;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record the outcome of a call
+   * @param {boolean} success - False for outages (5xx, timeouts, network)
+   * @param {number} latencyMs - Call duration
+   */
+  record(success, latencyMs) {
+    this.samples.push({ at: this.now(), success, latencyMs });
+    this.prune();
+
+    if (this.state === CircuitState.HALF_OPEN) {
+      if (success) {
+        this.close();
+      } else {
+        this.open();
+      }
+      return;
+    }
+
+    if (this.state === CircuitState.CLOSED && this.isFailing()) {
+      this.open();
+    }
+  }
+
+  /**
+   * Check the failure rate in the window against the threshold
+   */
+  isFailing() {
+    const { requests, failures } = this.getStats();
+
+    return (
+      requests >= this.minimumRequests &&
+      failures / requests >= this.failureThreshold
+    );
+  }
+
+  /**
+   * Start rejecting calls
+   */
+  open() {
+    this.state = CircuitState.OPEN;
+    this.openedAt = this.now();
+    this.trialCalls = 0;
+  }
+
+  /**
+   * Let calls through again after a successful trial
+   */
+  close() {
+    this.state = CircuitState.CLOSED;
+    this.openedAt = null;
+    this.trialCalls = 0;
+    // Failures from before the outage ended must not re-open the circuit
+    this.samples = this.samples.slice(-1);
+  }
+
+  /**
+   * Drop samples older than the window
+   */
+  prune() {
+    const cutoff = this.now() - this.windowMs;
+    this.samples = this.samples.filter((sample) => sample.at >= cutoff);
+  }
+
+  /**
+   * Get rolling stats for the window
+   * @returns {Object} { requests, failures, successRate, latency, score }
+   */
+  getStats() {
+    this.prune();
+
+    const requests = this.samples.length;
+    const failures = this.samples.filter((sample) => !sample.success).length;
+    const latencies = this.samples
+      .map((sample) => sample.latencyMs)
+      .sort((a, b) => a - b);
+    const averageMs = requests
+      ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / requests)
+      : null;
+    const p95Ms = requests ? latencies[Math.ceil(requests * 0.95) - 1] : null;
+    const successRate = requests ? (requests - failures) / requests : 1;
+
+    return {
+      requests,
+      failures,
+      successRate: Number(successRate.toFixed(4)),
+      latency: { averageMs, p95Ms },
+      score: this.getScore(successRate, averageMs),
+    };
+  }
+
+  /**
+   * Score health from 0 to 100: the success rate, reduced when calls are
+   * slower than slowCallMs on average, and 0 while the circuit is open
+   */
+  getScore(successRate, averageMs) {
+    if (this.getState() === CircuitState.OPEN) {
+      return 0;
+    }
+
+    const speed = averageMs > this.slowCallMs ? this.slowCallMs / averageMs : 1;
+
+    return Math.round(successRate * speed * 100);
+  }
+
+  /**
+   * Get state and stats for health reporting
+   */
+  getSnapshot() {
+    const state = this.getState();
+
+    return {
+      state,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt:
+        state === CircuitState.OPEN
+          ? new Date(this.openedAt + this.openMs).toISOString()
+          : null,
+      ...this.getStats(),
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitState };
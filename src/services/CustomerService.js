@@ -0,0 +1,332 @@
+const gatewayFactory = require("../factories/GatewayFactory");
+const customerRepository = require("../repositories/CustomerRepository");
+const gatewayHealth = require("./GatewayHealthMonitor");
+const { AppError } = require("../middleware/errorHandler");
+const { ErrorCode } = require("../domain/errorCatalog");
+const { isAccessibleTo } = require("../domain/merchants");
+
+/**
+ * Customer Service - Keeps customers in step with their matching
+ * customers at each gateway, and saves reusable payment methods on them.
+ * Customers belong to the mode and merchant of the key that created them,
+ * and use that merchant's gateway accounts.
+ */
+class CustomerService {
+  /**
+   * Create a customer, and a matching customer at every gateway available
+   * to the caller that keeps customers. A gateway that fails gets its
+   * customer on first use instead.
+   * @param {Object} customer - { email, name, phone, metadata }
+   * @param {Object} options - { idempotencyKey, mode, merchantId }
+   * @returns {Promise<Object>} Customer
+   */
+  async create(customer, options = {}) {
+    await gatewayFactory.loadMerchant(options.merchantId);
+
+    const created = await customerRepository.create({
+      ...customer,
+      mode: options.mode,
+      merchantId: options.merchantId,
+    });
+
+    for (const gateway of this.getCustomerGateways(created)) {
+      try {
+        await this.getGatewayCustomerId(created, gateway, options);
+      } catch (error) {
+        console.warn(
+          `Could not create ${gateway} customer for ${created.id}: ${error.message}`
+        );
+      }
+    }
+
+    return customerRepository.findById(created.id);
+  }
+
+  /**
+   * Get a customer the caller can see
+   * @param {string} id - Customer ID
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Customer
+   */
+  async getCustomer(id, options = {}) {
+    const customer = await customerRepository.findById(id);
+
+    if (
+      !customer ||
+      (options.mode && customer.mode !== options.mode) ||
+      !isAccessibleTo(customer, options.merchantId)
+    ) {
+      throw new AppError(
+        `Customer '${id}' not found`,
+        404,
+        "CUSTOMER_NOT_FOUND"
+      );
+    }
+
+    return customer;
+  }
+
+  /**
+   * List the caller's customers
+   * @param {Object} filter - email
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Array>} Customers, newest first
+   */
+  async list(filter, options = {}) {
+    return customerRepository.list({
+      email: filter.email,
+      mode: options.mode,
+      merchantId: options.merchantId || undefined,
+    });
+  }
+
+  /**
+   * Update a customer here and at every gateway that has it
+   * @param {string} id - Customer ID
+   * @param {Object} changes - email, name, phone, metadata
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Updated customer
+   */
+  async update(id, changes, options = {}) {
+    const customer = await this.getCustomer(id, options);
+    await gatewayFactory.loadMerchant(customer.merchantId);
+
+    for (const [gateway, gatewayCustomerId] of Object.entries(
+      customer.gatewayCustomers
+    )) {
+      await this.callGateway(
+        gateway,
+        "updateCustomer",
+        { ...changes, gatewayCustomerId },
+        customer
+      );
+    }
+
+    return customerRepository.update(id, changes);
+  }
+
+  /**
+   * Delete a customer. Its saved payment methods are detached first, so
+   * gateways that cannot delete customers (Paystack) cannot charge them.
+   * @param {string} id - Customer ID
+   * @param {Object} options - { mode, merchantId }
+   */
+  async delete(id, options = {}) {
+    const customer = await this.getCustomer(id, options);
+    await gatewayFactory.loadMerchant(customer.merchantId);
+
+    for (const paymentMethod of customer.paymentMethods) {
+      await this.detachPaymentMethod(id, paymentMethod.id, options);
+    }
+
+    for (const [gateway, gatewayCustomerId] of Object.entries(
+      customer.gatewayCustomers
+    )) {
+      await this.callGateway(
+        gateway,
+        "deleteCustomer",
+        { gatewayCustomerId },
+        customer
+      );
+    }
+
+    await customerRepository.delete(id);
+  }
+
+  /**
+   * Save a reusable payment method on a customer: a Stripe PaymentMethod
+   * ID, a Paystack authorization_code, or a mock card number
+   * @param {string} id - Customer ID
+   * @param {Object} attachData - { gateway, paymentMethodId }
+   * @param {Object} options - { idempotencyKey, mode, merchantId }
+   * @returns {Promise<Object>} Saved payment method
+   */
+  async attachPaymentMethod(id, attachData, options = {}) {
+    const customer = await this.getCustomer(id, options);
+    const gateway = attachData.gateway.toLowerCase();
+    await gatewayFactory.loadMerchant(customer.merchantId);
+
+    if (!this.getCustomerGateways(customer).includes(gateway)) {
+      throw new AppError(
+        `Gateway '${gateway}' is not available for saved payment methods`,
+        400,
+        "GATEWAY_UNAVAILABLE"
+      );
+    }
+
+    const gatewayCustomerId = await this.getGatewayCustomerId(
+      customer,
+      gateway,
+      options
+    );
+    const { paymentMethod } = await this.callGateway(
+      gateway,
+      "attachPaymentMethod",
+      {
+        gatewayCustomerId,
+        paymentMethodId: attachData.paymentMethodId,
+        customerEmail: customer.email,
+        idempotencyKey: options.idempotencyKey,
+      },
+      customer
+    );
+
+    return customerRepository.addPaymentMethod(id, {
+      gateway,
+      ...paymentMethod,
+    });
+  }
+
+  /**
+   * Detach a saved payment method at its gateway and forget it
+   * @param {string} id - Customer ID
+   * @param {string} paymentMethodId - Saved payment method ID
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Updated customer
+   */
+  async detachPaymentMethod(id, paymentMethodId, options = {}) {
+    const customer = await this.getCustomer(id, options);
+    const paymentMethod = this.getPaymentMethod(customer, paymentMethodId);
+    await gatewayFactory.loadMerchant(customer.merchantId);
+
+    await this.callGateway(
+      paymentMethod.gateway,
+      "detachPaymentMethod",
+      {
+        gatewayCustomerId: customer.gatewayCustomers[paymentMethod.gateway],
+        paymentMethodId: paymentMethod.gatewayPaymentMethodId,
+      },
+      customer
+    );
+
+    return customerRepository.removePaymentMethod(id, paymentMethodId);
+  }
+
+  /**
+   * Get one of a customer's saved payment methods
+   * @param {Object} customer - Customer record
+   * @param {string} paymentMethodId - Saved payment method ID
+   * @returns {Object} Saved payment method
+   */
+  getPaymentMethod(customer, paymentMethodId) {
+    const paymentMethod = customer.paymentMethods.find(
+      (candidate) => candidate.id === paymentMethodId
+    );
+
+    if (!paymentMethod) {
+      throw new AppError(
+        `Payment method '${paymentMethodId}' not found for customer '${customer.id}'`,
+        404,
+        "PAYMENT_METHOD_NOT_FOUND"
+      );
+    }
+
+    return paymentMethod;
+  }
+
+  /**
+   * Get the customer's ID at a gateway, creating the gateway customer the
+   * first time (e.g. for a gateway enabled after the customer was made)
+   * @param {Object} customer - Customer record
+   * @param {string} gateway - Gateway name
+   * @param {Object} options - { idempotencyKey }
+   * @returns {Promise<string|null>} Gateway customer ID, or null if the
+   *   gateway does not keep customers
+   */
+  async getGatewayCustomerId(customer, gateway, options = {}) {
+    if (customer.gatewayCustomers[gateway]) {
+      return customer.gatewayCustomers[gateway];
+    }
+
+    const adapter = gatewayFactory.getGateway(
+      gateway,
+      customer.mode,
+      customer.merchantId
+    );
+
+    if (!adapter.supportsCustomers()) {
+      return null;
+    }
+
+    const { customerId } = await this.callGateway(
+      gateway,
+      "createCustomer",
+      {
+        email: customer.email,
+        name: customer.name,
+        phone: customer.phone,
+        metadata: customer.metadata,
+        customerId: customer.id,
+        idempotencyKey: options.idempotencyKey,
+      },
+      customer
+    );
+
+    await customerRepository.setGatewayCustomer(
+      customer.id,
+      gateway,
+      customerId
+    );
+    customer.gatewayCustomers[gateway] = customerId;
+
+    return customerId;
+  }
+
+  /**
+   * Gateways a customer can be kept at: those available to its mode and
+   * merchant that support customers
+   */
+  getCustomerGateways(customer) {
+    return gatewayFactory
+      .getAvailableGateways(customer.mode, customer.merchantId)
+      .filter((gateway) =>
+        gatewayFactory
+          .getGateway(gateway, customer.mode, customer.merchantId)
+          .supportsCustomers()
+      );
+  }
+
+  /**
+   * Call an adapter operation with the customer's credentials, through the
+   * gateway's circuit breaker
+   * @returns {Promise<Object>} gatewayResponse of a successful call
+   * @throws {AppError} With the unified error code when the call fails
+   */
+  async callGateway(gateway, operation, data, customer) {
+    const adapter = gatewayFactory.getGateway(
+      gateway,
+      customer.mode,
+      customer.merchantId
+    );
+    let result;
+
+    try {
+      result = await gatewayHealth.execute(
+        gateway,
+        { mode: adapter.mode, merchantId: customer.merchantId },
+        () => adapter[operation](data)
+      );
+    } catch (error) {
+      if (error.code !== ErrorCode.CIRCUIT_OPEN) {
+        throw error;
+      }
+
+      result = adapter.formatError(error);
+    }
+
+    if (!result.success) {
+      throw new AppError(
+        `${gateway}: ${result.error.message}`,
+        result.error.httpStatus,
+        result.error.code.toUpperCase()
+      );
+    }
+
+    return result.gatewayResponse;
+  }
+}
+
+// Create singleton instance
+const customerService = new CustomerService();
+
+module.exports = customerService;
@@ -0,0 +1,97 @@
+const { CircuitBreaker } = require("./CircuitBreaker");
+const { AppError } = require("../middleware/errorHandler");
+const { ErrorCode } = require("../domain/errorCatalog");
+const { KeyMode } = require("../domain/apiKeys");
+const { gateways } = require("../../config/production");
+
+/**
+ * Gateway Health Monitor - One circuit breaker per gateway adapter, fed by
+ * every call the payment service makes. Like GatewayFactory's adapters,
+ * breakers are kept per mode and merchant, so one merchant's revoked or
+ * rate-limited credentials do not take the gateway down for others.
+ */
+class GatewayHealthMonitor {
+  constructor(settings) {
+    this.settings = settings;
+    this.breakers = new Map();
+  }
+
+  /**
+   * Get (or create) the breaker for a gateway adapter
+   * @param {string} gatewayName - Gateway name
+   * @param {Object} scope - { mode, merchantId }: the adapter's own mode,
+   *   and its merchant (none for platform credentials)
+   * @returns {CircuitBreaker} Breaker
+   */
+  getBreaker(gatewayName, { mode = KeyMode.LIVE, merchantId = null } = {}) {
+    const name = gatewayName.toLowerCase();
+    const key = `${mode}:${merchantId || "platform"}:${name}`;
+
+    if (!this.breakers.has(key)) {
+      const settings = this.settings[name] || {};
+      this.breakers.set(key, new CircuitBreaker(settings.circuitBreaker));
+    }
+
+    return this.breakers.get(key);
+  }
+
+  /**
+   * Check whether calls to a gateway adapter are currently allowed
+   * @param {string} gatewayName - Gateway name
+   * @param {Object} scope - { mode, merchantId }, see getBreaker
+   * @returns {boolean} False while the circuit is open
+   */
+  isAvailable(gatewayName, scope) {
+    return this.getBreaker(gatewayName, scope).isAvailable();
+  }
+
+  /**
+   * Run an adapter call through the adapter's breaker
+   * @param {string} gatewayName - Gateway name
+   * @param {Object} scope - { mode, merchantId }, see getBreaker
+   * @param {Function} call - Returns the adapter's result
+   * @returns {Promise<Object>} Adapter result
+   * @throws {AppError} circuit_open if the call was short-circuited
+   */
+  async execute(gatewayName, scope, call) {
+    const breaker = this.getBreaker(gatewayName, scope);
+
+    if (!breaker.allowRequest()) {
+      throw new AppError(
+        `Gateway '${gatewayName}' is unavailable (circuit open)`,
+        503,
+        ErrorCode.CIRCUIT_OPEN
+      );
+    }
+
+    const startedAt = Date.now();
+
+    try {
+      const result = await call();
+
+      // Declines and validation errors mean the gateway is up
+      const isOutage = !result.success && result.error.retryable;
+      breaker.record(!isOutage, Date.now() - startedAt);
+
+      return result;
+    } catch (error) {
+      breaker.record(false, Date.now() - startedAt);
+      throw error;
+    }
+  }
+
+  /**
+   * Get breaker state and rolling stats for a gateway adapter
+   * @param {string} gatewayName - Gateway name
+   * @param {Object} scope - { mode, merchantId }, see getBreaker
+   * @returns {Object} Snapshot
+   */
+  getSnapshot(gatewayName, scope) {
+    return this.getBreaker(gatewayName, scope).getSnapshot();
+  }
+}
+
+// Create singleton instance
+const gatewayHealth = new GatewayHealthMonitor(gateways);
+
+module.exports = gatewayHealth;
@@ -0,0 +1,228 @@
+const fs = require("fs");
+const gatewayFactory = require("../factories/GatewayFactory");
+const gatewayHealth = require("./GatewayHealthMonitor");
+const { AppError } = require("../middleware/errorHandler");
+const { CaptureMethod } = require("../domain/paymentStatus");
+const defaultConfig = require("../../config/routing");
+
+/**
+ * Gateway Router - Picks a gateway for requests that do not name one
+ */
+class GatewayRouter {
+  constructor(config) {
+    this.random = Math.random;
+    this.loadConfig(config);
+  }
+
+  /**
+   * Load routing rules
+   * @param {Object} config - { rules, defaultGateways, merchantPreferences, failover }
+   */
+  loadConfig(config) {
+    this.rules = config.rules || [];
+    this.defaultGateways = config.defaultGateways || [];
+    this.merchantPreferences = config.merchantPreferences || {};
+    this.failover = { enabled: false, maxAttempts: 2, ...config.failover };
+  }
+
+  /**
+   * Select a gateway for a payment
+   * @param {Object} context - { amount, currency, country, paymentMethod, captureMethod, merchantId, mode }
+   * @returns {Object} { gateway, rule, reason }
+   */
+  selectGateway(context) {
+    for (const rule of this.rules) {
+      if (!this.matches(rule.match || {}, context)) {
+        continue;
+      }
+
+      const gateway = this.pickTarget(rule, context);
+
+      if (gateway) {
+        return {
+          gateway,
+          rule: rule.id,
+          reason: rule.split
+            ? `Weighted split in rule '${rule.id}'`
+            : `Matched rule '${rule.id}'`,
+        };
+      }
+    }
+
+    const gateway = this.getFallbackOrder(context).find((name) =>
+      this.isEligible(name, context)
+    );
+
+    if (!gateway) {
+      const currency = String(context.currency).toUpperCase();
+      const method = context.paymentMethod
+        ? ` with ${context.paymentMethod}`
+        : "";
+
+      throw new AppError(
+        `No available gateway supports ${currency}${method}`,
+        400,
+        "NO_ELIGIBLE_GATEWAY"
+      );
+    }
+
+    return {
+      gateway,
+      rule: "default",
+      reason: "No rule matched; first eligible gateway in preference order",
+    };
+  }
+
+  /**
+   * Pick the next gateway to fail over to
+   * @param {Object} context - Routing context of the payment
+   * @param {Array} tried - Gateways already attempted
+   * @returns {string|null} Gateway name, or null if none is left
+   */
+  getFailoverGateway(context, tried) {
+    return (
+      this.getFallbackOrder(context).find(
+        (name) => !tried.includes(name) && this.isEligible(name, context)
+      ) || null
+    );
+  }
+
+  /**
+   * Check every condition of a rule against the request
+   */
+  matches(match, context) {
+    const inList = (list, value) =>
+      !list ||
+      (value !== undefined &&
+        list
+          .map((item) => String(item).toUpperCase())
+          .includes(String(value).toUpperCase()));
+
+    const listsMatch =
+      inList(match.currency, context.currency) &&
+      inList(match.country, context.country) &&
+      inList(match.paymentMethod, context.paymentMethod) &&
+      inList(match.merchantId, context.merchantId);
+
+    if (!listsMatch) {
+      return false;
+    }
+
+    if (match.amount) {
+      const { min = 0, max = Infinity } = match.amount;
+
+      if (context.amount < min || context.amount > max) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Pick a gateway from a rule's target, skipping ineligible gateways
+   */
+  pickTarget(rule, context) {
+    const targets = (
+      rule.split || [{ gateway: rule.gateway, weight: 1 }]
+    ).filter(
+      (target) => target.weight > 0 && this.isEligible(target.gateway, context)
+    );
+
+    if (targets.length === 0) {
+      return null;
+    }
+
+    const totalWeight = targets.reduce((sum, target) => sum + target.weight, 0);
+    let roll = this.random() * totalWeight;
+
+    for (const target of targets) {
+      roll -= target.weight;
+
+      if (roll < 0) {
+        return target.gateway;
+      }
+    }
+
+    return targets[targets.length - 1].gateway;
+  }
+
+  /**
+   * Check whether a gateway can take the payment
+   */
+  isEligible(gatewayName, context) {
+    if (
+      !gatewayName ||
+      !gatewayFactory.isGatewayAvailable(
+        gatewayName,
+        context.mode,
+        context.merchantId
+      )
+    ) {
+      return false;
+    }
+
+    const adapter = gatewayFactory.getGateway(
+      gatewayName,
+      context.mode,
+      context.merchantId
+    );
+
+    if (
+      !gatewayHealth.isAvailable(gatewayName, {
+        mode: adapter.mode,
+        merchantId: context.merchantId,
+      }) ||
+      !adapter.supportsCurrency(context.currency)
+    ) {
+      return false;
+    }
+
+    if (
+      context.captureMethod === CaptureMethod.MANUAL &&
+      !adapter.supportsManualCapture()
+    ) {
+      return false;
+    }
+
+    return (
+      !context.paymentMethod ||
+      adapter.getSupportedPaymentMethods().includes(context.paymentMethod)
+    );
+  }
+
+  /**
+   * Gateway order used when no rule matches
+   */
+  getFallbackOrder(context) {
+    const preferred = this.merchantPreferences[context.merchantId] || [];
+
+    return [
+      ...new Set([
+        ...gatewayFactory.getDefaultGateways(context.merchantId),
+        ...preferred,
+        ...this.defaultGateways,
+        ...gatewayFactory.getAvailableGateways(
+          context.mode,
+          context.merchantId
+        ),
+      ]),
+    ];
+  }
+}
+
+/**
+ * Load rules from ROUTING_RULES_FILE when set, else config/routing.js
+ */
+const loadRoutingConfig = () => {
+  if (!process.env.ROUTING_RULES_FILE) {
+    return defaultConfig;
+  }
+
+  return JSON.parse(fs.readFileSync(process.env.ROUTING_RULES_FILE, "utf8"));
+};
+
+// Create singleton instance
+const gatewayRouter = new GatewayRouter(loadRoutingConfig());
+
+module.exports = gatewayRouter;
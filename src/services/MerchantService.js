@@ -0,0 +1,181 @@
+const merchantRepository = require("../repositories/MerchantRepository");
+const gatewayFactory = require("../factories/GatewayFactory");
+const credentialCipher = require("../security/CredentialCipher");
+const { AppError } = require("../middleware/errorHandler");
+const { KeyMode, getKeyMode } = require("../domain/apiKeys");
+const { generateRedirectSecret } = require("../security/resultTokens");
+
+/**
+ * Merchant Service - Manages merchant accounts and their gateway
+ * credentials. Credentials are encrypted before they are stored and are
+ * never returned.
+ */
+class MerchantService {
+  /**
+   * Create a merchant
+   * @param {Object} merchant - { name, defaultGateways, rateLimits,
+   *   redirectUrls }
+   * @returns {Promise<Object>} Merchant
+   */
+  async create(merchant) {
+    return merchantRepository.create(merchant);
+  }
+
+  /**
+   * Get a merchant by ID
+   * @param {string} id - Merchant ID
+   * @returns {Promise<Object>} Merchant
+   */
+  async getMerchant(id) {
+    const merchant = await merchantRepository.findById(id);
+
+    if (!merchant) {
+      throw new AppError(
+        `Merchant '${id}' not found`,
+        404,
+        "MERCHANT_NOT_FOUND"
+      );
+    }
+
+    return merchant;
+  }
+
+  /**
+   * Update a merchant's name, status, default gateways, quotas or
+   * checkout redirect URLs
+   * @param {string} id - Merchant ID
+   * @param {Object} changes - name, status, defaultGateways, rateLimits,
+   *   redirectUrls
+   * @returns {Promise<Object>} Updated merchant
+   */
+  async update(id, changes) {
+    const existing = await this.getMerchant(id);
+
+    // Merchants created before checkout redirects existed have no secret
+    const merchant = await merchantRepository.update(
+      id,
+      changes.redirectUrls && !existing.redirectSecret
+        ? { ...changes, redirectSecret: generateRedirectSecret() }
+        : changes
+    );
+    gatewayFactory.evictMerchant(id);
+
+    return merchant;
+  }
+
+  /**
+   * Replace a merchant's redirect secret. Result tokens signed with the
+   * old secret stop verifying at once.
+   * @param {string} id - Merchant ID
+   * @returns {Promise<Object>} Updated merchant
+   */
+  async rotateRedirectSecret(id) {
+    await this.getMerchant(id);
+
+    return merchantRepository.update(id, {
+      redirectSecret: generateRedirectSecret(),
+    });
+  }
+
+  /**
+   * Store credentials for a gateway and/or enable or disable it. The
+   * credentials are filed under live or test by their secret key prefix.
+   * @param {string} id - Merchant ID
+   * @param {string} gatewayName - Gateway name
+   * @param {Object} settings - { enabled, credentials }
+   * @returns {Promise<Object>} Updated merchant
+   */
+  async configureGateway(id, gatewayName, settings) {
+    await this.getMerchant(id);
+
+    const { credentials } = settings;
+    const mode = credentials && getKeyMode(credentials.secretKey);
+
+    if (credentials && !mode) {
+      throw new AppError(
+        "secretKey must start with sk_live_, sk_test_, rk_live_ or rk_test_",
+        400,
+        "INVALID_CREDENTIALS"
+      );
+    }
+
+    if (
+      credentials &&
+      mode !== KeyMode.TEST &&
+      gatewayFactory.isSandboxOnly(gatewayName)
+    ) {
+      throw new AppError(
+        `The ${gatewayName} gateway only takes test credentials`,
+        400,
+        "INVALID_CREDENTIALS"
+      );
+    }
+
+    const merchant = await merchantRepository.updateGateway(
+      id,
+      gatewayName,
+      (current = { enabled: true, credentials: {} }) => ({
+        enabled: settings.enabled ?? current.enabled,
+        credentials: credentials
+          ? {
+              ...current.credentials,
+              [mode]: {
+                encrypted: credentialCipher.encrypt(
+                  credentials,
+                  `${id}:${gatewayName}:${mode}`
+                ),
+                secretKeyHint: `${credentials.secretKey.substr(
+                  0,
+                  8
+                )}...${credentials.secretKey.slice(-4)}`,
+                updatedAt: new Date().toISOString(),
+              },
+            }
+          : current.credentials,
+      })
+    );
+    gatewayFactory.evictMerchant(id);
+
+    return merchant;
+  }
+
+  /**
+   * Remove a gateway's credentials, for one mode or both
+   * @param {string} id - Merchant ID
+   * @param {string} gatewayName - Gateway name
+   * @param {string} mode - live or test; both when omitted
+   * @returns {Promise<Object>} Updated merchant
+   */
+  async removeGateway(id, gatewayName, mode) {
+    const existing = await this.getMerchant(id);
+
+    if (!existing.gateways[gatewayName]) {
+      throw new AppError(
+        `Gateway '${gatewayName}' is not configured for merchant '${id}'`,
+        404,
+        "GATEWAY_NOT_CONFIGURED"
+      );
+    }
+
+    const merchant = await merchantRepository.updateGateway(
+      id,
+      gatewayName,
+      (current) => {
+        if (!mode) {
+          return null;
+        }
+
+        const { [mode]: removed, ...credentials } = current.credentials;
+        return { ...current, credentials };
+      }
+    );
+    gatewayFactory.evictMerchant(id);
+
+    return merchant;
+  }
+}
+
+// Create singleton instance
+const merchantService = new MerchantService();
+
+module.exports = merchantService;
@@ -0,0 +1,385 @@
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const webhookEndpointRepository = require("../repositories/WebhookEndpointRepository");
+const webhookDeliveryRepository = require("../repositories/WebhookDeliveryRepository");
+const { WebhookEndpointStatus } = webhookEndpointRepository;
+const { WebhookDeliveryStatus } = webhookDeliveryRepository;
+const { AppError } = require("../middleware/errorHandler");
+const {
+  WebhookEventType,
+  getEventCategory,
+} = require("../domain/webhookEvents");
+const { merchantWebhooks } = require("../../config/production");
+const { getWebhookUrlError, publicLookup } = require("../security/webhookUrls");
+
+// Event categories published without a payment record
+const PAYMENTLESS_CATEGORIES = ["transfer", "subscription"];
+
+/**
+ * Merchant Webhook Service - Sends unified events to merchant endpoints,
+ * signed with the endpoint's secret, retrying failures with backoff
+ */
+class MerchantWebhookService {
+  constructor(config) {
+    this.timeout = config.timeout;
+    this.maxAttempts = config.maxAttempts;
+    this.retryDelay = config.retryDelay;
+    this.maxRetryDelay = config.maxRetryDelay;
+    this.signatureHeader = config.signatureHeader;
+    this.disableAfterFailures = config.disableAfterFailures;
+    this.allowPrivateUrls = config.allowPrivateUrls;
+    this.timers = new Map();
+  }
+
+  /**
+   * Queue a unified event for every endpoint subscribed to it. Events about
+   * payments this API does not know are not published.
+   * @param {Object} source - Stored gateway event the unified event came from
+   * @param {Object} event - Unified event (see normalizeWebhookEvent)
+   * @param {Object|null} payment - Payment record after the event
+   * @returns {Promise<Array>} New deliveries
+   */
+  async publish(source, event, payment) {
+    const category = getEventCategory(event.type);
+
+    if (
+      event.type === WebhookEventType.UNKNOWN ||
+      (!payment && !PAYMENTLESS_CATEGORIES.includes(category))
+    ) {
+      return [];
+    }
+
+    // Transfers on a merchant's own gateway account go to that merchant
+    const merchantId = payment ? payment.merchantId : source.merchantId;
+    const endpoints = await webhookEndpointRepository.findSubscribed(
+      event.type,
+      merchantId
+    );
+    const outbound = this.buildEvent(source, event, payment);
+    const deliveries = [];
+
+    for (const endpoint of endpoints) {
+      const delivery = await webhookDeliveryRepository.create({
+        endpointId: endpoint.id,
+        merchantId,
+        event: outbound,
+      });
+
+      if (delivery) {
+        deliveries.push(delivery);
+        this.schedule(delivery.id, 0);
+      }
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Build the event body merchants receive. The ID is derived from the
+   * gateway event, so reprocessing it does not produce a new event.
+   */
+  buildEvent(source, event, payment) {
+    const digest = crypto
+      .createHash("sha256")
+      .update(source.id)
+      .digest("hex")
+      .substr(0, 24);
+
+    return {
+      id: `evt_${digest}`,
+      type: event.type,
+      createdAt: new Date().toISOString(),
+      data: {
+        gateway: source.gateway,
+        occurredAt: event.occurredAt,
+        payment: payment && {
+          id: payment.id,
+          gateway: payment.gateway,
+          gatewayReference: payment.gatewayReference,
+          amount: payment.amount,
+          currency: payment.currency,
+          status: payment.status,
+          merchantId: payment.merchantId || null,
+          metadata: payment.metadata || {},
+        },
+        refund: event.refund,
+        dispute: event.dispute,
+        transfer: event.transfer,
+        subscription: event.subscription,
+      },
+    };
+  }
+
+  /**
+   * Queue an event raised by this API's own billing
+   * @param {string} type - Unified subscription event type
+   * @param {Object} subscription - Subscription as merchants see it
+   * @param {Object|null} payment - Payment record the event is about
+   * @returns {Promise<Array>} New deliveries
+   */
+  async publishSubscriptionEvent(type, subscription, payment = null) {
+    const source = {
+      // One event per charge, or per change when no charge was made
+      id: [
+        subscription.id,
+        type,
+        payment ? payment.id : subscription.updatedAt,
+      ].join(":"),
+      gateway: payment ? payment.gateway : null,
+      merchantId: subscription.merchantId,
+    };
+
+    return this.publish(
+      source,
+      { type, occurredAt: new Date().toISOString(), subscription },
+      payment
+    );
+  }
+
+  /**
+   * Sign a request body: HMAC-SHA256 over "<timestamp>.<body>"
+   * @param {string} payload - Exact request body
+   * @param {string} secret - Endpoint secret
+   * @param {number} timestamp - Unix time in seconds
+   * @returns {string} Header value "t=<timestamp>,v1=<hex signature>"
+   */
+  sign(payload, secret, timestamp) {
+    const signature = crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${payload}`, "utf8")
+      .digest("hex");
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Deliver after a delay
+   */
+  schedule(id, delayMs) {
+    clearTimeout(this.timers.get(id));
+
+    const timer = setTimeout(() => {
+      this.timers.delete(id);
+      this.deliver(id).catch((error) =>
+        console.error(`Webhook delivery ${id} could not be sent:`, error)
+      );
+    }, delayMs);
+
+    // Pending deliveries are picked up again on restart
+    timer.unref();
+    this.timers.set(id, timer);
+  }
+
+  /**
+   * Make one delivery attempt
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object|null>} Delivery after the attempt
+   */
+  async deliver(id) {
+    const delivery = await webhookDeliveryRepository.claim(id);
+
+    if (!delivery) {
+      return webhookDeliveryRepository.findById(id);
+    }
+
+    const endpoint = await webhookEndpointRepository.findById(
+      delivery.endpointId
+    );
+
+    if (!endpoint || endpoint.status !== WebhookEndpointStatus.ENABLED) {
+      return webhookDeliveryRepository.recordAttempt(
+        id,
+        {
+          at: new Date().toISOString(),
+          statusCode: null,
+          durationMs: 0,
+          error: endpoint ? "Endpoint is disabled" : "Endpoint was deleted",
+        },
+        null
+      );
+    }
+
+    const attempt = await this.send(endpoint, delivery);
+
+    await webhookEndpointRepository.recordAttempt(
+      endpoint.id,
+      !attempt.error,
+      this.disableAfterFailures
+    );
+
+    const canRetry = attempt.error && delivery.attempts < this.maxAttempts;
+    const delayMs = this.getRetryDelay(delivery.attempts);
+    const updated = await webhookDeliveryRepository.recordAttempt(
+      id,
+      attempt,
+      canRetry ? new Date(Date.now() + delayMs) : null
+    );
+
+    if (canRetry) {
+      this.schedule(id, delayMs);
+    }
+
+    return updated;
+  }
+
+  /**
+   * POST a signed event. Any 2xx response counts as delivered. Unless
+   * private URLs are allowed, the URL is checked again on every attempt and
+   * the connection only goes to addresses publicLookup vetted.
+   * @returns {Promise<Object>} { at, statusCode, durationMs, error }
+   */
+  async send(endpoint, delivery) {
+    const payload = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const refusal = this.allowPrivateUrls
+        ? null
+        : getWebhookUrlError(endpoint.url, false);
+
+      if (refusal) {
+        throw new Error(refusal);
+      }
+
+      statusCode = await this.post(endpoint.url, payload, {
+        "Content-Type": "application/json",
+        "User-Agent": "UnifiedPayments-Webhooks/1.0",
+        "X-Unified-Event-Id": delivery.eventId,
+        "X-Unified-Event-Type": delivery.eventType,
+        "X-Unified-Delivery-Id": delivery.id,
+        [this.signatureHeader]: this.sign(
+          payload,
+          endpoint.secret,
+          Math.floor(startedAt / 1000)
+        ),
+      });
+
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Endpoint responded with HTTP ${statusCode}`;
+      }
+    } catch (requestError) {
+      error =
+        requestError.name === "TimeoutError"
+          ? `Endpoint did not respond within ${this.timeout}ms`
+          : `Request failed: ${requestError.message}`;
+    }
+
+    return {
+      at: new Date(startedAt).toISOString(),
+      statusCode,
+      durationMs: Date.now() - startedAt,
+      error,
+    };
+  }
+
+  /**
+   * POST a body and resolve with the response status. Redirects are not
+   * followed and the response body is not read.
+   * @returns {Promise<number>} HTTP status code
+   */
+  post(url, payload, headers) {
+    const target = new URL(url);
+    const transport = target.protocol === "http:" ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(
+        target,
+        {
+          method: "POST",
+          headers: { ...headers, "Content-Length": Buffer.byteLength(payload) },
+          ...(!this.allowPrivateUrls && { lookup: publicLookup }),
+        },
+        (res) => {
+          clearTimeout(timer);
+          res.resume();
+          resolve(res.statusCode);
+        }
+      );
+
+      const timer = setTimeout(() => {
+        const error = new Error(`Timed out after ${this.timeout}ms`);
+        error.name = "TimeoutError";
+        req.destroy(error);
+      }, this.timeout);
+
+      req.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      req.end(payload);
+    });
+  }
+
+  /**
+   * Exponential backoff after a failed attempt, capped
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (attempts - 1));
+  }
+
+  /**
+   * Send a delivery again, whatever its outcome was
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object>} Delivery after the attempt
+   */
+  async redeliver(id) {
+    const delivery = await webhookDeliveryRepository.findById(id);
+
+    if (!delivery) {
+      throw new AppError(
+        `Webhook delivery '${id}' not found`,
+        404,
+        "WEBHOOK_DELIVERY_NOT_FOUND"
+      );
+    }
+
+    if (delivery.status === WebhookDeliveryStatus.DELIVERING) {
+      throw new AppError(
+        `Webhook delivery '${id}' is being sent`,
+        409,
+        "WEBHOOK_DELIVERY_IN_PROGRESS"
+      );
+    }
+
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+    await webhookDeliveryRepository.requeue(id);
+
+    return this.deliver(id);
+  }
+
+  /**
+   * Queue deliveries left pending or in flight by a previous run
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async resumePending() {
+    const interrupted = await webhookDeliveryRepository.list({
+      status: WebhookDeliveryStatus.DELIVERING,
+    });
+
+    for (const delivery of interrupted) {
+      await webhookDeliveryRepository.requeue(delivery.id);
+    }
+
+    const pending = await webhookDeliveryRepository.list({
+      status: WebhookDeliveryStatus.PENDING,
+    });
+
+    pending.forEach((delivery) =>
+      this.schedule(
+        delivery.id,
+        Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now())
+      )
+    );
+
+    return pending.length;
+  }
+}
+
+// Create singleton instance
+const merchantWebhookService = new MerchantWebhookService(merchantWebhooks);
+
+module.exports = merchantWebhookService;
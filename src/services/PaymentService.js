@@ -0,0 +1,789 @@
+const gatewayFactory = require("../factories/GatewayFactory");
+const paymentRepository = require("../repositories/PaymentRepository");
+const gatewayRouter = require("./GatewayRouter");
+const gatewayHealth = require("./GatewayHealthMonitor");
+const customerService = require("./CustomerService");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  PaymentStatus,
+  CaptureMethod,
+  canTransition,
+} = require("../domain/paymentStatus");
+const { ErrorCode } = require("../domain/errorCatalog");
+const { isAccessibleTo } = require("../domain/merchants");
+const logger = require("../logger");
+
+// Statuses that show an attempt never took money, so failover is safe
+const SAFE_TO_FAIL_OVER = [
+  PaymentStatus.CREATED,
+  PaymentStatus.FAILED,
+  PaymentStatus.CANCELED,
+];
+
+// Refund statuses that returned no money
+const FAILED_REFUND_STATUSES = ["failed", "canceled"];
+
+// Prefix of payment methods saved on customers, as opposed to gateway IDs
+const SAVED_PAYMENT_METHOD_PREFIX = "upm_";
+
+/**
+ * Check whether a payment can be seen by a caller: it must be in the
+ * caller's mode (payments recorded before modes existed are in both) and
+ * belong to the caller's merchant
+ * @param {Object} payment - Payment record
+ * @param {Object} options - { mode, merchantId } of the caller
+ */
+const isVisible = (payment, options) =>
+  (!options.mode || !payment.mode || payment.mode === options.mode) &&
+  isAccessibleTo(payment, options.merchantId);
+
+/**
+ * Credentials to use for calls about an existing payment: those of the
+ * merchant and mode it was made with
+ */
+const getPaymentScope = (payment, options) => ({
+  mode: payment.mode || options.mode,
+  merchantId: payment.merchantId,
+});
+
+/**
+ * Payment Service - Runs gateway operations and records their outcome
+ */
+class PaymentService {
+  /**
+   * Process a payment and record it
+   * @param {string} requestedGateway - Gateway name (routed when omitted)
+   * @param {Object} paymentData - Payment information
+   * @param {Object} options - { idempotencyKey, merchantId, failover, mode }
+   * @returns {Promise<Object>} Adapter result (unifiedId is the record ID)
+   */
+  async processPayment(requestedGateway, paymentData, options = {}) {
+    await gatewayFactory.loadMerchant(options.merchantId);
+
+    const { gateway: requested, request } = await this.applyCustomer(
+      requestedGateway,
+      paymentData,
+      options
+    );
+    const routing = this.resolveGateway(requested, request, options);
+    this.assertCaptureMethodSupported(routing.gateway, request, options);
+
+    // Confirming an intent created earlier updates that intent's record
+    const existing = request.paymentIntentId
+      ? await paymentRepository.findByGatewayReference(
+          routing.gateway,
+          request.paymentIntentId
+        )
+      : null;
+
+    if (existing && isVisible(existing, options)) {
+      const result = await this.callGateway(
+        routing.gateway,
+        "processPayment",
+        {
+          ...request,
+          unifiedId: existing.id,
+          idempotencyKey: options.idempotencyKey,
+        },
+        options
+      );
+
+      await this.recordOutcome(existing, result);
+
+      return { ...result, routing };
+    }
+
+    const { gateway, result, attempts } = await this.attemptPayment(
+      routing.gateway,
+      request,
+      options
+    );
+
+    await this.recordPayment("payment", gateway, request, result, {
+      ...options,
+      routing,
+      attempts,
+    });
+
+    return { ...result, routing, attempts };
+  }
+
+  /**
+   * Create a payment intent and record it
+   * @param {string} requestedGateway - Gateway name (routed when omitted)
+   * @param {Object} intentData - Intent information
+   * @param {Object} options - { idempotencyKey, merchantId, mode }
+   * @returns {Promise<Object>} Adapter result
+   */
+  async createPaymentIntent(requestedGateway, intentData, options = {}) {
+    await gatewayFactory.loadMerchant(options.merchantId);
+
+    const { gateway: requested, request } = await this.applyCustomer(
+      requestedGateway,
+      intentData,
+      options
+    );
+    const routing = this.resolveGateway(requested, request, options);
+    const { gateway } = routing;
+    this.assertCaptureMethodSupported(gateway, request, options);
+    const adapter = gatewayFactory.getGateway(
+      gateway,
+      options.mode,
+      options.merchantId
+    );
+    const unifiedId = adapter.generateUnifiedId();
+    const result = await this.callGateway(
+      gateway,
+      "createPaymentIntent",
+      {
+        ...request,
+        unifiedId,
+        gatewayCustomerId: await this.getGatewayCustomerId(
+          gateway,
+          request,
+          options
+        ),
+        idempotencyKey: options.idempotencyKey,
+      },
+      options
+    );
+
+    await this.recordPayment("intent", gateway, request, result, {
+      ...options,
+      routing,
+    });
+
+    return { ...result, routing };
+  }
+
+  /**
+   * Refund a payment, looked up by unified ID or gateway reference
+   * @param {string} gateway - Gateway name (optional with paymentId)
+   * @param {Object} refundData - Refund information
+   * @param {Object} options - { idempotencyKey, mode, merchantId }
+   * @returns {Promise<Object>} Adapter result
+   */
+  async processRefund(gateway, refundData, options = {}) {
+    let payment = null;
+
+    if (refundData.paymentId) {
+      payment = await paymentRepository.findById(refundData.paymentId);
+
+      if (!payment || !isVisible(payment, options)) {
+        throw new AppError(
+          `Payment '${refundData.paymentId}' not found`,
+          404,
+          "PAYMENT_NOT_FOUND"
+        );
+      }
+    } else if (gateway) {
+      payment = await paymentRepository.findByGatewayReference(
+        gateway,
+        refundData.paymentIntentId || refundData.transactionReference
+      );
+
+      if (payment && !isVisible(payment, options)) {
+        payment = null;
+      }
+    }
+
+    const gatewayName = payment ? payment.gateway : gateway;
+    const scope = payment ? getPaymentScope(payment, options) : options;
+    await gatewayFactory.loadMerchant(scope.merchantId);
+
+    if (
+      !gatewayName ||
+      !gatewayFactory.isGatewayAvailable(
+        gatewayName,
+        scope.mode,
+        scope.merchantId
+      )
+    ) {
+      throw new AppError(
+        `Gateway '${gatewayName}' is not available`,
+        400,
+        "GATEWAY_UNAVAILABLE"
+      );
+    }
+
+    const adapter = gatewayFactory.getGateway(
+      gatewayName,
+      scope.mode,
+      scope.merchantId
+    );
+    const request = {
+      ...refundData,
+      unifiedId: adapter.generateUnifiedId(),
+      idempotencyKey: options.idempotencyKey,
+    };
+
+    if (payment) {
+      request.paymentIntentId =
+        refundData.paymentIntentId || payment.gatewayReference;
+      request.transactionReference =
+        refundData.transactionReference || payment.gatewayReference;
+      request.currency = payment.currency;
+    }
+
+    const result = await this.callGateway(
+      gatewayName,
+      "processRefund",
+      request,
+      scope
+    );
+
+    if (payment && result.success) {
+      const updated = await paymentRepository.upsertRefund(payment.id, {
+        id: result.unifiedId,
+        gatewayRefundId: result.gatewayResponse.refundId,
+        amount: result.gatewayResponse.amount,
+        currency: result.gatewayResponse.currency,
+        status: result.gatewayResponse.status,
+        reason: refundData.reason || null,
+      });
+
+      await this.applyStatus(updated, this.getRefundedStatus(updated), {
+        source: "refund",
+      });
+    }
+
+    return { ...result, paymentId: payment ? payment.id : null };
+  }
+
+  /**
+   * Capture an authorized payment, in full or in part. The gateway
+   * releases whatever is not captured.
+   * @param {string} unifiedId - Unified payment ID
+   * @param {Object} captureData - { amount } (full amount when omitted)
+   * @param {Object} options - { idempotencyKey, mode, merchantId }
+   * @returns {Promise<Object>} Adapter result
+   */
+  async capturePayment(unifiedId, captureData, options = {}) {
+    const payment = await this.getPayment(unifiedId, options);
+
+    if (payment.status !== PaymentStatus.AUTHORIZED) {
+      throw new AppError(
+        `Payment '${unifiedId}' is ${payment.status}; only authorized payments can be captured`,
+        409,
+        "PAYMENT_NOT_CAPTURABLE"
+      );
+    }
+
+    if (captureData.amount && captureData.amount > payment.amount) {
+      throw new AppError(
+        `Capture amount exceeds the ${payment.amount} authorized`,
+        400,
+        "INVALID_AMOUNT"
+      );
+    }
+
+    const scope = getPaymentScope(payment, options);
+    await gatewayFactory.loadMerchant(scope.merchantId);
+
+    const result = await this.callGateway(
+      payment.gateway,
+      "capturePayment",
+      {
+        reference: payment.gatewayReference,
+        amount: captureData.amount || payment.amount,
+        currency: payment.currency,
+        captureMethod: payment.captureMethod,
+        unifiedId: payment.id,
+        idempotencyKey: options.idempotencyKey,
+      },
+      scope
+    );
+
+    if (result.success) {
+      await this.applyStatus(payment, result.gatewayResponse.status, {
+        source: "capture",
+        gatewayStatus: result.gatewayResponse.gatewayStatus,
+        amountCaptured: result.gatewayResponse.amountCaptured,
+        lastError: null,
+      });
+    } else {
+      await this.recordOutcome(payment, result);
+    }
+
+    return { ...result, paymentId: payment.id };
+  }
+
+  /**
+   * Cancel (void) a payment before it is captured, releasing any hold
+   * on the customer's funds
+   * @param {string} unifiedId - Unified payment ID
+   * @param {Object} cancelData - { reason }
+   * @param {Object} options - { idempotencyKey, mode, merchantId }
+   * @returns {Promise<Object>} Adapter result
+   */
+  async cancelPayment(unifiedId, cancelData, options = {}) {
+    const payment = await this.getPayment(unifiedId, options);
+
+    if (!canTransition(payment.status, PaymentStatus.CANCELED)) {
+      throw new AppError(
+        `Payment '${unifiedId}' is ${payment.status} and can no longer be canceled`,
+        409,
+        "PAYMENT_NOT_CANCELABLE"
+      );
+    }
+
+    const scope = getPaymentScope(payment, options);
+    await gatewayFactory.loadMerchant(scope.merchantId);
+
+    const result = await this.callGateway(
+      payment.gateway,
+      "cancelPayment",
+      {
+        reference: payment.gatewayReference,
+        reason: cancelData.reason,
+        captureMethod: payment.captureMethod,
+        unifiedId: payment.id,
+        idempotencyKey: options.idempotencyKey,
+      },
+      scope
+    );
+
+    await this.recordOutcome(payment, result);
+
+    return { ...result, paymentId: payment.id };
+  }
+
+  /**
+   * Look up a payment status at the gateway and sync the stored record
+   * @param {string} gateway - Gateway name
+   * @param {string} paymentId - Gateway payment identifier
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Adapter result
+   */
+  async getPaymentStatus(gateway, paymentId, options = {}) {
+    let payment = await paymentRepository.findByGatewayReference(
+      gateway,
+      paymentId
+    );
+
+    if (payment && !isVisible(payment, options)) {
+      payment = null;
+    }
+
+    const scope = payment ? getPaymentScope(payment, options) : options;
+    await gatewayFactory.loadMerchant(scope.merchantId);
+
+    const result = await this.callGateway(
+      gateway,
+      "getPaymentStatus",
+      paymentId,
+      scope
+    );
+
+    if (payment && result.success) {
+      await this.applyStatus(payment, result.gatewayResponse.status, {
+        source: "status_check",
+        gatewayStatus: result.gatewayResponse.gatewayStatus,
+      });
+    }
+
+    return { ...result, paymentId: payment ? payment.id : null };
+  }
+
+  /**
+   * Get a stored payment by unified ID
+   * @param {string} unifiedId - Unified payment ID
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Payment record
+   */
+  async getPayment(unifiedId, options = {}) {
+    const payment = await paymentRepository.findById(unifiedId);
+
+    if (!payment || !isVisible(payment, options)) {
+      throw new AppError(
+        `Payment '${unifiedId}' not found`,
+        404,
+        "PAYMENT_NOT_FOUND"
+      );
+    }
+
+    return payment;
+  }
+
+  /**
+   * Use the named gateway, or let the router pick one
+   * @returns {Object} { gateway, rule, reason }
+   */
+  resolveGateway(gateway, request, options = {}) {
+    if (gateway) {
+      return {
+        gateway: gateway.toLowerCase(),
+        rule: "explicit",
+        reason: "Gateway named in request",
+      };
+    }
+
+    // Payment method and intent IDs belong to the gateway that issued them
+    if (request.paymentMethodId || request.paymentIntentId) {
+      throw new AppError(
+        "gateway is required with paymentMethodId or paymentIntentId",
+        400,
+        "GATEWAY_REQUIRED"
+      );
+    }
+
+    return gatewayRouter.selectGateway(
+      this.getRoutingContext(request, options)
+    );
+  }
+
+  /**
+   * Reject manual capture on a gateway that cannot hold funds
+   */
+  assertCaptureMethodSupported(gateway, request, options = {}) {
+    if (request.captureMethod !== CaptureMethod.MANUAL) {
+      return;
+    }
+
+    const adapter = gatewayFactory.getGateway(
+      gateway,
+      options.mode,
+      options.merchantId
+    );
+
+    if (!adapter.supportsManualCapture()) {
+      throw new AppError(
+        `Gateway '${gateway}' does not support manual capture`,
+        400,
+        "CAPTURE_METHOD_NOT_SUPPORTED"
+      );
+    }
+  }
+
+  /**
+   * Call an adapter operation through the gateway's circuit breaker.
+   * A short-circuited call comes back as a retryable adapter error.
+   * @param {string} gateway - Gateway name
+   * @param {string} operation - Adapter method name
+   * @param {Object|string} data - Argument for the adapter method
+   * @param {Object} scope - { mode, merchantId } whose credentials to use
+   * @returns {Promise<Object>} Adapter result
+   */
+  async callGateway(gateway, operation, data, scope = {}) {
+    const adapter = gatewayFactory.getGateway(
+      gateway,
+      scope.mode,
+      scope.merchantId
+    );
+
+    try {
+      return await gatewayHealth.execute(
+        gateway,
+        { mode: adapter.mode, merchantId: scope.merchantId },
+        () => adapter[operation](data)
+      );
+    } catch (error) {
+      if (error.code !== ErrorCode.CIRCUIT_OPEN) {
+        throw error;
+      }
+
+      return adapter.formatError(error, data.unifiedId);
+    }
+  }
+
+  /**
+   * Build the routing context for a request
+   */
+  getRoutingContext(request, options = {}) {
+    return {
+      amount: request.amount,
+      currency: request.currency,
+      country: request.customerCountry,
+      paymentMethod: request.paymentMethod || request.channel,
+      captureMethod: request.captureMethod,
+      merchantId: options.merchantId,
+      mode: options.mode,
+    };
+  }
+
+  /**
+   * Fill in a payment's customer from customerId, and swap a saved
+   * payment method ID for the gateway's own. Saved payment methods can
+   * only be charged on the gateway they were saved with.
+   * @param {string} gateway - Requested gateway name
+   * @param {Object} paymentData - Payment or intent information
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} { gateway, request }
+   */
+  async applyCustomer(gateway, paymentData, options = {}) {
+    if (!paymentData.customerId) {
+      return { gateway, request: paymentData };
+    }
+
+    const customer = await customerService.getCustomer(
+      paymentData.customerId,
+      options
+    );
+    const request = {
+      ...paymentData,
+      customerEmail: paymentData.customerEmail || customer.email,
+    };
+
+    if (
+      !String(paymentData.paymentMethodId || "").startsWith(
+        SAVED_PAYMENT_METHOD_PREFIX
+      )
+    ) {
+      return { gateway, request };
+    }
+
+    const saved = customerService.getPaymentMethod(
+      customer,
+      paymentData.paymentMethodId
+    );
+
+    if (gateway && gateway.toLowerCase() !== saved.gateway) {
+      throw new AppError(
+        `Payment method '${saved.id}' was saved with ${saved.gateway}, not ${gateway}`,
+        400,
+        "GATEWAY_MISMATCH"
+      );
+    }
+
+    return {
+      gateway: saved.gateway,
+      request: {
+        ...request,
+        paymentMethodId: saved.gatewayPaymentMethodId,
+        savedPaymentMethodId: saved.id,
+      },
+    };
+  }
+
+  /**
+   * The paying customer's ID at a gateway, created there on first use
+   * @returns {Promise<string|null>} Null without a customerId, or if the
+   *   gateway does not keep customers
+   */
+  async getGatewayCustomerId(gateway, request, options = {}) {
+    if (!request.customerId) {
+      return null;
+    }
+
+    const customer = await customerService.getCustomer(
+      request.customerId,
+      options
+    );
+
+    return customerService.getGatewayCustomerId(customer, gateway, options);
+  }
+
+  /**
+   * Run a payment, failing over to another gateway on retryable errors
+   * when the failover policy allows it
+   * @param {string} gateway - First gateway to try
+   * @param {Object} paymentData - Payment information
+   * @param {Object} options - { idempotencyKey, merchantId, failover, mode }
+   * @returns {Promise<Object>} { gateway, result, attempts }
+   */
+  async attemptPayment(gateway, paymentData, options = {}) {
+    const policy = this.getFailoverPolicy(paymentData, options);
+    const context = this.getRoutingContext(paymentData, options);
+    const attempts = [];
+    let unifiedId = null;
+    let current = gateway;
+    let result;
+
+    while (current) {
+      const adapter = gatewayFactory.getGateway(
+        current,
+        options.mode,
+        options.merchantId
+      );
+      unifiedId = unifiedId || adapter.generateUnifiedId();
+
+      const attemptData = {
+        ...paymentData,
+        unifiedId,
+        gatewayCustomerId: await this.getGatewayCustomerId(
+          current,
+          paymentData,
+          options
+        ),
+        idempotencyKey: options.idempotencyKey,
+      };
+      const attemptedAt = new Date();
+      result = await this.callGateway(
+        current,
+        "processPayment",
+        attemptData,
+        options
+      );
+
+      const attempt = {
+        gateway: current,
+        success: result.success,
+        error: result.success ? null : result.error,
+        attemptedAt: attemptedAt.toISOString(),
+      };
+      attempts.push(attempt);
+
+      if (
+        result.success ||
+        !policy.enabled ||
+        !result.error.retryable ||
+        attempts.length >= policy.maxAttempts
+      ) {
+        break;
+      }
+
+      // Never move on while the failed attempt might still capture funds.
+      // A short-circuited attempt never reached the gateway.
+      attempt.lookup =
+        result.error.code === ErrorCode.CIRCUIT_OPEN
+          ? { confirmed: true, found: false }
+          : await this.confirmAttemptFailed(adapter, attemptData, attemptedAt);
+
+      current = attempt.lookup.confirmed
+        ? gatewayRouter.getFailoverGateway(
+            context,
+            attempts.map((tried) => tried.gateway)
+          )
+        : null;
+    }
+
+    return {
+      gateway: attempts[attempts.length - 1].gateway,
+      result,
+      attempts,
+    };
+  }
+
+  /**
+   * Work out whether a payment may fail over. Requests carrying a
+   * gateway-specific payment method or intent are tied to that gateway.
+   */
+  getFailoverPolicy(paymentData, options = {}) {
+    const { failover } = gatewayRouter;
+    const enabled = options.failover ?? failover.enabled;
+
+    return {
+      enabled:
+        enabled && !paymentData.paymentMethodId && !paymentData.paymentIntentId,
+      maxAttempts: failover.maxAttempts,
+    };
+  }
+
+  /**
+   * Confirm through a status lookup that a failed attempt left nothing at
+   * the gateway that could still be charged
+   * @returns {Promise<Object>} { confirmed, found, status, reference, error }
+   */
+  async confirmAttemptFailed(adapter, attemptData, attemptedAt) {
+    try {
+      const payment = await adapter.findPayment(attemptData, attemptedAt);
+
+      if (!payment) {
+        return { confirmed: true, found: false };
+      }
+
+      return {
+        confirmed: SAFE_TO_FAIL_OVER.includes(payment.status),
+        found: true,
+        status: payment.status,
+        reference: payment.reference,
+      };
+    } catch (error) {
+      return { confirmed: false, error: error.message };
+    }
+  }
+
+  /**
+   * Record a new payment from an adapter result
+   */
+  async recordPayment(type, gateway, request, result, options = {}) {
+    const response = result.gatewayResponse || {};
+
+    return paymentRepository.create({
+      id: result.unifiedId,
+      type,
+      gateway,
+      mode: gatewayFactory.getGateway(gateway, options.mode, options.merchantId)
+        .mode,
+      gatewayReference: response.paymentIntentId || response.reference || null,
+      gatewayTransactionId: response.transactionId || null,
+      amount: request.amount,
+      currency: String(request.currency).toUpperCase(),
+      status: result.success ? response.status : PaymentStatus.FAILED,
+      captureMethod: request.captureMethod || CaptureMethod.AUTOMATIC,
+      gatewayStatus: response.gatewayStatus || null,
+      customerEmail: request.customerEmail || null,
+      customerId: request.customerId || null,
+      savedPaymentMethodId: request.savedPaymentMethodId || null,
+      description: request.description || null,
+      metadata: request.metadata || {},
+      idempotencyKey: options.idempotencyKey || null,
+      merchantId: options.merchantId || null,
+      routing: options.routing || null,
+      attempts: options.attempts || [],
+      lastError: result.success ? null : result.error,
+    });
+  }
+
+  /**
+   * Record the outcome of a follow-up call on an existing payment
+   */
+  async recordOutcome(payment, result) {
+    if (!result.success) {
+      return paymentRepository.update(payment.id, { lastError: result.error });
+    }
+
+    return this.applyStatus(payment, result.gatewayResponse.status, {
+      gatewayStatus: result.gatewayResponse.gatewayStatus,
+      lastError: null,
+    });
+  }
+
+  /**
+   * Move a payment to a new status if the lifecycle allows it.
+   * Gateway reports can arrive out of order (a late "pending" after
+   * "captured"), so disallowed transitions are skipped rather than thrown.
+   * @param {Object} payment - Current payment record
+   * @param {string} status - Reported unified status
+   * @param {Object} details - Extra fields for the record
+   * @returns {Promise<Object>} Payment record after the update
+   */
+  async applyStatus(payment, status, details = {}) {
+    if (!canTransition(payment.status, status)) {
+      logger.warn("Ignoring status transition", {
+        paymentId: payment.id,
+        from: payment.status,
+        to: status,
+      });
+      return payment;
+    }
+
+    return paymentRepository.recordStatus(payment.id, status, details);
+  }
+
+  /**
+   * Work out refunded vs partially_refunded from the recorded refunds,
+   * ignoring refunds the gateway reported as failed. Only the captured
+   * part of a partially captured payment can be refunded.
+   */
+  getRefundedStatus(payment) {
+    const refunds = (payment.refunds || []).filter(
+      (refund) => !FAILED_REFUND_STATUSES.includes(refund.status)
+    );
+    const isFullRefund = refunds.some((refund) => !refund.amount);
+    const refundedAmount = refunds.reduce(
+      (total, refund) => total + (refund.amount || 0),
+      0
+    );
+
+    return isFullRefund ||
+      refundedAmount >= (payment.amountCaptured ?? payment.amount)
+      ? PaymentStatus.REFUNDED
+      : PaymentStatus.PARTIALLY_REFUNDED;
+  }
+}
+
+// Create singleton instance
+const paymentService = new PaymentService();
+
+module.exports = paymentService;
@@ -0,0 +1,78 @@
+const planRepository = require("../repositories/PlanRepository");
+const { AppError } = require("../middleware/errorHandler");
+const { isAccessibleTo } = require("../domain/merchants");
+
+/**
+ * Plan Service - Manages the billing plans subscriptions are made on.
+ * Plans belong to the mode and merchant of the key that created them.
+ */
+class PlanService {
+  /**
+   * Create a plan
+   * @param {Object} plan - { name, amount, currency, interval,
+   *   intervalCount, trialDays, dunning, metadata }
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Plan
+   */
+  async create(plan, options = {}) {
+    return planRepository.create({
+      ...plan,
+      mode: options.mode,
+      merchantId: options.merchantId,
+    });
+  }
+
+  /**
+   * Get a plan the caller can see
+   * @param {string} id - Plan ID
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Plan
+   */
+  async getPlan(id, options = {}) {
+    const plan = await planRepository.findById(id);
+
+    if (
+      !plan ||
+      (options.mode && plan.mode !== options.mode) ||
+      !isAccessibleTo(plan, options.merchantId)
+    ) {
+      throw new AppError(`Plan '${id}' not found`, 404, "PLAN_NOT_FOUND");
+    }
+
+    return plan;
+  }
+
+  /**
+   * List the caller's plans
+   * @param {Object} filter - active
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Array>} Plans, newest first
+   */
+  async list(filter, options = {}) {
+    return planRepository.list({
+      active: filter.active,
+      mode: options.mode,
+      merchantId: options.merchantId || undefined,
+    });
+  }
+
+  /**
+   * Rename a plan, change its trial, dunning schedule or metadata, or
+   * archive it. Archived plans keep billing their subscriptions but take
+   * no new ones.
+   * @param {string} id - Plan ID
+   * @param {Object} changes - name, trialDays, dunning, active, metadata
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Updated plan
+   */
+  async update(id, changes, options = {}) {
+    await this.getPlan(id, options);
+
+    return planRepository.update(id, changes);
+  }
+}
+
+// Create singleton instance
+const planService = new PlanService();
+
+module.exports = planService;
@@ -0,0 +1,942 @@
+const subscriptionRepository = require("../repositories/SubscriptionRepository");
+const paymentRepository = require("../repositories/PaymentRepository");
+const paymentService = require("./PaymentService");
+const customerService = require("./CustomerService");
+const planService = require("./PlanService");
+const merchantWebhookService = require("./MerchantWebhookService");
+const { AppError } = require("../middleware/errorHandler");
+const { PaymentStatus } = require("../domain/paymentStatus");
+const { ErrorCode } = require("../domain/errorCatalog");
+const { WebhookEventType } = require("../domain/webhookEvents");
+const { isAccessibleTo } = require("../domain/merchants");
+const {
+  PlanInterval,
+  SubscriptionStatus,
+  SubscriptionChargeType,
+  DunningFinalAction,
+  DunningOutcome,
+  RetryStrategy,
+  addInterval,
+  prorate,
+  getRetryStrategy,
+} = require("../domain/subscriptions");
+const { billing } = require("../../config/production");
+const logger = require("../logger");
+
+// Payment statuses that pay for a period. A pending payment (e.g. a bank
+// debit still clearing) counts; webhooks report if it later fails.
+const PAID_STATUSES = [PaymentStatus.CAPTURED, PaymentStatus.PENDING];
+
+// Statuses a subscription can be paused from
+const PAUSABLE_STATUSES = [
+  SubscriptionStatus.TRIALING,
+  SubscriptionStatus.ACTIVE,
+  SubscriptionStatus.PAST_DUE,
+];
+
+// Strategies whose dunning steps remind the customer instead of charging
+const CUSTOMER_ACTION_STRATEGIES = [
+  RetryStrategy.UPDATE_PAYMENT_METHOD,
+  RetryStrategy.AUTHENTICATE,
+];
+
+/**
+ * Subscription as sent in events: without its charge history
+ */
+const toEventSubscription = ({ charges, ...subscription }) => subscription;
+
+/**
+ * When a dunning step falls due: retryDays[step] days after the first
+ * failure
+ */
+const getStepTime = (dunning, step) =>
+  addInterval(
+    new Date(dunning.startedAt),
+    PlanInterval.DAY,
+    dunning.retryDays[step]
+  );
+
+/**
+ * Close dunning that is still running because the subscription was
+ * paused or canceled
+ */
+const stopDunning = (dunning, now) =>
+  dunning && !dunning.outcome
+    ? {
+        ...dunning,
+        outcome: DunningOutcome.STOPPED,
+        endedAt: now.toISOString(),
+        nextAttemptAt: null,
+      }
+    : dunning;
+
+/**
+ * Subscription Service - Bills subscriptions to saved payment methods.
+ * Every period is charged by this API, on whichever gateway the payment
+ * method was saved with, when the previous period ends.
+ */
+class SubscriptionService {
+  constructor(config) {
+    this.schedulerInterval = config.schedulerInterval;
+    this.dunning = config.dunning;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Subscribe a customer to a plan. Without a trial the first period is
+   * charged straight away; if that fails the subscription is canceled.
+   * @param {Object} data - { customerId, planId, paymentMethodId,
+   *   trialDays, metadata }
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Subscription
+   */
+  async create(data, options = {}) {
+    const customer = await customerService.getCustomer(
+      data.customerId,
+      options
+    );
+    customerService.getPaymentMethod(customer, data.paymentMethodId);
+
+    const plan = await planService.getPlan(data.planId, options);
+
+    if (!plan.active) {
+      throw new AppError(`Plan '${plan.id}' is archived`, 400, "PLAN_INACTIVE");
+    }
+
+    const now = new Date();
+    const trialDays = data.trialDays ?? plan.trialDays;
+    const trialEnd =
+      trialDays > 0 ? addInterval(now, PlanInterval.DAY, trialDays) : null;
+    const periodEnd =
+      trialEnd || addInterval(now, plan.interval, plan.intervalCount);
+
+    const subscription = await subscriptionRepository.create({
+      customerId: customer.id,
+      planId: plan.id,
+      paymentMethodId: data.paymentMethodId,
+      status: trialEnd
+        ? SubscriptionStatus.TRIALING
+        : SubscriptionStatus.ACTIVE,
+      currentPeriodStart: now.toISOString(),
+      currentPeriodEnd: periodEnd.toISOString(),
+      trialEnd: trialEnd && trialEnd.toISOString(),
+      metadata: data.metadata,
+      mode: customer.mode,
+      merchantId: customer.merchantId,
+    });
+
+    if (trialEnd) {
+      return subscription;
+    }
+
+    const { charge, error } = await this.charge(subscription, {
+      type: SubscriptionChargeType.INITIAL,
+      amount: plan.amount,
+      currency: plan.currency,
+      periodStart: subscription.currentPeriodStart,
+      periodEnd: subscription.currentPeriodEnd,
+    });
+
+    if (error) {
+      await subscriptionRepository.addCharge(subscription.id, charge, {
+        status: SubscriptionStatus.CANCELED,
+        canceledAt: now.toISOString(),
+      });
+
+      throw new AppError(
+        `First payment failed: ${error.message}`,
+        402,
+        error.code.toUpperCase()
+      );
+    }
+
+    return subscriptionRepository.addCharge(subscription.id, charge);
+  }
+
+  /**
+   * Get a subscription the caller can see
+   * @param {string} id - Subscription ID
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Subscription
+   */
+  async getSubscription(id, options = {}) {
+    const subscription = await subscriptionRepository.findById(id);
+
+    if (
+      !subscription ||
+      (options.mode && subscription.mode !== options.mode) ||
+      !isAccessibleTo(subscription, options.merchantId)
+    ) {
+      throw new AppError(
+        `Subscription '${id}' not found`,
+        404,
+        "SUBSCRIPTION_NOT_FOUND"
+      );
+    }
+
+    return subscription;
+  }
+
+  /**
+   * List the caller's subscriptions
+   * @param {Object} filter - customerId, planId, status
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Array>} Subscriptions, newest first
+   */
+  async list(filter, options = {}) {
+    return subscriptionRepository.list({
+      customerId: filter.customerId,
+      planId: filter.planId,
+      status: filter.status,
+      mode: options.mode,
+      merchantId: options.merchantId || undefined,
+    });
+  }
+
+  /**
+   * Change the saved payment method future periods are charged to, or
+   * the metadata. A past-due subscription is charged again with the new
+   * payment method.
+   * @param {string} id - Subscription ID
+   * @param {Object} changes - paymentMethodId, metadata
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async update(id, changes, options = {}) {
+    const subscription = await this.getActiveSubscription(id, options);
+
+    if (changes.paymentMethodId) {
+      customerService.getPaymentMethod(
+        await customerService.getCustomer(subscription.customerId, options),
+        changes.paymentMethodId
+      );
+
+      // A past-due subscription's new payment method is tried on the next
+      // run, whatever the last decline was
+      if (subscription.status === SubscriptionStatus.PAST_DUE) {
+        return subscriptionRepository.update(id, {
+          ...changes,
+          dunning: {
+            ...subscription.dunning,
+            strategy: RetryStrategy.SCHEDULED,
+            nextAttemptAt: new Date().toISOString(),
+          },
+        });
+      }
+    }
+
+    return subscriptionRepository.update(id, changes);
+  }
+
+  /**
+   * Stop billing a subscription until it is resumed
+   * @param {string} id - Subscription ID
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Paused subscription
+   */
+  async pause(id, options = {}) {
+    const subscription = await this.getActiveSubscription(id, options);
+
+    if (!PAUSABLE_STATUSES.includes(subscription.status)) {
+      throw new AppError(
+        `Subscription '${id}' is ${subscription.status} and cannot be paused`,
+        409,
+        "SUBSCRIPTION_NOT_PAUSABLE"
+      );
+    }
+
+    const now = new Date();
+
+    return subscriptionRepository.update(id, {
+      status: SubscriptionStatus.PAUSED,
+      pausedAt: now.toISOString(),
+      dunning: stopDunning(subscription.dunning, now),
+    });
+  }
+
+  /**
+   * Resume a paused or unpaid subscription. If its period ended
+   * meanwhile, a new period starts now and is charged straight away. A
+   * past-due subscription has its overdue period charged again, without
+   * using up a dunning step.
+   * @param {string} id - Subscription ID
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Subscription after resuming
+   */
+  async resume(id, options = {}) {
+    const subscription = await this.getActiveSubscription(id, options);
+    const now = new Date();
+
+    if (subscription.status === SubscriptionStatus.PAST_DUE) {
+      return this.retry(subscription, subscription.dunning, now);
+    }
+
+    if (
+      subscription.status !== SubscriptionStatus.PAUSED &&
+      subscription.status !== SubscriptionStatus.UNPAID
+    ) {
+      throw new AppError(
+        `Subscription '${id}' is ${subscription.status}, not paused`,
+        409,
+        "SUBSCRIPTION_NOT_PAUSED"
+      );
+    }
+
+    if (
+      subscription.status === SubscriptionStatus.UNPAID ||
+      new Date(subscription.currentPeriodEnd) <= now
+    ) {
+      return this.renew(subscription, now, { restart: true });
+    }
+
+    return subscriptionRepository.update(id, {
+      status:
+        subscription.trialEnd && new Date(subscription.trialEnd) > now
+          ? SubscriptionStatus.TRIALING
+          : SubscriptionStatus.ACTIVE,
+      pausedAt: null,
+    });
+  }
+
+  /**
+   * Cancel a subscription now, or when its current period ends
+   * @param {string} id - Subscription ID
+   * @param {Object} cancelData - { atPeriodEnd }
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async cancel(id, cancelData = {}, options = {}) {
+    const subscription = await this.getActiveSubscription(id, options);
+
+    if (
+      cancelData.atPeriodEnd &&
+      (subscription.status === SubscriptionStatus.TRIALING ||
+        subscription.status === SubscriptionStatus.ACTIVE)
+    ) {
+      return subscriptionRepository.update(id, { cancelAtPeriodEnd: true });
+    }
+
+    return this.endSubscription(subscription, new Date());
+  }
+
+  /**
+   * Move a subscription to another plan in the same currency. With
+   * proration, an active subscription is charged now for the difference
+   * over the rest of its period, or credited if the new plan costs less;
+   * a plan with another interval starts a new period now, less the unused
+   * part of the old one. Without proration the new price applies from the
+   * next renewal.
+   * @param {string} id - Subscription ID
+   * @param {Object} changeData - { planId, prorate }
+   * @param {Object} options - { mode, merchantId }
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async changePlan(id, changeData, options = {}) {
+    const subscription = await this.getActiveSubscription(id, options);
+    const current = await planService.getPlan(subscription.planId, options);
+    const plan = await planService.getPlan(changeData.planId, options);
+
+    if (!plan.active) {
+      throw new AppError(`Plan '${plan.id}' is archived`, 400, "PLAN_INACTIVE");
+    }
+
+    if (plan.currency !== current.currency) {
+      throw new AppError(
+        `Plan '${plan.id}' is billed in ${plan.currency}, not ${current.currency}`,
+        400,
+        "CURRENCY_MISMATCH"
+      );
+    }
+
+    if (
+      changeData.prorate === false ||
+      subscription.status !== SubscriptionStatus.ACTIVE
+    ) {
+      return subscriptionRepository.update(id, { planId: plan.id });
+    }
+
+    const now = new Date();
+    const period = {
+      start: subscription.currentPeriodStart,
+      end: subscription.currentPeriodEnd,
+    };
+    const unused = prorate(current.amount, period, now);
+    const sameInterval =
+      plan.interval === current.interval &&
+      plan.intervalCount === current.intervalCount;
+
+    const periodStart = sameInterval ? period.start : now.toISOString();
+    const periodEnd = sameInterval
+      ? period.end
+      : addInterval(now, plan.interval, plan.intervalCount).toISOString();
+    const owed =
+      (sameInterval ? prorate(plan.amount, period, now) : plan.amount) - unused;
+    const changes = {
+      planId: plan.id,
+      currentPeriodStart: periodStart,
+      currentPeriodEnd: periodEnd,
+    };
+
+    if (owed <= 0) {
+      return subscriptionRepository.update(id, {
+        ...changes,
+        creditBalance: subscription.creditBalance - owed,
+      });
+    }
+
+    const creditApplied = Math.min(subscription.creditBalance, owed);
+    const { charge, error } = await this.charge(subscription, {
+      type: SubscriptionChargeType.PRORATION,
+      amount: owed - creditApplied,
+      currency: plan.currency,
+      creditApplied,
+      periodStart,
+      periodEnd,
+    });
+
+    if (error) {
+      await subscriptionRepository.addCharge(id, charge);
+
+      throw new AppError(
+        `Proration payment failed: ${error.message}`,
+        402,
+        error.code.toUpperCase()
+      );
+    }
+
+    return subscriptionRepository.addCharge(id, charge, {
+      ...changes,
+      creditBalance: subscription.creditBalance - creditApplied,
+    });
+  }
+
+  /**
+   * Bill the next period of a subscription whose period has ended, or
+   * end it if it was set to cancel
+   * @param {Object} subscription - Subscription record
+   * @param {Date} now - Current time
+   * @param {Object} [options] - { restart } starts the period now rather
+   *   than where the last one ended
+   * @returns {Promise<Object>} Subscription after the renewal
+   */
+  async renew(subscription, now = new Date(), options = {}) {
+    if (subscription.cancelAtPeriodEnd) {
+      return this.endSubscription(subscription, now);
+    }
+
+    const plan = await planService.getPlan(subscription.planId);
+    let periodStart = new Date(subscription.currentPeriodEnd);
+    let periodEnd = addInterval(periodStart, plan.interval, plan.intervalCount);
+
+    // Never bill periods that have already run out (e.g. the API was down)
+    if (options.restart || periodEnd <= now) {
+      periodStart = now;
+      periodEnd = addInterval(now, plan.interval, plan.intervalCount);
+    }
+
+    const creditApplied = Math.min(subscription.creditBalance, plan.amount);
+    const { charge, error, payment } = await this.charge(subscription, {
+      type: SubscriptionChargeType.RENEWAL,
+      amount: plan.amount - creditApplied,
+      currency: plan.currency,
+      creditApplied,
+      periodStart: periodStart.toISOString(),
+      periodEnd: periodEnd.toISOString(),
+    });
+
+    if (error) {
+      return this.startDunning(subscription, plan, charge, payment, now);
+    }
+
+    return this.recordPaidPeriod(
+      subscription,
+      charge,
+      payment,
+      subscription.dunning
+    );
+  }
+
+  /**
+   * Start the next period of a subscription whose charge for it was paid
+   */
+  async recordPaidPeriod(subscription, charge, payment, dunning) {
+    const updated = await subscriptionRepository.addCharge(
+      subscription.id,
+      charge,
+      {
+        status: SubscriptionStatus.ACTIVE,
+        currentPeriodStart: charge.periodStart,
+        currentPeriodEnd: charge.periodEnd,
+        creditBalance: subscription.creditBalance - charge.creditApplied,
+        pausedAt: null,
+        dunning,
+      }
+    );
+    await merchantWebhookService.publishSubscriptionEvent(
+      WebhookEventType.SUBSCRIPTION_RENEWED,
+      toEventSubscription(updated),
+      payment
+    );
+
+    return updated;
+  }
+
+  /**
+   * Start dunning after a renewal charge failed: the subscription is past
+   * due until the period is paid or the plan's dunning schedule (or the
+   * default one) runs out
+   * @param {Object} subscription - Subscription record
+   * @param {Object} plan - Plan being renewed
+   * @param {Object} charge - Failed renewal charge
+   * @param {Object|null} payment - Payment record of the charge
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Past-due subscription
+   */
+  async startDunning(subscription, plan, charge, payment, now) {
+    const schedule = plan.dunning || {};
+    const dunning = {
+      startedAt: now.toISOString(),
+      retryDays: schedule.retryDays || this.dunning.retryDays,
+      finalAction: schedule.finalAction || this.dunning.finalAction,
+      // The overdue period and what it costs
+      amount: charge.amount,
+      currency: charge.currency,
+      creditApplied: charge.creditApplied,
+      periodStart: charge.periodStart,
+      periodEnd: charge.periodEnd,
+      // Steps of the schedule taken so far
+      step: 0,
+      history: [],
+      outcome: null,
+      endedAt: null,
+    };
+
+    return this.recordFailure(subscription, dunning, charge, payment, now);
+  }
+
+  /**
+   * Take a subscription's next dunning attempt. At a scheduled step the
+   * charge is retried, unless the last decline needs the customer to act,
+   * in which case they are reminded instead. Between steps (after a
+   * gateway outage, or with a new payment method) it is always retried.
+   * @param {Object} subscription - Past-due subscription
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Subscription after the attempt
+   */
+  async collect(subscription, now) {
+    const { dunning } = subscription;
+    const atStep = getStepTime(dunning, dunning.step) <= now;
+    const next = atStep ? { ...dunning, step: dunning.step + 1 } : dunning;
+
+    if (atStep && CUSTOMER_ACTION_STRATEGIES.includes(dunning.strategy)) {
+      return this.remind(subscription, next, now);
+    }
+
+    return this.retry(subscription, next, now);
+  }
+
+  /**
+   * Charge a past-due subscription's overdue period again
+   */
+  async retry(subscription, dunning, now) {
+    const { charge, error, payment } = await this.charge(subscription, {
+      type: SubscriptionChargeType.RETRY,
+      amount: dunning.amount,
+      currency: dunning.currency,
+      creditApplied: dunning.creditApplied,
+      periodStart: dunning.periodStart,
+      periodEnd: dunning.periodEnd,
+    });
+
+    if (error) {
+      return this.recordFailure(subscription, dunning, charge, payment, now);
+    }
+
+    return this.recordPaidPeriod(subscription, charge, payment, {
+      ...dunning,
+      history: [
+        ...dunning.history,
+        {
+          action: "recovered",
+          step: dunning.step,
+          paymentId: charge.paymentId,
+          at: now.toISOString(),
+        },
+      ],
+      outcome: DunningOutcome.RECOVERED,
+      endedAt: now.toISOString(),
+      nextAttemptAt: null,
+    });
+  }
+
+  /**
+   * Record a failed dunning charge and plan the next attempt from its
+   * decline reason, or take the final action if no steps are left
+   */
+  async recordFailure(subscription, dunning, charge, payment, now) {
+    const failed = {
+      ...dunning,
+      strategy: getRetryStrategy(charge.error.code),
+      lastError: charge.error,
+      history: [
+        ...dunning.history,
+        {
+          action: "charge_failed",
+          step: dunning.step,
+          errorCode: charge.error.code,
+          paymentId: charge.paymentId,
+          at: now.toISOString(),
+        },
+      ],
+    };
+    const nextAttemptAt = this.getNextAttempt(failed, now);
+
+    const updated = await subscriptionRepository.addCharge(
+      subscription.id,
+      charge,
+      {
+        status: SubscriptionStatus.PAST_DUE,
+        pausedAt: null,
+        dunning: {
+          ...failed,
+          nextAttemptAt: nextAttemptAt && nextAttemptAt.toISOString(),
+        },
+      }
+    );
+    await merchantWebhookService.publishSubscriptionEvent(
+      WebhookEventType.SUBSCRIPTION_PAYMENT_FAILED,
+      toEventSubscription(updated),
+      payment
+    );
+
+    return nextAttemptAt ? updated : this.exhaustDunning(updated, now);
+  }
+
+  /**
+   * Remind the customer, through merchant webhooks, that the overdue
+   * period needs a new payment method or their confirmation
+   */
+  async remind(subscription, dunning, now) {
+    const reminded = {
+      ...dunning,
+      history: [
+        ...dunning.history,
+        { action: "reminded", step: dunning.step, at: now.toISOString() },
+      ],
+    };
+    const nextAttemptAt = this.getNextAttempt(reminded, now);
+
+    const updated = await subscriptionRepository.update(subscription.id, {
+      dunning: {
+        ...reminded,
+        nextAttemptAt: nextAttemptAt && nextAttemptAt.toISOString(),
+      },
+    });
+
+    if (!nextAttemptAt) {
+      return this.exhaustDunning(updated, now);
+    }
+
+    await merchantWebhookService.publishSubscriptionEvent(
+      WebhookEventType.SUBSCRIPTION_ACTION_REQUIRED,
+      toEventSubscription(updated)
+    );
+
+    return updated;
+  }
+
+  /**
+   * When to try a past-due subscription next: at its next step, or
+   * sooner after a gateway outage. Null once every step is taken.
+   * @param {Object} dunning - Dunning state
+   * @param {Date} now - Current time
+   * @returns {Date|null} Next attempt
+   */
+  getNextAttempt(dunning, now) {
+    if (dunning.step >= dunning.retryDays.length) {
+      return null;
+    }
+
+    const stepTime = getStepTime(dunning, dunning.step);
+
+    if (dunning.strategy === RetryStrategy.SOON) {
+      return new Date(
+        Math.min(
+          stepTime.getTime(),
+          now.getTime() + this.dunning.outageRetryDelay
+        )
+      );
+    }
+
+    return stepTime;
+  }
+
+  /**
+   * Take the final action of a subscription whose dunning ran out:
+   * cancel it, pause it, or mark it unpaid
+   */
+  async exhaustDunning(subscription, now) {
+    const { dunning } = subscription;
+    const exhausted = {
+      ...dunning,
+      history: [
+        ...dunning.history,
+        {
+          action: dunning.finalAction,
+          step: dunning.step,
+          at: now.toISOString(),
+        },
+      ],
+      outcome: DunningOutcome.EXHAUSTED,
+      endedAt: now.toISOString(),
+      nextAttemptAt: null,
+    };
+
+    const updated =
+      dunning.finalAction === DunningFinalAction.CANCEL
+        ? await this.endSubscription(subscription, now, exhausted)
+        : await subscriptionRepository.update(subscription.id, {
+            status:
+              dunning.finalAction === DunningFinalAction.PAUSE
+                ? SubscriptionStatus.PAUSED
+                : SubscriptionStatus.UNPAID,
+            pausedAt:
+              dunning.finalAction === DunningFinalAction.PAUSE
+                ? now.toISOString()
+                : null,
+            dunning: exhausted,
+          });
+    await merchantWebhookService.publishSubscriptionEvent(
+      WebhookEventType.SUBSCRIPTION_DUNNING_EXHAUSTED,
+      toEventSubscription(updated)
+    );
+
+    return updated;
+  }
+
+  /**
+   * Charge a subscription's saved payment method. Renewals and prorations
+   * are charged off-session. The idempotency key is unique to the charge,
+   * so a renewal interrupted before it was recorded is not charged twice.
+   * @param {Object} subscription - Subscription record
+   * @param {Object} details - { type, amount, currency, creditApplied,
+   *   periodStart, periodEnd }
+   * @returns {Promise<Object>} { charge, payment, error } - charge is the
+   *   entry for the subscription's history; error is null once paid
+   */
+  async charge(subscription, details) {
+    const { amount, currency, type } = details;
+    const charge = {
+      ...details,
+      creditApplied: details.creditApplied || 0,
+      paymentId: null,
+      status: "succeeded",
+      error: null,
+    };
+
+    // Fully covered by credit
+    if (amount <= 0) {
+      return { charge: { ...charge, amount: 0 }, payment: null, error: null };
+    }
+
+    let payment = null;
+    let error = null;
+
+    try {
+      const result = await paymentService.processPayment(
+        undefined,
+        {
+          amount,
+          currency,
+          customerId: subscription.customerId,
+          paymentMethodId: subscription.paymentMethodId,
+          offSession: type !== SubscriptionChargeType.INITIAL,
+          description: `Subscription ${subscription.id} (${type})`,
+          metadata: {
+            subscriptionId: subscription.id,
+            planId: subscription.planId,
+            chargeType: type,
+          },
+        },
+        {
+          idempotencyKey: `${subscription.id}:charge:${subscription.charges.length}`,
+          mode: subscription.mode,
+          merchantId: subscription.merchantId,
+        }
+      );
+      payment = await paymentRepository.findById(result.unifiedId);
+
+      if (!result.success) {
+        error = result.error;
+      } else if (!PAID_STATUSES.includes(result.gatewayResponse.status)) {
+        error = {
+          code: ErrorCode.AUTHENTICATION_REQUIRED,
+          message: `Payment is ${result.gatewayResponse.status}; the customer must complete it`,
+        };
+      }
+    } catch (thrown) {
+      // e.g. the saved payment method was detached
+      if (!thrown.isOperational) {
+        throw thrown;
+      }
+
+      error = { code: thrown.code.toLowerCase(), message: thrown.message };
+    }
+
+    return {
+      charge: {
+        ...charge,
+        paymentId: payment && payment.id,
+        status: error ? "failed" : "succeeded",
+        error: error && { code: error.code, message: error.message },
+      },
+      payment,
+      error,
+    };
+  }
+
+  /**
+   * Cancel a subscription now and tell merchants
+   */
+  async endSubscription(
+    subscription,
+    now,
+    dunning = stopDunning(subscription.dunning, now)
+  ) {
+    const updated = await subscriptionRepository.update(subscription.id, {
+      status: SubscriptionStatus.CANCELED,
+      canceledAt: now.toISOString(),
+      cancelAtPeriodEnd: false,
+      dunning,
+    });
+    await merchantWebhookService.publishSubscriptionEvent(
+      WebhookEventType.SUBSCRIPTION_CANCELED,
+      toEventSubscription(updated)
+    );
+
+    return updated;
+  }
+
+  /**
+   * Get a subscription that has not been canceled
+   */
+  async getActiveSubscription(id, options) {
+    const subscription = await this.getSubscription(id, options);
+
+    if (subscription.status === SubscriptionStatus.CANCELED) {
+      throw new AppError(
+        `Subscription '${id}' is canceled`,
+        409,
+        "SUBSCRIPTION_CANCELED"
+      );
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Renew every subscription whose period has ended, and take the dunning
+   * attempts that are due. Runs one at a time; a call while a run is in
+   * progress gets that run's result.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Array>} Subscriptions after renewal
+   */
+  async renewDue(now = new Date()) {
+    if (!this.running) {
+      this.running = this.runRenewals(now).finally(() => {
+        this.running = null;
+      });
+    }
+
+    return this.running;
+  }
+
+  async runRenewals(now) {
+    const renewed = [];
+
+    for (const subscription of await subscriptionRepository.findDue(now)) {
+      renewed.push(
+        await this.runRenewal(subscription, "renew", now, () =>
+          this.renew(subscription, now)
+        )
+      );
+    }
+
+    for (const subscription of await subscriptionRepository.findDunningDue(
+      now
+    )) {
+      renewed.push(
+        await this.runRenewal(subscription, "collect", now, () =>
+          this.collect(subscription, now)
+        )
+      );
+    }
+
+    return renewed.filter(Boolean);
+  }
+
+  /**
+   * Renew or collect one subscription. An unexpected error is logged and
+   * kept in renewalError, which the next successful run clears; the other
+   * subscriptions of the run go ahead.
+   * @param {string} action - renew or collect
+   * @returns {Promise<Object|null>} Subscription, or null if it failed
+   */
+  async runRenewal(subscription, action, now, run) {
+    try {
+      const updated = await run();
+
+      return updated.renewalError
+        ? await subscriptionRepository.update(updated.id, {
+            renewalError: null,
+          })
+        : updated;
+    } catch (error) {
+      logger.error(`Subscription ${action} failed`, {
+        subscriptionId: subscription.id,
+        error: error.message,
+      });
+      await subscriptionRepository
+        .update(subscription.id, {
+          renewalError: {
+            action,
+            message: error.message,
+            at: now.toISOString(),
+          },
+        })
+        // The store may be what failed; the error is logged either way
+        .catch(() => {});
+
+      return null;
+    }
+  }
+
+  /**
+   * Check for due renewals every schedulerInterval milliseconds
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.renewDue().catch((error) =>
+        logger.error("Subscription renewals failed", { error: error.message })
+      );
+    }, this.schedulerInterval);
+
+    // Renewals that are due are found again on the next run or restart
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Create singleton instance
+const subscriptionService = new SubscriptionService(billing);
+
+module.exports = subscriptionService;
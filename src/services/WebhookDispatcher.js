@@ -0,0 +1,177 @@
+const gatewayFactory = require("../factories/GatewayFactory");
+const paymentRepository = require("../repositories/PaymentRepository");
+const paymentService = require("./PaymentService");
+const { PaymentStatus } = require("../domain/paymentStatus");
+const {
+  WebhookEventType,
+  getEventCategory,
+} = require("../domain/webhookEvents");
+const { isAccessibleTo } = require("../domain/merchants");
+const logger = require("../logger");
+
+/**
+ * Webhook Dispatcher - Normalizes stored gateway events and applies them
+ * to the payment records they refer to
+ */
+class WebhookDispatcher {
+  constructor() {
+    // Unified event category -> handler (payment, event) => payment
+    this.handlers = {
+      payment: (payment, event) => this.applyPaymentEvent(payment, event),
+      refund: (payment, event) => this.applyRefundEvent(payment, event),
+      dispute: (payment, event) => this.applyDisputeEvent(payment, event),
+    };
+  }
+
+  /**
+   * Apply a stored webhook event. Throwing fails the processing attempt,
+   * so the event is retried.
+   * @param {Object} eventRecord - Stored event (see WebhookEventRepository)
+   * @returns {Promise<Object>} { event, payment } - payment is null when
+   *   the event is not about a payment we know
+   */
+  async dispatch(eventRecord) {
+    const { merchantId = null } = eventRecord;
+    await gatewayFactory.loadMerchant(merchantId);
+
+    const adapter = gatewayFactory.getGateway(
+      eventRecord.gateway,
+      null,
+      merchantId
+    );
+    const event = adapter.normalizeWebhookEvent(eventRecord.payload);
+    const handler = this.handlers[getEventCategory(event.type)];
+
+    if (!handler) {
+      return { event, payment: null };
+    }
+
+    const payment = await this.findPayment(
+      eventRecord.gateway,
+      event,
+      merchantId
+    );
+
+    if (!payment) {
+      return { event, payment: null };
+    }
+
+    return { event, payment: await handler(payment, event) };
+  }
+
+  /**
+   * Find the payment an event refers to, by unified ID or gateway reference
+   * @param {string} gateway - Gateway that sent the event
+   * @param {Object} event - Unified event
+   * @param {string|null} merchantId - Merchant whose account sent it
+   * @returns {Promise<Object|null>} Payment record
+   */
+  async findPayment(gateway, event, merchantId) {
+    if (!event.paymentId && !event.paymentReference) {
+      return null;
+    }
+
+    const payment = event.paymentId
+      ? await paymentRepository.findById(event.paymentId)
+      : await paymentRepository.findByGatewayReference(
+          gateway,
+          event.paymentReference
+        );
+
+    // The gateway can report a payment before processPayment has stored
+    // it; fail so the event is retried once the record exists
+    if (!payment && event.paymentId) {
+      throw new Error(`Payment '${event.paymentId}' not found`);
+    }
+
+    // After failover, the first gateway's attempt carries the same ID
+    if (payment && payment.gateway !== gateway) {
+      logger.warn(
+        `Ignoring ${gateway} ${event.type} for another gateway's payment`,
+        {
+          paymentId: payment.id,
+          paymentGateway: payment.gateway,
+        }
+      );
+      return null;
+    }
+
+    // A merchant's account can only report on that merchant's payments
+    if (payment && !isAccessibleTo(payment, merchantId)) {
+      logger.warn(
+        `Ignoring ${gateway} ${event.type} for another merchant's payment`,
+        {
+          paymentId: payment.id,
+          merchantId,
+        }
+      );
+      return null;
+    }
+
+    return payment;
+  }
+
+  /**
+   * Move the payment to the status the gateway reported
+   */
+  async applyPaymentEvent(payment, event) {
+    return paymentService.applyStatus(payment, event.status, {
+      source: "webhook",
+      gatewayStatus: event.gatewayStatus,
+    });
+  }
+
+  /**
+   * Record the refund and, once it succeeds, mark the payment refunded
+   */
+  async applyRefundEvent(payment, event) {
+    const updated = await paymentRepository.upsertRefund(payment.id, {
+      ...event.refund,
+      status: event.type.split(".")[1],
+    });
+
+    if (event.type !== WebhookEventType.REFUND_SUCCEEDED) {
+      return updated;
+    }
+
+    return paymentService.applyStatus(
+      updated,
+      paymentService.getRefundedStatus(updated),
+      { source: "webhook" }
+    );
+  }
+
+  /**
+   * Record the dispute. An opened dispute marks the payment disputed; a
+   * won dispute restores its settled status; a lost one leaves it disputed.
+   */
+  async applyDisputeEvent(payment, event) {
+    const updated = await paymentRepository.upsertDispute(payment.id, {
+      ...event.dispute,
+      status: event.type.split(".")[1],
+    });
+
+    if (event.type === WebhookEventType.DISPUTE_OPENED) {
+      return paymentService.applyStatus(updated, PaymentStatus.DISPUTED, {
+        source: "webhook",
+      });
+    }
+
+    if (event.type === WebhookEventType.DISPUTE_WON) {
+      const status = (updated.refunds || []).length
+        ? paymentService.getRefundedStatus(updated)
+        : PaymentStatus.CAPTURED;
+
+      return paymentService.applyStatus(updated, status, {
+        source: "webhook",
+      });
+    }
+
+    return updated;
+  }
+}
+
+// Create singleton instance
+const webhookDispatcher = new WebhookDispatcher();
+
+module.exports = webhookDispatcher;
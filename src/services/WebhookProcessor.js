@@ -0,0 +1,177 @@
+const gatewayFactory = require("../factories/GatewayFactory");
+const webhookEventRepository = require("../repositories/WebhookEventRepository");
+const webhookDispatcher = require("./WebhookDispatcher");
+const merchantWebhookService = require("./MerchantWebhookService");
+const { WebhookEventStatus } = webhookEventRepository;
+const { AppError } = require("../middleware/errorHandler");
+const { isAccessibleTo } = require("../domain/merchants");
+const { webhooks } = require("../../config/production");
+
+/**
+ * Webhook Processor - Stores verified gateway events and processes them
+ * in the background, retrying failed handlers with backoff
+ */
+class WebhookProcessor {
+  constructor(config) {
+    this.maxAttempts = 1 + config.maxRetries;
+    this.retryDelay = config.retryDelay;
+    this.handlers = [];
+    this.timers = new Map();
+  }
+
+  /**
+   * Add a handler run for every event. Throwing fails the attempt.
+   * @param {Function} handler - async (eventRecord) => void
+   */
+  registerHandler(handler) {
+    this.handlers.push(handler);
+  }
+
+  /**
+   * Store a verified event and queue it, ignoring redeliveries
+   * @param {string} gateway - Gateway name
+   * @param {Object} event - Verified gateway payload
+   * @param {string|null} merchantId - Merchant whose account sent it
+   *   (loaded); null for the platform's accounts
+   * @returns {Promise<Object>} { duplicate, record }
+   */
+  async receive(gateway, event, merchantId = null) {
+    const adapter = gatewayFactory.getGateway(gateway, null, merchantId);
+    const result = await webhookEventRepository.record({
+      gateway,
+      merchantId,
+      gatewayEventId: adapter.getWebhookEventId(event),
+      type: adapter.getWebhookEventType(event),
+      payload: event,
+    });
+
+    if (!result.duplicate) {
+      this.schedule(result.record.id, 0);
+    }
+
+    return result;
+  }
+
+  /**
+   * Process an event after a delay
+   */
+  schedule(id, delayMs) {
+    clearTimeout(this.timers.get(id));
+
+    const timer = setTimeout(() => {
+      this.timers.delete(id);
+      this.process(id).catch((error) =>
+        console.error(`Webhook event ${id} could not be processed:`, error)
+      );
+    }, delayMs);
+
+    // Pending events are picked up again on restart, so never hold the
+    // process open for a retry
+    timer.unref();
+    this.timers.set(id, timer);
+  }
+
+  /**
+   * Run the handlers for a pending event
+   * @param {string} id - Event record ID
+   * @returns {Promise<Object|null>} Event record after the attempt
+   */
+  async process(id) {
+    const event = await webhookEventRepository.claim(id);
+
+    if (!event) {
+      return webhookEventRepository.findById(id);
+    }
+
+    try {
+      for (const handler of this.handlers) {
+        await handler(event);
+      }
+
+      return await webhookEventRepository.markProcessed(id);
+    } catch (error) {
+      const canRetry = event.attempts < this.maxAttempts;
+      const delayMs = this.retryDelay * 2 ** (event.attempts - 1);
+      const updated = await webhookEventRepository.markFailed(
+        id,
+        error.message,
+        canRetry ? new Date(Date.now() + delayMs) : null
+      );
+
+      if (canRetry) {
+        this.schedule(id, delayMs);
+      }
+
+      return updated;
+    }
+  }
+
+  /**
+   * Process a stored event again, whatever its outcome was
+   * @param {string} id - Event record ID
+   * @param {Object} scope - { merchantId } of the caller; other merchants'
+   *   events are not found
+   * @returns {Promise<Object>} Event record after the attempt
+   */
+  async replay(id, scope = {}) {
+    const event = await webhookEventRepository.findById(id);
+
+    if (!event || !isAccessibleTo(event, scope.merchantId)) {
+      throw new AppError(
+        `Webhook event '${id}' not found`,
+        404,
+        "WEBHOOK_EVENT_NOT_FOUND"
+      );
+    }
+
+    if (event.status === WebhookEventStatus.PROCESSING) {
+      throw new AppError(
+        `Webhook event '${id}' is being processed`,
+        409,
+        "WEBHOOK_EVENT_PROCESSING"
+      );
+    }
+
+    await webhookEventRepository.requeue(id);
+
+    return this.process(id);
+  }
+
+  /**
+   * Queue events left pending or mid-processing by a previous run
+   * @returns {Promise<number>} Number of events queued
+   */
+  async resumePending() {
+    const interrupted = await webhookEventRepository.list({
+      status: WebhookEventStatus.PROCESSING,
+    });
+
+    for (const event of interrupted) {
+      await webhookEventRepository.requeue(event.id);
+    }
+
+    const pending = await webhookEventRepository.list({
+      status: WebhookEventStatus.PENDING,
+    });
+
+    pending.forEach((event) =>
+      this.schedule(
+        event.id,
+        Math.max(0, new Date(event.nextAttemptAt).getTime() - Date.now())
+      )
+    );
+
+    return pending.length;
+  }
+}
+
+// Create singleton instance
+const webhookProcessor = new WebhookProcessor(webhooks);
+
+// Apply each event to the payment it is about, then tell merchants
+webhookProcessor.registerHandler(async (record) => {
+  const { event, payment } = await webhookDispatcher.dispatch(record);
+  await merchantWebhookService.publish(record, event, payment);
+});
+
+module.exports = webhookProcessor;
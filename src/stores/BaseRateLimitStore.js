@@ -0,0 +1,35 @@
+/**
+ * Base Rate Limit Store Interface
+ * Rate limit stores keep quota counters where every replica can see them.
+ * Each hit must be applied atomically, or concurrent requests on several
+ * replicas could all pass the last slot.
+ */
+class BaseRateLimitStore {
+  constructor(config = {}) {
+    this.config = config;
+    this.storeName = this.constructor.name;
+  }
+
+  /**
+   * Count a request against a quota
+   * @param {string} key - Counter key (quota, subject and ID)
+   * @param {string} algorithm - RateLimitAlgorithm value
+   * @param {Object} quota - { limit, windowMs }
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object>} { allowed, remaining, resetMs, retryAfterMs }
+   */
+  async hit(key, algorithm, quota, now) {
+    throw new Error(`${this.storeName} must implement hit method`);
+  }
+
+  /**
+   * Forget a counter
+   * @param {string} key - Counter key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    throw new Error(`${this.storeName} must implement reset method`);
+  }
+}
+
+module.exports = BaseRateLimitStore;
@@ -0,0 +1,89 @@
+/**
+ * Base Store Interface
+ * All persistence backends must implement these methods.
+ * A store holds one collection of JSON documents keyed by `id`.
+ */
+class BaseStore {
+  constructor(collection, config = {}) {
+    this.collection = collection;
+    this.config = config;
+    this.storeName = this.constructor.name;
+  }
+
+  /**
+   * Get a document by id
+   * @param {string} id - Document identifier
+   * @returns {Promise<Object|null>} Document or null when missing
+   */
+  async get(id) {
+    throw new Error(`${this.storeName} must implement get method`);
+  }
+
+  /**
+   * Find documents matching every top-level field of a filter. Every
+   * field is compared, undefined ones included, so a lookup by a missing
+   * value finds nothing rather than everything.
+   * @param {Object} filter - Field/value pairs to match
+   * @returns {Promise<Array>} Matching documents
+   */
+  async find(filter = {}) {
+    throw new Error(`${this.storeName} must implement find method`);
+  }
+
+  /**
+   * Find documents by the fields of a filter that are set, for listings
+   * with optional filters. Undefined fields are not filtered on.
+   * @param {Object} filter - Field/value pairs, some undefined
+   * @returns {Promise<Array>} Matching documents
+   */
+  async search(filter = {}) {
+    return this.find(
+      Object.fromEntries(
+        Object.entries(filter).filter(([, value]) => value !== undefined)
+      )
+    );
+  }
+
+  /**
+   * Insert a new document
+   * @param {Object} document - Document with an `id` field
+   * @returns {Promise<Object>} Inserted document
+   */
+  async insert(document) {
+    throw new Error(`${this.storeName} must implement insert method`);
+  }
+
+  /**
+   * Update an existing document
+   * @param {string} id - Document identifier
+   * @param {Object|Function} changes - Fields to merge, or a function
+   *   receiving the current document and returning the next one
+   * @returns {Promise<Object|null>} Updated document or null when missing
+   */
+  async update(id, changes) {
+    throw new Error(`${this.storeName} must implement update method`);
+  }
+
+  /**
+   * Delete a document
+   * @param {string} id - Document identifier
+   * @returns {Promise<boolean>} True if a document was removed
+   */
+  async delete(id) {
+    throw new Error(`${this.storeName} must implement delete method`);
+  }
+
+  /**
+   * Check whether a document matches a filter
+   * @param {Object} document - Stored document
+   * @param {Object} filter - Field/value pairs to match
+   * @returns {boolean} True if every filter field matches
+   */
+  matches(document, filter) {
+    return Object.entries(filter).every(
+      ([field, value]) => document[field] === value
+    );
+  }
+}
+
+module.exports = BaseStore;
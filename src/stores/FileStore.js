@@ -0,0 +1,50 @@
+const fs = require("fs");
+const path = require("path");
+const MemoryStore = require("./MemoryStore");
+
+/**
+ * File store - keeps a collection in memory and writes it to a JSON file
+ * on every change. For local development only: every write rewrites the
+ * whole collection synchronously, blocking the event loop, and replicas
+ * cannot share the files. Production deployments should register a
+ * database-backed store.
+ */
+class FileStore extends MemoryStore {
+  constructor(collection, config = {}) {
+    super(collection, config);
+    this.directory = config.directory || path.join(process.cwd(), "data");
+    this.filePath = path.join(this.directory, `${collection}.json`);
+    this.load();
+  }
+
+  /**
+   * Load existing documents from disk
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const contents = fs.readFileSync(this.filePath, "utf8");
+    const documents = contents ? JSON.parse(contents) : [];
+
+    for (const document of documents) {
+      this.documents.set(document.id, document);
+    }
+  }
+
+  /**
+   * Write the collection atomically (temp file + rename)
+   */
+  async persist() {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    const documents = Array.from(this.documents.values());
+
+    fs.writeFileSync(tempPath, JSON.stringify(documents, null, 2), "utf8");
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,60 @@
+const BaseRateLimitStore = require("./BaseRateLimitStore");
+const { getAlgorithm } = require("../domain/rateLimits");
+
+/**
+ * In-memory rate limit store - counters live in this process only. Fine
+ * for a single instance and tests; use the Redis store with replicas.
+ */
+class MemoryRateLimitStore extends BaseRateLimitStore {
+  constructor(config) {
+    super(config);
+    // Key -> { state, expiresAt }
+    this.counters = new Map();
+    this.lastSweep = 0;
+  }
+
+  /**
+   * Count a request against a quota
+   */
+  async hit(key, algorithm, quota, now) {
+    this.sweep(now);
+
+    const entry = this.counters.get(key);
+    const { state, result } = getAlgorithm(algorithm)(
+      entry && entry.expiresAt > now ? entry.state : null,
+      quota,
+      now
+    );
+
+    // Idle counters are back to a full quota after two windows
+    this.counters.set(key, { state, expiresAt: now + 2 * quota.windowMs });
+
+    return result;
+  }
+
+  /**
+   * Forget a counter
+   */
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  /**
+   * Drop expired counters, at most once a minute
+   */
+  sweep(now) {
+    if (now - this.lastSweep < 60000) {
+      return;
+    }
+
+    this.lastSweep = now;
+
+    for (const [key, entry] of this.counters) {
+      if (entry.expiresAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryRateLimitStore;
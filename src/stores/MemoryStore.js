@@ -0,0 +1,97 @@
+const BaseStore = require("./BaseStore");
+
+/**
+ * In-memory store - documents live for the lifetime of the process.
+ * Used in tests and as the base for the file store.
+ */
+class MemoryStore extends BaseStore {
+  constructor(collection, config) {
+    super(collection, config);
+    this.documents = new Map();
+  }
+
+  /**
+   * Get a document by id
+   */
+  async get(id) {
+    const document = this.documents.get(id);
+    return document ? clone(document) : null;
+  }
+
+  /**
+   * Find documents matching a filter
+   */
+  async find(filter = {}) {
+    return Array.from(this.documents.values())
+      .filter((document) => this.matches(document, filter))
+      .map(clone);
+  }
+
+  /**
+   * Insert a new document, failing if the id is already taken
+   */
+  async insert(document) {
+    if (!document || !document.id) {
+      throw new Error(`${this.storeName}: document id is required`);
+    }
+
+    if (this.documents.has(document.id)) {
+      const error = new Error(
+        `${this.storeName}: document '${document.id}' already exists in ${this.collection}`
+      );
+      error.code = "DUPLICATE_KEY";
+      throw error;
+    }
+
+    this.documents.set(document.id, clone(document));
+    await this.persist();
+
+    return clone(document);
+  }
+
+  /**
+   * Update an existing document
+   */
+  async update(id, changes) {
+    const current = this.documents.get(id);
+
+    if (!current) {
+      return null;
+    }
+
+    const next =
+      typeof changes === "function"
+        ? changes(clone(current))
+        : { ...current, ...changes };
+
+    this.documents.set(id, clone({ ...next, id }));
+    await this.persist();
+
+    return clone(this.documents.get(id));
+  }
+
+  /**
+   * Delete a document
+   */
+  async delete(id) {
+    const removed = this.documents.delete(id);
+
+    if (removed) {
+      await this.persist();
+    }
+
+    return removed;
+  }
+
+  /**
+   * Hook for subclasses that write documents somewhere durable
+   */
+  async persist() {}
+}
+
+/**
+ * Deep copy a document so callers never mutate stored state
+ */
+const clone = (document) => JSON.parse(JSON.stringify(document));
+
+module.exports = MemoryStore;
@@ -0,0 +1,123 @@
+const BaseRateLimitStore = require("./BaseRateLimitStore");
+const { RateLimitAlgorithm } = require("../domain/rateLimits");
+
+// Lua ports of domain/rateLimits, so each hit is one atomic round trip.
+// Both return { allowed (0/1), remaining, resetMs, retryAfterMs }.
+const SCRIPTS = {
+  [RateLimitAlgorithm.SLIDING_WINDOW]: `
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local windowStart = math.floor(now / window) * window
+local stored = redis.call("HMGET", KEYS[1], "windowStart", "current", "previous")
+local storedStart = tonumber(stored[1])
+local current, previous = 0, 0
+
+if storedStart == windowStart then
+  current = tonumber(stored[2])
+  previous = tonumber(stored[3])
+elseif storedStart == windowStart - window then
+  previous = tonumber(stored[2])
+end
+
+local elapsed = now - windowStart
+local count = previous * (1 - elapsed / window) + current
+local allowed = count + 1 <= limit
+local resetMs = window - elapsed
+local retryAfterMs = 0
+local used = 0
+
+if allowed then
+  current = current + 1
+  used = 1
+elseif current + 1 <= limit and previous > 0 then
+  retryAfterMs = math.ceil(window * (1 - (limit - 1 - current) / previous)) - elapsed
+else
+  retryAfterMs = resetMs
+end
+
+redis.call("HSET", KEYS[1], "windowStart", windowStart, "current", current, "previous", previous)
+redis.call("PEXPIRE", KEYS[1], 2 * window)
+
+return { allowed and 1 or 0, math.max(0, math.floor(limit - count - used)), resetMs, retryAfterMs }
+`,
+  [RateLimitAlgorithm.TOKEN_BUCKET]: `
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local rate = limit / window
+local stored = redis.call("HMGET", KEYS[1], "tokens", "updatedAt")
+local tokens = limit
+
+if stored[1] then
+  tokens = math.min(limit, tonumber(stored[1]) + (now - tonumber(stored[2])) * rate)
+end
+
+local allowed = tokens >= 1
+local left = tokens
+local retryAfterMs = 0
+
+if allowed then
+  left = tokens - 1
+else
+  retryAfterMs = math.ceil((1 - tokens) / rate)
+end
+
+redis.call("HSET", KEYS[1], "tokens", left, "updatedAt", now)
+redis.call("PEXPIRE", KEYS[1], 2 * window)
+
+return { allowed and 1 or 0, math.floor(left), math.ceil((limit - left) / rate), retryAfterMs }
+`,
+};
+
+/**
+ * Redis rate limit store - counters shared by every replica. Works with
+ * Redis 4+ and compatible servers (Valkey, KeyDB, ...), through any client
+ * with an ioredis-style eval(script, numKeys, ...keysAndArgs).
+ */
+class RedisRateLimitStore extends BaseRateLimitStore {
+  /**
+   * @param {Object} config - { client, prefix }
+   */
+  constructor(config) {
+    super(config);
+    this.client = config.client;
+    this.prefix = config.prefix || "ratelimit:";
+  }
+
+  /**
+   * Count a request against a quota
+   */
+  async hit(key, algorithm, quota, now) {
+    const script = SCRIPTS[algorithm];
+
+    if (!script) {
+      throw new Error(`Unsupported rate limit algorithm: ${algorithm}`);
+    }
+
+    const [allowed, remaining, resetMs, retryAfterMs] = await this.client.eval(
+      script,
+      1,
+      `${this.prefix}${key}`,
+      quota.limit,
+      quota.windowMs,
+      now
+    );
+
+    return {
+      allowed: allowed === 1,
+      remaining,
+      resetMs,
+      retryAfterMs,
+    };
+  }
+
+  /**
+   * Forget a counter
+   */
+  async reset(key) {
+    await this.client.del(`${this.prefix}${key}`);
+  }
+}
+
+module.exports = RedisRateLimitStore;
@@ -0,0 +1,174 @@
+process.env.STRIPE_SECRET_KEY = "sk_live_123";
+process.env.STRIPE_TEST_SECRET_KEY = "sk_test_123";
+process.env.PAYSTACK_SECRET_KEY = "sk_test_123";
+
+const apiKeyService = require("../src/services/ApiKeyService");
+const apiKeyRepository = require("../src/repositories/ApiKeyRepository");
+const gatewayFactory = require("../src/factories/GatewayFactory");
+const paymentService = require("../src/services/PaymentService");
+const paymentRepository = require("../src/repositories/PaymentRepository");
+const { validateApiKey, requireScope } = require("../src/middleware/auth");
+const { ApiKeyScope } = require("../src/domain/apiKeys");
+
+describe("API Keys", () => {
+  const call = async (middleware, headers, apiKey) => {
+    const req = { headers, apiKey };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    const next = jest.fn();
+
+    await middleware(req, res, next);
+
+    return { req, res, next };
+  };
+
+  test("should store only a hash of issued keys", async () => {
+    const { apiKey, secret } = await apiKeyService.issue({
+      name: "Checkout",
+      mode: "test",
+    });
+
+    expect(secret).toMatch(/^sk_test_[0-9a-f]{48}$/);
+    expect(JSON.stringify(apiKey)).not.toContain(secret);
+    expect(apiKey).toMatchObject({
+      mode: "test",
+      status: "active",
+      scopes: ["read", "payments:write", "refunds:write", "webhooks:write"],
+      displayKey: `${secret.substr(0, 12)}...${secret.slice(-4)}`,
+    });
+
+    const authenticated = await apiKeyService.authenticate(secret);
+    expect(authenticated.id).toBe(apiKey.id);
+    expect(authenticated.lastUsedAt).not.toBeNull();
+  });
+
+  test("should reject unknown, revoked and expired keys", async () => {
+    const { apiKey, secret } = await apiKeyService.issue({
+      name: "Old",
+      mode: "live",
+    });
+    const expired = await apiKeyService.issue({
+      name: "Expired",
+      mode: "live",
+      expiresAt: new Date(Date.now() + 60000).toISOString(),
+    });
+    await apiKeyRepository.update(expired.apiKey.id, {
+      expiresAt: new Date(Date.now() - 1000).toISOString(),
+    });
+    await apiKeyService.revoke(apiKey.id);
+
+    await expect(
+      apiKeyService.authenticate("sk_live_nope")
+    ).rejects.toMatchObject({ statusCode: 401, code: "INVALID_API_KEY" });
+    await expect(apiKeyService.authenticate(secret)).rejects.toMatchObject({
+      code: "API_KEY_REVOKED",
+    });
+    await expect(
+      apiKeyService.authenticate(expired.secret)
+    ).rejects.toMatchObject({ code: "API_KEY_EXPIRED" });
+
+    const { res, next } = await call(validateApiKey, {
+      authorization: `Bearer ${secret}`,
+    });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test("should rotate keys, keeping the old one for the grace period", async () => {
+    const original = await apiKeyService.issue({
+      name: "Server",
+      mode: "live",
+      scopes: ["read"],
+    });
+
+    const rotated = await apiKeyService.rotate(original.apiKey.id, {
+      gracePeriodMs: 60 * 60 * 1000,
+    });
+
+    expect(rotated.apiKey).toMatchObject({
+      name: "Server",
+      mode: "live",
+      scopes: ["read"],
+      rotatedFrom: original.apiKey.id,
+    });
+    expect(rotated.previous.status).toBe("active");
+    await expect(
+      apiKeyService.authenticate(original.secret)
+    ).resolves.toBeTruthy();
+
+    await apiKeyService.rotate(rotated.apiKey.id);
+    await expect(
+      apiKeyService.authenticate(rotated.secret)
+    ).rejects.toMatchObject({ code: "API_KEY_REVOKED" });
+    await expect(
+      apiKeyService.rotate(original.apiKey.id, { mode: "test" })
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test("should enforce scopes", async () => {
+    const { secret } = await apiKeyService.issue({
+      name: "Reporting",
+      mode: "test",
+      scopes: [ApiKeyScope.READ],
+    });
+
+    const { req, next } = await call(validateApiKey, { "x-api-key": secret });
+    expect(next).toHaveBeenCalled();
+
+    const denied = await call(
+      requireScope(ApiKeyScope.PAYMENTS_WRITE),
+      {},
+      req.apiKey
+    );
+    expect(denied.next).not.toHaveBeenCalled();
+    expect(denied.res.status).toHaveBeenCalledWith(403);
+
+    const allowed = await call(requireScope(ApiKeyScope.READ), {}, req.apiKey);
+    expect(allowed.next).toHaveBeenCalled();
+  });
+
+  test("should keep live and sandbox gateway credentials apart", () => {
+    expect(gatewayFactory.getGateway("stripe", "live").mode).toBe("live");
+    expect(gatewayFactory.getGateway("stripe", "test").mode).toBe("test");
+    expect(gatewayFactory.getAvailableGateways("live")).toEqual(["stripe"]);
+    expect(gatewayFactory.isGatewayAvailable("paystack", "live")).toBe(false);
+    expect(() => gatewayFactory.getGateway("paystack", "live")).toThrow(
+      "live mode"
+    );
+
+    // Restricted keys carry a mode; keys without a known prefix are live
+    const adapter = (secretKey) =>
+      gatewayFactory.createAdapter("stripe", { secretKey });
+    expect(adapter("rk_live_123").mode).toBe("live");
+    expect(adapter("rk_test_123").mode).toBe("test");
+    expect(adapter("key_123").mode).toBe("live");
+  });
+
+  test("should hide payments from keys of the other mode", async () => {
+    await paymentRepository.create({
+      id: "unified_stripe_sandbox",
+      gateway: "stripe",
+      mode: "test",
+      gatewayReference: "pi_sandbox",
+      amount: 5000,
+      currency: "USD",
+      status: "captured",
+    });
+
+    await expect(
+      paymentService.getPayment("unified_stripe_sandbox", { mode: "test" })
+    ).resolves.toMatchObject({ mode: "test" });
+    await expect(
+      paymentService.getPayment("unified_stripe_sandbox", { mode: "live" })
+    ).rejects.toMatchObject({ statusCode: 404, code: "PAYMENT_NOT_FOUND" });
+    await expect(
+      paymentService.processRefund(
+        null,
+        { paymentId: "unified_stripe_sandbox" },
+        { mode: "live" }
+      )
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,122 @@
+process.env.MOCK_SECRET_KEY = "sk_test_mock";
+
+const gatewayFactory = require("../src/factories/GatewayFactory");
+const paymentService = require("../src/services/PaymentService");
+const PaystackAdapter = require("../src/adapters/PaystackAdapter");
+
+describe("Manual capture", () => {
+  const mock = gatewayFactory.getGateway("mock", "test");
+  const options = { mode: "test" };
+
+  const authorize = (amount = 5000) =>
+    paymentService.processPayment(
+      "mock",
+      { amount, currency: "USD", captureMethod: "manual" },
+      options
+    );
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(mock, "deliverWebhook").mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("should capture part of an authorization and refund only that part", async () => {
+    const authorized = await authorize();
+    expect(authorized.gatewayResponse.status).toBe("authorized");
+    await expect(
+      paymentService.getPayment(authorized.unifiedId)
+    ).resolves.toMatchObject({ status: "authorized", captureMethod: "manual" });
+
+    await expect(
+      paymentService.capturePayment(
+        authorized.unifiedId,
+        { amount: 6000 },
+        options
+      )
+    ).rejects.toMatchObject({ statusCode: 400, code: "INVALID_AMOUNT" });
+
+    const captured = await paymentService.capturePayment(
+      authorized.unifiedId,
+      { amount: 3000 },
+      options
+    );
+    expect(captured.gatewayResponse).toMatchObject({
+      status: "captured",
+      amountCaptured: 3000,
+    });
+
+    const payment = await paymentService.getPayment(authorized.unifiedId);
+    expect(payment).toMatchObject({ status: "captured", amountCaptured: 3000 });
+
+    await expect(
+      paymentService.capturePayment(authorized.unifiedId, {}, options)
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      code: "PAYMENT_NOT_CAPTURABLE",
+    });
+
+    await paymentService.processRefund(
+      null,
+      { paymentId: payment.id, amount: 3000 },
+      options
+    );
+    await expect(paymentService.getPayment(payment.id)).resolves.toMatchObject({
+      status: "refunded",
+    });
+  });
+
+  test("should cancel authorizations but not captured payments", async () => {
+    const authorized = await authorize();
+    const canceled = await paymentService.cancelPayment(
+      authorized.unifiedId,
+      { reason: "requested_by_customer" },
+      options
+    );
+    expect(canceled.gatewayResponse.status).toBe("canceled");
+    await expect(
+      paymentService.getPayment(authorized.unifiedId)
+    ).resolves.toMatchObject({ status: "canceled" });
+
+    const paid = await paymentService.processPayment(
+      "mock",
+      { amount: 5000, currency: "USD" },
+      options
+    );
+    await expect(
+      paymentService.cancelPayment(paid.unifiedId, {}, options)
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      code: "PAYMENT_NOT_CANCELABLE",
+    });
+  });
+
+  test("should report and enforce manual capture support per gateway", async () => {
+    const paystack = new PaystackAdapter({ secretKey: "sk_test_paystack" });
+    expect(paystack.supportsManualCapture()).toBe(false);
+    expect(
+      new PaystackAdapter({
+        secretKey: "sk_test_paystack",
+        preauthorization: true,
+      }).supportsPartialCapture()
+    ).toBe(true);
+
+    expect(
+      gatewayFactory.getGatewayCapabilities("mock").features
+    ).toMatchObject({ manualCapture: true, partialCapture: true });
+
+    jest.spyOn(gatewayFactory, "getGateway").mockReturnValue(paystack);
+    expect(() =>
+      paymentService.assertCaptureMethodSupported(
+        "paystack",
+        { captureMethod: "manual" },
+        options
+      )
+    ).toThrow("does not support manual capture");
+  });
+});
@@ -0,0 +1,195 @@
+process.env.MOCK_SECRET_KEY = "sk_test_mock";
+process.env.CREDENTIALS_ENCRYPTION_KEY = "c".repeat(64);
+process.env.CHECKOUT_SUCCESS_URL = "https://shop.example/paid";
+process.env.CHECKOUT_FAILURE_URL = "https://shop.example/failed";
+process.env.CHECKOUT_TOKEN_SECRET = "platform_redirect_secret";
+
+const gatewayFactory = require("../src/factories/GatewayFactory");
+const paymentService = require("../src/services/PaymentService");
+const checkoutService = require("../src/services/CheckoutService");
+const merchantService = require("../src/services/MerchantService");
+const MockAdapter = require("../src/adapters/MockAdapter");
+const {
+  signResultToken,
+  verifyResultToken,
+} = require("../src/security/resultTokens");
+
+describe("Checkout callback", () => {
+  // 10001 makes the mock gateway ask for a 3-D Secure challenge
+  const challenge = async (options) => {
+    const result = await paymentService.processPayment(
+      "mock",
+      { amount: 10001, currency: "USD" },
+      { mode: "test", ...options }
+    );
+    return result.gatewayResponse.reference;
+  };
+
+  const resultOf = (redirectUrl) => {
+    const url = new URL(redirectUrl);
+    return { url, params: Object.fromEntries(url.searchParams) };
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(MockAdapter.prototype, "deliverWebhook").mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("should send customers to the success URL with a signed token", async () => {
+    const reference = await challenge();
+    const payment = MockAdapter.completeChallenge(reference, true);
+    expect(payment.callbackUrl).toMatch(/\/api\/payments\/callback$/);
+
+    const { redirectUrl, outcome } = await checkoutService.handleCallback({
+      reference,
+    });
+    const { url, params } = resultOf(redirectUrl);
+
+    expect(outcome).toBe("succeeded");
+    expect(`${url.origin}${url.pathname}`).toBe("https://shop.example/paid");
+    expect(params.status).toBe("captured");
+    expect(
+      verifyResultToken("platform_redirect_secret", params.token)
+    ).toMatchObject({
+      paymentId: params.paymentId,
+      status: "captured",
+      outcome: "succeeded",
+      amount: 10001,
+      currency: "USD",
+      verified: true,
+    });
+    await expect(
+      paymentService.getPayment(params.paymentId)
+    ).resolves.toMatchObject({ status: "captured" });
+  });
+
+  test("should send failed payments to the failure URL", async () => {
+    const reference = await challenge();
+    MockAdapter.completeChallenge(reference, false);
+
+    const { redirectUrl } = await checkoutService.handleCallback({
+      reference,
+    });
+    const { url, params } = resultOf(redirectUrl);
+
+    expect(url.pathname).toBe("/failed");
+    expect(params).toMatchObject({ status: "failed", outcome: "failed" });
+
+    await expect(
+      checkoutService.handleCallback({ reference: "mock_pay_0000" })
+    ).rejects.toMatchObject({ statusCode: 404, code: "PAYMENT_NOT_FOUND" });
+  });
+
+  test("should report a pending outcome when the gateway cannot confirm", async () => {
+    const reference = await challenge();
+    MockAdapter.completeChallenge(reference, false);
+    jest
+      .spyOn(MockAdapter.prototype, "getTransaction")
+      .mockImplementation(() => {
+        throw Object.assign(new Error("connect ECONNREFUSED"), {
+          code: "ECONNREFUSED",
+        });
+      });
+
+    const { redirectUrl, payment } = await checkoutService.handleCallback({
+      reference,
+    });
+    const { url, params } = resultOf(redirectUrl);
+
+    // Not failed either: the stored status was never confirmed
+    expect(url.pathname).toBe("/paid");
+    expect(params).toMatchObject({
+      status: payment.status,
+      outcome: "pending",
+    });
+    expect(
+      verifyResultToken("platform_redirect_secret", params.token)
+    ).toMatchObject({ outcome: "pending", verified: false });
+  });
+
+  test("should use the merchant's redirect URLs and secret", async () => {
+    const merchant = await merchantService.create({
+      name: "Redirect shop",
+      redirectUrls: { successUrl: "https://merchant.example/done" },
+    });
+    await merchantService.configureGateway(merchant.id, "mock", {
+      credentials: { secretKey: "sk_test_merchant_mock" },
+    });
+
+    const reference = await challenge({ merchantId: merchant.id });
+    MockAdapter.completeChallenge(reference, false);
+
+    const { redirectUrl } = await checkoutService.handleCallback({
+      reference,
+    });
+    const { url, params } = resultOf(redirectUrl);
+
+    // Without a failure URL, failures go to the success URL too
+    expect(url.host).toBe("merchant.example");
+    expect(
+      verifyResultToken(merchant.redirectSecret, params.token)
+    ).toMatchObject({ merchantId: merchant.id, outcome: "failed" });
+    expect(
+      verifyResultToken("platform_redirect_secret", params.token)
+    ).toBeNull();
+
+    const rotated = await merchantService.rotateRedirectSecret(merchant.id);
+    expect(rotated.redirectSecret).not.toBe(merchant.redirectSecret);
+  });
+
+  test("should not issue a token without a redirect URL", async () => {
+    const merchant = await merchantService.create({ name: "No redirect" });
+    await merchantService.configureGateway(merchant.id, "mock", {
+      credentials: { secretKey: "sk_test_merchant_mock" },
+    });
+
+    const reference = await challenge({ merchantId: merchant.id });
+    MockAdapter.completeChallenge(reference, true);
+
+    await expect(
+      checkoutService.handleCallback({ reference })
+    ).resolves.toMatchObject({
+      outcome: "succeeded",
+      token: null,
+      redirectUrl: null,
+    });
+  });
+
+  test("should reject tampered and expired tokens", () => {
+    const token = signResultToken("secret", { status: "failed" }, 60, 1000);
+    const [body, signature] = token.split(".");
+    const forged = Buffer.from(
+      JSON.stringify({ status: "captured", iat: 1000, exp: 1060 })
+    ).toString("base64url");
+
+    expect(verifyResultToken("secret", token, 1030)).toMatchObject({
+      status: "failed",
+    });
+    expect(verifyResultToken("secret", token, 1061)).toBeNull();
+    expect(
+      verifyResultToken("secret", `${forged}.${signature}`, 1030)
+    ).toBeNull();
+    expect(verifyResultToken("secret", body, 1030)).toBeNull();
+  });
+
+  test("should read each gateway's return parameters", () => {
+    expect(
+      gatewayFactory.getCallbackReferences({
+        payment_intent: "pi_123",
+        redirect_status: "succeeded",
+      })
+    ).toEqual([{ gateway: "stripe", reference: "pi_123" }]);
+    expect(
+      gatewayFactory.getCallbackReferences({
+        trxref: "ps_1",
+        reference: "ps_1",
+      })
+    ).toEqual([{ gateway: "paystack", reference: "ps_1" }]);
+  });
+});
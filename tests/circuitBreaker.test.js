@@ -0,0 +1,80 @@
+const { CircuitBreaker } = require("../src/services/CircuitBreaker");
+
+describe("Circuit Breaker", () => {
+  let breaker;
+  let now;
+
+  beforeEach(() => {
+    now = 0;
+    breaker = new CircuitBreaker({
+      windowMs: 60000,
+      minimumRequests: 4,
+      failureThreshold: 0.5,
+      openMs: 30000,
+      slowCallMs: 1000,
+    });
+    breaker.now = () => now;
+  });
+
+  test("should stay closed below the minimum request count", () => {
+    breaker.record(false, 100);
+    breaker.record(false, 100);
+    breaker.record(false, 100);
+
+    expect(breaker.getState()).toBe("closed");
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  test("should open once the failure rate reaches the threshold", () => {
+    breaker.record(true, 100);
+    breaker.record(true, 100);
+    breaker.record(false, 100);
+    breaker.record(false, 100);
+
+    expect(breaker.getState()).toBe("open");
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.getSnapshot().score).toBe(0);
+  });
+
+  test("should allow one trial call after openMs and close on success", () => {
+    [false, false, false, false].forEach((ok) => breaker.record(ok, 100));
+    now = 30000;
+
+    expect(breaker.getState()).toBe("half_open");
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.allowRequest()).toBe(false);
+
+    breaker.record(true, 100);
+    expect(breaker.getState()).toBe("closed");
+    expect(breaker.getStats().failures).toBe(0);
+  });
+
+  test("should re-open when the trial call fails", () => {
+    [false, false, false, false].forEach((ok) => breaker.record(ok, 100));
+    now = 30000;
+    breaker.allowRequest();
+    breaker.record(false, 100);
+
+    expect(breaker.getState()).toBe("open");
+  });
+
+  test("should forget samples outside the window", () => {
+    breaker.record(false, 100);
+    now = 61000;
+
+    expect(breaker.getStats().requests).toBe(0);
+  });
+
+  test("should score success rate and latency", () => {
+    breaker.record(true, 2000);
+    breaker.record(true, 2000);
+    breaker.record(true, 2000);
+    breaker.record(false, 2000);
+
+    expect(breaker.getStats()).toMatchObject({
+      successRate: 0.75,
+      latency: { averageMs: 2000, p95Ms: 2000 },
+      score: 38,
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const {
+  CURRENCY_CODES,
+  getCurrency,
+  getCurrenciesForCountry,
+  getExponent,
+  isValidMinorAmount,
+  convertExponent,
+  formatAmount,
+} = require("../src/domain/currencies");
+const StripeAdapter = require("../src/adapters/StripeAdapter");
+const PaystackAdapter = require("../src/adapters/PaystackAdapter");
+
+describe("Currency Registry", () => {
+  test("should know ISO 4217 exponents", () => {
+    expect(getExponent("usd")).toBe(2);
+    expect(getExponent("JPY")).toBe(0);
+    expect(getExponent("UGX")).toBe(0);
+    expect(getExponent("KWD")).toBe(3);
+    expect(getExponent("BHD")).toBe(3);
+    expect(() => getExponent("COM")).toThrow("Unknown currency");
+  });
+
+  test("should describe currencies with ISO metadata", () => {
+    expect(getCurrency("ngn")).toMatchObject({
+      code: "NGN",
+      numericCode: "566",
+      exponent: 2,
+      symbol: "₦",
+    });
+    expect(getCurrenciesForCountry("CI")).toEqual(["XOF"]);
+    expect(CURRENCY_CODES).not.toContain("COM");
+  });
+
+  test("should only accept positive integer minor units", () => {
+    expect(isValidMinorAmount(1000)).toBe(true);
+    expect(isValidMinorAmount(10.5)).toBe(false);
+    expect(isValidMinorAmount(0)).toBe(false);
+    expect(isValidMinorAmount("1000")).toBe(false);
+  });
+
+  test("should convert between exponents without losing precision", () => {
+    expect(convertExponent(1999, 2, 2)).toBe(1999);
+    expect(convertExponent(5000, 0, 2)).toBe(500000);
+    expect(convertExponent(500000, 2, 0)).toBe(5000);
+    expect(() => convertExponent(500050, 2, 0)).toThrow();
+  });
+
+  test("should format minor units for display", () => {
+    expect(formatAmount(1005, "USD")).toBe("10.05");
+    expect(formatAmount(5, "USD")).toBe("0.05");
+    expect(formatAmount(1000, "JPY")).toBe("1000");
+    expect(formatAmount(1500, "KWD")).toBe("1.500");
+  });
+
+  describe("Adapter amount contract", () => {
+    const stripe = new StripeAdapter({ secretKey: "sk_test_123" });
+    const paystack = new PaystackAdapter({ secretKey: "sk_test_123" });
+
+    test("should send the same minor units to every gateway", () => {
+      expect(stripe.toGatewayAmount(1000, "usd")).toBe(1000);
+      expect(paystack.toGatewayAmount(1000, "NGN")).toBe(1000);
+      expect(stripe.toGatewayAmount(1000, "JPY")).toBe(1000);
+      expect(stripe.toGatewayAmount(1500, "KWD")).toBe(1500);
+    });
+
+    test("should apply Stripe's two-decimal exceptions", () => {
+      expect(stripe.toGatewayAmount(5000, "UGX")).toBe(500000);
+      expect(stripe.fromGatewayAmount(500000, "ugx")).toBe(5000);
+    });
+
+    test("should report gateway currency support", () => {
+      expect(stripe.supportsCurrency("jpy")).toBe(true);
+      expect(paystack.supportsCurrency("NGN")).toBe(true);
+      expect(paystack.supportsCurrency("JPY")).toBe(false);
+      expect(paystack.supportsCurrency("USD", "NG")).toBe(true);
+      expect(paystack.supportsCurrency("USD", "ZA")).toBe(false);
+      expect(new Set(paystack.getSupportedCurrencies()).size).toBe(
+        paystack.getSupportedCurrencies().length
+      );
+    });
+
+    test("should reject fractional amounts in validation", () => {
+      const result = stripe.validatePaymentData({
+        amount: 10.5,
+        currency: "usd",
+      });
+
+      expect(result.isValid).toBe(false);
+    });
+  });
+});
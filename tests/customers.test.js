@@ -0,0 +1,144 @@
+process.env.MOCK_SECRET_KEY = "sk_test_mock";
+
+const gatewayFactory = require("../src/factories/GatewayFactory");
+const paymentService = require("../src/services/PaymentService");
+const customerService = require("../src/services/CustomerService");
+
+describe("Customers", () => {
+  const mock = gatewayFactory.getGateway("mock", "test");
+  const options = { mode: "test" };
+
+  const createCustomer = () =>
+    customerService.create(
+      { email: "ada@example.com", name: "Ada Lovelace" },
+      options
+    );
+
+  const save = (customer, cardNumber) =>
+    customerService.attachPaymentMethod(
+      customer.id,
+      { gateway: "mock", paymentMethodId: cardNumber },
+      options
+    );
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(mock, "deliverWebhook").mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("should create a matching customer at each gateway", async () => {
+    const customer = await createCustomer();
+
+    expect(customer.id).toMatch(/^cus_/);
+    expect(customer.gatewayCustomers.mock).toMatch(/^mock_cus_/);
+    expect(mock.getCustomer(customer.gatewayCustomers.mock)).toMatchObject({
+      email: "ada@example.com",
+      name: "Ada Lovelace",
+    });
+
+    await customerService.update(customer.id, { name: "Ada King" }, options);
+    expect(mock.getCustomer(customer.gatewayCustomers.mock).name).toBe(
+      "Ada King"
+    );
+
+    await expect(
+      customerService.getCustomer(customer.id, { mode: "live" })
+    ).rejects.toMatchObject({ statusCode: 404, code: "CUSTOMER_NOT_FOUND" });
+  });
+
+  test("should charge a saved payment method with only its IDs", async () => {
+    const customer = await createCustomer();
+    const saved = await save(customer, "4242424242424242");
+
+    expect(saved).toMatchObject({
+      id: expect.stringMatching(/^upm_/),
+      gateway: "mock",
+      channel: "card",
+      brand: "visa",
+      last4: "4242",
+      expMonth: 12,
+    });
+
+    const result = await paymentService.processPayment(
+      undefined,
+      {
+        amount: 2500,
+        currency: "USD",
+        customerId: customer.id,
+        paymentMethodId: saved.id,
+      },
+      options
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.routing.gateway).toBe("mock");
+    await expect(
+      paymentService.getPayment(result.unifiedId)
+    ).resolves.toMatchObject({
+      status: "captured",
+      customerId: customer.id,
+      customerEmail: "ada@example.com",
+      savedPaymentMethodId: saved.id,
+    });
+
+    await expect(
+      paymentService.processPayment(
+        "stripe",
+        {
+          amount: 2500,
+          currency: "USD",
+          customerId: customer.id,
+          paymentMethodId: saved.id,
+        },
+        options
+      )
+    ).rejects.toMatchObject({ statusCode: 400, code: "GATEWAY_MISMATCH" });
+  });
+
+  test("should decline saved cards the gateway declines and detach them", async () => {
+    const customer = await createCustomer();
+    const saved = await save(customer, "4000000000000002");
+
+    const result = await paymentService.processPayment(
+      "mock",
+      {
+        amount: 2500,
+        currency: "USD",
+        customerId: customer.id,
+        paymentMethodId: saved.id,
+      },
+      options
+    );
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe("card_declined");
+
+    const updated = await customerService.detachPaymentMethod(
+      customer.id,
+      saved.id,
+      options
+    );
+    expect(updated.paymentMethods).toEqual([]);
+
+    await expect(
+      paymentService.processPayment(
+        "mock",
+        {
+          amount: 2500,
+          currency: "USD",
+          customerId: customer.id,
+          paymentMethodId: saved.id,
+        },
+        options
+      )
+    ).rejects.toMatchObject({
+      statusCode: 404,
+      code: "PAYMENT_METHOD_NOT_FOUND",
+    });
+  });
+});
@@ -0,0 +1,310 @@
+process.env.MOCK_SECRET_KEY = "sk_test_mock";
+
+const gatewayFactory = require("../src/factories/GatewayFactory");
+const customerService = require("../src/services/CustomerService");
+const planService = require("../src/services/PlanService");
+const subscriptionService = require("../src/services/SubscriptionService");
+const merchantWebhookService = require("../src/services/MerchantWebhookService");
+const {
+  getRetryStrategy,
+  isValidDunningSchedule,
+} = require("../src/domain/subscriptions");
+
+describe("Dunning", () => {
+  const mock = gatewayFactory.getGateway("mock", "test");
+  const options = { mode: "test" };
+  const start = new Date("2024-01-31T12:00:00.000Z");
+  const after = (iso) => new Date(new Date(iso).getTime() + 1000);
+
+  const createPlan = (plan = {}) =>
+    planService.create(
+      {
+        name: "Monthly",
+        amount: 3000,
+        currency: "USD",
+        interval: "month",
+        ...plan,
+      },
+      options
+    );
+
+  const saveCard = (customerId, cardNumber) =>
+    customerService.attachPaymentMethod(
+      customerId,
+      { gateway: "mock", paymentMethodId: cardNumber },
+      options
+    );
+
+  // Subscribe with a card that pays, then switch to one that fails the
+  // renewals
+  const subscribe = async (plan, renewalCard, data = {}) => {
+    const customer = await customerService.create(
+      { email: "grace@example.com" },
+      options
+    );
+    const { id: paymentMethodId } = await saveCard(
+      customer.id,
+      "4242424242424242"
+    );
+    const subscription = await subscriptionService.create(
+      { customerId: customer.id, planId: plan.id, paymentMethodId, ...data },
+      options
+    );
+    const renewal = await saveCard(customer.id, renewalCard);
+
+    return subscriptionService.update(
+      subscription.id,
+      { paymentMethodId: renewal.id },
+      options
+    );
+  };
+
+  // The subscription after a scheduler run; other tests' may run too
+  const runAt = async (subscription, now) =>
+    (await subscriptionService.renewDue(now)).find(
+      (renewed) => renewed.id === subscription.id
+    );
+
+  const actions = (subscription) =>
+    subscription.dunning.history.map(({ action }) => action);
+
+  let published;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(start);
+    jest.spyOn(mock, "deliverWebhook").mockResolvedValue();
+    published = jest
+      .spyOn(merchantWebhookService, "publishSubscriptionEvent")
+      .mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("should retry declines on the schedule and recover with a new card", async () => {
+    const plan = await createPlan();
+    const subscription = await subscribe(plan, "4000000000000002");
+
+    const pastDue = await runAt(
+      subscription,
+      after(subscription.currentPeriodEnd)
+    );
+    expect(pastDue).toMatchObject({
+      status: "past_due",
+      dunning: {
+        retryDays: [1, 3, 7],
+        finalAction: "cancel",
+        step: 0,
+        strategy: "scheduled",
+        lastError: { code: "card_declined" },
+        nextAttemptAt: "2024-03-01T12:00:01.000Z",
+        outcome: null,
+      },
+    });
+
+    // Not due until the first step
+    await expect(
+      runAt(subscription, new Date("2024-03-01T12:00:00.000Z"))
+    ).resolves.toBeUndefined();
+
+    const retried = await runAt(
+      subscription,
+      new Date(pastDue.dunning.nextAttemptAt)
+    );
+    expect(retried.dunning).toMatchObject({
+      step: 1,
+      nextAttemptAt: "2024-03-03T12:00:01.000Z",
+    });
+    expect(retried.charges[2]).toMatchObject({
+      type: "retry",
+      status: "failed",
+      periodStart: subscription.currentPeriodEnd,
+    });
+
+    // A new card is tried on the next run, between steps
+    jest.setSystemTime(new Date("2024-03-02T00:00:00.000Z"));
+    const card = await saveCard(subscription.customerId, "4242424242424242");
+    await subscriptionService.update(
+      subscription.id,
+      { paymentMethodId: card.id },
+      options
+    );
+    const recovered = await runAt(
+      subscription,
+      new Date("2024-03-02T00:00:00.000Z")
+    );
+
+    expect(recovered).toMatchObject({
+      status: "active",
+      currentPeriodStart: "2024-02-29T12:00:00.000Z",
+      currentPeriodEnd: "2024-03-29T12:00:00.000Z",
+      dunning: { step: 1, outcome: "recovered", nextAttemptAt: null },
+    });
+    expect(actions(recovered)).toEqual([
+      "charge_failed",
+      "charge_failed",
+      "recovered",
+    ]);
+    expect(published).toHaveBeenCalledWith(
+      "subscription.renewed",
+      expect.objectContaining({ id: subscription.id }),
+      expect.objectContaining({ id: recovered.charges[3].paymentId })
+    );
+  });
+
+  test("should take the plan's final action when its schedule runs out", async () => {
+    // Only the schedule is taken from the plan, never the dunning state
+    const plan = await createPlan({
+      dunning: {
+        retryDays: [2],
+        finalAction: "unpaid",
+        startedAt: "2020-01-01T00:00:00.000Z",
+        note: "stored by an older version",
+      },
+    });
+    const subscription = await subscribe(plan, "4000000000009995");
+
+    const pastDue = await runAt(
+      subscription,
+      after(subscription.currentPeriodEnd)
+    );
+    expect(pastDue.dunning).toMatchObject({
+      startedAt: after(subscription.currentPeriodEnd).toISOString(),
+      strategy: "scheduled",
+      lastError: { code: "insufficient_funds" },
+    });
+    expect(pastDue.dunning).not.toHaveProperty("note");
+
+    const unpaid = await runAt(
+      subscription,
+      new Date(pastDue.dunning.nextAttemptAt)
+    );
+    expect(unpaid).toMatchObject({
+      status: "unpaid",
+      dunning: { step: 1, outcome: "exhausted", nextAttemptAt: null },
+    });
+    expect(actions(unpaid)).toEqual([
+      "charge_failed",
+      "charge_failed",
+      "unpaid",
+    ]);
+    expect(published).toHaveBeenCalledWith(
+      "subscription.dunning_exhausted",
+      expect.objectContaining({ status: "unpaid" })
+    );
+
+    // Unpaid subscriptions are not billed until resumed
+    await expect(
+      runAt(subscription, new Date("2024-04-30T00:00:00.000Z"))
+    ).resolves.toBeUndefined();
+
+    jest.setSystemTime(new Date("2024-04-30T00:00:00.000Z"));
+    const card = await saveCard(subscription.customerId, "4242424242424242");
+    await subscriptionService.update(
+      subscription.id,
+      { paymentMethodId: card.id },
+      options
+    );
+    await expect(
+      subscriptionService.resume(subscription.id, options)
+    ).resolves.toMatchObject({
+      status: "active",
+      currentPeriodStart: "2024-04-30T00:00:00.000Z",
+    });
+  });
+
+  test("should remind instead of retrying cards that cannot succeed", async () => {
+    const plan = await createPlan({ dunning: { retryDays: [1, 3] } });
+    const subscription = await subscribe(plan, "4000000000000069");
+
+    const pastDue = await runAt(
+      subscription,
+      after(subscription.currentPeriodEnd)
+    );
+    expect(pastDue.dunning).toMatchObject({
+      strategy: "update_payment_method",
+      lastError: { code: "expired_card" },
+    });
+
+    const reminded = await runAt(
+      subscription,
+      new Date(pastDue.dunning.nextAttemptAt)
+    );
+    expect(reminded.charges).toHaveLength(2);
+    expect(reminded.dunning.step).toBe(1);
+    expect(published).toHaveBeenCalledWith(
+      "subscription.action_required",
+      expect.objectContaining({ id: subscription.id })
+    );
+
+    const canceled = await runAt(
+      subscription,
+      new Date(reminded.dunning.nextAttemptAt)
+    );
+    expect(canceled).toMatchObject({
+      status: "canceled",
+      dunning: { outcome: "exhausted" },
+    });
+    expect(canceled.charges).toHaveLength(2);
+    expect(actions(canceled)).toEqual([
+      "charge_failed",
+      "reminded",
+      "reminded",
+      "cancel",
+    ]);
+    expect(published).toHaveBeenCalledWith(
+      "subscription.canceled",
+      expect.objectContaining({ id: subscription.id })
+    );
+  });
+
+  test("should retry gateway outages within the hour without using a step", async () => {
+    // 10091 makes the mock gateway unavailable for cards without a scenario
+    const plan = await createPlan({ amount: 10091 });
+    const subscription = await subscribe(plan, "4111111111111111", {
+      trialDays: 1,
+    });
+
+    const pastDue = await runAt(subscription, after(subscription.trialEnd));
+    expect(pastDue.dunning).toMatchObject({
+      strategy: "soon",
+      nextAttemptAt: "2024-02-01T13:00:01.000Z",
+    });
+
+    const retried = await runAt(
+      subscription,
+      new Date(pastDue.dunning.nextAttemptAt)
+    );
+    expect(retried.charges).toHaveLength(2);
+    expect(retried.dunning).toMatchObject({
+      step: 0,
+      strategy: "soon",
+      nextAttemptAt: "2024-02-01T14:00:01.000Z",
+    });
+  });
+
+  test("should pick retry timing from the normalized error code", () => {
+    expect(getRetryStrategy("card_declined")).toBe("scheduled");
+    expect(getRetryStrategy("insufficient_funds")).toBe("scheduled");
+    expect(getRetryStrategy("expired_card")).toBe("update_payment_method");
+    expect(getRetryStrategy("payment_method_not_found")).toBe(
+      "update_payment_method"
+    );
+    expect(getRetryStrategy("authentication_required")).toBe("authenticate");
+    expect(getRetryStrategy("gateway_timeout")).toBe("soon");
+    expect(getRetryStrategy("circuit_open")).toBe("soon");
+    expect(getRetryStrategy("something_new")).toBe("scheduled");
+
+    expect(isValidDunningSchedule({ retryDays: [1, 3, 7] })).toBe(true);
+    expect(isValidDunningSchedule({ finalAction: "pause" })).toBe(true);
+    expect(isValidDunningSchedule({ retryDays: [3, 1] })).toBe(false);
+    expect(isValidDunningSchedule({ retryDays: [0] })).toBe(false);
+    expect(isValidDunningSchedule({ finalAction: "refund" })).toBe(false);
+    expect(isValidDunningSchedule({ retryDays: [1], step: 5 })).toBe(false);
+    expect(isValidDunningSchedule([])).toBe(false);
+  });
+});
@@ -0,0 +1,84 @@
+const {
+  ERROR_CATALOG,
+  getErrorDefinition,
+} = require("../src/domain/errorCatalog");
+const { GatewayError } = require("../src/http/GatewayHttpClient");
+const StripeAdapter = require("../src/adapters/StripeAdapter");
+const PaystackAdapter = require("../src/adapters/PaystackAdapter");
+
+describe("Error Catalog", () => {
+  const stripe = new StripeAdapter({ secretKey: "sk_test_123" });
+  const paystack = new PaystackAdapter({ secretKey: "sk_test_123" });
+
+  const stripeError = (fields) =>
+    Object.assign(new Error("Stripe error"), fields);
+  const paystackError = (message, statusCode) =>
+    new GatewayError(`Paystack request failed: ${message}`, { statusCode });
+
+  test("should define an HTTP status and retryable flag for every code", () => {
+    Object.values(ERROR_CATALOG).forEach((definition) => {
+      expect(definition.httpStatus).toBeGreaterThanOrEqual(400);
+      expect(typeof definition.retryable).toBe("boolean");
+    });
+    expect(getErrorDefinition("made_up").code).toBe("unknown_error");
+  });
+
+  test("should translate Stripe declines and keep the decline code", () => {
+    const { error } = stripe.formatError(
+      stripeError({
+        type: "StripeCardError",
+        code: "card_declined",
+        decline_code: "insufficient_funds",
+        statusCode: 402,
+        requestId: "req_1",
+      })
+    );
+
+    expect(error).toMatchObject({
+      code: "insufficient_funds",
+      declineCode: "insufficient_funds",
+      httpStatus: 402,
+      retryable: false,
+      details: { statusCode: 402, gatewayCode: "card_declined" },
+    });
+    expect(
+      stripe.translateError(
+        stripeError({ type: "StripeCardError", decline_code: "lost_card" })
+      ).code
+    ).toBe("card_declined");
+  });
+
+  test("should translate Stripe outages as retryable", () => {
+    expect(
+      stripe.formatError(stripeError({ type: "StripeConnectionError" })).error
+    ).toMatchObject({ code: "gateway_unavailable", retryable: true });
+    expect(
+      stripe.formatError(stripeError({ type: "StripeRateLimitError" })).error
+    ).toMatchObject({ code: "rate_limited", httpStatus: 429 });
+  });
+
+  test("should translate Paystack errors by message and status", () => {
+    expect(
+      paystack.translateError(paystackError("Insufficient Funds", 400)).code
+    ).toBe("insufficient_funds");
+    expect(
+      paystack.translateError(paystackError("Invalid key", 401)).code
+    ).toBe("gateway_authentication_failed");
+    expect(
+      paystack.translateError(paystackError("Something broke", 503)).code
+    ).toBe("gateway_unavailable");
+  });
+
+  test("should translate validation failures to invalid_request", async () => {
+    const result = await paystack.processPayment({
+      amount: 5000,
+      currency: "NGN",
+    });
+
+    expect(result.error).toMatchObject({
+      code: "invalid_request",
+      httpStatus: 400,
+      retryable: false,
+    });
+  });
+});
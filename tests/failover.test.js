@@ -0,0 +1,91 @@
+process.env.STRIPE_SECRET_KEY = "sk_test_123";
+process.env.PAYSTACK_SECRET_KEY = "sk_test_123";
+
+const gatewayFactory = require("../src/factories/GatewayFactory");
+const paymentService = require("../src/services/PaymentService");
+const paymentRepository = require("../src/repositories/PaymentRepository");
+
+describe("Gateway Failover", () => {
+  const stripe = gatewayFactory.getGateway("stripe");
+  const paystack = gatewayFactory.getGateway("paystack");
+  const payment = {
+    amount: 5000,
+    currency: "USD",
+    customerEmail: "customer@example.com",
+  };
+
+  const outage = (adapter) => (data) =>
+    adapter.formatError(
+      Object.assign(new Error("Service unavailable"), { statusCode: 503 }),
+      data.unifiedId
+    );
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest
+      .spyOn(paystack, "processPayment")
+      .mockImplementation(async (data) =>
+        paystack.formatResponse(
+          { reference: "ref_1", status: "pending", gatewayStatus: "pending" },
+          data.unifiedId
+        )
+      );
+  });
+
+  test("should classify outages as retryable", () => {
+    expect(stripe.isRetryableError({ type: "StripeConnectionError" })).toBe(
+      true
+    );
+    expect(stripe.isRetryableError({ statusCode: 502 })).toBe(true);
+    expect(
+      stripe.isRetryableError({ statusCode: 402, code: "card_declined" })
+    ).toBe(false);
+  });
+
+  test("should fail over once the first attempt is confirmed failed", async () => {
+    jest.spyOn(stripe, "processPayment").mockImplementation(outage(stripe));
+    jest.spyOn(stripe, "findPayment").mockResolvedValue(null);
+
+    const result = await paymentService.processPayment("stripe", payment, {
+      failover: true,
+    });
+    const record = await paymentRepository.findById(result.unifiedId);
+
+    expect(result.success).toBe(true);
+    expect(record.gateway).toBe("paystack");
+    expect(record.attempts.map((attempt) => attempt.gateway)).toEqual([
+      "stripe",
+      "paystack",
+    ]);
+    expect(record.attempts[0].lookup).toMatchObject({ confirmed: true });
+  });
+
+  test("should not fail over when the attempt may have captured funds", async () => {
+    jest.spyOn(stripe, "processPayment").mockImplementation(outage(stripe));
+    jest
+      .spyOn(stripe, "findPayment")
+      .mockResolvedValue({ status: "captured", reference: "pi_1" });
+
+    const result = await paymentService.processPayment("stripe", payment, {
+      failover: true,
+    });
+
+    expect(result.success).toBe(false);
+    expect(paystack.processPayment).not.toHaveBeenCalled();
+    expect(result.attempts[0].lookup).toMatchObject({
+      confirmed: false,
+      status: "captured",
+    });
+  });
+
+  test("should not fail over unless the policy allows it", async () => {
+    jest.spyOn(stripe, "processPayment").mockImplementation(outage(stripe));
+    jest.spyOn(stripe, "findPayment").mockResolvedValue(null);
+
+    const result = await paymentService.processPayment("stripe", payment);
+
+    expect(result.success).toBe(false);
+    expect(result.attempts).toHaveLength(1);
+    expect(stripe.findPayment).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,112 @@
+const http = require("http");
+const { GatewayHttpClient } = require("../src/http/GatewayHttpClient");
+
+describe("Gateway HTTP Client", () => {
+  let server;
+  let client;
+  let responses;
+  let requests;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.method);
+      const next = responses.shift();
+
+      if (next.hang) {
+        return;
+      }
+
+      res.writeHead(next.status, {
+        "Content-Type": "application/json",
+        "X-Request-Id": "req_123",
+      });
+      res.end(JSON.stringify(next.body));
+    });
+
+    await new Promise((resolve) => server.listen(0, resolve));
+  });
+
+  afterAll(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    responses = [];
+    requests = [];
+    client = new GatewayHttpClient({
+      gateway: "Test",
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      timeout: 100,
+      retries: 2,
+    });
+    client.sleep = async () => {};
+  });
+
+  test("should return the parsed body", async () => {
+    responses.push({ status: 200, body: { status: true } });
+
+    await expect(client.request({ path: "/ok" })).resolves.toEqual({
+      status: true,
+    });
+  });
+
+  test("should retry safe calls on 5xx with backoff", async () => {
+    responses.push(
+      { status: 502, body: {} },
+      { status: 503, body: {} },
+      { status: 200, body: { status: true } }
+    );
+
+    await expect(client.request({ path: "/retry" })).resolves.toEqual({
+      status: true,
+    });
+    expect(requests).toHaveLength(3);
+  });
+
+  test("should send writes only once", async () => {
+    responses.push({ status: 500, body: { message: "Server error" } });
+
+    await expect(
+      client.request({ method: "POST", path: "/write", body: { a: 1 } })
+    ).rejects.toMatchObject({ statusCode: 500, retryable: true });
+    expect(requests).toEqual(["POST"]);
+  });
+
+  test("should not retry client errors and should keep error details", async () => {
+    responses.push({
+      status: 400,
+      body: { message: "Invalid key", code: "invalid_key" },
+    });
+
+    await expect(client.request({ path: "/bad" })).rejects.toMatchObject({
+      message: "Test request failed: Invalid key",
+      retryable: false,
+      details: {
+        statusCode: 400,
+        gatewayCode: "invalid_key",
+        requestId: "req_123",
+      },
+    });
+    expect(requests).toHaveLength(1);
+  });
+
+  test("should time out slow calls", async () => {
+    responses.push({ hang: true }, { hang: true }, { hang: true });
+
+    await expect(client.request({ path: "/slow" })).rejects.toMatchObject({
+      code: "gateway_timeout",
+      retryable: true,
+    });
+    expect(requests).toHaveLength(3);
+  });
+
+  test("should cap jittered backoff", () => {
+    client.random = () => 1;
+
+    expect(client.getDelay(1)).toBe(200);
+    expect(client.getDelay(3)).toBe(800);
+    expect(client.getDelay(10)).toBe(5000);
+    expect(client.getDelay(1, 2000)).toBe(2000);
+  });
+});
@@ -0,0 +1,138 @@
+process.env.STRIPE_SECRET_KEY = "sk_test_123";
+process.env.PAYSTACK_SECRET_KEY = "sk_test_123";
+process.env.CREDENTIALS_ENCRYPTION_KEY = "a".repeat(64);
+
+const gatewayRouter = require("../src/services/GatewayRouter");
+const gatewayHealth = require("../src/services/GatewayHealthMonitor");
+const gatewayFactory = require("../src/factories/GatewayFactory");
+const merchantService = require("../src/services/MerchantService");
+const defaultConfig = require("../config/routing");
+
+describe("Gateway Router", () => {
+  afterEach(() => {
+    gatewayRouter.loadConfig(defaultConfig);
+    gatewayRouter.random = Math.random;
+  });
+
+  test("should route African currencies to Paystack", () => {
+    expect(
+      gatewayRouter.selectGateway({ amount: 5000, currency: "NGN" })
+    ).toMatchObject({ gateway: "paystack", rule: "african-local-currencies" });
+  });
+
+  test("should fall back to the first eligible default gateway", () => {
+    expect(
+      gatewayRouter.selectGateway({ amount: 5000, currency: "EUR" })
+    ).toMatchObject({ gateway: "stripe", rule: "default" });
+  });
+
+  test("should skip rule targets that cannot take the payment", () => {
+    gatewayRouter.loadConfig({
+      rules: [{ id: "jpy", match: { currency: ["JPY"] }, gateway: "paystack" }],
+      defaultGateways: ["paystack", "stripe"],
+    });
+
+    expect(
+      gatewayRouter.selectGateway({ amount: 5000, currency: "JPY" })
+    ).toMatchObject({ gateway: "stripe", rule: "default" });
+  });
+
+  test("should match amount bands, countries and merchants", async () => {
+    const merchant = await merchantService.create({ name: "Merchant 1" });
+    for (const gateway of ["stripe", "paystack"]) {
+      await merchantService.configureGateway(merchant.id, gateway, {
+        credentials: { secretKey: "sk_test_merchant" },
+      });
+    }
+    await gatewayFactory.loadMerchant(merchant.id);
+
+    gatewayRouter.loadConfig({
+      rules: [
+        {
+          id: "large-gh",
+          match: { country: ["GH"], amount: { min: 100000 } },
+          gateway: "paystack",
+        },
+      ],
+      defaultGateways: ["stripe"],
+      merchantPreferences: { [merchant.id]: ["paystack"] },
+    });
+
+    const context = { amount: 50000, currency: "USD", country: "gh" };
+
+    expect(gatewayRouter.selectGateway(context).gateway).toBe("stripe");
+    expect(
+      gatewayRouter.selectGateway({ ...context, amount: 100000 }).rule
+    ).toBe("large-gh");
+    expect(
+      gatewayRouter.selectGateway({ ...context, merchantId: merchant.id })
+        .gateway
+    ).toBe("paystack");
+  });
+
+  test("should split traffic by weight", () => {
+    gatewayRouter.loadConfig({
+      rules: [
+        {
+          id: "usd-split",
+          match: { currency: ["USD"] },
+          split: [
+            { gateway: "stripe", weight: 80 },
+            { gateway: "paystack", weight: 20 },
+          ],
+        },
+      ],
+    });
+    const context = { amount: 1000, currency: "USD" };
+
+    gatewayRouter.random = () => 0.79;
+    expect(gatewayRouter.selectGateway(context).gateway).toBe("stripe");
+
+    gatewayRouter.random = () => 0.8;
+    expect(gatewayRouter.selectGateway(context).gateway).toBe("paystack");
+  });
+
+  test("should skip gateways whose circuit is open", () => {
+    gatewayHealth.getBreaker("paystack", { mode: "test" }).open();
+
+    expect(
+      gatewayRouter.selectGateway({ amount: 5000, currency: "NGN" })
+    ).toMatchObject({ gateway: "stripe", rule: "default" });
+
+    gatewayHealth.getBreaker("paystack", { mode: "test" }).reset();
+  });
+
+  test("should keep circuits apart per mode and merchant", () => {
+    const merchantBreaker = gatewayHealth.getBreaker("paystack", {
+      mode: "test",
+      merchantId: "merchant_breaker",
+    });
+    merchantBreaker.open();
+
+    expect(
+      gatewayHealth.isAvailable("paystack", {
+        mode: "test",
+        merchantId: "merchant_breaker",
+      })
+    ).toBe(false);
+    expect(gatewayHealth.isAvailable("paystack", { mode: "test" })).toBe(true);
+    expect(gatewayHealth.isAvailable("paystack", { mode: "live" })).toBe(true);
+    expect(
+      gatewayRouter.selectGateway({ amount: 5000, currency: "NGN" })
+    ).toMatchObject({ gateway: "paystack" });
+
+    merchantBreaker.reset();
+  });
+
+  test("should reject payments no gateway can take", () => {
+    expect(() =>
+      gatewayRouter.selectGateway({
+        amount: 1000,
+        currency: "JPY",
+        paymentMethod: "ussd",
+      })
+    ).toThrow(
+      expect.objectContaining({ statusCode: 400, code: "NO_ELIGIBLE_GATEWAY" })
+    );
+  });
+});
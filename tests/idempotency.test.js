@@ -0,0 +1,152 @@
+const EventEmitter = require("events");
+const { idempotency } = require("../src/middleware/idempotency");
+const idempotencyRepository = require("../src/repositories/IdempotencyRepository");
+
+describe("Idempotency", () => {
+  let counter = 0;
+
+  const createResponse = () => {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.headers = {};
+    res.status = jest.fn((code) => {
+      res.statusCode = code;
+      return res;
+    });
+    res.set = jest.fn((field, value) => {
+      res.headers[field] = value;
+      return res;
+    });
+    res.json = jest.fn((body) => {
+      res.body = body;
+      res.writableFinished = true;
+      return res;
+    });
+    return res;
+  };
+
+  // Run the middleware for a request; next is called when the key is
+  // claimed, otherwise the stored or error response is sent
+  const call = async ({ key, body = { amount: 5000 }, apiKey }) => {
+    const req = {
+      method: "POST",
+      baseUrl: "/api/payments",
+      path: "/process",
+      body,
+      apiKey: apiKey || { id: "key_idempotency" },
+      get: (header) => (header === "Idempotency-Key" ? key : undefined),
+    };
+    const res = createResponse();
+    const next = jest.fn();
+
+    await idempotency(req, res, next);
+
+    return { req, res, next };
+  };
+
+  const uniqueKey = () => `order-${++counter}`;
+
+  // Send a response for a claimed request and wait for it to be stored
+  const respond = async ({ res }, statusCode, body) => {
+    res.status(statusCode).json(body);
+    res.emit("close");
+    await new Promise(setImmediate);
+  };
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("should replay the stored response for a retry with the same body", async () => {
+    const key = uniqueKey();
+    await respond(await call({ key }), 201, { success: true, id: "pay_1" });
+
+    const retry = await call({ key });
+    expect(retry.next).not.toHaveBeenCalled();
+    expect(retry.res.status).toHaveBeenCalledWith(201);
+    expect(retry.res.body).toEqual({ success: true, id: "pay_1" });
+    expect(retry.res.headers["Idempotent-Replayed"]).toBe("true");
+  });
+
+  test("should reject a reused key with a different body", async () => {
+    const key = uniqueKey();
+    await respond(await call({ key }), 201, { success: true });
+
+    const reused = await call({ key, body: { amount: 9000 } });
+    expect(reused.next).not.toHaveBeenCalled();
+    expect(reused.res.status).toHaveBeenCalledWith(422);
+  });
+
+  test("should answer 409 while the first request is in progress", async () => {
+    const key = uniqueKey();
+    const first = await call({ key });
+
+    const concurrent = await call({ key });
+    expect(concurrent.next).not.toHaveBeenCalled();
+    expect(concurrent.res.status).toHaveBeenCalledWith(409);
+
+    await respond(first, 201, { success: true });
+    expect((await call({ key })).res.status).toHaveBeenCalledWith(201);
+  });
+
+  test("should release the key after a server error", async () => {
+    const key = uniqueKey();
+    await respond(await call({ key }), 502, { success: false });
+
+    const retry = await call({ key });
+    expect(retry.next).toHaveBeenCalled();
+    await respond(retry, 201, { success: true });
+    expect((await call({ key })).res.body).toEqual({ success: true });
+  });
+
+  test("should let a key be claimed again once its record expires", async () => {
+    jest.useFakeTimers({ doNotFake: ["setImmediate"] });
+    jest.setSystemTime(new Date("2024-01-01T00:00:00.000Z"));
+    const key = uniqueKey();
+    const first = await call({ key });
+    await respond(first, 201, { success: true });
+
+    jest.setSystemTime(new Date("2024-01-01T23:59:59.000Z"));
+    expect((await call({ key })).next).not.toHaveBeenCalled();
+
+    // 24 hours by default
+    jest.setSystemTime(new Date("2024-01-02T00:00:00.000Z"));
+    const expired = await call({ key, body: { amount: 9000 } });
+    expect(expired.next).toHaveBeenCalled();
+    await expect(
+      idempotencyRepository.claim(
+        first.req.idempotencyKey,
+        "other",
+        60 * 60 * 1000
+      )
+    ).resolves.toMatchObject({
+      claimed: false,
+      record: { state: "in_progress" },
+    });
+  });
+
+  test("should scope the key passed on to gateways to the API key", async () => {
+    const key = uniqueKey();
+    const first = await call({ key, apiKey: { id: "key_first" } });
+    const second = await call({ key, apiKey: { id: "key_second" } });
+
+    expect(first.next).toHaveBeenCalled();
+    expect(second.next).toHaveBeenCalled();
+    expect(first.req.idempotencyKey).not.toBe(key);
+    expect(first.req.idempotencyKey).not.toBe(second.req.idempotencyKey);
+  });
+
+  test("should purge expired records", async () => {
+    jest.useFakeTimers({ doNotFake: ["setImmediate"] });
+    jest.setSystemTime(new Date("2030-01-01T00:00:00.000Z"));
+    const old = await call({ key: uniqueKey() });
+    await respond(old, 201, { success: true });
+
+    jest.setSystemTime(new Date("2030-01-02T00:00:00.000Z"));
+    await call({ key: uniqueKey() });
+
+    await expect(
+      idempotencyRepository.store.get(old.req.idempotencyKey)
+    ).resolves.toBeNull();
+  });
+});
@@ -1,8 +1,37 @@
+// Sandbox credentials; payments go through the offline mock gateway
+process.env.STRIPE_SECRET_KEY = "sk_test_integration";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_integration";
+process.env.PAYSTACK_SECRET_KEY = "sk_test_integration";
+process.env.MOCK_SECRET_KEY = "sk_test_mock";
+
+const crypto = require("crypto");
 const request = require("supertest");
+const Stripe = require("stripe");
 const app = require("../src/server");
+const apiKeyService = require("../src/services/ApiKeyService");
+const merchantService = require("../src/services/MerchantService");
+const webhookProcessor = require("../src/services/WebhookProcessor");
+const MockAdapter = require("../src/adapters/MockAdapter");
 
 describe("Unified Payments API Integration Tests", () => {
-  const testApiKey = "test-api-key-123";
+  let testApiKey;
+
+  beforeAll(async () => {
+    ({ secret: testApiKey } = await apiKeyService.issue({
+      name: "Integration tests",
+      mode: "test",
+    }));
+  });
+
+  beforeEach(() => {
+    // The mock gateway's simulated webhooks are not sent
+    jest.spyOn(MockAdapter.prototype, "later").mockImplementation(() => {});
+    jest.spyOn(webhookProcessor, "schedule").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
 
   describe("Health Endpoints", () => {
     test("GET /api/health should return system health", async () => {
@@ -10,7 +39,7 @@ describe("Unified Payments API Integration Tests", () => {
 
       expect(response.body).toHaveProperty("status", "healthy");
       expect(response.body).toHaveProperty("timestamp");
-      expect(response.body).toHaveProperty("uptime");
+      expect(response.body.system).toHaveProperty("uptime");
     });
 
     test("GET /api/health/gateways should return gateway status", async () => {
@@ -19,7 +48,7 @@ describe("Unified Payments API Integration Tests", () => {
         .expect(200);
 
       expect(response.body).toHaveProperty("success", true);
-      expect(response.body.data).toHaveProperty("gateways");
+      expect(response.body).toHaveProperty("gateways");
     });
 
     test("GET /api/health/performance should return performance metrics", async () => {
@@ -28,7 +57,7 @@ describe("Unified Payments API Integration Tests", () => {
         .expect(200);
 
       expect(response.body).toHaveProperty("success", true);
-      expect(response.body.data).toHaveProperty("metrics");
+      expect(response.body).toHaveProperty("metrics");
     });
   });
 
@@ -79,8 +108,10 @@ describe("Unified Payments API Integration Tests", () => {
         })
         .expect(401);
 
-      expect(response.body).toHaveProperty("success", false);
-      expect(response.body.error).toHaveProperty("message");
+      expect(response.body).toMatchObject({
+        success: false,
+        error: "API key is required",
+      });
     });
 
     test("POST /api/payments/process should validate required fields", async () => {
@@ -88,13 +119,16 @@ describe("Unified Payments API Integration Tests", () => {
         .post("/api/payments/process")
         .set("x-api-key", testApiKey)
         .send({
-          amount: 1000,
+          gateway: "mock",
           currency: "usd",
         })
         .expect(400);
 
-      expect(response.body).toHaveProperty("success", false);
-      expect(response.body.error).toHaveProperty("message");
+      expect(response.body).toMatchObject({
+        success: false,
+        error: "Validation failed",
+      });
+      expect(response.body.details[0]).toHaveProperty("path", "amount");
     });
 
     test("POST /api/payments/intent should create payment intent", async () => {
@@ -102,53 +136,111 @@ describe("Unified Payments API Integration Tests", () => {
         .post("/api/payments/intent")
         .set("x-api-key", testApiKey)
         .send({
-          gateway: "stripe",
+          gateway: "mock",
           amount: 1000,
           currency: "usd",
           description: "Test payment intent",
         })
         .expect(200);
 
-      expect(response.body).toHaveProperty("success", true);
-      expect(response.body.data).toHaveProperty("paymentIntentId");
-      expect(response.body.data).toHaveProperty("clientSecret");
+      expect(response.body).toMatchObject({
+        success: true,
+        gatewayResponse: { status: "created", amount: 1000, currency: "USD" },
+      });
+      expect(response.body).toHaveProperty("unifiedId");
+      expect(response.body.gatewayResponse).toHaveProperty("clientSecret");
     });
   });
 
   describe("Webhook Handling", () => {
     test("POST /api/webhooks/stripe should handle Stripe webhooks", async () => {
+      const payload = JSON.stringify({
+        id: "evt_integration",
+        type: "payment_intent.succeeded",
+        created: Math.floor(Date.now() / 1000),
+        data: {
+          object: {
+            id: "pi_test123",
+            amount: 1000,
+            currency: "usd",
+          },
+        },
+      });
+
       const response = await request(app)
         .post("/api/webhooks/stripe")
-        .send({
-          type: "payment_intent.succeeded",
-          data: {
-            object: {
-              id: "pi_test123",
-              amount: 1000,
-              currency: "usd",
-            },
-          },
-        })
+        .set("Content-Type", "application/json")
+        .set(
+          "stripe-signature",
+          Stripe.webhooks.generateTestHeaderString({
+            payload,
+            secret: "whsec_integration",
+          })
+        )
+        .send(payload)
         .expect(200);
 
       expect(response.body).toHaveProperty("success", true);
     });
 
     test("POST /api/webhooks/paystack should handle Paystack webhooks", async () => {
+      const payload = JSON.stringify({
+        event: "charge.success",
+        data: {
+          id: 302961,
+          reference: "ref_test123",
+          amount: 1000,
+          currency: "NGN",
+        },
+      });
+
       const response = await request(app)
         .post("/api/webhooks/paystack")
-        .send({
-          event: "charge.success",
-          data: {
-            reference: "ref_test123",
-            amount: 1000,
-            currency: "NGN",
-          },
-        })
+        .set("Content-Type", "application/json")
+        .set(
+          "x-paystack-signature",
+          crypto
+            .createHmac("sha512", "sk_test_integration")
+            .update(payload)
+            .digest("hex")
+        )
+        .send(payload)
         .expect(200);
 
       expect(response.body).toHaveProperty("success", true);
     });
+
+    test("POST /api/webhooks/stripe should reject unsigned webhooks", async () => {
+      const response = await request(app)
+        .post("/api/webhooks/stripe")
+        .send({ type: "payment_intent.succeeded" })
+        .expect(400);
+
+      expect(response.body).toMatchObject({
+        success: false,
+        error: "No signature provided",
+      });
+    });
+
+    test("POST /api/webhooks/events/:id/replay should only accept platform keys", async () => {
+      const merchant = await merchantService.create({ name: "Replay" });
+      const { secret } = await apiKeyService.issue({
+        name: "Merchant",
+        mode: "test",
+        merchantId: merchant.id,
+      });
+
+      const response = await request(app)
+        .post("/api/webhooks/events/whevt_missing/replay")
+        .set("x-api-key", secret)
+        .expect(403);
+      expect(response.body.code).toBe("PLATFORM_KEY_REQUIRED");
+
+      await request(app)
+        .post("/api/webhooks/events/whevt_missing/replay")
+        .set("x-api-key", testApiKey)
+        .expect(404);
+    });
   });
 
   describe("Error Handling", () => {
@@ -171,27 +263,66 @@ describe("Unified Payments API Integration Tests", () => {
     });
   });
 
+  describe("Mock Gateway", () => {
+    const challenge = "/api/mock/challenges/mock_pay_0123456789abcdef";
+
+    test("GET /api/mock/challenges/:reference should be served outside production", async () => {
+      const response = await request(app).get(challenge).expect(404);
+
+      expect(response.body.error).toBe(
+        "Payment 'mock_pay_0123456789abcdef' not found"
+      );
+    });
+
+    test("GET /api/mock/challenges/:reference should not exist in production", async () => {
+      const env = process.env;
+      process.env = { ...env, NODE_ENV: "production" };
+
+      try {
+        let productionApp;
+        jest.isolateModules(() => {
+          productionApp = require("../src/server");
+        });
+
+        const response = await request(productionApp).get(challenge);
+        expect(response.status).toBe(404);
+        expect(response.body.error.code).toBe("NOT_FOUND");
+      } finally {
+        process.env = env;
+      }
+    });
+  });
+
   describe("Rate Limiting", () => {
     test("Should enforce rate limits on payment endpoints", async () => {
+      const { secret } = await apiKeyService.issue({
+        name: "Rate limited",
+        mode: "test",
+        rateLimits: { payments: { limit: 10, windowMs: 60000 } },
+      });
+
       // Make multiple requests to trigger rate limiting
       const promises = Array(15)
         .fill()
         .map(() =>
           request(app)
             .post("/api/payments/process")
-            .set("x-api-key", testApiKey)
+            .set("x-api-key", secret)
             .send({
-              gateway: "stripe",
+              gateway: "mock",
               amount: 1000,
               currency: "usd",
+              paymentMethodId: "4242424242424242",
               description: "Rate limit test",
             })
         );
 
       const responses = await Promise.all(promises);
-      const rateLimited = responses.some((r) => r.status === 429);
+      const rateLimited = responses.filter((r) => r.status === 429);
 
-      expect(rateLimited).toBe(true);
+      expect(rateLimited.length).toBe(5);
+      expect(rateLimited[0].headers).toHaveProperty("retry-after");
+      expect(rateLimited[0].headers["ratelimit-remaining"]).toBe("0");
     });
   });
 });
@@ -0,0 +1,283 @@
+const dns = require("dns");
+const http = require("http");
+const merchantWebhookService = require("../src/services/MerchantWebhookService");
+const webhookEndpointRepository = require("../src/repositories/WebhookEndpointRepository");
+const UnifiedPaymentsClient = require("../examples/client-sdk");
+const { getWebhookUrlError } = require("../src/security/webhookUrls");
+
+describe("Merchant Webhooks", () => {
+  let server;
+  let url;
+  let received;
+  let responseStatus;
+  let connections;
+
+  const source = (id) => ({ id, gateway: "paystack" });
+  const event = {
+    type: "payment.succeeded",
+    occurredAt: "2024-01-15T10:30:00.000Z",
+    refund: null,
+    dispute: null,
+    transfer: null,
+  };
+  const payment = {
+    id: "unified_paystack_1",
+    gateway: "paystack",
+    gatewayReference: "ref_1",
+    amount: 5000,
+    currency: "NGN",
+    status: "captured",
+    merchantId: "merchant_a",
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on("data", (chunk) => chunks.push(chunk));
+      req.on("end", () => {
+        received.push({
+          headers: req.headers,
+          body: Buffer.concat(chunks).toString("utf8"),
+        });
+        res.writeHead(responseStatus);
+        res.end();
+      });
+    });
+
+    server.on("connection", () => connections++);
+
+    await new Promise((resolve) => server.listen(0, resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks`;
+    merchantWebhookService.allowPrivateUrls = true;
+  });
+
+  afterAll(() => {
+    merchantWebhookService.allowPrivateUrls = false;
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    received = [];
+    connections = 0;
+    responseStatus = 200;
+    jest.spyOn(merchantWebhookService, "schedule").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should deliver signed events the SDK can verify", async () => {
+    const endpoint = await webhookEndpointRepository.create({
+      url,
+      events: ["payment.succeeded"],
+      merchantId: "merchant_a",
+    });
+
+    const [delivery] = await merchantWebhookService.publish(
+      source("whevt_signed"),
+      event,
+      payment
+    );
+    const result = await merchantWebhookService.deliver(delivery.id);
+
+    expect(result).toMatchObject({ status: "succeeded", attempts: 1 });
+    expect(result.attemptLog[0]).toMatchObject({
+      statusCode: 200,
+      error: null,
+    });
+
+    const [request] = received;
+    const verified = UnifiedPaymentsClient.verifyWebhook(
+      request.body,
+      request.headers["x-unified-signature"],
+      endpoint.secret
+    );
+    expect(verified).toMatchObject({
+      id: delivery.eventId,
+      type: "payment.succeeded",
+      data: { payment: { id: "unified_paystack_1", status: "captured" } },
+    });
+    expect(() =>
+      UnifiedPaymentsClient.verifyWebhook(
+        request.body.replace("5000", "9000"),
+        request.headers["x-unified-signature"],
+        endpoint.secret
+      )
+    ).toThrow("does not match");
+  });
+
+  test("should only publish to subscribed endpoints, once per event", async () => {
+    const other = await webhookEndpointRepository.create({
+      url,
+      events: ["*"],
+      merchantId: "merchant_b",
+    });
+    const refunds = await webhookEndpointRepository.create({
+      url,
+      events: ["refund.succeeded"],
+    });
+
+    const first = await merchantWebhookService.publish(
+      source("whevt_once"),
+      event,
+      payment
+    );
+    const again = await merchantWebhookService.publish(
+      source("whevt_once"),
+      event,
+      payment
+    );
+
+    const endpointIds = first.map((delivery) => delivery.endpointId);
+    expect(endpointIds).not.toContain(other.id);
+    expect(endpointIds).not.toContain(refunds.id);
+    expect(again).toEqual([]);
+    await expect(
+      merchantWebhookService.publish(source("whevt_none"), event, null)
+    ).resolves.toEqual([]);
+  });
+
+  test("should retry failed deliveries with backoff and allow redelivery", async () => {
+    const endpoint = await webhookEndpointRepository.create({
+      url,
+      events: ["payment.failed"],
+    });
+    responseStatus = 500;
+
+    const [delivery] = await merchantWebhookService.publish(
+      source("whevt_retry"),
+      { ...event, type: "payment.failed" },
+      payment
+    );
+    const failed = await merchantWebhookService.deliver(delivery.id);
+
+    expect(failed).toMatchObject({
+      status: "pending",
+      lastError: "Endpoint responded with HTTP 500",
+    });
+    expect(merchantWebhookService.schedule).toHaveBeenLastCalledWith(
+      delivery.id,
+      merchantWebhookService.retryDelay
+    );
+    expect(
+      (await webhookEndpointRepository.findById(endpoint.id))
+        .consecutiveFailures
+    ).toBe(1);
+
+    responseStatus = 204;
+    const redelivered = await merchantWebhookService.redeliver(delivery.id);
+
+    expect(redelivered).toMatchObject({ status: "succeeded", attempts: 2 });
+    expect(redelivered.attemptLog).toHaveLength(2);
+  });
+
+  test("should disable endpoints that keep failing", async () => {
+    merchantWebhookService.disableAfterFailures = 2;
+    const endpoint = await webhookEndpointRepository.create({
+      url: "http://127.0.0.1:1/unreachable",
+      events: ["payment.canceled"],
+    });
+    const canceled = { ...event, type: "payment.canceled" };
+
+    for (const id of ["whevt_down_1", "whevt_down_2"]) {
+      const [delivery] = await merchantWebhookService.publish(
+        source(id),
+        canceled,
+        payment
+      );
+      await merchantWebhookService.deliver(delivery.id);
+    }
+
+    expect(await webhookEndpointRepository.findById(endpoint.id)).toMatchObject(
+      { status: "disabled", consecutiveFailures: 2 }
+    );
+    await expect(
+      merchantWebhookService.publish(source("whevt_down_3"), canceled, payment)
+    ).resolves.toEqual([]);
+  });
+
+  test("should refuse endpoints on internal hosts unless private URLs are allowed", async () => {
+    for (const internal of [
+      "http://hooks.example.com/events",
+      "https://localhost:3000/hooks",
+      "https://127.0.0.1/hooks",
+      "https://2130706433/hooks",
+      "https://169.254.169.254/latest/meta-data",
+      "https://10.0.0.5/hooks",
+      "https://[::1]/hooks",
+      "https://[::ffff:127.0.0.1]/hooks",
+      "https://[fd00::1]/hooks",
+    ]) {
+      expect(getWebhookUrlError(internal, false)).not.toBeNull();
+    }
+    expect(getWebhookUrlError("https://hooks.example.com/events", false)).toBe(
+      null
+    );
+    expect(getWebhookUrlError(url, true)).toBe(null);
+
+    // Deliveries check the address again before sending
+    jest
+      .spyOn(dns, "lookup")
+      .mockImplementation((hostname, options, callback) =>
+        callback(null, [{ address: "10.0.0.5", family: 4 }])
+      );
+    merchantWebhookService.allowPrivateUrls = false;
+    try {
+      const endpoint = await webhookEndpointRepository.create({
+        url: "https://hooks.example.com/events",
+        events: ["payment.refunded"],
+      });
+      const attempt = await merchantWebhookService.send(endpoint, {
+        id: "whdel_internal",
+        eventId: "whevt_internal",
+        eventType: "payment.refunded",
+        payload: {},
+      });
+
+      expect(attempt).toMatchObject({
+        statusCode: null,
+        error:
+          "Request failed: hooks.example.com resolves to private address 10.0.0.5",
+      });
+    } finally {
+      merchantWebhookService.allowPrivateUrls = true;
+    }
+  });
+
+  test("should connect to the address that was checked", async () => {
+    // A rebinding host resolves to a public address for the check and to
+    // this server for any later lookup
+    const lookup = jest
+      .spyOn(dns, "lookup")
+      .mockImplementationOnce((hostname, options, callback) =>
+        callback(null, [{ address: "198.51.100.7", family: 4 }])
+      )
+      .mockImplementation((hostname, options, callback) =>
+        callback(null, [{ address: "127.0.0.1", family: 4 }])
+      );
+    const { timeout } = merchantWebhookService;
+    merchantWebhookService.allowPrivateUrls = false;
+    merchantWebhookService.timeout = 200;
+    try {
+      const endpoint = await webhookEndpointRepository.create({
+        url: `https://rebind.example.com:${server.address().port}/hooks`,
+        events: ["payment.refunded"],
+      });
+      const attempt = await merchantWebhookService.send(endpoint, {
+        id: "whdel_rebind",
+        eventId: "whevt_rebind",
+        eventType: "payment.refunded",
+        payload: {},
+      });
+
+      expect(attempt.statusCode).toBe(null);
+      expect(lookup).toHaveBeenCalledTimes(1);
+      expect(connections).toBe(0);
+    } finally {
+      merchantWebhookService.allowPrivateUrls = true;
+      merchantWebhookService.timeout = timeout;
+    }
+  });
+});
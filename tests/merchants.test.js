@@ -0,0 +1,159 @@
+process.env.STRIPE_SECRET_KEY = "sk_test_platform";
+process.env.CREDENTIALS_ENCRYPTION_KEY = "b".repeat(64);
+
+const gatewayFactory = require("../src/factories/GatewayFactory");
+const merchantService = require("../src/services/MerchantService");
+const merchantRepository = require("../src/repositories/MerchantRepository");
+const apiKeyService = require("../src/services/ApiKeyService");
+const paymentService = require("../src/services/PaymentService");
+const credentialCipher = require("../src/security/CredentialCipher");
+const { validateApiKey } = require("../src/middleware/auth");
+
+describe("Merchants", () => {
+  const payment = { amount: 5000, currency: "NGN" };
+
+  const createMerchant = async (name, secretKey) => {
+    const merchant = await merchantService.create({
+      name,
+      defaultGateways: ["paystack"],
+    });
+    await merchantService.configureGateway(merchant.id, "paystack", {
+      credentials: { secretKey, publicKey: "pk_test_shop" },
+    });
+    await gatewayFactory.loadMerchant(merchant.id);
+
+    const adapter = gatewayFactory.getGateway("paystack", "test", merchant.id);
+    jest
+      .spyOn(adapter, "processPayment")
+      .mockImplementation(async (data) =>
+        adapter.formatResponse(
+          { reference: `ref_${name}`, status: "pending" },
+          data.unifiedId
+        )
+      );
+
+    return merchant;
+  };
+
+  test("should store gateway credentials encrypted", async () => {
+    const merchant = await merchantService.create({ name: "Encrypted" });
+    await merchantService.configureGateway(merchant.id, "stripe", {
+      credentials: { secretKey: "sk_live_topsecret1234" },
+    });
+
+    const stored = await merchantRepository.findById(merchant.id);
+    const { live } = stored.gateways.stripe.credentials;
+
+    expect(JSON.stringify(stored)).not.toContain("topsecret");
+    expect(live.secretKeyHint).toBe("sk_live_...1234");
+    expect(
+      credentialCipher.decrypt(live.encrypted, `${merchant.id}:stripe:live`)
+    ).toEqual({ secretKey: "sk_live_topsecret1234" });
+    expect(() =>
+      credentialCipher.decrypt(live.encrypted, "merch_other:stripe:live")
+    ).toThrow();
+    await expect(
+      merchantService.configureGateway(merchant.id, "stripe", {
+        credentials: { secretKey: "rk_unknown" },
+      })
+    ).rejects.toMatchObject({ statusCode: 400, code: "INVALID_CREDENTIALS" });
+
+    // The mock is a sandbox and never takes live credentials
+    await expect(
+      merchantService.configureGateway(merchant.id, "mock", {
+        credentials: { secretKey: "sk_live_mock" },
+      })
+    ).rejects.toMatchObject({ statusCode: 400, code: "INVALID_CREDENTIALS" });
+  });
+
+  test("should build adapters from each merchant's own credentials", async () => {
+    const shop = await createMerchant("shop", "sk_test_shop");
+
+    const adapter = gatewayFactory.getGateway("paystack", "test", shop.id);
+    expect(adapter.secretKey).toBe("sk_test_shop");
+    expect(gatewayFactory.getGateway("paystack", "test", shop.id)).toBe(
+      adapter
+    );
+    expect(gatewayFactory.getAvailableGateways(null, shop.id)).toEqual([
+      "paystack",
+    ]);
+    expect(gatewayFactory.isGatewayAvailable("stripe", "test", shop.id)).toBe(
+      false
+    );
+    expect(gatewayFactory.isGatewayAvailable("paystack", "test")).toBe(false);
+
+    const result = await paymentService.processPayment(null, payment, {
+      merchantId: shop.id,
+      mode: "test",
+    });
+    expect(result.routing.gateway).toBe("paystack");
+    expect(adapter.processPayment).toHaveBeenCalled();
+
+    // Changing the settings drops the cached adapters
+    await merchantService.configureGateway(shop.id, "paystack", {
+      enabled: false,
+    });
+    await gatewayFactory.loadMerchant(shop.id);
+    expect(gatewayFactory.getAvailableGateways(null, shop.id)).toEqual([]);
+  });
+
+  test("should keep each merchant's payments to itself", async () => {
+    const first = await createMerchant("first", "sk_test_first");
+    const second = await createMerchant("second", "sk_test_second");
+
+    const result = await paymentService.processPayment(null, payment, {
+      merchantId: first.id,
+      mode: "test",
+    });
+
+    await expect(
+      paymentService.getPayment(result.unifiedId, { merchantId: first.id })
+    ).resolves.toMatchObject({ merchantId: first.id });
+    await expect(paymentService.getPayment(result.unifiedId)).resolves.toEqual(
+      expect.objectContaining({ id: result.unifiedId })
+    );
+    await expect(
+      paymentService.getPayment(result.unifiedId, { merchantId: second.id })
+    ).rejects.toMatchObject({ statusCode: 404 });
+    await expect(
+      paymentService.processRefund(
+        null,
+        { paymentId: result.unifiedId },
+        { merchantId: second.id, mode: "test" }
+      )
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test("should tie API keys to their merchant", async () => {
+    const merchant = await createMerchant("keys", "sk_test_keys");
+    const { apiKey, secret } = await apiKeyService.issue({
+      name: "Shop key",
+      mode: "test",
+      merchantId: merchant.id,
+    });
+
+    expect(apiKey.merchantId).toBe(merchant.id);
+    await expect(
+      apiKeyService.getKey(apiKey.id, { merchantId: "merch_other" })
+    ).rejects.toMatchObject({ statusCode: 404 });
+    await expect(
+      apiKeyService.issue({ name: "Nope", mode: "test", merchantId: "merch_x" })
+    ).rejects.toMatchObject({ code: "MERCHANT_NOT_FOUND" });
+
+    await merchantService.update(merchant.id, { status: "disabled" });
+
+    const req = { headers: { "x-api-key": secret } };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    const next = jest.fn();
+    await validateApiKey(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ code: "MERCHANT_DISABLED" })
+    );
+  });
+});
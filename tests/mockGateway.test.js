@@ -0,0 +1,219 @@
+process.env.MOCK_SECRET_KEY = "sk_test_mock";
+
+const gatewayFactory = require("../src/factories/GatewayFactory");
+const paymentService = require("../src/services/PaymentService");
+const webhookDispatcher = require("../src/services/WebhookDispatcher");
+const MockAdapter = require("../src/adapters/MockAdapter");
+
+describe("Mock Gateway", () => {
+  const mock = gatewayFactory.getGateway("mock", "test");
+  const options = { mode: "test" };
+  let deliveries;
+
+  // Feed delivered webhooks back the way the webhook route would
+  const receiveDeliveries = async () => {
+    for (const event of deliveries.splice(0)) {
+      const body = Buffer.from(JSON.stringify(event));
+      const verification = await mock.verifyWebhook({
+        body,
+        signature: mock.signWebhook(body),
+      });
+
+      expect(verification.isValid).toBe(true);
+      await webhookDispatcher.dispatch({
+        gateway: "mock",
+        payload: verification.event,
+      });
+    }
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    deliveries = [];
+    jest
+      .spyOn(mock, "deliverWebhook")
+      .mockImplementation(async (event) => deliveries.push(event));
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("should only register with test keys", () => {
+    expect(gatewayFactory.getAvailableGateways("test")).toContain("mock");
+    expect(gatewayFactory.getAvailableGateways("live")).not.toContain("mock");
+
+    const adapters = gatewayFactory.createAdapterSet();
+    gatewayFactory.registerAdapter(
+      adapters,
+      "mock",
+      new MockAdapter({ secretKey: "sk_live_mock" }),
+      "MOCK_SECRET_KEY"
+    );
+    expect(adapters.get("live").size).toBe(0);
+  });
+
+  test("should simulate declines and outages from magic cards and amounts", async () => {
+    const declined = await paymentService.processPayment(
+      "mock",
+      { amount: 5000, currency: "USD", paymentMethodId: "4000000000009995" },
+      options
+    );
+    expect(declined.success).toBe(false);
+    expect(declined.error).toMatchObject({
+      code: "insufficient_funds",
+      declineCode: "insufficient_funds",
+      retryable: false,
+    });
+    await expect(
+      paymentService.getPayment(declined.unifiedId)
+    ).resolves.toMatchObject({ status: "failed" });
+
+    const unavailable = await mock.processPayment({
+      amount: 10091,
+      currency: "USD",
+      unifiedId: "unified_outage",
+    });
+    expect(unavailable.error).toMatchObject({
+      code: "gateway_unavailable",
+      retryable: true,
+    });
+    await expect(
+      mock.findPayment({ unifiedId: "unified_outage" })
+    ).resolves.toBeNull();
+
+    // Retries with the same idempotency key get the first outcome
+    const first = await mock.processPayment({
+      amount: 5000,
+      currency: "USD",
+      idempotencyKey: "key_1",
+    });
+    const retried = await mock.processPayment({
+      amount: 10002,
+      currency: "USD",
+      idempotencyKey: "key_1",
+    });
+    expect(retried.gatewayResponse.reference).toBe(
+      first.gatewayResponse.reference
+    );
+  });
+
+  test("should settle delayed payments through signed webhooks", async () => {
+    const result = await paymentService.processPayment(
+      "mock",
+      { amount: 10003, currency: "USD" },
+      options
+    );
+    expect(result.gatewayResponse.status).toBe("pending");
+
+    jest.advanceTimersByTime(1999);
+    expect(deliveries).toHaveLength(0);
+
+    jest.runAllTimers();
+    expect(deliveries.map((event) => event.type)).toEqual([
+      "payment.pending",
+      "payment.succeeded",
+    ]);
+
+    await receiveDeliveries();
+    await expect(
+      paymentService.getPayment(result.unifiedId)
+    ).resolves.toMatchObject({ status: "captured" });
+
+    const body = JSON.stringify({ id: "evt_forged", object: "mock_event" });
+    await expect(
+      new MockAdapter({ secretKey: "sk_test_other" }).verifyWebhook({
+        body,
+        signature: mock.signWebhook(body),
+      })
+    ).resolves.toMatchObject({ isValid: false });
+    await expect(
+      mock.verifyWebhook({
+        body,
+        signature: mock.signWebhook(body, Math.floor(Date.now() / 1000) - 600),
+      })
+    ).resolves.toMatchObject({ isValid: false });
+  });
+
+  test("should complete 3-D Secure challenges", async () => {
+    const result = await paymentService.processPayment(
+      "mock",
+      { amount: 10001, currency: "USD" },
+      options
+    );
+    const { reference, authorizationUrl } = result.gatewayResponse;
+
+    expect(result.gatewayResponse).toMatchObject({
+      status: "requires_action",
+      requiresAction: true,
+    });
+    expect(authorizationUrl).toMatch(`/api/mock/challenges/${reference}`);
+
+    expect(MockAdapter.completeChallenge(reference, true)).toMatchObject({
+      status: "succeeded",
+    });
+    expect(() => MockAdapter.completeChallenge(reference, true)).toThrow(
+      "not awaiting authentication"
+    );
+    expect(MockAdapter.completeChallenge("mock_pay_unknown", true)).toBeNull();
+
+    jest.runAllTimers();
+    await receiveDeliveries();
+    await expect(
+      paymentService.getPayment(result.unifiedId)
+    ).resolves.toMatchObject({ status: "captured" });
+  });
+
+  test("should refund payments and report failed refunds by webhook", async () => {
+    const paid = await paymentService.processPayment(
+      "mock",
+      { amount: 5000, currency: "USD" },
+      options
+    );
+    const refunded = await paymentService.processRefund(
+      null,
+      { paymentId: paid.unifiedId, amount: 2000 },
+      options
+    );
+    expect(refunded.gatewayResponse).toMatchObject({
+      status: "succeeded",
+      amount: 2000,
+    });
+    await expect(
+      paymentService.processRefund(
+        null,
+        { paymentId: paid.unifiedId, amount: 4000 },
+        options
+      )
+    ).resolves.toMatchObject({ error: { code: "invalid_amount" } });
+
+    const failing = await paymentService.processPayment(
+      "mock",
+      { amount: 5000, currency: "USD", paymentMethodId: "4000000000005126" },
+      options
+    );
+    const pending = await paymentService.processRefund(
+      null,
+      { paymentId: failing.unifiedId },
+      options
+    );
+    expect(pending.gatewayResponse.status).toBe("pending");
+
+    jest.runAllTimers();
+    expect(deliveries.map((event) => event.type)).toContain("refund.failed");
+
+    await receiveDeliveries();
+    const payment = await paymentService.getPayment(failing.unifiedId);
+    expect(payment.refunds[0].status).toBe("failed");
+
+    // Without a reference no stored payment is picked
+    await expect(
+      paymentService.processRefund("mock", { reason: "x" }, options)
+    ).resolves.toMatchObject({ success: false });
+    expect((await paymentService.getPayment(paid.unifiedId)).refunds).toEqual([
+      expect.objectContaining({ amount: 2000 }),
+    ]);
+  });
+});
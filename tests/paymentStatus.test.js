@@ -0,0 +1,61 @@
+const {
+  PaymentStatus,
+  canTransition,
+  assertTransition,
+  isTerminal,
+} = require("../src/domain/paymentStatus");
+const StripeAdapter = require("../src/adapters/StripeAdapter");
+const PaystackAdapter = require("../src/adapters/PaystackAdapter");
+
+describe("Unified Payment Lifecycle", () => {
+  test("should allow forward transitions", () => {
+    expect(canTransition("created", "requires_action")).toBe(true);
+    expect(canTransition("authorized", "captured")).toBe(true);
+    expect(canTransition("captured", "partially_refunded")).toBe(true);
+    expect(canTransition("partially_refunded", "refunded")).toBe(true);
+  });
+
+  test("should reject transitions out of order", () => {
+    expect(canTransition("captured", "pending")).toBe(false);
+    expect(canTransition("refunded", "captured")).toBe(false);
+    expect(canTransition("canceled", "captured")).toBe(false);
+    expect(canTransition("created", "unknown")).toBe(false);
+  });
+
+  test("should throw a 409 for invalid transitions", () => {
+    expect(() => assertTransition("canceled", "captured")).toThrow(
+      expect.objectContaining({
+        statusCode: 409,
+        code: "INVALID_STATUS_TRANSITION",
+      })
+    );
+  });
+
+  test("should treat canceled as the only terminal status", () => {
+    const terminal = Object.values(PaymentStatus).filter(isTerminal);
+    expect(terminal).toEqual(["canceled"]);
+  });
+
+  describe("Gateway status mapping", () => {
+    const stripe = new StripeAdapter({ secretKey: "sk_test_123" });
+    const paystack = new PaystackAdapter({ secretKey: "sk_test_123" });
+
+    test("should map Stripe PaymentIntent statuses", () => {
+      expect(stripe.mapStatus("requires_payment_method")).toBe("created");
+      expect(stripe.mapStatus("requires_capture")).toBe("authorized");
+      expect(stripe.mapStatus("succeeded")).toBe("captured");
+      expect(
+        stripe.mapStatus("requires_payment_method", {
+          last_payment_error: { code: "card_declined" },
+        })
+      ).toBe("failed");
+    });
+
+    test("should map Paystack transaction statuses", () => {
+      expect(paystack.mapStatus("success")).toBe("captured");
+      expect(paystack.mapStatus("abandoned")).toBe("failed");
+      expect(paystack.mapStatus("send_otp")).toBe("requires_action");
+      expect(paystack.mapStatus("ongoing")).toBe("pending");
+    });
+  });
+});
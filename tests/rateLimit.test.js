@@ -0,0 +1,182 @@
+const apiKeyService = require("../src/services/ApiKeyService");
+const merchantService = require("../src/services/MerchantService");
+const MemoryRateLimitStore = require("../src/stores/MemoryRateLimitStore");
+const rateLimitStoreFactory = require("../src/factories/RateLimitStoreFactory");
+const {
+  rateLimitByApiKey,
+  rateLimitByIp,
+} = require("../src/middleware/rateLimit");
+const { identifyApiKey } = require("../src/middleware/auth");
+const logger = require("../src/logger");
+const {
+  slidingWindow,
+  tokenBucket,
+  RateLimitQuota,
+} = require("../src/domain/rateLimits");
+
+describe("Rate Limiting", () => {
+  const quota = { limit: 10, windowMs: 60000 };
+
+  const run = (apply, times, now, state = null) => {
+    let result;
+
+    for (let i = 0; i < times; i++) {
+      ({ state, result } = apply(state, quota, now));
+    }
+
+    return { state, result };
+  };
+
+  const call = async (middleware, req) => {
+    const res = {
+      headers: {},
+      set: jest.fn((field, value) => {
+        Object.assign(
+          res.headers,
+          typeof field === "object" ? field : { [field]: value }
+        );
+        return res;
+      }),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    const next = jest.fn();
+
+    await middleware({ headers: {}, ...req }, res, next);
+
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    rateLimitStoreFactory.setStore(new MemoryRateLimitStore());
+  });
+
+  test("should weigh the previous window in the sliding window", () => {
+    const start = 600000;
+    const full = run(slidingWindow, 10, start + 1000);
+    expect(full.result).toMatchObject({ allowed: true, remaining: 0 });
+    expect(slidingWindow(full.state, quota, start + 2000).result).toMatchObject(
+      { allowed: false, retryAfterMs: 58000 }
+    );
+
+    // Halfway through the next window half the last one still counts
+    const { state, result } = run(slidingWindow, 5, start + 90000, full.state);
+    expect(result).toMatchObject({ allowed: true, remaining: 0 });
+    expect(slidingWindow(state, quota, start + 90000).result.allowed).toBe(
+      false
+    );
+  });
+
+  test("should refill the token bucket evenly", () => {
+    const empty = run(tokenBucket, 10, 0);
+    expect(empty.result).toMatchObject({ allowed: true, remaining: 0 });
+
+    const denied = tokenBucket(empty.state, quota, 0).result;
+    expect(denied).toMatchObject({ allowed: false, retryAfterMs: 6000 });
+    expect(tokenBucket(empty.state, quota, 6000).result.allowed).toBe(true);
+  });
+
+  test("should limit keys and merchants separately for payments and reads", async () => {
+    const merchant = await merchantService.create({
+      name: "Limited",
+      rateLimits: { payments: { limit: 3, windowMs: 60000 } },
+    });
+    const issue = async (rateLimits) =>
+      (
+        await apiKeyService.issue({
+          name: "Limited",
+          mode: "test",
+          merchantId: merchant.id,
+          rateLimits,
+        })
+      ).apiKey;
+    const first = await issue({ payments: { limit: 2, windowMs: 60000 } });
+    const second = await issue();
+    const payments = rateLimitByApiKey(RateLimitQuota.PAYMENTS);
+
+    const allowed = await call(payments, { apiKey: first });
+    expect(allowed.next).toHaveBeenCalled();
+    expect(allowed.res.headers).toMatchObject({
+      "RateLimit-Policy": "2;w=60",
+      "RateLimit-Limit": 2,
+      "RateLimit-Remaining": 1,
+    });
+
+    await call(payments, { apiKey: first });
+    const keyLimited = await call(payments, { apiKey: first });
+    expect(keyLimited.next).not.toHaveBeenCalled();
+    expect(keyLimited.res.status).toHaveBeenCalledWith(429);
+    expect(keyLimited.res.headers["Retry-After"]).toBeGreaterThan(0);
+
+    // The merchant's quota of 3 is shared by its keys
+    expect((await call(payments, { apiKey: second })).next).toHaveBeenCalled();
+    expect(
+      (await call(payments, { apiKey: second })).res.status
+    ).toHaveBeenCalledWith(429);
+
+    // Reads have their own counters
+    expect(
+      (await call(rateLimitByApiKey(RateLimitQuota.READS), { apiKey: first }))
+        .next
+    ).toHaveBeenCalled();
+  });
+
+  test("should only exempt authenticated requests from the IP limit", async () => {
+    const byIp = rateLimitByIp();
+    const { secret } = await apiKeyService.issue({
+      name: "Exempt",
+      mode: "test",
+    });
+    const identified = async (headers) => {
+      const req = { ip: "10.0.0.1", headers };
+      await identifyApiKey(req, {}, jest.fn());
+      return call(byIp, req);
+    };
+
+    const anonymous = await call(byIp, { ip: "10.0.0.1" });
+    expect(anonymous.res.headers["RateLimit-Limit"]).toBe(100);
+
+    // Made-up keys count against the IP like anonymous requests
+    const guessed = await identified({ "x-api-key": "sk_test_abc" });
+    expect(guessed.res.headers["RateLimit-Remaining"]).toBe(98);
+
+    const keyed = await identified({ "x-api-key": secret });
+    expect(keyed.next).toHaveBeenCalled();
+    expect(keyed.res.set).not.toHaveBeenCalled();
+  });
+
+  test("should refuse to start with a misconfigured store", () => {
+    const env = process.env;
+    process.env = { ...env, RATE_LIMIT_STORE: "redis" };
+    delete process.env.REDIS_URL;
+
+    try {
+      jest.isolateModules(() => {
+        const middleware = require("../src/middleware/rateLimit");
+        expect(() => middleware.rateLimitByIp()).toThrow("REDIS_URL");
+      });
+    } finally {
+      process.env = env;
+    }
+  });
+
+  test("should let requests through while the store fails, logging once", async () => {
+    const byIp = rateLimitByIp();
+    const error = jest.spyOn(logger, "error").mockImplementation(() => {});
+    rateLimitStoreFactory.setStore({
+      hit: jest.fn().mockRejectedValue(new Error("Connection refused")),
+    });
+
+    try {
+      expect((await call(byIp, { ip: "10.0.0.2" })).next).toHaveBeenCalled();
+      expect((await call(byIp, { ip: "10.0.0.2" })).next).toHaveBeenCalled();
+      expect(error).toHaveBeenCalledTimes(1);
+
+      rateLimitStoreFactory.setStore(new MemoryRateLimitStore());
+      const recovered = await call(byIp, { ip: "10.0.0.2" });
+      expect(recovered.res.headers["RateLimit-Remaining"]).toBe(99);
+    } finally {
+      error.mockRestore();
+    }
+  });
+});
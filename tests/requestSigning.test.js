@@ -0,0 +1,141 @@
+process.env.STRIPE_SECRET_KEY = "sk_test_123";
+process.env.CREDENTIALS_ENCRYPTION_KEY = "c".repeat(64);
+
+const apiKeyService = require("../src/services/ApiKeyService");
+const apiKeyRepository = require("../src/repositories/ApiKeyRepository");
+const nonceRepository = require("../src/repositories/NonceRepository");
+const { validateApiKey } = require("../src/middleware/auth");
+const { signRequest } = require("../src/security/requestSigning");
+const UnifiedPaymentsClient = require("../examples/client-sdk");
+
+describe("Request Signing", () => {
+  const body = Buffer.from(JSON.stringify({ amount: 5000, currency: "NGN" }));
+
+  const signedHeaders = (keyId, signingSecret, overrides = {}) => {
+    const request = {
+      method: "POST",
+      path: "/api/payments/process",
+      timestamp: Math.floor(Date.now() / 1000).toString(),
+      nonce: `nonce_${Math.random()}`,
+      body,
+      ...overrides,
+    };
+
+    return {
+      "x-key-id": keyId,
+      "x-timestamp": request.timestamp,
+      "x-nonce": request.nonce,
+      "x-signature": signRequest(signingSecret, request),
+    };
+  };
+
+  const call = async (headers, overrides = {}) => {
+    const req = {
+      method: "POST",
+      originalUrl: "/api/payments/process",
+      rawBody: body,
+      headers,
+      ...overrides,
+    };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    const next = jest.fn();
+
+    await validateApiKey(req, res, next);
+
+    return { req, res, next };
+  };
+
+  const issueSigningKey = async () => {
+    const { apiKey } = await apiKeyService.issue({
+      name: "Backend",
+      mode: "test",
+    });
+    return apiKeyService.createSigningSecret(apiKey.id);
+  };
+
+  test("should authenticate signed requests and store the secret encrypted", async () => {
+    const { apiKey, signingSecret } = await issueSigningKey();
+
+    const stored = await apiKeyRepository.findById(apiKey.id);
+    expect(stored.signingSecret).not.toContain(signingSecret);
+
+    const { req, next } = await call(signedHeaders(apiKey.id, signingSecret));
+    expect(next).toHaveBeenCalled();
+    expect(req.apiKey.id).toBe(apiKey.id);
+  });
+
+  test("should reject tampered, stale and replayed requests", async () => {
+    const { apiKey, signingSecret } = await issueSigningKey();
+    const expectRejected = async (headers, code, overrides) => {
+      const { res, next } = await call(headers, overrides);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code }));
+    };
+
+    await expectRejected(
+      signedHeaders(apiKey.id, signingSecret),
+      "INVALID_SIGNATURE",
+      { rawBody: Buffer.from('{"amount":1}') }
+    );
+    await expectRejected(
+      signedHeaders(apiKey.id, signingSecret),
+      "INVALID_SIGNATURE",
+      { originalUrl: "/api/payments/refund" }
+    );
+    await expectRejected(
+      signedHeaders(apiKey.id, "ss_wrong"),
+      "INVALID_SIGNATURE"
+    );
+    await expectRejected(
+      signedHeaders(apiKey.id, signingSecret, {
+        timestamp: Math.floor(Date.now() / 1000 - 600).toString(),
+      }),
+      "REQUEST_EXPIRED"
+    );
+
+    const headers = signedHeaders(apiKey.id, signingSecret);
+    expect((await call(headers)).next).toHaveBeenCalled();
+    await expectRejected(headers, "NONCE_REUSED");
+
+    await apiKeyService.removeSigningSecret(apiKey.id);
+    await expectRejected(
+      signedHeaders(apiKey.id, signingSecret),
+      "INVALID_SIGNATURE"
+    );
+  });
+
+  test("should let the client SDK sign requests", async () => {
+    const { apiKey, signingSecret } = await issueSigningKey();
+    const client = new UnifiedPaymentsClient(null, "http://localhost:3001", {
+      keyId: apiKey.id,
+      signingSecret,
+    });
+
+    const headers = client.signRequest(
+      "POST",
+      "http://localhost:3001/api/payments/process",
+      body.toString()
+    );
+    expect(headers).not.toHaveProperty("x-api-key");
+
+    const { next } = await call(headers);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test("should purge expired nonces", async () => {
+    const now = Date.now();
+    jest.spyOn(Date, "now").mockReturnValue(now);
+    await nonceRepository.use("key_sweep", "old", 1000);
+
+    Date.now.mockReturnValue(now + 120000);
+    await nonceRepository.use("key_sweep", "new", 1000);
+
+    expect(await nonceRepository.store.get("key_sweep:old")).toBeNull();
+    expect(await nonceRepository.store.get("key_sweep:new")).not.toBeNull();
+    jest.restoreAllMocks();
+  });
+});
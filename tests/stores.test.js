@@ -0,0 +1,82 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const MemoryStore = require("../src/stores/MemoryStore");
+const FileStore = require("../src/stores/FileStore");
+
+describe("Persistence Stores", () => {
+  describe("MemoryStore", () => {
+    test("should insert, find and update documents", async () => {
+      const store = new MemoryStore("payments");
+
+      await store.insert({ id: "pay_1", gateway: "stripe", status: "pending" });
+      await store.insert({
+        id: "pay_2",
+        gateway: "paystack",
+        status: "pending",
+      });
+      await store.update("pay_1", { status: "succeeded" });
+
+      expect(await store.get("pay_1")).toHaveProperty("status", "succeeded");
+      expect(await store.find({ gateway: "paystack" })).toHaveLength(1);
+      expect(await store.update("missing", { status: "failed" })).toBeNull();
+    });
+
+    test("should only ignore undefined filter fields when searching", async () => {
+      const store = new MemoryStore("payments");
+      await store.insert({ id: "pay_1", gateway: "mock", reference: "ref_1" });
+
+      expect(
+        await store.find({ gateway: "mock", reference: undefined })
+      ).toEqual([]);
+      expect(
+        await store.search({ gateway: "mock", reference: undefined })
+      ).toHaveLength(1);
+    });
+
+    test("should reject duplicate ids", async () => {
+      const store = new MemoryStore("payments");
+      await store.insert({ id: "pay_1" });
+
+      await expect(store.insert({ id: "pay_1" })).rejects.toHaveProperty(
+        "code",
+        "DUPLICATE_KEY"
+      );
+    });
+
+    test("should not leak references to stored documents", async () => {
+      const store = new MemoryStore("payments");
+      await store.insert({ id: "pay_1", metadata: { orderId: "1" } });
+
+      const document = await store.get("pay_1");
+      document.metadata.orderId = "2";
+
+      expect((await store.get("pay_1")).metadata.orderId).toBe("1");
+    });
+  });
+
+  describe("FileStore", () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "unified-store-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test("should reload documents written by a previous instance", async () => {
+      const store = new FileStore("payments", { directory });
+      await store.insert({ id: "pay_1", status: "pending" });
+      await store.update("pay_1", { status: "succeeded" });
+
+      const reloaded = new FileStore("payments", { directory });
+
+      expect(await reloaded.get("pay_1")).toEqual({
+        id: "pay_1",
+        status: "succeeded",
+      });
+    });
+  });
+});
@@ -0,0 +1,320 @@
+process.env.MOCK_SECRET_KEY = "sk_test_mock";
+
+const gatewayFactory = require("../src/factories/GatewayFactory");
+const customerService = require("../src/services/CustomerService");
+const planService = require("../src/services/PlanService");
+const subscriptionService = require("../src/services/SubscriptionService");
+const merchantWebhookService = require("../src/services/MerchantWebhookService");
+const subscriptionRepository = require("../src/repositories/SubscriptionRepository");
+const { addInterval, prorate } = require("../src/domain/subscriptions");
+const logger = require("../src/logger");
+
+describe("Subscriptions", () => {
+  const mock = gatewayFactory.getGateway("mock", "test");
+  const options = { mode: "test" };
+  const start = new Date("2024-01-31T12:00:00.000Z");
+  const after = (iso) => new Date(new Date(iso).getTime() + 1000);
+
+  const createPlan = (amount = 3000, interval = "month") =>
+    planService.create(
+      { name: `Plan ${amount}`, amount, currency: "USD", interval },
+      options
+    );
+
+  // A customer with a saved card; 4000000000000002 is always declined
+  const createCustomer = async (cardNumber = "4242424242424242") => {
+    const customer = await customerService.create(
+      { email: "grace@example.com" },
+      options
+    );
+    const paymentMethod = await customerService.attachPaymentMethod(
+      customer.id,
+      { gateway: "mock", paymentMethodId: cardNumber },
+      options
+    );
+    return { customer, paymentMethod };
+  };
+
+  const subscribe = async (plan, data = {}) => {
+    const { customer, paymentMethod } = await createCustomer();
+    return subscriptionService.create(
+      {
+        customerId: customer.id,
+        planId: plan.id,
+        paymentMethodId: paymentMethod.id,
+        ...data,
+      },
+      options
+    );
+  };
+
+  // The subscription after a renewal run; other tests' may renew too
+  const renewAt = async (subscription, now) =>
+    (await subscriptionService.renewDue(now)).find(
+      (renewed) => renewed.id === subscription.id
+    );
+
+  let published;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(start);
+    jest.spyOn(mock, "deliverWebhook").mockResolvedValue();
+    published = jest
+      .spyOn(merchantWebhookService, "publishSubscriptionEvent")
+      .mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("should charge the first period and renew when it ends", async () => {
+    const plan = await createPlan();
+    const subscription = await subscribe(plan);
+
+    expect(subscription).toMatchObject({
+      status: "active",
+      currentPeriodEnd: "2024-02-29T12:00:00.000Z",
+    });
+    expect(subscription.charges).toEqual([
+      expect.objectContaining({
+        type: "initial",
+        amount: 3000,
+        status: "succeeded",
+        paymentId: expect.any(String),
+      }),
+    ]);
+
+    // Not due yet
+    await expect(
+      renewAt(subscription, new Date("2024-02-29T11:00:00.000Z"))
+    ).resolves.toBeUndefined();
+
+    const renewed = await renewAt(
+      subscription,
+      after(subscription.currentPeriodEnd)
+    );
+
+    expect(renewed).toMatchObject({
+      id: subscription.id,
+      status: "active",
+      currentPeriodStart: "2024-02-29T12:00:00.000Z",
+      currentPeriodEnd: "2024-03-29T12:00:00.000Z",
+    });
+    expect(renewed.charges[1]).toMatchObject({
+      type: "renewal",
+      status: "succeeded",
+    });
+    expect(published).toHaveBeenCalledWith(
+      "subscription.renewed",
+      expect.objectContaining({ id: subscription.id }),
+      expect.objectContaining({ id: renewed.charges[1].paymentId })
+    );
+  });
+
+  test("should mark declined renewals past due and cancel declined signups", async () => {
+    const plan = await createPlan();
+    const subscription = await subscribe(plan);
+    const declined = await customerService.attachPaymentMethod(
+      subscription.customerId,
+      { gateway: "mock", paymentMethodId: "4000000000000002" },
+      options
+    );
+    await subscriptionService.update(
+      subscription.id,
+      { paymentMethodId: declined.id },
+      options
+    );
+
+    const pastDue = await renewAt(
+      subscription,
+      after(subscription.currentPeriodEnd)
+    );
+
+    expect(pastDue.status).toBe("past_due");
+    expect(pastDue.currentPeriodEnd).toBe(subscription.currentPeriodEnd);
+    expect(pastDue.charges[1]).toMatchObject({
+      status: "failed",
+      error: { code: "card_declined" },
+    });
+    expect(published).toHaveBeenCalledWith(
+      "subscription.payment_failed",
+      expect.objectContaining({ status: "past_due" }),
+      expect.objectContaining({ status: "failed" })
+    );
+
+    const { customer, paymentMethod } = await createCustomer(
+      "4000000000000002"
+    );
+    await expect(
+      subscriptionService.create(
+        {
+          customerId: customer.id,
+          planId: plan.id,
+          paymentMethodId: paymentMethod.id,
+        },
+        options
+      )
+    ).rejects.toMatchObject({ statusCode: 402, code: "CARD_DECLINED" });
+  });
+
+  test("should end trials and cancel at the end of the period", async () => {
+    const plan = await createPlan();
+    const subscription = await subscribe(plan, { trialDays: 14 });
+
+    expect(subscription).toMatchObject({
+      status: "trialing",
+      trialEnd: "2024-02-14T12:00:00.000Z",
+      charges: [],
+    });
+
+    await subscriptionService.cancel(
+      subscription.id,
+      { atPeriodEnd: true },
+      options
+    );
+    const canceled = await renewAt(subscription, after(subscription.trialEnd));
+
+    expect(canceled).toMatchObject({ status: "canceled", charges: [] });
+    expect(published).toHaveBeenCalledWith(
+      "subscription.canceled",
+      expect.objectContaining({ id: subscription.id })
+    );
+    await expect(
+      subscriptionService.pause(subscription.id, options)
+    ).rejects.toMatchObject({ statusCode: 409, code: "SUBSCRIPTION_CANCELED" });
+  });
+
+  test("should not bill paused subscriptions and restart them on resume", async () => {
+    const plan = await createPlan(1000, "week");
+    const subscription = await subscribe(plan);
+
+    await subscriptionService.pause(subscription.id, options);
+    await expect(
+      renewAt(subscription, new Date("2024-03-01T00:00:00.000Z"))
+    ).resolves.toBeUndefined();
+
+    jest.setSystemTime(new Date("2024-03-01T00:00:00.000Z"));
+    const resumed = await subscriptionService.resume(subscription.id, options);
+
+    expect(resumed).toMatchObject({
+      status: "active",
+      pausedAt: null,
+      currentPeriodStart: "2024-03-01T00:00:00.000Z",
+      currentPeriodEnd: "2024-03-08T00:00:00.000Z",
+    });
+    expect(resumed.charges).toHaveLength(2);
+  });
+
+  test("should record renewal errors until a later run succeeds", async () => {
+    const plan = await createPlan();
+    const subscription = await subscribe(plan);
+    const due = after(subscription.currentPeriodEnd);
+    const renew = subscriptionService.renew.bind(subscriptionService);
+    const failing = jest
+      .spyOn(subscriptionService, "renew")
+      .mockImplementation((renewing, now) =>
+        renewing.id === subscription.id
+          ? Promise.reject(new Error("Plan store unavailable"))
+          : renew(renewing, now)
+      );
+    const error = jest.spyOn(logger, "error").mockImplementation(() => {});
+
+    await expect(renewAt(subscription, due)).resolves.toBeUndefined();
+    expect(error).toHaveBeenCalledWith("Subscription renew failed", {
+      subscriptionId: subscription.id,
+      error: "Plan store unavailable",
+    });
+    expect(
+      (await subscriptionRepository.findById(subscription.id)).renewalError
+    ).toEqual({
+      action: "renew",
+      message: "Plan store unavailable",
+      at: due.toISOString(),
+    });
+
+    failing.mockRestore();
+    await expect(renewAt(subscription, due)).resolves.toMatchObject({
+      status: "active",
+      currentPeriodEnd: "2024-03-29T12:00:00.000Z",
+      renewalError: null,
+    });
+  });
+
+  test("should prorate plan changes within the period", async () => {
+    const basic = await createPlan(3000);
+    const pro = await createPlan(6000);
+    const subscription = await subscribe(basic);
+
+    // Halfway through a 29-day period
+    jest.setSystemTime(new Date("2024-02-15T00:00:00.000Z"));
+    const upgraded = await subscriptionService.changePlan(
+      subscription.id,
+      { planId: pro.id },
+      options
+    );
+
+    expect(upgraded.planId).toBe(pro.id);
+    expect(upgraded.currentPeriodEnd).toBe(subscription.currentPeriodEnd);
+    expect(upgraded.charges[1]).toMatchObject({
+      type: "proration",
+      amount: 1500,
+      status: "succeeded",
+    });
+
+    const downgraded = await subscriptionService.changePlan(
+      subscription.id,
+      { planId: basic.id },
+      options
+    );
+    expect(downgraded.charges).toHaveLength(2);
+    expect(downgraded.creditBalance).toBe(1500);
+
+    const renewed = await renewAt(
+      subscription,
+      after(subscription.currentPeriodEnd)
+    );
+    expect(renewed.charges[2]).toMatchObject({
+      amount: 1500,
+      creditApplied: 1500,
+    });
+    expect(renewed.creditBalance).toBe(0);
+
+    const naira = await planService.create(
+      { name: "Naira", amount: 500000, currency: "NGN", interval: "month" },
+      options
+    );
+    await expect(
+      subscriptionService.changePlan(
+        subscription.id,
+        { planId: naira.id },
+        options
+      )
+    ).rejects.toMatchObject({ statusCode: 400, code: "CURRENCY_MISMATCH" });
+  });
+
+  test("should count billing intervals from the anchor date", () => {
+    expect(addInterval(start, "month").toISOString()).toBe(
+      "2024-02-29T12:00:00.000Z"
+    );
+    expect(addInterval(start, "month", 2).toISOString()).toBe(
+      "2024-03-31T12:00:00.000Z"
+    );
+    expect(addInterval(start, "year").toISOString()).toBe(
+      "2025-01-31T12:00:00.000Z"
+    );
+    expect(addInterval(start, "week").toISOString()).toBe(
+      "2024-02-07T12:00:00.000Z"
+    );
+    expect(
+      prorate(
+        3000,
+        { start: "2024-01-01T00:00:00Z", end: "2024-01-31T00:00:00Z" },
+        new Date("2024-01-21T00:00:00Z")
+      )
+    ).toBe(1000);
+  });
+});
@@ -0,0 +1,254 @@
+process.env.STRIPE_SECRET_KEY = "sk_test_123";
+process.env.PAYSTACK_SECRET_KEY = "sk_test_123";
+
+const webhookDispatcher = require("../src/services/WebhookDispatcher");
+const paymentRepository = require("../src/repositories/PaymentRepository");
+const gatewayFactory = require("../src/factories/GatewayFactory");
+
+describe("Webhook Dispatcher", () => {
+  const stripe = gatewayFactory.getGateway("stripe");
+  const paystack = gatewayFactory.getGateway("paystack");
+
+  const createPayment = (fields) =>
+    paymentRepository.create({
+      amount: 5000,
+      currency: "NGN",
+      status: "pending",
+      ...fields,
+    });
+  const dispatch = (gateway, payload) =>
+    webhookDispatcher.dispatch({ gateway, payload });
+
+  test("should normalize Stripe events", () => {
+    const event = stripe.normalizeWebhookEvent({
+      id: "evt_1",
+      type: "payment_intent.payment_failed",
+      created: 1705314600,
+      data: {
+        object: {
+          id: "pi_1",
+          status: "requires_payment_method",
+          last_payment_error: { code: "card_declined" },
+          amount: 5000,
+          currency: "usd",
+          metadata: { unified_payment_id: "unified_1" },
+        },
+      },
+    });
+
+    expect(event).toMatchObject({
+      type: "payment.failed",
+      gatewayEventType: "payment_intent.payment_failed",
+      paymentId: "unified_1",
+      paymentReference: "pi_1",
+      status: "failed",
+      amount: 5000,
+      currency: "USD",
+      occurredAt: "2024-01-15T10:30:00.000Z",
+    });
+    expect(
+      stripe.normalizeWebhookEvent({
+        type: "charge.dispute.closed",
+        created: 1705314600,
+        data: { object: { id: "dp_1", status: "lost" } },
+      }).type
+    ).toBe("dispute.lost");
+    expect(
+      stripe.normalizeWebhookEvent({
+        type: "customer.created",
+        created: 1705314600,
+        data: { object: { id: "cus_1" } },
+      }).type
+    ).toBe("unknown");
+  });
+
+  test("should normalize Paystack events", () => {
+    expect(
+      paystack.normalizeWebhookEvent({
+        event: "refund.processed",
+        data: {
+          transaction_reference: "ref_1",
+          refund_reference: "rf_1",
+          amount: 2000,
+          currency: "NGN",
+        },
+      })
+    ).toMatchObject({
+      type: "refund.succeeded",
+      paymentReference: "ref_1",
+      refund: { gatewayRefundId: "rf_1", amount: 2000, currency: "NGN" },
+    });
+    expect(
+      paystack.normalizeWebhookEvent({
+        event: "charge.dispute.resolve",
+        data: {
+          id: 7,
+          resolution: "declined",
+          transaction: { reference: "ref_1", amount: 5000, currency: "NGN" },
+        },
+      })
+    ).toMatchObject({
+      type: "dispute.won",
+      paymentReference: "ref_1",
+      dispute: { gatewayDisputeId: 7, amount: 5000 },
+    });
+  });
+
+  test("should complete a Paystack payment from charge.success", async () => {
+    const payment = await createPayment({
+      id: "unified_paystack_1",
+      gateway: "paystack",
+      gatewayReference: "ref_success",
+    });
+
+    const result = await dispatch("paystack", {
+      event: "charge.success",
+      data: {
+        id: 1,
+        status: "success",
+        reference: "ref_success",
+        amount: 5000,
+        currency: "NGN",
+        metadata: "",
+      },
+    });
+
+    expect(result.payment).toMatchObject({
+      id: payment.id,
+      status: "captured",
+    });
+    expect(result.payment.statusHistory.pop()).toMatchObject({
+      status: "captured",
+      source: "webhook",
+    });
+  });
+
+  test("should record refunds once and mark the payment refunded", async () => {
+    await createPayment({
+      id: "unified_paystack_2",
+      gateway: "paystack",
+      gatewayReference: "ref_refund",
+      status: "captured",
+    });
+    const refund = (event) => ({
+      event,
+      data: {
+        transaction_reference: "ref_refund",
+        refund_reference: "rf_2",
+        amount: 2000,
+        currency: "NGN",
+      },
+    });
+
+    await dispatch("paystack", refund("refund.pending"));
+    const { payment } = await dispatch("paystack", refund("refund.processed"));
+
+    expect(payment.status).toBe("partially_refunded");
+    expect(payment.refunds).toHaveLength(1);
+    expect(payment.refunds[0]).toMatchObject({
+      gatewayRefundId: "rf_2",
+      status: "succeeded",
+    });
+  });
+
+  test("should track disputes on Stripe payments", async () => {
+    await createPayment({
+      id: "unified_stripe_1",
+      gateway: "stripe",
+      gatewayReference: "pi_dispute",
+      currency: "USD",
+      status: "captured",
+    });
+    const dispute = (type, status) => ({
+      type,
+      created: 1705314600,
+      data: {
+        object: {
+          id: "dp_2",
+          payment_intent: "pi_dispute",
+          amount: 5000,
+          currency: "usd",
+          reason: "fraudulent",
+          status,
+        },
+      },
+    });
+
+    const opened = await dispatch(
+      "stripe",
+      dispute("charge.dispute.created", "needs_response")
+    );
+    expect(opened.payment.status).toBe("disputed");
+
+    const won = await dispatch(
+      "stripe",
+      dispute("charge.dispute.closed", "won")
+    );
+    expect(won.payment.status).toBe("captured");
+    expect(won.payment.disputes).toEqual([
+      expect.objectContaining({ gatewayDisputeId: "dp_2", status: "won" }),
+    ]);
+  });
+
+  test("should ignore events for unknown payments and other gateways", async () => {
+    await expect(
+      dispatch("paystack", {
+        event: "charge.success",
+        data: { id: 2, status: "success", reference: "ref_unknown" },
+      })
+    ).resolves.toMatchObject({ payment: null });
+
+    // Without a reference the event cannot be about any stored payment
+    await createPayment({
+      id: "unified_paystack_3",
+      gateway: "paystack",
+      gatewayReference: "ref_real",
+    });
+    const unreferenced = await dispatch("paystack", {
+      event: "charge.success",
+      data: { id: 3, status: "success", amount: 5000, currency: "NGN" },
+    });
+    expect(unreferenced).toMatchObject({
+      event: { paymentReference: null },
+      payment: null,
+    });
+    expect(
+      (await paymentRepository.findById("unified_paystack_3")).status
+    ).toBe("pending");
+
+    await createPayment({
+      id: "unified_failover_1",
+      gateway: "paystack",
+      gatewayReference: "ref_failover",
+    });
+    await expect(
+      dispatch("stripe", {
+        type: "payment_intent.succeeded",
+        created: 1705314600,
+        data: {
+          object: {
+            id: "pi_2",
+            status: "succeeded",
+            metadata: { unified_payment_id: "unified_failover_1" },
+          },
+        },
+      })
+    ).resolves.toMatchObject({ payment: null });
+  });
+
+  test("should fail events for payments not stored yet so they retry", async () => {
+    await expect(
+      dispatch("stripe", {
+        type: "payment_intent.succeeded",
+        created: 1705314600,
+        data: {
+          object: {
+            id: "pi_3",
+            status: "succeeded",
+            metadata: { unified_payment_id: "unified_not_stored" },
+          },
+        },
+      })
+    ).rejects.toThrow("not found");
+  });
+});
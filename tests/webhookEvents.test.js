@@ -0,0 +1,150 @@
+process.env.STRIPE_SECRET_KEY = "sk_test_123";
+process.env.PAYSTACK_SECRET_KEY = "sk_test_123";
+
+const webhookProcessor = require("../src/services/WebhookProcessor");
+const webhookEventRepository = require("../src/repositories/WebhookEventRepository");
+const gatewayFactory = require("../src/factories/GatewayFactory");
+
+describe("Webhook Event Store", () => {
+  const stripeEvent = (id) => ({
+    id,
+    type: "payment_intent.succeeded",
+    data: { object: { id: "pi_1" } },
+  });
+  let handler;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(webhookProcessor, "schedule").mockImplementation(() => {});
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    handler = jest.fn().mockResolvedValue();
+    webhookProcessor.handlers = [handler];
+  });
+
+  test("should store an event once and count redeliveries", async () => {
+    const first = await webhookProcessor.receive(
+      "stripe",
+      stripeEvent("evt_1")
+    );
+    const again = await webhookProcessor.receive(
+      "stripe",
+      stripeEvent("evt_1")
+    );
+
+    expect(first.duplicate).toBe(false);
+    expect(again.duplicate).toBe(true);
+    expect(again.record).toMatchObject({
+      id: first.record.id,
+      gatewayEventId: "evt_1",
+      status: "pending",
+      deliveries: 2,
+    });
+    expect(webhookProcessor.schedule).toHaveBeenCalledTimes(1);
+  });
+
+  test("should derive Paystack event IDs from the event and data", async () => {
+    const { record } = await webhookProcessor.receive("paystack", {
+      event: "charge.success",
+      data: { id: 302961, reference: "ref_1" },
+    });
+
+    expect(record).toMatchObject({
+      gatewayEventId: "charge.success_302961",
+      type: "charge.success",
+    });
+  });
+
+  test("should mark processed events and skip them afterwards", async () => {
+    const { record } = await webhookProcessor.receive(
+      "stripe",
+      stripeEvent("evt_2")
+    );
+
+    expect((await webhookProcessor.process(record.id)).status).toBe(
+      "processed"
+    );
+    await webhookProcessor.process(record.id);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test("should retry failed handlers with backoff, then give up", async () => {
+    handler.mockRejectedValue(new Error("Database down"));
+    const { record } = await webhookProcessor.receive(
+      "stripe",
+      stripeEvent("evt_3")
+    );
+
+    const retried = await webhookProcessor.process(record.id);
+    expect(retried).toMatchObject({
+      status: "pending",
+      attempts: 1,
+      lastError: "Database down",
+    });
+    expect(webhookProcessor.schedule).toHaveBeenLastCalledWith(
+      record.id,
+      webhookProcessor.retryDelay
+    );
+
+    for (let i = 1; i < webhookProcessor.maxAttempts; i++) {
+      await webhookProcessor.process(record.id);
+    }
+
+    const failed = await webhookEventRepository.findById(record.id);
+    expect(failed).toMatchObject({ status: "failed", nextAttemptAt: null });
+  });
+
+  test("should replay a stored event", async () => {
+    handler.mockRejectedValueOnce(new Error("Database down"));
+    const { record } = await webhookProcessor.receive(
+      "stripe",
+      stripeEvent("evt_4")
+    );
+    await webhookProcessor.process(record.id);
+
+    const replayed = await webhookProcessor.replay(record.id);
+
+    expect(replayed.status).toBe("processed");
+    await expect(
+      webhookProcessor.replay("whevt_missing")
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test("should identify the sending gateway from headers and payload", () => {
+    const stripePayload = { object: "event", ...stripeEvent("evt_5") };
+    const paystackPayload = { event: "charge.success", data: { id: 1 } };
+
+    expect(
+      gatewayFactory.detectWebhookGateway(
+        { "stripe-signature": "t=1,v1=abc" },
+        stripePayload
+      )
+    ).toBe("stripe");
+    expect(
+      gatewayFactory.detectWebhookGateway(
+        { "x-paystack-signature": "abc" },
+        paystackPayload
+      )
+    ).toBe("paystack");
+    expect(
+      gatewayFactory.detectWebhookGateway(
+        { "stripe-signature": "t=1,v1=abc", "x-paystack-signature": "abc" },
+        paystackPayload
+      )
+    ).toBe("paystack");
+    expect(gatewayFactory.detectWebhookGateway({}, paystackPayload)).toBeNull();
+  });
+
+  test("should list events by gateway, type and status", async () => {
+    const processed = await webhookEventRepository.list({
+      gateway: "stripe",
+      status: "processed",
+    });
+
+    expect(processed.length).toBeGreaterThan(0);
+    expect(
+      processed.every(
+        (event) => event.gateway === "stripe" && event.status === "processed"
+      )
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,80 @@
+const crypto = require("crypto");
+const StripeAdapter = require("../src/adapters/StripeAdapter");
+const PaystackAdapter = require("../src/adapters/PaystackAdapter");
+
+describe("Webhook Signatures", () => {
+  const stripe = new StripeAdapter({
+    secretKey: "sk_test_123",
+    webhookSecret: "whsec_test",
+    webhookTolerance: 300,
+  });
+  const paystack = new PaystackAdapter({ secretKey: "sk_test_123" });
+
+  // Spacing and key order a re-serialized body would not reproduce
+  const rawBody =
+    '{"event":"charge.success",  "data":{"reference":"ref_1","id":1}}';
+  const paystackSignature = (body) =>
+    crypto.createHmac("sha512", "sk_test_123").update(body).digest("hex");
+  const stripeHeader = (payload, timestamp) =>
+    stripe.stripe.webhooks.generateTestHeaderString({
+      payload,
+      secret: "whsec_test",
+      timestamp,
+    });
+
+  test("should verify Paystack signatures over the raw body", async () => {
+    const verification = await paystack.verifyWebhook({
+      body: Buffer.from(rawBody),
+      signature: paystackSignature(rawBody),
+    });
+
+    expect(verification).toEqual({
+      isValid: true,
+      event: { event: "charge.success", data: { reference: "ref_1", id: 1 } },
+    });
+  });
+
+  test("should reject tampered, truncated and parsed Paystack bodies", async () => {
+    const signature = paystackSignature(rawBody);
+
+    await expect(
+      paystack.verifyWebhook({
+        body: Buffer.from(rawBody.replace("ref_1", "ref_2")),
+        signature,
+      })
+    ).resolves.toMatchObject({ isValid: false });
+    await expect(
+      paystack.verifyWebhook({
+        body: Buffer.from(rawBody),
+        signature: signature.substr(0, 64),
+      })
+    ).resolves.toMatchObject({ isValid: false });
+    await expect(
+      paystack.verifyWebhook({ body: JSON.parse(rawBody), signature })
+    ).resolves.toMatchObject({
+      isValid: false,
+      error: "Raw request body is required to verify the signature",
+    });
+  });
+
+  test("should verify Stripe signatures within the tolerance", async () => {
+    const payload = JSON.stringify({
+      id: "evt_1",
+      type: "payment_intent.succeeded",
+    });
+    const now = Math.floor(Date.now() / 1000);
+
+    await expect(
+      stripe.verifyWebhook({
+        body: Buffer.from(payload),
+        signature: stripeHeader(payload, now),
+      })
+    ).resolves.toMatchObject({ isValid: true, event: { id: "evt_1" } });
+    await expect(
+      stripe.verifyWebhook({
+        body: Buffer.from(payload),
+        signature: stripeHeader(payload, now - 600),
+      })
+    ).resolves.toMatchObject({ isValid: false });
+  });
+});